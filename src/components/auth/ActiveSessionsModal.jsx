@@ -0,0 +1,123 @@
+/**
+ * 💻 Active Sessions Modal Component
+ *
+ * Signed-in sessions of the current user, opened from the header user menu:
+ * - Every device where the account is signed in, this one flagged
+ * - Revoke of the other sessions: their device is logged out at its next request
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, MonitorSmartphone, X } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import SessionList from './SessionList';
+
+/**
+ * Active Sessions Modal Component
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Close callback
+ */
+const ActiveSessionsModal = ({ onClose }) => {
+  const { getSessions, revokeSession } = useAuth();
+
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [revokeError, setRevokeError] = useState('');
+  const [revokingId, setRevokingId] = useState(null);
+
+  /**
+   * Load the sessions of the current user
+   */
+  const loadSessions = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError('');
+
+    try {
+      setSessions(await getSessions());
+    } catch (error) {
+      console.error('❌ Sessions load error:', error);
+      setLoadError(error.userMessage || 'Impossible de charger les sessions.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [getSessions]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  /**
+   * Revoke another session, then drop it from the list
+   * @param {Object} session - Session to revoke
+   */
+  const handleRevoke = async (session) => {
+    setRevokingId(session.sessionId);
+    setRevokeError('');
+
+    try {
+      await revokeSession(session.sessionId);
+      setSessions(prev => prev.filter(candidate => candidate.sessionId !== session.sessionId));
+    } catch (error) {
+      console.error('❌ Session revoke error:', error);
+      setRevokeError(error.data?.message || error.userMessage || 'Impossible de révoquer la session.');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="active-sessions-title"
+        className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <MonitorSmartphone className="h-6 w-6 text-blue-600" />
+            <h3 id="active-sessions-title" className="text-xl font-semibold text-gray-900">
+              Sessions actives
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 rounded-lg"
+            title="Fermer"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6">
+          <p className="text-sm text-gray-600 mb-2">
+            Appareils connectés à votre compte. Révoquez toute session que vous ne reconnaissez pas,
+            puis changez votre mot de passe.
+          </p>
+          {revokeError && (
+            <div className="mb-2 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+              <AlertCircle className="h-5 w-5 text-red-600 flex-shrink-0" />
+              <span className="text-sm text-red-700">{revokeError}</span>
+            </div>
+          )}
+          <SessionList
+            sessions={sessions}
+            loading={isLoading}
+            error={loadError}
+            onRevoke={handleRevoke}
+            revokingId={revokingId}
+            onRetry={loadSessions}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessionsModal;
@@ -1,21 +1,95 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Eye, EyeOff, LogIn, Building2, Shield, AlertCircle, 
-  CheckCircle, Loader, User, Lock 
+  CheckCircle, Loader, User, Lock, KeyRound, Smartphone, ArrowLeft, Clock
 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { HTTP_STATUS, MFA_CONFIG } from '../../config/apiConfig';
+import { MFA_METHODS } from '../../services/authService';
+import loginThrottle from '../../services/loginThrottle';
+
+/**
+ * Messages for the login failures the backend reports by status
+ */
+const LOGIN_ERRORS = {
+  401: 'Identifiants incorrects. Vérifiez votre nom d\'utilisateur et mot de passe.',
+  403: 'Accès refusé. Votre compte n\'a pas les permissions nécessaires.',
+  404: 'Service d\'authentification non disponible. Contactez l\'administrateur.'
+};
+
+/**
+ * Turn a failed login into a message for the form
+ * @param {Error} error - Error thrown by the login call
+ * @returns {string} User-facing message
+ */
+const getLoginErrorMessage = (error) => {
+  // Network errors never reached the server
+  if (error.name === 'TypeError') {
+    return 'Impossible de joindre le serveur. Vérifiez votre connexion réseau.';
+  }
+
+  // Warn before the server locks the account
+  const remainingAttempts = error.data?.remainingAttempts;
+  if (error.status === HTTP_STATUS.UNAUTHORIZED && remainingAttempts > 0) {
+    return `${LOGIN_ERRORS[HTTP_STATUS.UNAUTHORIZED]} Il vous reste ${remainingAttempts} ${remainingAttempts > 1 ? 'tentatives' : 'tentative'} avant le verrouillage du compte.`;
+  }
+
+  return LOGIN_ERRORS[error.status]
+    || error.data?.message
+    || error.message
+    || 'Erreur de connexion inconnue';
+};
+
+/**
+ * Turn a failed second-step verification into a message for the form
+ * @param {Error} error - Error thrown by the verify call
+ * @returns {string} User-facing message
+ */
+const getMfaErrorMessage = (error) => {
+  if (error.name === 'TypeError') {
+    return 'Impossible de joindre le serveur. Vérifiez votre connexion réseau.';
+  }
+
+  return error.data?.message || 'Code de vérification invalide.';
+};
+
+/**
+ * Format the wait before the next login attempt
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '14 min 05 s' or '8 s'
+ */
+const formatWaitTime = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes} min ${String(seconds % 60).padStart(2, '0')} s` : `${seconds} s`;
+};
+
+/**
+ * Initial state of the second-step form
+ */
+const INITIAL_MFA_FORM = {
+  code: '',
+  method: MFA_METHODS.TOTP,
+  trustDevice: false
+};
 
 /**
  * 🔐 Professional Admin Login Component
  * 
  * Features:
- * - JWT token authentication with AgenceService
+ * - JWT token authentication with AgenceService (through AuthProvider)
+ * - Two-factor step when the account requires it: authenticator code or
+ *   backup code, with an option to trust the device for 30 days
+ * - Brute-force protection: growing wait after each failure, server lockouts
+ *   with their countdown, and a security challenge after repeated failures
  * - Professional input validation and error handling
  * - Loading states and user feedback
  * - Responsive design with modern UI
  * - Integration with backend auth endpoints
- * - Secure token storage and management
  */
-const AdminLoginPage = ({ onLoginSuccess }) => {
+const AdminLoginPage = () => {
+  const { login, verifyMfa } = useAuth();
+
   // =====================================
   // STATE MANAGEMENT
   // =====================================
@@ -32,136 +106,22 @@ const AdminLoginPage = ({ onLoginSuccess }) => {
     successMessage: ''
   });
 
-  // =====================================
-  // AUTHENTICATION SERVICE
-  // =====================================
-  
+  // Set when the login answered with an MFA challenge ({ mfaToken, mfaMethods })
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  const [mfaForm, setMfaForm] = useState(INITIAL_MFA_FORM);
+
+  // Failed logins of the typed username ({ waitTime, lockedUntil, captchaRequired })
+  const [throttle, setThrottle] = useState(() => loginThrottle.getStatus(''));
+  // Security challenge asked after repeated failures
+  const [challenge, setChallenge] = useState(null);
+  const [challengeResponse, setChallengeResponse] = useState('');
+
   /**
-   * Professional Authentication API service
+   * Re-read the throttle of the typed username
    */
-  const AuthService = {
-    // API Configuration - Update these URLs based on your environment
-    BASE_URL: import.meta.env.VITE_AGENCE_SERVICE_URL || 'http://localhost:8092',
-    
-    /**
-     * Login to AgenceService backend
-     */
-   async login(credentials) {
-    try {
-        console.log('🔐 Attempting login to AgenceService...');
-
-        const response = await fetch(`${this.BASE_URL}/api/v1/agence/auth/login`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-            username: credentials.username,
-            password: credentials.password
-        }),
-        credentials: 'include' // Optional: if you’re using cookies/session (JWT usually doesn’t need this)
-        });
-
-        console.log('📡 Response status:', response.status);
-
-        // Handle different response codes
-        if (response.status === 401) {
-          throw new Error('Identifiants incorrects. Vérifiez votre nom d\'utilisateur et mot de passe.');
-        }
-        
-        if (response.status === 403) {
-          throw new Error('Accès refusé. Votre compte n\'a pas les permissions nécessaires.');
-        }
-        
-        if (response.status === 404) {
-          throw new Error('Service d\'authentification non disponible. Contactez l\'administrateur.');
-        }
-        
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.message || `Erreur ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        console.log('✅ Login response received');
-        
-        // Validate response structure
-        if (!data.accessToken) {
-          throw new Error('Token d\'authentification manquant dans la réponse du serveur');
-        }
-
-        return {
-          success: true,
-          token: data.accessToken,
-          user: { username: data.username,
-            email: data.email,
-            nom: data.nom,
-            prenom: data.prenom,
-            roles: data.roles,
-            idAgence: data.idAgence,
-            nomAgence: data.nomAgence,
-            accessToken: data.accessToken },
-          message: data.message || 'Connexion réussie'
-        };
-        
-      } catch (error) {
-        console.error('❌ Authentication error:', error);
-        
-        // Handle network errors
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          return {
-            success: false,
-            error: 'Impossible de joindre le serveur. Vérifiez votre connexion réseau.'
-          };
-        }
-        
-        return {
-          success: false,
-          error: error.message || 'Erreur de connexion inconnue'
-        };
-      }
-    },
-
-    /**
-     * Store authentication data securely
-     */
-    storeAuth(token, user) {
-      try {
-        // Store in localStorage with timestamp
-        localStorage.setItem('authToken', token);
-        localStorage.setItem('currentUser', JSON.stringify(user));
-        localStorage.setItem('loginTimestamp', Date.now().toString());
-        
-        // Set global auth header for API calls
-        window.authToken = token;
-        
-        console.log('✅ Authentication data stored successfully');
-        return true;
-      } catch (error) {
-        console.error('❌ Error storing auth data:', error);
-        return false;
-      }
-    },
-
-    /**
-     * Validate JWT token structure
-     */
-    isValidJwtStructure(token) {
-      if (!token || typeof token !== 'string') return false;
-      
-      try {
-        const parts = token.split('.');
-        if (parts.length !== 3) return false;
-        
-        // Decode and validate payload
-        const payload = JSON.parse(atob(parts[1]));
-        return payload && payload.exp && payload.exp > Date.now() / 1000;
-      } catch {
-        return false;
-      }
-    }
-  };
+  const refreshThrottle = useCallback(() => {
+    setThrottle(loginThrottle.getStatus(formData.username));
+  }, [formData.username]);
 
   // =====================================
   // EVENT HANDLERS
@@ -227,6 +187,26 @@ const AdminLoginPage = ({ onLoginSuccess }) => {
     
     // Validate form
     if (!validateForm()) return;
+
+    // The button is disabled while waiting, the Enter key is not
+    const { username } = formData;
+    const throttleStatus = loginThrottle.getStatus(username);
+    if (throttleStatus.waitTime > 0) return;
+
+    // A challenge answers once: a new one is asked after each attempt
+    if (throttleStatus.captchaRequired) {
+      const isSolved = challenge && await loginThrottle.verifyChallenge(challenge, challengeResponse);
+      setChallenge(null);
+      setChallengeResponse('');
+
+      if (!isSolved) {
+        setState(prev => ({
+          ...prev,
+          errorMessage: 'Réponse incorrecte à la vérification de sécurité. Réessayez.'
+        }));
+        return;
+      }
+    }
     
     // Set loading state
     setState(prev => ({ 
@@ -239,56 +219,151 @@ const AdminLoginPage = ({ onLoginSuccess }) => {
     try {
       console.log('🚀 Starting login process...');
       
-      // Attempt login
-      const result = await AuthService.login(formData);
-      
-      if (result.success) {
-        console.log('✅ Login successful');
-        
-        // Validate token structure
-        if (!AuthService.isValidJwtStructure(result.token)) {
-          throw new Error('Token d\'authentification invalide reçu du serveur');
-        }
-        
-        // Store authentication data
-        const stored = AuthService.storeAuth(result.token, result.user);
-        if (!stored) {
-          throw new Error('Erreur lors de la sauvegarde des données d\'authentification');
-        }
-        
-        // Show success message
-        setState(prev => ({ 
-          ...prev, 
-          isLoading: false,
-          successMessage: result.message
-        }));
-        
-        // Notify parent component if callback provided
-        if (onLoginSuccess) {
-          onLoginSuccess(result.token, result.user);
-        } else {
-          // Fallback: reload page after short delay
-          setTimeout(() => {
-            window.location.reload();
-          }, 1500);
-        }
-        
-      } else {
-        // Handle login failure
-        console.log('❌ Login failed:', result.error);
-        setState(prev => ({ 
-          ...prev, 
-          isLoading: false,
-          errorMessage: result.error
-        }));
+      // AuthProvider switches to the dashboard once the session starts
+      const response = await login(username, formData.password);
+
+      // Failures are forgiven once the whole sign-in succeeds, second step included
+      if (response.mfaRequired) {
+        console.log('🔢 Second step required');
+        setMfaChallenge(response);
+        setMfaForm(INITIAL_MFA_FORM);
+        setState(prev => ({ ...prev, isLoading: false }));
+        return;
       }
       
+      console.log('✅ Login successful');
+      loginThrottle.reset(username);
+      refreshThrottle();
+      setState(prev => ({ 
+        ...prev, 
+        isLoading: false,
+        successMessage: response.message || 'Connexion réussie'
+      }));
+      
     } catch (error) {
       console.error('❌ Login submission error:', error);
+
+      if (error.status === HTTP_STATUS.LOCKED) {
+        loginThrottle.recordLockout(username, error.data?.lockedUntil);
+      } else if (error.status === HTTP_STATUS.UNAUTHORIZED) {
+        loginThrottle.recordFailure(username);
+      }
+      refreshThrottle();
+
       setState(prev => ({ 
         ...prev, 
         isLoading: false,
-        errorMessage: error.message || 'Erreur lors de la connexion. Veuillez réessayer.'
+        // A lockout is shown by its own notice, with the countdown
+        errorMessage: error.status === HTTP_STATUS.LOCKED ? '' : getLoginErrorMessage(error)
+      }));
+    }
+  };
+
+  /**
+   * Handle second-step input changes
+   * Authenticator codes keep digits only, backup codes are upper-cased
+   */
+  const handleMfaCodeChange = (e) => {
+    const { value } = e.target;
+    const code = mfaForm.method === MFA_METHODS.TOTP
+      ? value.replace(/\D/g, '').slice(0, MFA_CONFIG.CODE_LENGTH)
+      : value.toUpperCase().trim();
+
+    setMfaForm(prev => ({ ...prev, code }));
+
+    if (state.errorMessage) {
+      setState(prev => ({ ...prev, errorMessage: '' }));
+    }
+  };
+
+  /**
+   * Switch between the authenticator app and a backup code
+   */
+  const toggleMfaMethod = () => {
+    setMfaForm(prev => ({
+      ...prev,
+      code: '',
+      method: prev.method === MFA_METHODS.TOTP ? MFA_METHODS.BACKUP_CODE : MFA_METHODS.TOTP
+    }));
+    setState(prev => ({ ...prev, errorMessage: '' }));
+  };
+
+  /**
+   * Leave the second step and enter the credentials again
+   */
+  const cancelMfa = () => {
+    setMfaChallenge(null);
+    setMfaForm(INITIAL_MFA_FORM);
+    setFormData(prev => ({ ...prev, password: '' }));
+    setState(prev => ({ ...prev, errorMessage: '', successMessage: '' }));
+  };
+
+  /**
+   * Check that the code has the expected format before sending it
+   */
+  const isMfaCodeComplete = () => (mfaForm.method === MFA_METHODS.TOTP
+    ? mfaForm.code.length === MFA_CONFIG.CODE_LENGTH
+    : mfaForm.code.length > 0);
+
+  /**
+   * Submit the second-step code
+   */
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isMfaCodeComplete()) {
+      setState(prev => ({
+        ...prev,
+        errorMessage: mfaForm.method === MFA_METHODS.TOTP
+          ? `Le code doit contenir ${MFA_CONFIG.CODE_LENGTH} chiffres`
+          : 'Saisissez un code de secours'
+      }));
+      return;
+    }
+
+    // Wrong codes slow down the second step like wrong passwords
+    const { username } = formData;
+    if (loginThrottle.getWaitTime(username) > 0) return;
+
+    setState(prev => ({ ...prev, isLoading: true, errorMessage: '', successMessage: '' }));
+
+    try {
+      const response = await verifyMfa({
+        mfaToken: mfaChallenge.mfaToken,
+        code: mfaForm.code,
+        method: mfaForm.method,
+        trustDevice: mfaForm.trustDevice
+      });
+
+      console.log('✅ Second step verified');
+      loginThrottle.reset(username);
+      refreshThrottle();
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        successMessage: response.message || 'Connexion réussie'
+      }));
+    } catch (error) {
+      console.error('❌ Second step error:', error);
+
+      if (error.status === HTTP_STATUS.LOCKED) {
+        // Back to the credentials, where the lockout is shown with its countdown
+        loginThrottle.recordLockout(username, error.data?.lockedUntil);
+        refreshThrottle();
+        cancelMfa();
+        setState(prev => ({ ...prev, isLoading: false }));
+        return;
+      }
+
+      if (error.status === HTTP_STATUS.UNAUTHORIZED) {
+        loginThrottle.recordFailure(username);
+      }
+      refreshThrottle();
+      setMfaForm(prev => ({ ...prev, code: '' }));
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        errorMessage: getMfaErrorMessage(error)
       }));
     }
   };
@@ -311,6 +386,151 @@ const AdminLoginPage = ({ onLoginSuccess }) => {
     document.getElementById('username')?.focus();
   }, []);
 
+  useEffect(() => {
+    // Focus on the code field when the second step opens or the method changes
+    if (mfaChallenge) {
+      document.getElementById('mfaCode')?.focus();
+    }
+  }, [mfaChallenge, mfaForm.method]);
+
+  useEffect(() => {
+    // Throttle of the username being typed
+    refreshThrottle();
+  }, [refreshThrottle]);
+
+  useEffect(() => {
+    // Count down while a wait or a lockout is running
+    if (throttle.waitTime <= 0) return undefined;
+
+    const timer = setTimeout(refreshThrottle, Math.min(throttle.waitTime, 1000));
+    return () => clearTimeout(timer);
+  }, [throttle, refreshThrottle]);
+
+  useEffect(() => {
+    // Ask a challenge once enough failures are reached
+    if (!throttle.captchaRequired) {
+      setChallenge(null);
+      return undefined;
+    }
+    if (challenge) return undefined;
+
+    let isActive = true;
+    loginThrottle.createChallenge().then((created) => {
+      if (isActive) setChallenge(created);
+    });
+    return () => {
+      isActive = false;
+    };
+  }, [throttle.captchaRequired, challenge]);
+
+  // =====================================
+  // RENDER HELPERS
+  // =====================================
+
+  /**
+   * Render the second-step form
+   */
+  const renderMfaStep = () => {
+    const isTotp = mfaForm.method === MFA_METHODS.TOTP;
+    const canUseBackupCodes = mfaChallenge.mfaMethods?.includes(MFA_METHODS.BACKUP_CODE) ?? true;
+
+    return (
+      <form className="space-y-6" onSubmit={handleMfaSubmit}>
+
+        {/* Code Field */}
+        <div>
+          <label htmlFor="mfaCode" className="block text-sm font-semibold text-gray-700 mb-2">
+            {isTotp ? 'Code de l\'application d\'authentification' : 'Code de secours'}
+          </label>
+          <div className="relative">
+            {isTotp ? (
+              <Smartphone className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            ) : (
+              <KeyRound className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            )}
+            <input
+              type="text"
+              id="mfaCode"
+              name="mfaCode"
+              value={mfaForm.code}
+              onChange={handleMfaCodeChange}
+              placeholder={isTotp ? '123456' : 'XXXX-XXXX'}
+              disabled={state.isLoading}
+              className="w-full pl-12 pr-4 py-3 border border-gray-300 rounded-xl tracking-widest font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 disabled:bg-gray-50 disabled:text-gray-500"
+              inputMode={isTotp ? 'numeric' : 'text'}
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            {isTotp
+              ? `Saisissez le code à ${MFA_CONFIG.CODE_LENGTH} chiffres affiché par votre application.`
+              : 'Chaque code de secours ne peut être utilisé qu\'une seule fois.'}
+          </p>
+        </div>
+
+        {/* Trust Device */}
+        <label className="flex items-center gap-3 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={mfaForm.trustDevice}
+            onChange={(e) => setMfaForm(prev => ({ ...prev, trustDevice: e.target.checked }))}
+            disabled={state.isLoading}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>Faire confiance à cet appareil pendant {MFA_CONFIG.TRUSTED_DEVICE_DAYS} jours</span>
+        </label>
+
+        {/* Submit Button */}
+        <button
+          type="submit"
+          disabled={state.isLoading || !isMfaCodeComplete() || throttle.waitTime > 0}
+          className="w-full bg-blue-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          {state.isLoading ? (
+            <>
+              <Loader className="h-5 w-5 animate-spin" />
+              <span>Vérification en cours...</span>
+            </>
+          ) : throttle.waitTime > 0 ? (
+            <>
+              <Clock className="h-5 w-5" />
+              <span>Réessayer dans {formatWaitTime(throttle.waitTime)}</span>
+            </>
+          ) : (
+            <>
+              <Shield className="h-5 w-5" />
+              <span>Vérifier</span>
+            </>
+          )}
+        </button>
+
+        {/* Alternatives */}
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={cancelMfa}
+            disabled={state.isLoading}
+            className="flex items-center gap-1 text-gray-600 hover:text-gray-800 disabled:text-gray-300"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Retour</span>
+          </button>
+          {canUseBackupCodes && (
+            <button
+              type="button"
+              onClick={toggleMfaMethod}
+              disabled={state.isLoading}
+              className="text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-300"
+            >
+              {isTotp ? 'Utiliser un code de secours' : 'Utiliser l\'application'}
+            </button>
+          )}
+        </div>
+      </form>
+    );
+  };
+
   // =====================================
   // RENDER COMPONENT
   // =====================================
@@ -369,13 +589,31 @@ const AdminLoginPage = ({ onLoginSuccess }) => {
               {/* Header */}
               <div className="text-center mb-8">
                 <h3 className="text-2xl font-bold text-gray-900 mb-2">
-                  Connexion Administrateur
+                  {mfaChallenge ? 'Vérification en deux étapes' : 'Connexion Administrateur'}
                 </h3>
                 <p className="text-gray-600">
-                  Saisissez vos identifiants pour accéder au tableau de bord
+                  {mfaChallenge
+                    ? 'Confirmez votre identité pour accéder au tableau de bord'
+                    : 'Saisissez vos identifiants pour accéder au tableau de bord'}
                 </p>
               </div>
 
+              {/* Lockout Notice */}
+              {throttle.lockedUntil && !mfaChallenge && (
+                <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-xl" role="alert">
+                  <div className="flex items-start gap-3">
+                    <Lock className="h-5 w-5 text-amber-600 flex-shrink-0 mt-0.5" />
+                    <div className="text-sm text-amber-800">
+                      <p className="font-semibold">Compte temporairement verrouillé</p>
+                      <p>
+                        Trop de tentatives échouées. Réessayez dans {formatWaitTime(throttle.waitTime)} ou
+                        demandez à un administrateur de déverrouiller votre compte.
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Error/Success Messages */}
               {state.errorMessage && (
                 <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl">
@@ -396,84 +634,124 @@ const AdminLoginPage = ({ onLoginSuccess }) => {
               )}
 
               {/* Login Form */}
-              <div className="space-y-6" onKeyPress={handleKeyPress}>
+              {mfaChallenge ? renderMfaStep() : (
+                <div className="space-y-6" onKeyPress={handleKeyPress}>
                 
-                {/* Username Field */}
-                <div>
-                  <label htmlFor="username" className="block text-sm font-semibold text-gray-700 mb-2">
-                    Nom d'utilisateur
-                  </label>
-                  <div className="relative">
-                    <User className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-                    <input
-                      type="text"
-                      id="username"
-                      name="username"
-                      value={formData.username}
-                      onChange={handleInputChange}
-                      placeholder="Entrez votre nom d'utilisateur"
-                      disabled={state.isLoading}
-                      className="w-full pl-12 pr-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 disabled:bg-gray-50 disabled:text-gray-500"
-                      autoComplete="username"
-                      required
-                    />
+                  {/* Username Field */}
+                  <div>
+                    <label htmlFor="username" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Nom d'utilisateur
+                    </label>
+                    <div className="relative">
+                      <User className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                      <input
+                        type="text"
+                        id="username"
+                        name="username"
+                        value={formData.username}
+                        onChange={handleInputChange}
+                        placeholder="Entrez votre nom d'utilisateur"
+                        disabled={state.isLoading}
+                        className="w-full pl-12 pr-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 disabled:bg-gray-50 disabled:text-gray-500"
+                        autoComplete="username"
+                        required
+                      />
+                    </div>
                   </div>
-                </div>
 
-                {/* Password Field */}
-                <div>
-                  <label htmlFor="password" className="block text-sm font-semibold text-gray-700 mb-2">
-                    Mot de passe
-                  </label>
-                  <div className="relative">
-                    <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-                    <input
-                      type={state.showPassword ? "text" : "password"}
-                      id="password"
-                      name="password"
-                      value={formData.password}
-                      onChange={handleInputChange}
-                      placeholder="Entrez votre mot de passe"
-                      disabled={state.isLoading}
-                      className="w-full pl-12 pr-12 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 disabled:bg-gray-50 disabled:text-gray-500"
-                      autoComplete="current-password"
-                      required
-                    />
-                    <button
-                      type="button"
-                      onClick={togglePasswordVisibility}
-                      disabled={state.isLoading}
-                      className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors duration-200 disabled:text-gray-300"
-                      tabIndex={-1}
-                    >
-                      {state.showPassword ? (
-                        <EyeOff className="h-5 w-5" />
-                      ) : (
-                        <Eye className="h-5 w-5" />
-                      )}
-                    </button>
+                  {/* Password Field */}
+                  <div>
+                    <label htmlFor="password" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Mot de passe
+                    </label>
+                    <div className="relative">
+                      <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                      <input
+                        type={state.showPassword ? "text" : "password"}
+                        id="password"
+                        name="password"
+                        value={formData.password}
+                        onChange={handleInputChange}
+                        placeholder="Entrez votre mot de passe"
+                        disabled={state.isLoading}
+                        className="w-full pl-12 pr-12 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 disabled:bg-gray-50 disabled:text-gray-500"
+                        autoComplete="current-password"
+                        required
+                      />
+                      <button
+                        type="button"
+                        onClick={togglePasswordVisibility}
+                        disabled={state.isLoading}
+                        className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors duration-200 disabled:text-gray-300"
+                        tabIndex={-1}
+                      >
+                        {state.showPassword ? (
+                          <EyeOff className="h-5 w-5" />
+                        ) : (
+                          <Eye className="h-5 w-5" />
+                        )}
+                      </button>
+                    </div>
                   </div>
-                </div>
 
-                {/* Submit Button */}
-                <button
-                  onClick={handleSubmit}
-                  disabled={state.isLoading || !formData.username || !formData.password}
-                  className="w-full bg-blue-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-                >
-                  {state.isLoading ? (
-                    <>
-                      <Loader className="h-5 w-5 animate-spin" />
-                      <span>Connexion en cours...</span>
-                    </>
-                  ) : (
-                    <>
-                      <LogIn className="h-5 w-5" />
-                      <span>Se connecter</span>
-                    </>
+                  {/* Security Challenge */}
+                  {throttle.captchaRequired && (
+                    <div>
+                      <label htmlFor="challengeResponse" className="block text-sm font-semibold text-gray-700 mb-2">
+                        Vérification de sécurité
+                      </label>
+                      <p className="text-sm text-gray-600 mb-2">
+                        {challenge ? challenge.question : 'Chargement de la vérification...'}
+                      </p>
+                      <div className="relative">
+                        <Shield className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                        <input
+                          type="text"
+                          id="challengeResponse"
+                          name="challengeResponse"
+                          value={challengeResponse}
+                          onChange={(e) => setChallengeResponse(e.target.value)}
+                          placeholder="Votre réponse"
+                          disabled={state.isLoading || !challenge}
+                          className="w-full pl-12 pr-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 disabled:bg-gray-50 disabled:text-gray-500"
+                          autoComplete="off"
+                          required
+                        />
+                      </div>
+                    </div>
                   )}
-                </button>
-              </div>
+
+                  {/* Submit Button */}
+                  <button
+                    onClick={handleSubmit}
+                    disabled={
+                      state.isLoading
+                      || !formData.username
+                      || !formData.password
+                      || throttle.waitTime > 0
+                      || (throttle.captchaRequired && !challengeResponse)
+                    }
+                    className="w-full bg-blue-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  >
+                    {state.isLoading ? (
+                      <>
+                        <Loader className="h-5 w-5 animate-spin" />
+                        <span>Connexion en cours...</span>
+                      </>
+                    ) : throttle.waitTime > 0 ? (
+                      <>
+                        <Clock className="h-5 w-5" />
+                        <span>Réessayer dans {formatWaitTime(throttle.waitTime)}</span>
+                      </>
+                    ) : (
+                      <>
+                        <LogIn className="h-5 w-5" />
+                        <span>Se connecter</span>
+                      </>
+                    )}
+                  </button>
+                </div>
+              )}
 
               {/* Footer Info */}
               <div className="mt-8 text-center">
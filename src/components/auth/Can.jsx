@@ -0,0 +1,27 @@
+/**
+ * 🛡️ Permission Gate Component
+ *
+ * Renders its children only when the current user holds the permission,
+ * otherwise the optional fallback.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { usePermission } from '../../hooks/usePermission';
+
+/**
+ * Permission Gate Component
+ * @param {Object} props - Component props
+ * @param {string|Array<string>} props.permission - Permission, or permissions of which one is enough
+ * @param {React.ReactNode} props.fallback - Rendered when the permission is missing
+ * @param {React.ReactNode} props.children - Rendered when the permission is granted
+ */
+const Can = ({ permission, fallback = null, children }) => {
+  const allowed = usePermission(permission);
+  return <>{allowed ? children : fallback}</>;
+};
+
+export default Can;
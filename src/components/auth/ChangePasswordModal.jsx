@@ -0,0 +1,292 @@
+/**
+ * 🔑 Change Password Modal Component
+ *
+ * Password change for the signed-in user:
+ * - Opened from the header user menu, or forced after login when the server
+ *   flags a temporary or expired password (no way around it but logout)
+ * - Live policy feedback: length, character classes, reuse, username, strength
+ * - The server has the last word (password history, see passwordPolicy.js)
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Circle, Eye, EyeOff, KeyRound, Loader, LogOut, X } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { checkPasswordPolicy } from '../../config/passwordPolicy';
+
+/**
+ * Why the change is forced, by server reason
+ */
+const FORCED_REASONS = {
+  FIRST_LOGIN: 'Vous vous connectez avec un mot de passe temporaire. Choisissez votre propre mot de passe pour continuer.',
+  EXPIRED: 'Votre mot de passe a expiré. Choisissez-en un nouveau pour continuer.'
+};
+
+/**
+ * Strength bar colours, by score (0 to 4)
+ */
+const STRENGTH_COLORS = ['bg-red-500', 'bg-red-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-600'];
+
+const INITIAL_FORM = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: ''
+};
+
+/**
+ * Change Password Modal Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.forced - Change required by the server: no cancel, logout instead
+ * @param {Function} props.onClose - Close callback (optional change only)
+ */
+const ChangePasswordModal = ({ forced = false, onClose }) => {
+  const { user, changePassword, logout } = useAuth();
+
+  const [formData, setFormData] = useState(INITIAL_FORM);
+  const [showPasswords, setShowPasswords] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isChanged, setIsChanged] = useState(false);
+
+  const policy = checkPasswordPolicy(formData.newPassword, {
+    currentPassword: formData.currentPassword,
+    username: user?.username
+  });
+  const isConfirmed = formData.confirmPassword.length > 0 && formData.confirmPassword === formData.newPassword;
+  const canSubmit = formData.currentPassword.length > 0 && policy.isValid && isConfirmed && !isSubmitting;
+
+  /**
+   * Handle input changes
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setErrorMessage('');
+  };
+
+  /**
+   * Submit the change; a forced change ends when authService clears the flag
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setIsSubmitting(true);
+    setErrorMessage('');
+
+    try {
+      await changePassword(formData.currentPassword, formData.newPassword);
+      setFormData(INITIAL_FORM);
+      setIsChanged(true);
+    } catch (error) {
+      console.error('❌ Password change error:', error);
+      setErrorMessage(error.data?.message || error.userMessage || 'Impossible de modifier le mot de passe.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Leave a forced change by logging out
+   */
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('❌ Logout error:', error);
+    }
+  };
+
+  /**
+   * Render one password field
+   * @param {string} name - Field name
+   * @param {string} label - Field label
+   * @param {string} autoComplete - Autocomplete hint
+   */
+  const renderPasswordField = (name, label, autoComplete) => (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <input
+        type={showPasswords ? 'text' : 'password'}
+        id={name}
+        name={name}
+        value={formData[name]}
+        onChange={handleInputChange}
+        disabled={isSubmitting}
+        autoComplete={autoComplete}
+        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+      />
+    </div>
+  );
+
+  /**
+   * Render the live policy checklist and strength bar
+   */
+  const renderPolicyFeedback = () => {
+    const checks = [
+      ...policy.rules,
+      { id: 'match', label: 'Confirmation identique', passed: isConfirmed }
+    ];
+
+    return (
+      <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+        <div>
+          <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+            <span>Robustesse</span>
+            <span className="font-medium" aria-live="polite">
+              {formData.newPassword ? policy.strengthLabel : '—'}
+            </span>
+          </div>
+          <div className="flex gap-1">
+            {[1, 2, 3, 4].map(level => (
+              <div
+                key={level}
+                className={`h-1.5 flex-1 rounded-full ${
+                  formData.newPassword && policy.strength >= level ? STRENGTH_COLORS[policy.strength] : 'bg-gray-200'
+                }`}
+              />
+            ))}
+          </div>
+        </div>
+
+        <ul className="space-y-1" aria-label="Politique de mot de passe">
+          {checks.map(check => (
+            <li
+              key={check.id}
+              data-passed={check.passed}
+              className={`flex items-center gap-2 text-sm ${check.passed ? 'text-green-700' : 'text-gray-500'}`}
+            >
+              {check.passed ? (
+                <CheckCircle className="h-4 w-4 flex-shrink-0" />
+              ) : (
+                <Circle className="h-4 w-4 flex-shrink-0" />
+              )}
+              <span>{check.label}</span>
+            </li>
+          ))}
+        </ul>
+        <p className="text-xs text-gray-500">
+          Les derniers mots de passe utilisés sont refusés par le serveur.
+        </p>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="change-password-title"
+        className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <KeyRound className="h-6 w-6 text-blue-600" />
+            <h3 id="change-password-title" className="text-xl font-semibold text-gray-900">
+              {forced ? 'Nouveau mot de passe requis' : 'Changer le mot de passe'}
+            </h3>
+          </div>
+          {!forced && (
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-400 hover:text-gray-600 rounded-lg"
+              title="Fermer"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          )}
+        </div>
+
+        {isChanged ? (
+          <>
+            {/* Success */}
+            <div className="p-6 flex items-center gap-3">
+              <CheckCircle className="h-6 w-6 text-green-600 flex-shrink-0" />
+              <p className="text-sm text-gray-700">Votre mot de passe a été modifié avec succès.</p>
+            </div>
+            <div className="flex justify-end p-6 border-t border-gray-200">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Fermer
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {/* Modal Body */}
+            <div className="p-6 space-y-4">
+              {forced && (
+                <p className="text-sm text-gray-700 bg-blue-50 border border-blue-200 rounded-lg p-3">
+                  {FORCED_REASONS[user?.passwordChangeReason] || FORCED_REASONS.EXPIRED}
+                </p>
+              )}
+
+              {errorMessage && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+                  <AlertCircle className="h-5 w-5 text-red-600 flex-shrink-0" />
+                  <span className="text-sm text-red-700">{errorMessage}</span>
+                </div>
+              )}
+
+              {renderPasswordField('currentPassword', forced ? 'Mot de passe actuel (ou temporaire)' : 'Mot de passe actuel', 'current-password')}
+              {renderPasswordField('newPassword', 'Nouveau mot de passe', 'new-password')}
+              {renderPasswordField('confirmPassword', 'Confirmer le nouveau mot de passe', 'new-password')}
+
+              <button
+                type="button"
+                onClick={() => setShowPasswords(prev => !prev)}
+                className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800"
+              >
+                {showPasswords ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                {showPasswords ? 'Masquer les mots de passe' : 'Afficher les mots de passe'}
+              </button>
+
+              {renderPolicyFeedback()}
+            </div>
+
+            {/* Modal Footer */}
+            <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+              {forced ? (
+                <button
+                  type="button"
+                  onClick={handleLogout}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 flex items-center"
+                >
+                  <LogOut className="h-4 w-4 mr-2" />
+                  Se déconnecter
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  Annuler
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={!canSubmit}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center"
+              >
+                {isSubmitting && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                Modifier le mot de passe
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordModal;
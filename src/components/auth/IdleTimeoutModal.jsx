@@ -0,0 +1,99 @@
+/**
+ * ⏳ Idle Timeout Modal Component
+ *
+ * Watches the signed-in session for inactivity:
+ * - Shows a countdown before the idle session is closed
+ * - "Rester connecté" keeps the session, "Se déconnecter" ends it at once
+ * - Logs out through authService, so every open tab is logged out too
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Clock, LogOut } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useIdleTimeout } from '../../hooks/useIdleTimeout';
+
+/**
+ * Format a countdown as m:ss
+ * @param {number} seconds - Remaining seconds
+ * @returns {string} Formatted countdown
+ */
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * Idle Timeout Modal Component
+ * Renders nothing until the countdown starts
+ */
+const IdleTimeoutModal = () => {
+  const { isAuthenticated, logout } = useAuth();
+
+  /**
+   * Handle logout, from the button or at the end of the countdown
+   */
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('❌ Logout error:', error);
+    }
+  };
+
+  const { isWarning, remainingSeconds, stayActive } = useIdleTimeout({
+    onTimeout: handleLogout,
+    enabled: isAuthenticated
+  });
+
+  if (!isWarning) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="idle-timeout-title"
+        className="bg-white rounded-xl max-w-md w-full"
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center gap-3">
+          <Clock className="h-6 w-6 text-orange-500" />
+          <h3 id="idle-timeout-title" className="text-xl font-semibold text-gray-900">Session inactive</h3>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 text-center">
+          <p className="text-sm text-gray-600">
+            Sans action de votre part, vous serez déconnecté dans
+          </p>
+          <p className="text-4xl font-bold text-gray-900 my-4" aria-live="polite">
+            {formatCountdown(remainingSeconds)}
+          </p>
+          <p className="text-xs text-gray-500">
+            La déconnexion s'applique à tous les onglets ouverts.
+          </p>
+        </div>
+
+        {/* Modal Footer */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+          <button
+            onClick={handleLogout}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 flex items-center"
+          >
+            <LogOut className="h-4 w-4 mr-2" />
+            Se déconnecter
+          </button>
+          <button
+            onClick={stayActive}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Rester connecté
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IdleTimeoutModal;
@@ -0,0 +1,121 @@
+/**
+ * 💻 Session List Component
+ *
+ * Signed-in sessions of a back-office user, most recently active first:
+ * - Device, IP address, last activity and login time of each session
+ * - Revoke button, after confirmation, except for the session in use
+ * - Shared by the header "Sessions actives" panel and the user details modal
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { AlertCircle, Loader, Monitor, RefreshCw, Smartphone, XCircle } from 'lucide-react';
+
+/**
+ * Check whether a session runs on a phone or tablet
+ * @param {string} device - Device label (e.g. 'Chrome sur Android')
+ * @returns {boolean} True for mobile systems
+ */
+const isMobileDevice = (device = '') => /Android|iOS/.test(device);
+
+/**
+ * Session List Component
+ * @param {Object} props - Component props
+ * @param {Array} props.sessions - Sessions ({ sessionId, device, ipAddress, loginAt, lastSeenAt, current })
+ * @param {boolean} props.loading - Sessions are loading
+ * @param {string} props.error - Load error message
+ * @param {Function} props.onRevoke - Revoke callback, receives the session (no button when missing)
+ * @param {string} props.revokingId - Session being revoked
+ * @param {Function} props.onRetry - Reload callback shown with the error
+ */
+const SessionList = ({ sessions = [], loading = false, error = '', onRevoke, revokingId = null, onRetry }) => {
+  /**
+   * Ask for confirmation, then revoke
+   * @param {Object} session - Session to revoke
+   */
+  const handleRevoke = (session) => {
+    if (!confirm(`Révoquer la session ${session.device} ? L'appareil sera déconnecté.`)) return;
+    onRevoke(session);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 py-4 text-sm text-gray-500">
+        <Loader className="h-4 w-4 animate-spin" />
+        Chargement des sessions...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+        <AlertCircle className="h-5 w-5 text-red-600 flex-shrink-0" />
+        <span className="text-sm text-red-700 flex-1">{error}</span>
+        {onRetry && (
+          <button
+            onClick={onRetry}
+            className="p-1 text-red-600 hover:text-red-800 rounded"
+            title="Réessayer"
+          >
+            <RefreshCw className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (sessions.length === 0) {
+    return <p className="py-4 text-sm text-gray-500">Aucune session active.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100" aria-label="Sessions actives">
+      {sessions.map(session => {
+        const DeviceIcon = isMobileDevice(session.device) ? Smartphone : Monitor;
+
+        return (
+          <li key={session.sessionId} className="py-3 flex items-start gap-3">
+            <DeviceIcon className="h-5 w-5 text-gray-400 mt-0.5 flex-shrink-0" />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2">
+                <p className="text-sm font-medium text-gray-900">{session.device}</p>
+                {session.current && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                    Cette session
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">IP : {session.ipAddress || 'Inconnue'}</p>
+              <p className="text-xs text-gray-500">
+                Dernière activité : {new Date(session.lastSeenAt).toLocaleString('fr-FR')}
+              </p>
+              <p className="text-xs text-gray-500">
+                Connexion : {new Date(session.loginAt).toLocaleString('fr-FR')}
+              </p>
+            </div>
+            {onRevoke && !session.current && (
+              <button
+                onClick={() => handleRevoke(session)}
+                disabled={revokingId === session.sessionId}
+                className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 flex items-center"
+              >
+                {revokingId === session.sessionId ? (
+                  <Loader className="h-4 w-4 mr-1 animate-spin" />
+                ) : (
+                  <XCircle className="h-4 w-4 mr-1" />
+                )}
+                Révoquer
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default SessionList;
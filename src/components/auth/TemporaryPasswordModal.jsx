@@ -0,0 +1,115 @@
+/**
+ * 🔑 Temporary Password Modal Component
+ *
+ * Shown once after an account is created by an administrator:
+ * - The temporary password, to hand over to the new user
+ * - Copy to the clipboard, with a fallback message when the browser refuses
+ * - The password is only kept until the modal is closed
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Copy, KeyRound, X } from 'lucide-react';
+
+/**
+ * Temporary Password Modal Component
+ * @param {Object} props - Component props
+ * @param {string} props.username - Username of the created account
+ * @param {string} props.temporaryPassword - Password to change at first login
+ * @param {Function} props.onClose - Close callback
+ */
+const TemporaryPasswordModal = ({ username, temporaryPassword, onClose }) => {
+  // 'copied' or 'failed' once the copy was attempted
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  /**
+   * Copy the temporary password to the clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(temporaryPassword);
+      setCopyStatus('copied');
+    } catch (error) {
+      console.error('❌ Clipboard error:', error);
+      setCopyStatus('failed');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="temporary-password-title"
+        className="bg-white rounded-xl max-w-md w-full"
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <KeyRound className="h-6 w-6 text-blue-600" />
+            <h3 id="temporary-password-title" className="text-xl font-semibold text-gray-900">
+              Utilisateur créé
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 rounded-lg"
+            title="Fermer"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            Communiquez ce mot de passe temporaire à <span className="font-medium text-gray-900">{username}</span>.
+            Il devra être changé à la première connexion et ne sera plus affiché après la fermeture.
+          </p>
+          <div className="flex items-center gap-2">
+            <code
+              aria-label="Mot de passe temporaire"
+              className="flex-1 p-3 bg-gray-50 border border-gray-200 rounded-lg font-mono text-gray-900 break-all select-all"
+            >
+              {temporaryPassword}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="p-3 text-blue-600 hover:bg-blue-50 border border-gray-200 rounded-lg"
+              title="Copier"
+            >
+              <Copy className="h-5 w-5" />
+            </button>
+          </div>
+          {copyStatus === 'copied' && (
+            <div className="flex items-center gap-2 text-sm text-green-700" role="status">
+              <CheckCircle className="h-4 w-4 flex-shrink-0" />
+              <span>Mot de passe copié dans le presse-papiers</span>
+            </div>
+          )}
+          {copyStatus === 'failed' && (
+            <div className="flex items-center gap-2 text-sm text-red-700" role="status">
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              <span>Copie impossible : sélectionnez le mot de passe et copiez-le manuellement.</span>
+            </div>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="flex justify-end p-6 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Terminé
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemporaryPasswordModal;
@@ -0,0 +1,80 @@
+/**
+ * 💻 Active Sessions Modal Tests
+ *
+ * Sessions of the current user, and the revoke of the other devices.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import authService from '../../../services/authService.js';
+import { AuthProvider } from '../../../contexts/AuthContext.jsx';
+import { createTestToken } from '../../../test/tokens.js';
+import ActiveSessionsModal from '../ActiveSessionsModal.jsx';
+
+const wrapper = ({ children }) => <AuthProvider>{children}</AuthProvider>;
+
+const SESSIONS = [
+  {
+    sessionId: 'SES-0004',
+    device: 'Chrome sur Windows',
+    ipAddress: '127.0.0.1',
+    loginAt: '2024-10-21T09:30:00.000Z',
+    lastSeenAt: '2024-10-21T09:42:00.000Z',
+    current: true
+  },
+  {
+    sessionId: 'SES-0001',
+    device: 'Safari sur iOS',
+    ipAddress: '41.202.219.74',
+    loginAt: '2024-10-20T18:05:00.000Z',
+    lastSeenAt: '2024-10-21T07:12:00.000Z',
+    current: false
+  }
+];
+
+describe('ActiveSessionsModal', () => {
+  beforeEach(() => {
+    authService.startSession({ token: createTestToken({ roles: ['ADMIN'] }), user: { username: 'admin' } });
+    vi.spyOn(authService, 'getSessions').mockResolvedValue(SESSIONS);
+  });
+
+  afterEach(() => {
+    cleanup();
+    authService.clearAuthData();
+    vi.restoreAllMocks();
+  });
+
+  it('lists the sessions, with this one flagged and not revocable', async () => {
+    render(<ActiveSessionsModal onClose={() => {}} />, { wrapper });
+
+    const rows = await screen.findAllByRole('listitem');
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain('Cette session');
+    expect(rows[0].textContent).not.toContain('Révoquer');
+    expect(rows[1].textContent).toContain('IP : 41.202.219.74');
+    expect(rows[1].textContent).toContain('Révoquer');
+  });
+
+  it('revokes another session once confirmed', async () => {
+    const revokeSession = vi.spyOn(authService, 'revokeSession').mockResolvedValue({ success: true });
+    const confirm = vi.fn().mockReturnValueOnce(false).mockReturnValueOnce(true);
+    vi.stubGlobal('confirm', confirm);
+    render(<ActiveSessionsModal onClose={() => {}} />, { wrapper });
+
+    fireEvent.click(await screen.findByText('Révoquer'));
+    expect(revokeSession).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Révoquer'));
+
+    await vi.waitFor(() => expect(screen.queryByText('Safari sur iOS')).toBeNull());
+    expect(revokeSession).toHaveBeenCalledWith('SES-0001');
+    expect(confirm).toHaveBeenCalledWith('Révoquer la session Safari sur iOS ? L\'appareil sera déconnecté.');
+    vi.unstubAllGlobals();
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * 🔐 Admin Login Page Tests
+ *
+ * Brute-force protection of the login form: remaining attempts, the wait
+ * after a failure, server lockouts, the challenge after repeated failures and
+ * wrong second-step codes counted like wrong passwords.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { LOGIN_PROTECTION } from '../../../config/apiConfig.js';
+import authService from '../../../services/authService.js';
+import loginThrottle, { arithmeticChallenge } from '../../../services/loginThrottle.js';
+import { AuthProvider } from '../../../contexts/AuthContext.jsx';
+import AdminLoginPage from '../AdminLoginPage.jsx';
+import { createTestToken } from '../../../test/tokens.js';
+
+const wrapper = ({ children }) => <AuthProvider>{children}</AuthProvider>;
+
+/**
+ * Build a JSON fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @returns {Response} Response
+ */
+const jsonResponse = (status, body = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+/**
+ * Fill in the credentials
+ * @param {string} username - Username
+ */
+const typeCredentials = (username = 'directeur.douala') => {
+  fireEvent.change(screen.getByLabelText('Nom d\'utilisateur'), { target: { value: username } });
+  fireEvent.change(screen.getByLabelText('Mot de passe'), { target: { value: 'Mauvais@123' } });
+};
+
+/**
+ * Store past failures of a username, old enough to need no wait
+ * @param {number} failures - Consecutive failures
+ */
+const storeFailures = (failures) => {
+  localStorage.setItem(LOGIN_PROTECTION.ATTEMPTS_KEY, JSON.stringify({
+    'directeur.douala': { failures, lastFailureAt: Date.now() - 60 * 1000, lockedUntil: null }
+  }));
+};
+
+/**
+ * Answer the login with an MFA challenge, and the code check with the given response
+ * @param {Function} verify - Builds the MFA verify response
+ * @returns {Function} fetch implementation
+ */
+const mfaServer = (verify) => async (url) => (String(url).includes('/mfa/')
+  ? verify()
+  : jsonResponse(200, { mfaRequired: true, mfaToken: 'mfa-token', mfaMethods: ['TOTP', 'BACKUP_CODE'] }));
+
+/**
+ * Sign in, then submit a second-step code
+ * @param {string} code - Authenticator code
+ */
+const submitMfaCode = async (code) => {
+  typeCredentials();
+  fireEvent.click(screen.getByText('Se connecter'));
+  fireEvent.change(await screen.findByLabelText('Code de l\'application d\'authentification'), { target: { value: code } });
+  fireEvent.click(screen.getByText('Vérifier'));
+};
+
+describe('AdminLoginPage', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.removeItem(LOGIN_PROTECTION.ATTEMPTS_KEY);
+    authService.clearAuthData();
+  });
+
+  afterEach(() => {
+    cleanup();
+    loginThrottle.setCaptchaProvider(arithmeticChallenge);
+    localStorage.removeItem(LOGIN_PROTECTION.ATTEMPTS_KEY);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('warns about the remaining attempts and waits before the next one', async () => {
+    fetchMock.mockImplementation(async () => jsonResponse(401, { message: 'Identifiants incorrects', remainingAttempts: 2 }));
+    render(<AdminLoginPage />, { wrapper });
+    typeCredentials();
+
+    fireEvent.click(screen.getByText('Se connecter'));
+
+    expect(await screen.findByText(/Il vous reste 2 tentatives avant le verrouillage du compte/)).toBeTruthy();
+    expect(screen.getByText('Réessayer dans 1 s').closest('button').disabled).toBe(true);
+    expect(loginThrottle.getStatus('directeur.douala').failures).toBe(1);
+  });
+
+  it('shows a server lockout with its countdown', async () => {
+    const lockedUntil = new Date(Date.now() + LOGIN_PROTECTION.LOCK_DURATION).toISOString();
+    fetchMock.mockImplementation(async () => jsonResponse(423, { message: 'Compte verrouillé', lockedUntil, retryAfter: 900 }));
+    render(<AdminLoginPage />, { wrapper });
+    typeCredentials();
+
+    fireEvent.click(screen.getByText('Se connecter'));
+
+    expect(await screen.findByText('Compte temporairement verrouillé')).toBeTruthy();
+    expect(screen.getByText(/^Réessayer dans 1[45] min/).closest('button').disabled).toBe(true);
+  });
+
+  it('asks the challenge after repeated failures', async () => {
+    loginThrottle.setCaptchaProvider({
+      createChallenge: () => ({ question: 'Combien font 2 + 2 ?' }),
+      verify: (challenge, response) => response === '4'
+    });
+    localStorage.setItem(LOGIN_PROTECTION.ATTEMPTS_KEY, JSON.stringify({
+      'directeur.douala': { failures: LOGIN_PROTECTION.CAPTCHA_AFTER, lastFailureAt: Date.now() - 60 * 1000, lockedUntil: null }
+    }));
+    fetchMock.mockImplementation(async () => jsonResponse(401, { message: 'Identifiants incorrects', remainingAttempts: 1 }));
+    render(<AdminLoginPage />, { wrapper });
+    typeCredentials();
+
+    fireEvent.change(await screen.findByLabelText('Vérification de sécurité'), { target: { value: '5' } });
+    fireEvent.click(screen.getByText('Se connecter'));
+
+    expect(await screen.findByText('Réponse incorrecte à la vérification de sécurité. Réessayez.')).toBeTruthy();
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    await screen.findByText('Combien font 2 + 2 ?');
+    fireEvent.change(screen.getByLabelText('Vérification de sécurité'), { target: { value: '4' } });
+    fireEvent.click(screen.getByText('Se connecter'));
+
+    expect(await screen.findByText(/Il vous reste 1 tentative avant/)).toBeTruthy();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  describe('second step', () => {
+    it('keeps the failures when the password is right but the code is not', async () => {
+      storeFailures(1);
+      fetchMock.mockImplementation(mfaServer(() => jsonResponse(401, { message: 'Code de vérification invalide' })));
+      render(<AdminLoginPage />, { wrapper });
+
+      await submitMfaCode('000000');
+
+      expect(await screen.findByText('Code de vérification invalide')).toBeTruthy();
+      expect(loginThrottle.getStatus('directeur.douala').failures).toBe(2);
+      expect(screen.getByText(/^Réessayer dans/).closest('button').disabled).toBe(true);
+    });
+
+    it('forgets the failures once the code is verified', async () => {
+      storeFailures(2);
+      fetchMock.mockImplementation(mfaServer(() => jsonResponse(200, {
+        accessToken: createTestToken({ roles: ['ADMIN'] }),
+        id: 'USR-0001',
+        username: 'directeur.douala',
+        roles: ['ADMIN'],
+        role: 'BANK_ADMIN'
+      })));
+      render(<AdminLoginPage />, { wrapper });
+
+      typeCredentials();
+      fireEvent.click(screen.getByText('Se connecter'));
+      await screen.findByText('Vérifier');
+
+      expect(loginThrottle.getStatus('directeur.douala').failures).toBe(2);
+
+      fireEvent.change(screen.getByLabelText('Code de l\'application d\'authentification'), { target: { value: '246810' } });
+      fireEvent.click(screen.getByText('Vérifier'));
+
+      await waitFor(() => expect(loginThrottle.getStatus('directeur.douala').failures).toBe(0));
+    });
+
+    it('goes back to the lockout notice when the server locks the account', async () => {
+      const lockedUntil = new Date(Date.now() + LOGIN_PROTECTION.LOCK_DURATION).toISOString();
+      fetchMock.mockImplementation(mfaServer(() => jsonResponse(423, { message: 'Compte verrouillé', lockedUntil })));
+      render(<AdminLoginPage />, { wrapper });
+
+      await submitMfaCode('000000');
+
+      expect(await screen.findByText('Compte temporairement verrouillé')).toBeTruthy();
+      expect(loginThrottle.getStatus('directeur.douala').lockedUntil).toBe(new Date(lockedUntil).getTime());
+    });
+  });
+});
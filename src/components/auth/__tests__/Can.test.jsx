@@ -0,0 +1,89 @@
+/**
+ * 🛡️ Permission Gate Tests
+ *
+ * <Can> and usePermission follow the roles of the current access token.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { render, renderHook, screen } from '@testing-library/react';
+import authService from '../../../services/authService.js';
+import { AuthProvider } from '../../../contexts/AuthContext.jsx';
+import { PERMISSIONS } from '../../../config/permissions.js';
+import { usePermission } from '../../../hooks/usePermission.js';
+import { createTestToken } from '../../../test/tokens.js';
+import Can from '../Can.jsx';
+
+const wrapper = ({ children }) => <AuthProvider>{children}</AuthProvider>;
+
+/**
+ * Sign in with the given roles
+ * @param {Array<string>} roles - JWT roles claim
+ */
+const signInAs = (roles) => {
+  authService.startSession({ token: createTestToken({ roles }), user: { username: 'agent' } });
+};
+
+describe('Can', () => {
+  beforeEach(() => {
+    authService.clearAuthData();
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+  });
+
+  it('renders its children when the permission is granted', () => {
+    signInAs(['SUPERVISOR']);
+
+    render(<Can permission={PERMISSIONS.DOCUMENTS_APPROVE}>Approuver</Can>, { wrapper });
+
+    expect(screen.getByText('Approuver')).toBeTruthy();
+  });
+
+  it('renders the fallback otherwise', () => {
+    signInAs(['SUPERVISOR']);
+
+    render(
+      <Can permission={PERMISSIONS.USERS_BLOCK} fallback="Lecture seule">Bloquer</Can>,
+      { wrapper }
+    );
+
+    expect(screen.queryByText('Bloquer')).toBeNull();
+    expect(screen.getByText('Lecture seule')).toBeTruthy();
+  });
+
+  it('renders nothing without a session', () => {
+    const { container } = render(<Can permission={PERMISSIONS.DASHBOARD_VIEW}>Tableau</Can>, { wrapper });
+
+    expect(container.textContent).toBe('');
+  });
+});
+
+describe('usePermission', () => {
+  afterEach(() => {
+    authService.clearAuthData();
+  });
+
+  it('passes a list when any permission is granted', () => {
+    signInAs(['AGENCE']);
+
+    const { result: anyOf } = renderHook(() => usePermission([PERMISSIONS.SYSTEM_VIEW, PERMISSIONS.USERS_CREATE]), { wrapper });
+    const { result: noneOf } = renderHook(() => usePermission([PERMISSIONS.SYSTEM_VIEW, PERMISSIONS.USERS_EXPORT]), { wrapper });
+
+    expect(anyOf.current).toBe(true);
+    expect(noneOf.current).toBe(false);
+  });
+
+  it('grants every permission to ADMIN', () => {
+    signInAs(['ADMIN']);
+
+    const { result } = renderHook(() => Object.values(PERMISSIONS).map(usePermission), { wrapper });
+
+    expect(result.current.every(Boolean)).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * 🔑 Change Password Modal Tests
+ *
+ * Live policy feedback, and the forced change that only logout can skip.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import authService from '../../../services/authService.js';
+import { AuthProvider } from '../../../contexts/AuthContext.jsx';
+import { createTestToken } from '../../../test/tokens.js';
+import ChangePasswordModal from '../ChangePasswordModal.jsx';
+
+const wrapper = ({ children }) => <AuthProvider>{children}</AuthProvider>;
+
+/**
+ * Type into a password field
+ * @param {string} label - Field label
+ * @param {string} value - Typed value
+ */
+const type = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+/**
+ * Checklist item of a policy rule
+ * @param {string} label - Rule label
+ * @returns {HTMLElement} List item
+ */
+const rule = (label) => screen.getByText(label).closest('li');
+
+describe('ChangePasswordModal', () => {
+  beforeEach(() => {
+    authService.startSession({
+      token: createTestToken({ roles: ['AGENCE'] }),
+      user: { username: 'agent.yaounde', passwordChangeRequired: true, passwordChangeReason: 'EXPIRED' }
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+    authService.clearAuthData();
+    vi.restoreAllMocks();
+  });
+
+  it('checks the new password against the policy while typing', () => {
+    render(<ChangePasswordModal onClose={() => {}} />, { wrapper });
+    const submit = screen.getByText('Modifier le mot de passe');
+
+    type('Mot de passe actuel', 'Agent@123');
+    type('Nouveau mot de passe', 'agent.yaounde');
+
+    expect(rule('Une lettre majuscule').dataset.passed).toBe('false');
+    expect(rule('Ne contient pas le nom d\'utilisateur').dataset.passed).toBe('false');
+    expect(submit.disabled).toBe(true);
+
+    type('Nouveau mot de passe', 'Kribi#Plage2024');
+    type('Confirmer le nouveau mot de passe', 'Kribi#Plage2024');
+
+    expect(screen.getAllByRole('listitem').every(item => item.dataset.passed === 'true')).toBe(true);
+    expect(screen.getByText('Très fort')).toBeTruthy();
+    expect(submit.disabled).toBe(false);
+  });
+
+  it('sends the change and confirms it', async () => {
+    const changePassword = vi.spyOn(authService, 'changePassword').mockResolvedValue({ success: true });
+    render(<ChangePasswordModal onClose={() => {}} />, { wrapper });
+
+    type('Mot de passe actuel', 'Agent@123');
+    type('Nouveau mot de passe', 'Kribi#Plage2024');
+    type('Confirmer le nouveau mot de passe', 'Kribi#Plage2024');
+    fireEvent.click(screen.getByText('Modifier le mot de passe'));
+
+    expect(await screen.findByText('Votre mot de passe a été modifié avec succès.')).toBeTruthy();
+    expect(changePassword).toHaveBeenCalledWith('Agent@123', 'Kribi#Plage2024');
+  });
+
+  it('explains a forced change and offers logout instead of cancel', () => {
+    render(<ChangePasswordModal forced />, { wrapper });
+
+    expect(screen.getByText('Votre mot de passe a expiré. Choisissez-en un nouveau pour continuer.')).toBeTruthy();
+    expect(screen.getByText('Se déconnecter')).toBeTruthy();
+    expect(screen.queryByText('Annuler')).toBeNull();
+    expect(screen.queryByTitle('Fermer')).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * 🔑 Temporary Password Modal Tests
+ *
+ * The temporary password of a new account, its copy to the clipboard and the
+ * dismissal of the modal.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import TemporaryPasswordModal from '../TemporaryPasswordModal.jsx';
+
+const PASSWORD = 'Tmp#Douala-4821';
+
+describe('TemporaryPasswordModal', () => {
+  let writeText;
+  let onClose;
+
+  beforeEach(() => {
+    writeText = vi.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    onClose = vi.fn();
+    render(<TemporaryPasswordModal username="jean.dupont" temporaryPassword={PASSWORD} onClose={onClose} />);
+  });
+
+  afterEach(() => {
+    cleanup();
+    delete navigator.clipboard;
+    vi.restoreAllMocks();
+  });
+
+  it('shows the password of the new account in a dialog', () => {
+    expect(screen.getByRole('dialog').textContent).toContain('jean.dupont');
+    expect(screen.getByLabelText('Mot de passe temporaire').textContent).toBe(PASSWORD);
+  });
+
+  it('copies the password to the clipboard', async () => {
+    fireEvent.click(screen.getByTitle('Copier'));
+
+    expect(await screen.findByText('Mot de passe copié dans le presse-papiers')).toBeTruthy();
+    expect(writeText).toHaveBeenCalledWith(PASSWORD);
+  });
+
+  it('asks for a manual copy when the clipboard is refused', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    writeText.mockRejectedValue(new DOMException('Write permission denied', 'NotAllowedError'));
+
+    fireEvent.click(screen.getByTitle('Copier'));
+
+    expect(await screen.findByText(/Copie impossible/)).toBeTruthy();
+  });
+
+  it.each([
+    ['the close button', () => screen.getByTitle('Fermer')],
+    ['the done button', () => screen.getByText('Terminé')]
+  ])('closes with %s', (label, getButton) => {
+    fireEvent.click(getButton());
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
@@ -14,15 +14,20 @@
  */
 
 import React, { useEffect } from 'react';
-import { X, CreditCard, FileText } from 'lucide-react';
+import { X, CreditCard, FileText, ShieldOff } from 'lucide-react';
 
 // Import new modular API services
 import ApiService from '../../services/ApiService';
 
+// Authentication and permissions
+import { useAuth } from '../../contexts/AuthContext';
+import { TAB_PERMISSIONS } from '../../config/permissions';
+
 // Import custom hooks for state management
 import { useDashboardData } from '../../hooks/useDashboardData';
 import { useDashboardState } from '../../hooks/useDashboardState';
 import { useDashboardActions } from '../../hooks/useDashboardActions';
+import { getTabCancelGroup } from '../../hooks/useCancellableRequest';
 
 // Import modular components
 import DashboardSidebar from './DashboardSidebar';
@@ -52,12 +57,14 @@ const ComprehensiveAdminDashboard = ({ user, token, onLogout }) => {
   // CUSTOM HOOKS
   // =====================================
 
+  // Dashboard variant and permissions come from the JWT `roles` claim,
+  // the agency of agency directors from its `idAgence` claim
+  const { dashboardRole: userRole, can, agencyScope } = useAuth();
+
   // Dashboard state management
   const {
     activeTab,
     setActiveTab,
-    userRole,
-    setUserRole,
     selectedTimeRange,
     setSelectedTimeRange,
     selectedAgency,
@@ -80,7 +87,7 @@ const ComprehensiveAdminDashboard = ({ user, token, onLogout }) => {
     clearSelection,
     preferences,
     updatePreferences
-  } = useDashboardState();
+  } = useDashboardState({ lockedAgency: agencyScope });
 
   // Dashboard data management
   const {
@@ -92,7 +99,7 @@ const ComprehensiveAdminDashboard = ({ user, token, onLogout }) => {
     initializeDashboard,
     refreshData,
     clearErrors
-  } = useDashboardData(userRole);
+  } = useDashboardData(userRole, selectedAgency);
 
   // Dashboard actions
   const {
@@ -123,13 +130,24 @@ const ComprehensiveAdminDashboard = ({ user, token, onLogout }) => {
   // =====================================
 
   /**
-   * Initialize dashboard on mount and when user role changes
+   * Initialize dashboard on mount and when user role or agency changes
+   * (initializeDashboard changes with the selected agency)
    */
   useEffect(() => {
     console.log('🔄 Dashboard role changed, reinitializing...', userRole);
     initializeDashboard();
   }, [userRole, initializeDashboard]);
 
+  /**
+   * Cancel the requests of a tab when leaving it, so a slow search cannot
+   * land after the user has moved on
+   */
+  useEffect(() => {
+    return () => {
+      ApiService.http.cancelGroup(getTabCancelGroup(activeTab));
+    };
+  }, [activeTab]);
+
   /**
    * Set up authentication token
    */
@@ -230,10 +248,25 @@ const ComprehensiveAdminDashboard = ({ user, token, onLogout }) => {
     );
   };
 
+  /**
+   * Render access denied placeholder
+   */
+  const renderAccessDenied = () => (
+    <div className="text-center py-12">
+      <ShieldOff className="h-16 w-16 mx-auto text-gray-300 mb-4" />
+      <h3 className="text-lg font-medium text-gray-900 mb-2">Accès refusé</h3>
+      <p className="text-gray-500">Vous n'avez pas les droits nécessaires pour consulter cette section</p>
+    </div>
+  );
+
   /**
    * Render main content based on active tab
    */
   const renderMainContent = () => {
+    if (!can(TAB_PERMISSIONS[activeTab] || TAB_PERMISSIONS.overview)) {
+      return renderAccessDenied();
+    }
+
     // Common props passed to all tab components
     const commonTabProps = {
       // Data
@@ -379,7 +412,6 @@ const ComprehensiveAdminDashboard = ({ user, token, onLogout }) => {
         activeTab={activeTab}
         setActiveTab={setActiveTab}
         userRole={userRole}
-        setUserRole={setUserRole}
         sidebarCollapsed={sidebarCollapsed}
         setSidebarCollapsed={setSidebarCollapsed}
         combinedStatistics={combinedStatistics}
@@ -4,9 +4,10 @@
  * Top header for the admin dashboard with:
  * - Role-based title and information
  * - System health indicators
+ * - Tripped circuit breaker indicators per backend service
  * - Real-time notifications
  * - Quick action buttons
- * - User profile information
+ * - User menu: profile information, password change, active sessions, logout
  * 
  * @author ENSF Wallet Development Team
  * @version 1.0.0
@@ -17,9 +18,22 @@ import React, { useState, useEffect } from 'react';
 import {
   Bell, Search, RefreshCw, Download, Settings, User,
   Wifi, WifiOff, AlertTriangle, CheckCircle, Clock,
-  TrendingUp, TrendingDown, Activity
+  TrendingUp, TrendingDown, Activity, Zap, KeyRound, LogOut, ChevronDown, MonitorSmartphone
 } from 'lucide-react';
 import ApiService from '../../services/ApiService';
+import { CIRCUIT_STATE } from '../../services/circuitBreaker';
+import { useAuth } from '../../contexts/AuthContext';
+import ChangePasswordModal from '../auth/ChangePasswordModal';
+import ActiveSessionsModal from '../auth/ActiveSessionsModal';
+
+/**
+ * Display labels for backend services (keys of BASE_URLS)
+ */
+const SERVICE_LABELS = {
+  USER_SERVICE: 'Service Utilisateurs',
+  AGENCE_SERVICE: 'Service Agence',
+  MONEY_SERVICE: 'Service Monétique'
+};
 
 /**
  * Dashboard Header Component
@@ -44,7 +58,11 @@ const DashboardHeader = ({
   const [currentTime, setCurrentTime] = useState(new Date());
   const [notifications, setNotifications] = useState([]);
   const [showNotifications, setShowNotifications] = useState(false);
-  const [currentUser, setCurrentUser] = useState(null);
+  const [showUserMenu, setShowUserMenu] = useState(false);
+  const [showChangePassword, setShowChangePassword] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const { user: currentUser, logout } = useAuth();
+  const [circuitStates, setCircuitStates] = useState(() => ApiService.getCircuitStates());
 
   // =====================================
   // EFFECTS
@@ -62,19 +80,40 @@ const DashboardHeader = ({
   }, []);
 
   /**
-   * Get current user information
+   * Track circuit breaker state changes
    */
   useEffect(() => {
-    const user = ApiService.getCurrentUser();
-    setCurrentUser(user);
+    const handleCircuitStateChange = (snapshot) => {
+      setCircuitStates(prev => prev.map(circuit =>
+        circuit.service === snapshot.service ? snapshot : circuit
+      ));
+    };
+
+    ApiService.addEventListener('circuitStateChange', handleCircuitStateChange);
+    return () => ApiService.removeEventListener('circuitStateChange', handleCircuitStateChange);
   }, []);
 
+  const trippedCircuits = circuitStates.filter(circuit => circuit.state !== CIRCUIT_STATE.CLOSED);
+
   /**
    * Generate notifications based on system state
    */
   useEffect(() => {
     const newNotifications = [];
 
+    // Circuit breaker notifications
+    trippedCircuits
+      .filter(circuit => circuit.state === CIRCUIT_STATE.OPEN)
+      .forEach(circuit => {
+        newNotifications.push({
+          id: `circuit-${circuit.service}`,
+          type: 'error',
+          title: `${SERVICE_LABELS[circuit.service] || circuit.service} indisponible`,
+          message: 'Les requêtes vers ce service sont suspendues temporairement',
+          timestamp: new Date(circuit.openedAt || Date.now())
+        });
+      });
+
     // System health notifications
     if (systemHealth?.status === 'DOWN') {
       newNotifications.push({
@@ -117,7 +156,7 @@ const DashboardHeader = ({
     }
 
     setNotifications(newNotifications);
-  }, [systemHealth, combinedStatistics]);
+  }, [systemHealth, combinedStatistics, circuitStates]);
 
   // =====================================
   // HELPER FUNCTIONS
@@ -242,6 +281,34 @@ const DashboardHeader = ({
     setShowNotifications(!showNotifications);
   };
 
+  /**
+   * Open the password change from the user menu
+   */
+  const handleChangePasswordClick = () => {
+    setShowUserMenu(false);
+    setShowChangePassword(true);
+  };
+
+  /**
+   * Open the active sessions from the user menu
+   */
+  const handleSessionsClick = () => {
+    setShowUserMenu(false);
+    setShowSessions(true);
+  };
+
+  /**
+   * Handle logout from the user menu
+   */
+  const handleLogout = async () => {
+    setShowUserMenu(false);
+    try {
+      await logout();
+    } catch (error) {
+      console.error('❌ Logout error:', error);
+    }
+  };
+
   /**
    * Handle export data
    */
@@ -304,6 +371,83 @@ const DashboardHeader = ({
     );
   };
 
+  /**
+   * Render user menu dropdown
+   * @returns {JSX.Element} User menu
+   */
+  const renderUserMenu = () => {
+    if (!showUserMenu) return null;
+
+    return (
+      <div className="absolute right-0 mt-2 w-64 bg-white rounded-lg shadow-xl border border-gray-200 z-50" role="menu">
+        <div className="p-4 border-b border-gray-200">
+          <p className="text-sm font-medium text-gray-900">
+            {currentUser?.prenom} {currentUser?.nom}
+          </p>
+          <p className="text-xs text-gray-500">{currentUser?.username}</p>
+        </div>
+        <div className="py-1">
+          <button
+            onClick={handleChangePasswordClick}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            role="menuitem"
+          >
+            <KeyRound className="h-4 w-4 text-gray-400" />
+            Changer le mot de passe
+          </button>
+          <button
+            onClick={handleSessionsClick}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            role="menuitem"
+          >
+            <MonitorSmartphone className="h-4 w-4 text-gray-400" />
+            Sessions actives
+          </button>
+          <button
+            onClick={handleLogout}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-red-600 hover:bg-red-50"
+            role="menuitem"
+          >
+            <LogOut className="h-4 w-4" />
+            Se déconnecter
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Render tripped circuit breakers
+   * @returns {JSX.Element} Circuit indicators
+   */
+  const renderTrippedCircuits = () => {
+    if (trippedCircuits.length === 0) return null;
+
+    return (
+      <div className="flex items-center gap-2">
+        {trippedCircuits.map(circuit => (
+          <div
+            key={circuit.service}
+            className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm ${
+              circuit.state === CIRCUIT_STATE.OPEN
+                ? 'text-red-600 bg-red-100'
+                : 'text-yellow-600 bg-yellow-100'
+            }`}
+            title={circuit.state === CIRCUIT_STATE.OPEN
+              ? 'Service coupé après des échecs répétés'
+              : 'Service en cours de vérification'}
+          >
+            <Zap className="h-4 w-4" />
+            <span className="font-medium">
+              {SERVICE_LABELS[circuit.service] || circuit.service}
+              {circuit.state === CIRCUIT_STATE.OPEN ? ' indisponible' : ' en test'}
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   /**
    * Render system metrics
    * @returns {JSX.Element} System metrics component
@@ -367,6 +511,9 @@ const DashboardHeader = ({
               <HealthIcon className={`h-4 w-4 ${healthInfo.pulse ? 'animate-pulse' : ''}`} />
               <span className="font-medium">{healthInfo.label}</span>
             </div>
+
+            {/* Tripped Circuit Breakers */}
+            {renderTrippedCircuits()}
           </div>
         </div>
 
@@ -429,19 +576,29 @@ const DashboardHeader = ({
               {renderNotifications()}
             </div>
 
-            {/* User Profile */}
-            <div className="flex items-center gap-2 pl-4 border-l border-gray-200">
-              <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
-                <User className="h-4 w-4 text-blue-600" />
-              </div>
-              <div className="hidden md:block text-right">
-                <div className="text-sm font-medium text-gray-900">
-                  {currentUser?.firstName} {currentUser?.lastName}
+            {/* User Menu */}
+            <div className="relative pl-4 border-l border-gray-200">
+              <button
+                onClick={() => setShowUserMenu(prev => !prev)}
+                className="flex items-center gap-2 rounded-lg hover:bg-gray-50 p-1 transition-colors"
+                title="Mon compte"
+                aria-haspopup="menu"
+                aria-expanded={showUserMenu}
+              >
+                <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+                  <User className="h-4 w-4 text-blue-600" />
                 </div>
-                <div className="text-xs text-gray-500">
-                  {currentUser?.email}
+                <div className="hidden md:block text-right">
+                  <div className="text-sm font-medium text-gray-900">
+                    {currentUser?.prenom} {currentUser?.nom}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {currentUser?.email}
+                  </div>
                 </div>
-              </div>
+                <ChevronDown className="h-4 w-4 text-gray-400" />
+              </button>
+              {renderUserMenu()}
             </div>
           </div>
         </div>
@@ -451,6 +608,13 @@ const DashboardHeader = ({
       <div className="xl:hidden mt-4 pt-4 border-t border-gray-100">
         {renderSystemMetrics()}
       </div>
+
+      {showChangePassword && (
+        <ChangePasswordModal onClose={() => setShowChangePassword(false)} />
+      )}
+      {showSessions && (
+        <ActiveSessionsModal onClose={() => setShowSessions(false)} />
+      )}
     </header>
   );
 };
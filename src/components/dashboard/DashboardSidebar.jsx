@@ -2,7 +2,7 @@
  * 🧭 Dashboard Sidebar Component
  * 
  * Navigation sidebar for the admin dashboard with:
- * - Role-based navigation items
+ * - Navigation items filtered by the user's permissions
  * - Collapsible design
  * - Badge notifications
  * - Professional styling
@@ -17,15 +17,15 @@ import {
   Home, Users, FileImage, Building2, CreditCard, DollarSign,
   BarChart3, Settings, FileText, LogOut, Menu
 } from 'lucide-react';
-import ApiService from '../../services/ApiService';
+import { useAuth } from '../../contexts/AuthContext';
+import { TAB_PERMISSIONS } from '../../config/permissions';
 
 /**
  * Dashboard Sidebar Component
  * @param {Object} props - Component props
  * @param {string} props.activeTab - Currently active tab
  * @param {Function} props.setActiveTab - Function to set active tab
- * @param {string} props.userRole - User role (BANK_ADMIN or AGENCY_DIRECTOR)
- * @param {Function} props.setUserRole - Function to set user role
+ * @param {string} props.userRole - User role (BANK_ADMIN or AGENCY_DIRECTOR), derived from the JWT
  * @param {boolean} props.sidebarCollapsed - Sidebar collapse state
  * @param {Function} props.setSidebarCollapsed - Function to toggle sidebar
  * @param {Object} props.combinedStatistics - Statistics for badge notifications
@@ -35,12 +35,12 @@ const DashboardSidebar = ({
   activeTab,
   setActiveTab,
   userRole,
-  setUserRole,
   sidebarCollapsed,
   setSidebarCollapsed,
   combinedStatistics,
   systemHealth
 }) => {
+  const { logout, can } = useAuth();
 
   // =====================================
   // NAVIGATION CONFIGURATION
@@ -115,25 +115,28 @@ const DashboardSidebar = ({
     }
   ];
 
+  /**
+   * Navigation items the user may open
+   */
+  const visibleNavigationItems = navigationItems.filter(item => can(TAB_PERMISSIONS[item.id]));
+
   // =====================================
   // ROLE CONFIGURATION
   // =====================================
 
   /**
-   * Role options for the selector
+   * Role labels, the role itself comes from the JWT `roles` claim
    */
-  const roleOptions = [
-    {
-      value: 'BANK_ADMIN',
+  const roleLabels = {
+    BANK_ADMIN: {
       label: 'Directeur Banque',
       description: 'Accès complet à toutes les fonctionnalités'
     },
-    {
-      value: 'AGENCY_DIRECTOR',
+    AGENCY_DIRECTOR: {
       label: 'Directeur Agence',
       description: 'Accès limité aux données de l\'agence'
     }
-  ];
+  };
 
   // =====================================
   // EVENT HANDLERS
@@ -141,21 +144,13 @@ const DashboardSidebar = ({
 
   /**
    * Handle logout
+   * authService always clears the local session; App then shows the login page
    */
   const handleLogout = async () => {
     try {
-      await ApiService.logout();
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('currentUser');
-      localStorage.removeItem('loginTimestamp');
-      window.location.href = '/login';
-      // The main app will handle the authentication state change
+      await logout();
     } catch (error) {
       console.error('❌ Logout error:', error);
-      // Force logout even if server call fails
-      localStorage.clear();
-      window.location.href = '/login';
-      window.location.reload();
     }
   };
 
@@ -172,20 +167,6 @@ const DashboardSidebar = ({
     }
   };
 
-  /**
-   * Handle role change
-   * @param {Event} event - Select change event
-   */
-  const handleRoleChange = (event) => {
-    const newRole = event.target.value;
-    setUserRole(newRole);
-    
-    // Reset to overview when role changes
-    setActiveTab('overview');
-    
-    console.log(`🔄 Role changed to: ${newRole}`);
-  };
-
   // =====================================
   // RENDER FUNCTIONS
   // =====================================
@@ -234,30 +215,24 @@ const DashboardSidebar = ({
   );
 
   /**
-   * Render role selector
-   * @returns {JSX.Element} Role selector component
+   * Render current role
+   * @returns {JSX.Element} Role badge component
    */
-  const renderRoleSelector = () => {
+  const renderRoleBadge = () => {
     if (sidebarCollapsed) return null;
 
+    const role = roleLabels[userRole] || roleLabels.AGENCY_DIRECTOR;
+
     return (
       <div className="mb-6">
-        <label className="block text-xs text-gray-400 mb-2">
+        <p className="block text-xs text-gray-400 mb-2">
           Rôle actuel
-        </label>
-        <select 
-          value={userRole}
-          onChange={handleRoleChange}
-          className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 text-sm border border-gray-600 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 transition-colors"
-        >
-          {roleOptions.map(role => (
-            <option key={role.value} value={role.value}>
-              {role.label}
-            </option>
-          ))}
-        </select>
+        </p>
+        <div className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 text-sm border border-gray-600">
+          {role.label}
+        </div>
         <p className="text-xs text-gray-400 mt-1">
-          {roleOptions.find(r => r.value === userRole)?.description}
+          {role.description}
         </p>
       </div>
     );
@@ -348,11 +323,11 @@ const DashboardSidebar = ({
       {/* Navigation */}
       <nav className="flex-1 p-4 overflow-y-auto">
         <div className="space-y-2">
-          {/* Role Selector */}
-          {renderRoleSelector()}
+          {/* Current Role */}
+          {renderRoleBadge()}
 
           {/* Navigation Items */}
-          {navigationItems.map(renderNavigationItem)}
+          {visibleNavigationItems.map(renderNavigationItem)}
         </div>
       </nav>
 
@@ -6,6 +6,9 @@ import {
   ZoomIn, ZoomOut, RotateCcw, Star, ThumbsUp, ThumbsDown
 } from 'lucide-react';
 import ApiService from '../../services/ApiService';
+import Can from '../auth/Can';
+import { usePermission } from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
 
 /**
  * 📋 Document Approval Tab Component
@@ -50,6 +53,9 @@ const DocumentApprovalTab = ({
   const [imageZoom, setImageZoom] = useState(1);
   const [imageRotation, setImageRotation] = useState(0);
 
+  // Reviewers without documents:approve only see the queue
+  const canApprove = usePermission(PERMISSIONS.DOCUMENTS_APPROVE);
+
   // Get pending documents from props
   const pendingDocuments = dashboardData.agenceService.documents || { content: [], totalElements: 0 };
 
@@ -362,31 +368,33 @@ const DocumentApprovalTab = ({
           </div>
           
           <div className="flex items-center space-x-3">
-            <button
-              onClick={handleBulkApproval}
-              disabled={bulkActionLoading}
-              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center text-sm"
-            >
-              {bulkActionLoading ? (
-                <Loader className="h-4 w-4 animate-spin mr-2" />
-              ) : (
-                <ThumbsUp className="h-4 w-4 mr-2" />
-              )}
-              Approuver Tout
-            </button>
+            <Can permission={PERMISSIONS.DOCUMENTS_APPROVE}>
+              <button
+                onClick={handleBulkApproval}
+                disabled={bulkActionLoading}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center text-sm"
+              >
+                {bulkActionLoading ? (
+                  <Loader className="h-4 w-4 animate-spin mr-2" />
+                ) : (
+                  <ThumbsUp className="h-4 w-4 mr-2" />
+                )}
+                Approuver Tout
+              </button>
             
-            <button
-              onClick={handleBulkRejection}
-              disabled={bulkActionLoading}
-              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center text-sm"
-            >
-              {bulkActionLoading ? (
-                <Loader className="h-4 w-4 animate-spin mr-2" />
-              ) : (
-                <ThumbsDown className="h-4 w-4 mr-2" />
-              )}
-              Rejeter Tout
-            </button>
+              <button
+                onClick={handleBulkRejection}
+                disabled={bulkActionLoading}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center text-sm"
+              >
+                {bulkActionLoading ? (
+                  <Loader className="h-4 w-4 animate-spin mr-2" />
+                ) : (
+                  <ThumbsDown className="h-4 w-4 mr-2" />
+                )}
+                Rejeter Tout
+              </button>
+            </Can>
             
             <button
               onClick={() => setSelectedDocuments([])}
@@ -539,7 +547,7 @@ const DocumentApprovalTab = ({
                         <Eye className="h-4 w-4" />
                       </button>
                       
-                      {document.status === 'PENDING' && (
+                      {canApprove && document.status === 'PENDING' && (
                         <>
                           <button
                             onClick={() => handleApproval(document.id)}
@@ -761,7 +769,7 @@ const DocumentApprovalTab = ({
                 </div>
 
                 {/* Approval Actions */}
-                {reviewDocument.status === 'PENDING' && (
+                {canApprove && reviewDocument.status === 'PENDING' && (
                   <div>
                     <h4 className="text-lg font-medium text-gray-900 mb-3">Actions</h4>
                     
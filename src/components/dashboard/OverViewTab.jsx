@@ -9,6 +9,8 @@ import {
   BarChart3, Database, Wifi, Server, AlertTriangle, CheckCircle,
   Clock, DollarSign 
 } from 'lucide-react';
+import Can from '../auth/Can';
+import { PERMISSIONS } from '../../config/permissions';
 
 /**
  * 📊 Overview Tab Component
@@ -569,29 +571,33 @@ const RegistrationTrendsComponent = () => {
     <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
       <h3 className="text-lg font-semibold text-gray-900 mb-4">Actions Rapides</h3>
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-        <button
-          onClick={() => {/* Handle create user */}}
-          className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-blue-300 hover:bg-blue-50 transition-colors group"
-        >
-          <Plus className="h-5 w-5 text-blue-500 mr-3 group-hover:scale-110 transition-transform" />
-          <div className="text-left">
-            <div className="text-sm font-medium text-gray-700">Créer Utilisateur</div>
-            <div className="text-xs text-gray-500">Ajouter un nouvel utilisateur</div>
-          </div>
-        </button>
+        <Can permission={PERMISSIONS.USERS_CREATE}>
+          <button
+            onClick={() => {/* Handle create user */}}
+            className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-blue-300 hover:bg-blue-50 transition-colors group"
+          >
+            <Plus className="h-5 w-5 text-blue-500 mr-3 group-hover:scale-110 transition-transform" />
+            <div className="text-left">
+              <div className="text-sm font-medium text-gray-700">Créer Utilisateur</div>
+              <div className="text-xs text-gray-500">Ajouter un nouvel utilisateur</div>
+            </div>
+          </button>
+        </Can>
         
-        <button
-          onClick={() => {/* Handle view documents */}}
-          className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-green-300 hover:bg-green-50 transition-colors group"
-        >
-          <FileImage className="h-5 w-5 text-green-500 mr-3 group-hover:scale-110 transition-transform" />
-          <div className="text-left">
-            <div className="text-sm font-medium text-gray-700">Documents Pendants</div>
-            <div className="text-xs text-gray-500">
-              {combinedStatistics?.pendingDocuments || 0} en attente
+        <Can permission={PERMISSIONS.DOCUMENTS_VIEW}>
+          <button
+            onClick={() => {/* Handle view documents */}}
+            className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-green-300 hover:bg-green-50 transition-colors group"
+          >
+            <FileImage className="h-5 w-5 text-green-500 mr-3 group-hover:scale-110 transition-transform" />
+            <div className="text-left">
+              <div className="text-sm font-medium text-gray-700">Documents Pendants</div>
+              <div className="text-xs text-gray-500">
+                {combinedStatistics?.pendingDocuments || 0} en attente
+              </div>
             </div>
-          </div>
-        </button>
+          </button>
+        </Can>
         
         <button
           onClick={onRefresh.dashboard}
@@ -609,42 +615,48 @@ const RegistrationTrendsComponent = () => {
           </div>
         </button>
         
-        <button
-          onClick={() => {/* Handle view users */}}
-          className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-orange-300 hover:bg-orange-50 transition-colors group"
-        >
-          <Users className="h-5 w-5 text-orange-500 mr-3 group-hover:scale-110 transition-transform" />
-          <div className="text-left">
-            <div className="text-sm font-medium text-gray-700">Gérer Utilisateurs</div>
-            <div className="text-xs text-gray-500">
-              {combinedStatistics?.totalUsers || 0} utilisateurs
+        <Can permission={PERMISSIONS.USERS_VIEW}>
+          <button
+            onClick={() => {/* Handle view users */}}
+            className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-orange-300 hover:bg-orange-50 transition-colors group"
+          >
+            <Users className="h-5 w-5 text-orange-500 mr-3 group-hover:scale-110 transition-transform" />
+            <div className="text-left">
+              <div className="text-sm font-medium text-gray-700">Gérer Utilisateurs</div>
+              <div className="text-xs text-gray-500">
+                {combinedStatistics?.totalUsers || 0} utilisateurs
+              </div>
             </div>
-          </div>
-        </button>
+          </button>
+        </Can>
         
-        <button
-          onClick={() => {/* Handle system health */}}
-          className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-red-300 hover:bg-red-50 transition-colors group"
-        >
-          <Shield className="h-5 w-5 text-red-500 mr-3 group-hover:scale-110 transition-transform" />
-          <div className="text-left">
-            <div className="text-sm font-medium text-gray-700">Santé Système</div>
-            <div className="text-xs text-gray-500">
-              {combinedStatistics?.systemHealth || 'Inconnue'}
+        <Can permission={PERMISSIONS.SYSTEM_VIEW}>
+          <button
+            onClick={() => {/* Handle system health */}}
+            className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-red-300 hover:bg-red-50 transition-colors group"
+          >
+            <Shield className="h-5 w-5 text-red-500 mr-3 group-hover:scale-110 transition-transform" />
+            <div className="text-left">
+              <div className="text-sm font-medium text-gray-700">Santé Système</div>
+              <div className="text-xs text-gray-500">
+                {combinedStatistics?.systemHealth || 'Inconnue'}
+              </div>
             </div>
-          </div>
-        </button>
+          </button>
+        </Can>
         
-        <button
-          onClick={() => {/* Handle reports */}}
-          className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-indigo-300 hover:bg-indigo-50 transition-colors group"
-        >
-          <Eye className="h-5 w-5 text-indigo-500 mr-3 group-hover:scale-110 transition-transform" />
-          <div className="text-left">
-            <div className="text-sm font-medium text-gray-700">Voir Rapports</div>
-            <div className="text-xs text-gray-500">Analyses détaillées</div>
-          </div>
-        </button>
+        <Can permission={PERMISSIONS.REPORTS_VIEW}>
+          <button
+            onClick={() => {/* Handle reports */}}
+            className="flex items-center p-4 rounded-lg border-2 border-dashed border-gray-200 hover:border-indigo-300 hover:bg-indigo-50 transition-colors group"
+          >
+            <Eye className="h-5 w-5 text-indigo-500 mr-3 group-hover:scale-110 transition-transform" />
+            <div className="text-left">
+              <div className="text-sm font-medium text-gray-700">Voir Rapports</div>
+              <div className="text-xs text-gray-500">Analyses détaillées</div>
+            </div>
+          </button>
+        </Can>
       </div>
     </div>
   );
@@ -6,6 +6,18 @@ import {
   UserCheck, UserX, Filter, Download, MoreVertical
 } from 'lucide-react';
 import ApiService from '../../services/ApiService';
+import Can from '../auth/Can';
+import SessionList from '../auth/SessionList';
+import TemporaryPasswordModal from '../auth/TemporaryPasswordModal';
+import { PERMISSIONS } from '../../config/permissions';
+import { usePermission } from '../../hooks/usePermission';
+
+/**
+ * Check whether an account is locked after failed logins, and still is
+ * @param {Object} user - Back-office user
+ * @returns {boolean} True until the lockout ends or an admin unlocks it
+ */
+const isLockedOut = (user) => !!user?.accountLockedUntil && new Date(user.accountLockedUntil).getTime() > Date.now();
 
 /**
  * 👥 Users Management Tab Component
@@ -19,6 +31,8 @@ import ApiService from '../../services/ApiService';
  * ✅ POST /api/v1/agence/admin/users/{userId}/block
  * ✅ POST /api/v1/agence/admin/users/{userId}/unblock
  * ✅ GET /api/v1/agence/admin/users/export
+ * ✅ GET /api/v1/agence/admin/users/{userId}/sessions
+ * ✅ DELETE /api/v1/agence/admin/users/{userId}/sessions/{sessionId}
  * 
  * Also integrates UserService admin endpoints:
  * ✅ GET /api/v1/users/search
@@ -30,6 +44,8 @@ import ApiService from '../../services/ApiService';
  * - Advanced search and filtering
  * - User statistics and analytics
  * - Role-based access control
+ * - Unlock of colleagues locked out after failed logins
+ * - Signed-in sessions of a user, with revoke (admins)
  * - Bulk operations
  * - Export functionality
  */
@@ -66,6 +82,10 @@ const UsersManagementTab = ({
   });
   const [editUserData, setEditUserData] = useState(null);
   const [bulkActionLoading, setBulkActionLoading] = useState(false);
+  const [userSessions, setUserSessions] = useState({ sessions: [], loading: false, error: '', revokingId: null });
+  // Credentials of the account just created, until the admin closes them ({ username, temporaryPassword })
+  const [createdCredentials, setCreatedCredentials] = useState(null);
+  const canViewSessions = usePermission(PERMISSIONS.USERS_SESSIONS);
 
   // Get users from props
   const users = dashboardData.agenceService.users || { content: [], totalElements: 0 };
@@ -98,8 +118,8 @@ const UsersManagementTab = ({
       return;
     }
 
-    const result = await onAction.createUser(createUserData);
-    if (result.success) {
+    try {
+      const createdUser = await onAction.createUser(createUserData);
       setCreateUserData({
         username: '',
         email: '',
@@ -109,9 +129,18 @@ const UsersManagementTab = ({
         idAgence: '',
         nomAgence: ''
       });
-      alert('Utilisateur créé avec succès');
-    } else {
-      alert('Erreur lors de la création: ' + result.error);
+
+      // The user replaces the temporary password at first login
+      if (createdUser?.temporaryPassword) {
+        setCreatedCredentials({
+          username: createdUser.username || createUserData.username,
+          temporaryPassword: createdUser.temporaryPassword
+        });
+      } else {
+        alert('Utilisateur créé avec succès');
+      }
+    } catch (error) {
+      alert('Erreur lors de la création: ' + (error.userMessage || error.message));
     }
   };
 
@@ -175,6 +204,62 @@ const UsersManagementTab = ({
     }
   };
 
+  /**
+   * Unlock an account locked after failed logins
+   */
+  const handleUnlockUser = async (userId) => {
+    try {
+      await ApiService.user.unlockUser(userId);
+      await onRefresh.users();
+      setModals(prev => ({ ...prev, userDetails: { open: false, user: null } }));
+      alert('Compte déverrouillé avec succès');
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      alert('Erreur lors du déverrouillage: ' + (error.userMessage || error.message));
+    }
+  };
+
+  /**
+   * Fetch the signed-in sessions of the user shown in the details modal
+   * @param {string} userId - User ID
+   */
+  const fetchUserSessions = async (userId) => {
+    setUserSessions(prev => ({ ...prev, loading: true, error: '' }));
+    try {
+      const response = await ApiService.agence.getUserSessions(userId);
+      setUserSessions(prev => ({ ...prev, sessions: response.data || [], loading: false }));
+    } catch (error) {
+      console.error('User sessions fetch error:', error);
+      setUserSessions(prev => ({
+        ...prev,
+        sessions: [],
+        loading: false,
+        error: error.userMessage || 'Impossible de charger les sessions'
+      }));
+    }
+  };
+
+  /**
+   * Revoke a session of the user shown in the details modal
+   * @param {Object} session - Session to revoke
+   */
+  const handleRevokeUserSession = async (session) => {
+    const userId = modals.userDetails.user.id;
+    setUserSessions(prev => ({ ...prev, revokingId: session.sessionId }));
+    try {
+      await ApiService.agence.revokeUserSession(userId, session.sessionId);
+      setUserSessions(prev => ({
+        ...prev,
+        sessions: prev.sessions.filter(candidate => candidate.sessionId !== session.sessionId),
+        revokingId: null
+      }));
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      setUserSessions(prev => ({ ...prev, revokingId: null }));
+      alert('Erreur lors de la révocation: ' + (error.userMessage || error.message));
+    }
+  };
+
   /**
    * Export users
    */
@@ -196,6 +281,16 @@ const UsersManagementTab = ({
     fetchUserStatistics();
   }, []);
 
+  // Sessions of the user opened in the details modal
+  const detailsUserId = modals.userDetails.open ? modals.userDetails.user?.id : null;
+  useEffect(() => {
+    if (detailsUserId && canViewSessions) {
+      fetchUserSessions(detailsUserId);
+    } else {
+      setUserSessions({ sessions: [], loading: false, error: '', revokingId: null });
+    }
+  }, [detailsUserId, canViewSessions]);
+
   // =====================================
   // COMPONENT RENDERERS
   // =====================================
@@ -292,21 +387,25 @@ const UsersManagementTab = ({
           <option value="SUSPENDED">Suspendus</option>
         </select>
 
-        <button
-          onClick={() => setModals(prev => ({ ...prev, createUser: { open: true } }))}
-          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
-        >
-          <UserPlus className="h-4 w-4 mr-2" />
-          Nouveau
-        </button>
+        <Can permission={PERMISSIONS.USERS_CREATE}>
+          <button
+            onClick={() => setModals(prev => ({ ...prev, createUser: { open: true } }))}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
+          >
+            <UserPlus className="h-4 w-4 mr-2" />
+            Nouveau
+          </button>
+        </Can>
 
-        <button
-          onClick={handleExportUsers}
-          className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center"
-        >
-          <Download className="h-4 w-4 mr-2" />
-          Export
-        </button>
+        <Can permission={PERMISSIONS.USERS_EXPORT}>
+          <button
+            onClick={handleExportUsers}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Export
+          </button>
+        </Can>
         
         <button
           onClick={() => onRefresh.users(
@@ -431,6 +530,15 @@ const UsersManagementTab = ({
                     >
                       {user.status}
                     </span>
+                    {isLockedOut(user) && (
+                      <span
+                        className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800"
+                        title={`Verrouillé jusqu'à ${new Date(user.accountLockedUntil).toLocaleString('fr-FR')}`}
+                      >
+                        <Lock className="h-3 w-3 mr-1" />
+                        Verrouillé
+                      </span>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {user.nomAgence ? (
@@ -476,33 +584,49 @@ const UsersManagementTab = ({
                         <Eye className="h-4 w-4" />
                       </button>
                       
-                      <button
-                        onClick={() => setEditUserData(user)}
-                        className="text-green-600 hover:text-green-900 p-1 rounded"
-                        title="Modifier"
-                      >
-                        <Edit className="h-4 w-4" />
-                      </button>
-
-                      {user.status === 'BLOCKED' ? (
+                      <Can permission={PERMISSIONS.USERS_EDIT}>
                         <button
-                          onClick={() => handleUnblockUser(user.id)}
-                          className="text-orange-600 hover:text-orange-900 p-1 rounded"
-                          title="Débloquer"
+                          onClick={() => setEditUserData(user)}
+                          className="text-green-600 hover:text-green-900 p-1 rounded"
+                          title="Modifier"
                         >
-                          <Unlock className="h-4 w-4" />
-                        </button>
-                      ) : (
-                        <button
-                          onClick={() => {
-                            const reason = prompt('Raison du blocage:');
-                            if (reason) handleBlockUser(user.id, reason);
-                          }}
-                          className="text-red-600 hover:text-red-900 p-1 rounded"
-                          title="Bloquer"
-                        >
-                          <Lock className="h-4 w-4" />
+                          <Edit className="h-4 w-4" />
                         </button>
+                      </Can>
+
+                      <Can permission={PERMISSIONS.USERS_BLOCK}>
+                        {user.status === 'BLOCKED' ? (
+                          <button
+                            onClick={() => handleUnblockUser(user.id)}
+                            className="text-orange-600 hover:text-orange-900 p-1 rounded"
+                            title="Débloquer"
+                          >
+                            <Unlock className="h-4 w-4" />
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => {
+                              const reason = prompt('Raison du blocage:');
+                              if (reason) handleBlockUser(user.id, reason);
+                            }}
+                            className="text-red-600 hover:text-red-900 p-1 rounded"
+                            title="Bloquer"
+                          >
+                            <Lock className="h-4 w-4" />
+                          </button>
+                        )}
+                      </Can>
+
+                      {isLockedOut(user) && (
+                        <Can permission={PERMISSIONS.USERS_UNLOCK}>
+                          <button
+                            onClick={() => handleUnlockUser(user.id)}
+                            className="text-amber-600 hover:text-amber-900 p-1 rounded"
+                            title="Déverrouiller le compte"
+                          >
+                            <UserCheck className="h-4 w-4" />
+                          </button>
+                        </Can>
                       )}
 
                       <button
@@ -767,11 +891,22 @@ const UsersManagementTab = ({
                   <div>
                     <label className="text-sm font-medium text-gray-500">Compte verrouillé jusqu'à</label>
                     <p className="text-gray-900">
-                      {modals.userDetails.user.accountLockedUntil ? 
+                      {isLockedOut(modals.userDetails.user) ? 
                         new Date(modals.userDetails.user.accountLockedUntil).toLocaleString('fr-FR') : 
                         'Non verrouillé'
                       }
                     </p>
+                    {isLockedOut(modals.userDetails.user) && (
+                      <Can permission={PERMISSIONS.USERS_UNLOCK}>
+                        <button
+                          onClick={() => handleUnlockUser(modals.userDetails.user.id)}
+                          className="mt-2 px-3 py-1 text-sm bg-amber-600 text-white rounded-lg hover:bg-amber-700 flex items-center"
+                        >
+                          <Unlock className="h-4 w-4 mr-1" />
+                          Déverrouiller
+                        </button>
+                      </Can>
+                    )}
                   </div>
                   <div>
                     <label className="text-sm font-medium text-gray-500">Première connexion</label>
@@ -789,6 +924,21 @@ const UsersManagementTab = ({
               </div>
             )}
 
+            {/* Active Sessions */}
+            {canViewSessions && (
+              <div className="border-t border-gray-200 pt-6">
+                <h4 className="text-lg font-medium text-gray-900 mb-2">Sessions actives</h4>
+                <SessionList
+                  sessions={userSessions.sessions}
+                  loading={userSessions.loading}
+                  error={userSessions.error}
+                  onRevoke={handleRevokeUserSession}
+                  revokingId={userSessions.revokingId}
+                  onRetry={() => fetchUserSessions(modals.userDetails.user.id)}
+                />
+              </div>
+            )}
+
             {/* Audit Information */}
             <div className="border-t border-gray-200 pt-6">
               <h4 className="text-lg font-medium text-gray-900 mb-4">Audit</h4>
@@ -986,6 +1136,13 @@ const UsersManagementTab = ({
       <CreateUserModal />
       <UserDetailsModal />
       <EditUserModal />
+      {createdCredentials && (
+        <TemporaryPasswordModal
+          username={createdCredentials.username}
+          temporaryPassword={createdCredentials.temporaryPassword}
+          onClose={() => setCreatedCredentials(null)}
+        />
+      )}
     </div>
   );
 };
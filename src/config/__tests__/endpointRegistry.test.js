@@ -0,0 +1,121 @@
+/**
+ * 🧭 Endpoint Registry Tests
+ *
+ * URL building from the registry: params are validated against their
+ * declaration, and missing, unknown or invalid ones are rejected before any
+ * request goes out.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { BASE_URLS, buildUrl, resolveEndpoint } from '../apiConfig.js';
+import { EndpointParamsError, buildPath } from '../endpointRegistry.js';
+import agenceService from '../../services/agenceService.js';
+import userService from '../../services/userService.js';
+
+/**
+ * Validation errors thrown by buildPath
+ * @param {string} name - Endpoint name
+ * @param {Object} params - Params
+ * @returns {string[]} Errors, empty when the path was built
+ */
+const paramErrors = (name, params) => {
+  try {
+    buildPath(name, params);
+    return [];
+  } catch (error) {
+    expect(error).toBeInstanceOf(EndpointParamsError);
+    expect(error).toMatchObject({ code: 'INVALID_ENDPOINT_PARAMS', endpoint: name });
+    return error.errors;
+  }
+};
+
+describe('buildPath', () => {
+  it('fills path params and query defaults', () => {
+    expect(buildPath('AGENCE_SERVICE.USERS.DETAILS', { userId: 'USR 42' }))
+      .toBe('/api/v1/agence/admin/users/USR%2042');
+    expect(buildPath('AGENCE_SERVICE.USERS.LIST', { search: 'fotso', status: '' }))
+      .toBe('/api/v1/agence/admin/users?page=0&size=20&sortBy=createdAt&sortDirection=desc&search=fotso');
+  });
+
+  it('serialises dates as ISO strings', () => {
+    const path = buildPath('AGENCE_SERVICE.DOCUMENTS.STATISTICS', { startDate: new Date('2024-10-01T00:00:00Z') });
+
+    expect(path).toContain('startDate=2024-10-01T00%3A00%3A00.000Z');
+  });
+
+  it('rejects unknown endpoints', () => {
+    expect(() => buildPath('AGENCE_SERVICE.USERS.PURGE')).toThrow('Unknown endpoint: AGENCE_SERVICE.USERS.PURGE');
+  });
+
+  it.each([
+    ['a missing path param', 'AGENCE_SERVICE.USERS.DETAILS', {}, ['missing path parameter userId']],
+    ['an empty path param', 'AGENCE_SERVICE.USERS.DETAILS', { userId: '' }, ['missing path parameter userId']],
+    ['a missing required query param', 'USER_SERVICE.BALANCE', {}, ['missing query parameter clientId']],
+    ['an undeclared idAgence', 'AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH', { idAgence: 'AG-DLA-001' }, ['unknown parameter idAgence']],
+    ['a misspelt param', 'AGENCE_SERVICE.USERS.LIST', { idAgnce: 'AG-DLA-001' }, ['unknown parameter idAgnce']],
+    ['a param of the wrong type', 'AGENCE_SERVICE.USERS.LIST', { page: '2' }, ['page must be of type integer']],
+    ['a value outside the enum', 'AGENCE_SERVICE.DOCUMENTS.STATISTICS', { period: 'yearly' }, ['period must be one of daily, weekly, monthly']],
+    ['a value above the maximum', 'AGENCE_SERVICE.USERS.LIST', { size: 1000 }, ['size must be <= 500']],
+    ['an invalid date', 'AGENCE_SERVICE.DOCUMENTS.STATISTICS', { endDate: 'hier' }, ['endDate must be of type date']]
+  ])('rejects %s', (label, name, params, errors) => {
+    expect(paramErrors(name, params)).toEqual(errors);
+  });
+
+  it('reports every invalid param at once', () => {
+    expect(paramErrors('AGENCE_SERVICE.USERS.SESSIONS', { idAgence: 'AG-DLA-001', page: -1 })).toEqual([
+      'unknown parameter idAgence',
+      'unknown parameter page',
+      'missing path parameter userId'
+    ]);
+  });
+});
+
+describe('buildUrl', () => {
+  it('prefixes the path with the base URL of the service', () => {
+    expect(buildUrl('USER_SERVICE.BALANCE', { clientId: 'CLI-00012' }))
+      .toBe(`${BASE_URLS.USER_SERVICE}/api/v1/users/balance?clientId=CLI-00012`);
+  });
+
+  it('validates params like buildPath', () => {
+    expect(() => buildUrl('AGENCE_SERVICE.USERS.DETAILS', { userId: 'USR-0042', idAgence: 'AG-DLA-001' }))
+      .toThrow(EndpointParamsError);
+  });
+
+  it('is reversed by resolveEndpoint', () => {
+    const url = buildUrl('AGENCE_SERVICE.USERS.REVOKE_SESSION', { userId: 'USR-0002', sessionId: 'SES-0004' });
+
+    expect(resolveEndpoint('DELETE', url)).toEqual({
+      name: 'AGENCE_SERVICE.USERS.REVOKE_SESSION',
+      params: { userId: 'USR-0002', sessionId: 'SES-0004' }
+    });
+  });
+});
+
+describe('service calls with invalid params', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it.each([
+    ['an unknown filter', () => agenceService.getUsers({ agence: 'AG-DLA-001' })],
+    ['an out-of-range page size', () => agenceService.getUsers({ size: 1000 })],
+    ['an invalid period', () => agenceService.getDocumentStatistics({ period: 'yearly' })],
+    ['an undeclared param', () => userService.getTransactions({ clientId: 'CLI-00012', idAgence: 'AG-DLA-001' })]
+  ])('never reach the server with %s', async (label, call) => {
+    await expect(call()).rejects.toMatchObject({ code: 'INVALID_ENDPOINT_PARAMS' });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * 🔑 Password Policy Tests
+ *
+ * Rules and strength score shown live by the change-password form.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { describe, expect, it } from 'vitest';
+import { PASSWORD_POLICY, checkPasswordPolicy, getPasswordStrength } from '../passwordPolicy.js';
+
+/**
+ * Ids of the failed rules
+ * @param {string} password - Password
+ * @param {Object} context - { currentPassword, username }
+ * @returns {string[]} Rule ids
+ */
+const failedRules = (password, context) => checkPasswordPolicy(password, context).rules
+  .filter(rule => !rule.passed)
+  .map(rule => rule.id);
+
+describe('checkPasswordPolicy', () => {
+  it('accepts a long password mixing the four character classes', () => {
+    const result = checkPasswordPolicy('Kribi#Plage2024', { currentPassword: 'Agent@123', username: 'agent.yaounde' });
+
+    expect(result.isValid).toBe(true);
+    expect(result.strengthLabel).toBe('Très fort');
+  });
+
+  it.each([
+    ['length', 'Ab1#efg'],
+    ['lowercase', 'KRIBI#PLAGE2024'],
+    ['uppercase', 'kribi#plage2024'],
+    ['digit', 'Kribi#Plage-Mer'],
+    ['special', 'KribiPlage2024']
+  ])('reports a missing %s', (rule, password) => {
+    expect(failedRules(password, {})).toEqual([rule]);
+    expect(checkPasswordPolicy(password).isValid).toBe(false);
+  });
+
+  it('refuses the current password', () => {
+    expect(failedRules('Kribi#Plage2024', { currentPassword: 'Kribi#Plage2024' })).toEqual(['reuse']);
+  });
+
+  it('refuses a password containing the username, whatever the case', () => {
+    expect(failedRules('Agent.Yaounde#2024', { username: 'agent.yaounde' })).toEqual(['username']);
+  });
+
+  it('refuses a password that passes every rule but is predictable', () => {
+    const result = checkPasswordPolicy('Password@123');
+
+    expect(result.rules.every(rule => rule.passed)).toBe(true);
+    expect(result.strength).toBeLessThan(PASSWORD_POLICY.MIN_STRENGTH);
+    expect(result.isValid).toBe(false);
+  });
+});
+
+describe('getPasswordStrength', () => {
+  it('grows with length and character variety', () => {
+    expect(getPasswordStrength('')).toBe(0);
+    expect(getPasswordStrength('kribiplage')).toBe(1);
+    expect(getPasswordStrength('Kribi#Plage')).toBe(3);
+    expect(getPasswordStrength('Kribi#Plage2024!Mer')).toBe(4);
+  });
+
+  it('penalises repeated characters and sequences', () => {
+    expect(getPasswordStrength('Kribi#Plaaage')).toBeLessThan(getPasswordStrength('Kribi#Plage'));
+    expect(getPasswordStrength('Kribi#Plage789')).toBeLessThan(getPasswordStrength('Kribi#Plage2024'));
+  });
+});
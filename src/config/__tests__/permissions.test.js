@@ -0,0 +1,74 @@
+/**
+ * 🛡️ Permission Model Tests
+ *
+ * Permissions granted by the JWT roles, and the dashboard variant they open.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  DASHBOARD_ROLES,
+  PERMISSIONS,
+  getDashboardRole,
+  getPermissionsForRoles,
+  isAgencyDirector
+} from '../permissions.js';
+
+describe('getPermissionsForRoles', () => {
+  it('grants the union of the permissions of every role', () => {
+    const permissions = getPermissionsForRoles(['SUPERVISOR', 'AGENCE']);
+
+    expect(permissions).toContain(PERMISSIONS.USERS_EXPORT);
+    expect(permissions).toContain(PERMISSIONS.USERS_BLOCK);
+    expect(permissions).not.toContain(PERMISSIONS.SYSTEM_VIEW);
+    expect(new Set(permissions).size).toBe(permissions.length);
+  });
+
+  it.each([
+    ['no roles', []],
+    ['a wallet client', ['CLIENT']],
+    ['an unknown role', ['AUDITOR']]
+  ])('grants nothing to %s', (label, roles) => {
+    expect(getPermissionsForRoles(roles)).toEqual([]);
+  });
+});
+
+describe('isAgencyDirector', () => {
+  it.each([
+    [['AGENCE'], true],
+    [['SUPERVISOR', 'AGENCE'], true],
+    [['ADMIN', 'AGENCE'], false],
+    [['SUPERVISOR'], false],
+    [['CLIENT'], false],
+    [[], false]
+  ])('answers %j with %s', (roles, expected) => {
+    expect(isAgencyDirector(roles)).toBe(expected);
+  });
+});
+
+describe('getDashboardRole', () => {
+  it.each([
+    [['ADMIN'], DASHBOARD_ROLES.BANK_ADMIN],
+    [['ADMIN', 'AGENCE'], DASHBOARD_ROLES.BANK_ADMIN],
+    [['SUPERVISOR'], DASHBOARD_ROLES.BANK_ADMIN],
+    [['AGENCE'], DASHBOARD_ROLES.AGENCY_DIRECTOR],
+    [['SUPERVISOR', 'AGENCE'], DASHBOARD_ROLES.AGENCY_DIRECTOR]
+  ])('opens the right dashboard for %j', (roles, dashboardRole) => {
+    expect(getDashboardRole(roles)).toBe(dashboardRole);
+  });
+
+  it.each([
+    ['no roles', []],
+    ['a wallet client', ['CLIENT']],
+    ['an unknown role', ['AUDITOR']]
+  ])('opens no dashboard for %s', (label, roles) => {
+    expect(getDashboardRole(roles)).toBeNull();
+  });
+
+  it('treats a missing roles claim as no roles', () => {
+    expect(getDashboardRole()).toBeNull();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * 🌍 Runtime Configuration Tests
+ *
+ * Validation of /config.json, layering over the build-time defaults and the
+ * fallback to those defaults when the config cannot be fetched.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { BASE_URLS, MOCK_CONFIG, TIMEOUT_CONFIG } from '../apiConfig.js';
+import {
+  RuntimeConfigError,
+  getRuntimeConfig,
+  loadRuntimeConfig,
+  resolveRuntimeConfig,
+  validateRuntimeConfig
+} from '../runtimeConfig.js';
+
+/**
+ * Build a fetch Response for the config file
+ * @param {number} status - HTTP status
+ * @param {string} body - Raw body
+ * @param {string} contentType - Content type
+ * @returns {Response} Response
+ */
+const configResponse = (status, body, contentType = 'application/json') => new Response(body, {
+  status,
+  headers: { 'Content-Type': contentType }
+});
+
+describe('validateRuntimeConfig', () => {
+  it('accepts a complete config', () => {
+    expect(validateRuntimeConfig({
+      environment: 'staging',
+      services: { USER_SERVICE: 'https://users.staging.example.com' },
+      timeouts: { DEFAULT: 15000 },
+      mock: { ENABLED: false, LATENCY: 0 },
+      environments: { staging: { services: { AGENCE_SERVICE: 'https://agence.staging.example.com' } } },
+      tenants: { douala: { hosts: ['douala.admin.example.com'], timeouts: { UPLOAD: 120000 } } }
+    })).toEqual([]);
+  });
+
+  it.each([
+    ['an array', []],
+    ['null', null],
+    ['a string', 'https://users.example.com']
+  ])('rejects %s', (label, config) => {
+    expect(validateRuntimeConfig(config)).toEqual(['config must be a JSON object']);
+  });
+
+  it('reports every invalid setting with its path', () => {
+    expect(validateRuntimeConfig({
+      environment: 3,
+      services: { USER_SERVICE: 'ftp://users.example.com', PAYMENT_SERVICE: 'https://pay.example.com' },
+      timeouts: { DEFAULT: -1, SLOW: 1000 },
+      mock: { ENABLED: 'yes', LATENCY: 1.5 },
+      environments: { production: { services: 'https://agence.example.com' } },
+      tenants: { douala: { hosts: 'douala.admin.example.com' } }
+    })).toEqual([
+      'config.services.USER_SERVICE must be an http(s) URL',
+      expect.stringMatching(/^config\.services\.PAYMENT_SERVICE is not a known service/),
+      'config.mock.ENABLED must be a boolean',
+      'config.mock.LATENCY must be a non-negative integer',
+      'config.timeouts.DEFAULT must be a positive integer (ms)',
+      expect.stringMatching(/^config\.timeouts\.SLOW is not a known timeout/),
+      'config.environment must be a string',
+      'config.environments.production.services must be an object',
+      'config.tenants.douala.hosts must be an array of hostnames'
+    ]);
+  });
+
+  it('rejects a selected tenant that is not defined', () => {
+    expect(validateRuntimeConfig({ tenant: 'garoua', tenants: {} }))
+      .toEqual(['config.tenant "garoua" has no entry in config.tenants']);
+  });
+});
+
+describe('resolveRuntimeConfig', () => {
+  const config = {
+    environment: 'staging',
+    services: { USER_SERVICE: 'https://users.example.com', AGENCE_SERVICE: 'https://agence.example.com' },
+    timeouts: { DEFAULT: 10000 },
+    environments: {
+      staging: { services: { AGENCE_SERVICE: 'https://agence.staging.example.com' }, timeouts: { DEFAULT: 20000 } },
+      production: { services: { USER_SERVICE: 'https://users.prod.example.com' } }
+    },
+    tenants: {
+      douala: { hosts: ['douala.admin.example.com'], services: { AGENCE_SERVICE: 'https://agence-douala.example.com' } }
+    }
+  };
+
+  it('layers the environment section over the top level', () => {
+    expect(resolveRuntimeConfig(config, 'admin.example.com')).toEqual({
+      environment: 'staging',
+      tenant: null,
+      services: { USER_SERVICE: 'https://users.example.com', AGENCE_SERVICE: 'https://agence.staging.example.com' },
+      timeouts: { DEFAULT: 20000 },
+      mock: {}
+    });
+  });
+
+  it('layers the tenant of the hostname over the environment', () => {
+    const resolved = resolveRuntimeConfig(config, 'douala.admin.example.com');
+
+    expect(resolved.tenant).toBe('douala');
+    expect(resolved.services.AGENCE_SERVICE).toBe('https://agence-douala.example.com');
+  });
+
+  it('prefers an explicitly selected tenant over the hostname', () => {
+    const resolved = resolveRuntimeConfig({ ...config, tenant: 'douala' }, 'other.example.com');
+
+    expect(resolved.tenant).toBe('douala');
+  });
+
+  it('uses the build mode without an environment', () => {
+    expect(resolveRuntimeConfig({ services: {} }).environment).toBe(import.meta.env.MODE);
+  });
+});
+
+describe('loadRuntimeConfig', () => {
+  const defaults = {
+    baseUrls: { ...BASE_URLS },
+    timeouts: { ...TIMEOUT_CONFIG },
+    mock: { ...MOCK_CONFIG }
+  };
+  let fetchMock;
+
+  /**
+   * Load the config served by the fetch stub
+   * @returns {Promise<Object>} Active runtime settings
+   */
+  const load = () => loadRuntimeConfig({ url: '/config.json', hostname: 'admin.example.com' });
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(BASE_URLS, defaults.baseUrls);
+    Object.assign(TIMEOUT_CONFIG, defaults.timeouts);
+    Object.assign(MOCK_CONFIG, defaults.mock);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('applies the config over the build-time defaults', async () => {
+    fetchMock.mockResolvedValue(configResponse(200, JSON.stringify({
+      services: { USER_SERVICE: 'https://users.example.com/' },
+      timeouts: { DEFAULT: 15000 }
+    })));
+
+    const runtime = await load();
+
+    expect(fetchMock).toHaveBeenCalledWith('/config.json', expect.objectContaining({ cache: 'no-store' }));
+    expect(runtime.baseUrls).toEqual({ ...defaults.baseUrls, USER_SERVICE: 'https://users.example.com' });
+    expect(runtime.timeouts).toEqual({ ...defaults.timeouts, DEFAULT: 15000 });
+    expect(runtime).toMatchObject({ loaded: true, source: '/config.json' });
+  });
+
+  it.each([
+    ['the config is missing', () => configResponse(404, 'Not Found', 'text/plain')],
+    ['the server answers with the SPA page', () => configResponse(200, '<!doctype html>', 'text/html')],
+    ['the server cannot be reached', () => Promise.reject(new TypeError('Failed to fetch'))]
+  ])('keeps the build-time defaults when %s', async (label, respond) => {
+    fetchMock.mockImplementation(respond);
+
+    const runtime = await load();
+
+    expect(runtime.baseUrls).toEqual(defaults.baseUrls);
+    expect(runtime.timeouts).toEqual(defaults.timeouts);
+    expect(console.warn.mock.calls[0][0]).toContain('using build-time defaults');
+  });
+
+  it('refuses a config that is not valid JSON', async () => {
+    fetchMock.mockResolvedValue(configResponse(200, '{ "services": '));
+
+    await expect(load()).rejects.toBeInstanceOf(RuntimeConfigError);
+    expect(getRuntimeConfig().baseUrls).toEqual(defaults.baseUrls);
+  });
+
+  it('refuses an invalid config without applying any of it', async () => {
+    fetchMock.mockResolvedValue(configResponse(200, JSON.stringify({
+      services: { USER_SERVICE: 'https://users.example.com', AGENCE_SERVICE: 'not a url' }
+    })));
+
+    const error = await load().catch(failure => failure);
+
+    expect(error).toBeInstanceOf(RuntimeConfigError);
+    expect(error.errors).toEqual(['config.services.AGENCE_SERVICE must be an http(s) URL']);
+    expect(BASE_URLS.USER_SERVICE).toBe(defaults.baseUrls.USER_SERVICE);
+  });
+
+  it('fails when a service has no URL at all', async () => {
+    BASE_URLS.MONEY_SERVICE = '';
+    fetchMock.mockResolvedValue(configResponse(404, 'Not Found', 'text/plain'));
+
+    await expect(load()).rejects.toMatchObject({ errors: ['no URL configured for MONEY_SERVICE'] });
+  });
+
+  it('fills in missing URLs for the mock backend', async () => {
+    BASE_URLS.MONEY_SERVICE = '';
+    fetchMock.mockResolvedValue(configResponse(200, JSON.stringify({ mock: { ENABLED: true, LATENCY: 0 } })));
+
+    const runtime = await load();
+
+    expect(runtime.mock).toMatchObject({ ENABLED: true, LATENCY: 0 });
+    expect(runtime.baseUrls.MONEY_SERVICE).toBe('http://mock.invalid/money_service');
+  });
+});
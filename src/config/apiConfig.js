@@ -2,15 +2,20 @@
  * 🔧 API Configuration Module
  * 
  * Centralized configuration for all API services and endpoints.
- * Handles environment-based URL configuration and endpoint definitions.
+ * BASE_URLS, TIMEOUT_CONFIG and MOCK_CONFIG hold build-time defaults; the runtime
+ * config (see runtimeConfig.js) overwrites them before the application mounts.
  * 
  * @author ENSF Wallet Development Team
  * @version 1.0.0
  * @since 2024
  */
 
+import { ENDPOINTS, buildPath, getEndpoint, matchEndpoint } from './endpointRegistry.js';
+
+export { ENDPOINTS };
+
 /**
- * Environment configuration for different deployment stages
+ * Build-time defaults, used when no runtime config is deployed
  */
 const ENV_CONFIG = {
   development: {
@@ -36,6 +41,7 @@ const getCurrentEnvConfig = () => {
 
 /**
  * Base URLs for different services
+ * Read at request time: the runtime config updates this object in place
  */
 export const BASE_URLS = {
   USER_SERVICE: getCurrentEnvConfig().userServiceUrl,
@@ -44,81 +50,41 @@ export const BASE_URLS = {
 };
 
 /**
- * API Endpoints Configuration
- * Organized by service for better maintainability
- */
-export const ENDPOINTS = {
-  // User Service endpoints
-  USER_SERVICE: {
-    // Authentication
-    REGISTER: '/api/v1/users/register',
-    LOGIN: '/api/v1/users/login',
-    LOGOUT: '/api/v1/users/logout',
-    REFRESH: '/api/v1/users/refresh',
-    
-    // User Management
-    PROFILE: '/api/v1/users/profile',
-    UPDATE_PROFILE: (clientId) => `/api/v1/users/profile/${clientId}`,
-    SEARCH: '/api/v1/users/search',
-    STATISTICS: '/api/v1/users/statistics',
-    UNLOCK: (clientId) => `/api/v1/users/${clientId}/unlock`,
-    
-    // Financial Operations
-    BALANCE: '/api/v1/users/balance',
-    TRANSACTIONS: '/api/v1/users/transactions',
-    DEPOSIT: '/api/v1/users/deposit',
-    WITHDRAWAL: '/api/v1/users/withdrawal',
-    TRANSFER: '/api/v1/users/transfer'
-  },
+ * Build the absolute URL of a registry endpoint, validating its params
+ * @param {string} name - Endpoint name (e.g. 'AGENCE_SERVICE.USERS.LIST')
+ * @param {Object} params - Path and query params
+ * @returns {string} Absolute URL
+ */
+export const buildUrl = (name, params = {}) => {
+  const service = name.split('.')[0];
+  return `${BASE_URLS[service]}${buildPath(name, params)}`;
+};
 
-  // Agence Service endpoints
-  AGENCE_SERVICE: {
-    // Authentication
-    AUTH: {
-      LOGIN: '/api/v1/agence/auth/login',
-      REFRESH: '/api/v1/agence/auth/refresh',
-      LOGOUT: '/api/v1/agence/auth/logout',
-      CHANGE_PASSWORD: '/api/v1/agence/auth/change-password'
-    },
-    
-    // Admin Dashboard
-    ADMIN: {
-      DASHBOARD: '/api/v1/agence/admin/dashboard',
-      DASHBOARD_HEALTH: '/api/v1/agence/admin/dashboard/health',
-      RECENT_ACTIVITY: '/api/v1/agence/admin/dashboard/recent-activity'
-    },
-    
-    // User Management
-    USERS: {
-      LIST: '/api/v1/agence/admin/users',
-      DETAILS: (userId) => `/api/v1/agence/admin/users/${userId}`,
-      STATISTICS: '/api/v1/agence/admin/users/statistics',
-      EXPORT: '/api/v1/agence/admin/users/export',
-      CREATE: '/api/v1/agence/admin/users',
-      UPDATE: (userId) => `/api/v1/agence/admin/users/${userId}`,
-      BLOCK: (userId) => `/api/v1/agence/admin/users/${userId}/block`,
-      UNBLOCK: (userId) => `/api/v1/agence/admin/users/${userId}/unblock`
-    },
-    
-    // Document Management
-    DOCUMENTS: {
-      PENDING: '/api/v1/agence/admin/documents/pending',
-      REVIEW: (docId) => `/api/v1/agence/admin/documents/${docId}/review`,
-      APPROVE: (docId) => `/api/v1/agence/admin/documents/${docId}/approve`,
-      REJECT: (docId) => `/api/v1/agence/admin/documents/${docId}/reject`,
-      STATISTICS: '/api/v1/agence/admin/documents/statistics',
-      BULK_APPROVE: '/api/v1/agence/admin/documents/bulk-approve',
-      BULK_REJECT: '/api/v1/agence/admin/documents/bulk-reject'
-    }
-  },
+/**
+ * Absolute URL of a registry endpoint without query string
+ * Used as a prefix, e.g. for cache invalidation
+ * @param {string} name - Endpoint name (without path params)
+ * @returns {string} Absolute URL prefix
+ */
+export const buildUrlPrefix = (name) => {
+  const service = name.split('.')[0];
+  return `${BASE_URLS[service]}${getEndpoint(name).path}`;
+};
 
-  // Money Service endpoints
-  MONEY_SERVICE: {
-    DEPOSIT: '/api/deposit',
-    WITHDRAWAL: '/api/withdrawal',
-    TRANSFER: '/api/transfer',
-    PAYMENT_STATUS: (transactionId) => `/api/payment/${transactionId}/status`
+/**
+ * Find the registry endpoint of an absolute URL
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @returns {Object|null} { name, params } or null for URLs outside the registry
+ */
+export const resolveEndpoint = (method, url) => {
+  for (const [service, baseUrl] of Object.entries(BASE_URLS)) {
+    if (baseUrl && url.startsWith(baseUrl)) {
+      const match = matchEndpoint(service, method, url.slice(baseUrl.length));
+      if (match) return match;
+    }
   }
+  return null;
 };
 
 /**
@@ -133,12 +99,15 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  LOCKED: 423,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 };
 
 /**
  * Request timeout configurations (in milliseconds)
+ * Overridable through the `timeouts` section of the runtime config
  */
 export const TIMEOUT_CONFIG = {
   DEFAULT: 10000,        // 10 seconds
@@ -153,7 +122,147 @@ export const TIMEOUT_CONFIG = {
 export const RETRY_CONFIG = {
   MAX_RETRIES: 3,
   RETRY_DELAY: 1000,     // 1 second
-  EXPONENTIAL_BACKOFF: true
+  MAX_RETRY_DELAY: 30000, // 30 seconds, also caps server Retry-After values
+  EXPONENTIAL_BACKOFF: true,
+  JITTER: true,          // Full jitter: random delay between 0 and the backoff ceiling
+  RETRYABLE_STATUSES: [408, 429],
+  // Methods safe to replay; others are retried only with an Idempotency-Key header
+  IDEMPOTENT_METHODS: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  IDEMPOTENCY_HEADER: 'Idempotency-Key'
+};
+
+/**
+ * Circuit breaker configuration, one breaker per entry of BASE_URLS
+ */
+export const CIRCUIT_BREAKER_CONFIG = {
+  FAILURE_THRESHOLD: 5,      // Consecutive failures (network, timeout, 5xx) before opening
+  RESET_TIMEOUT: 30000,      // 30 seconds open before a trial request
+  HALF_OPEN_MAX_REQUESTS: 1, // Trial requests allowed while half-open
+  SUCCESS_THRESHOLD: 1,      // Trial successes needed to close again
+  // Per-service overrides, keyed like BASE_URLS
+  SERVICES: {
+    MONEY_SERVICE: { FAILURE_THRESHOLD: 3 }
+  }
+};
+
+/**
+ * Idempotency keys for money operations
+ */
+export const IDEMPOTENCY_CONFIG = {
+  STORAGE_KEY: 'ensf_idempotency_keys',
+  KEY_TTL: 24 * 60 * 60 * 1000 // 24 hours, pending keys older than this are dropped
+};
+
+/**
+ * Document upload configuration
+ * Files above the threshold are sent in chunks that can be resumed after a failure
+ */
+export const UPLOAD_CONFIG = {
+  RESUMABLE_THRESHOLD: 2 * 1024 * 1024, // 2 MB
+  CHUNK_SIZE: 512 * 1024,               // 512 KB per chunk
+  CHUNK_MAX_RETRIES: 5,                 // Attempts per chunk before giving up
+  STORAGE_KEY: 'ensf_resumable_uploads',
+  SESSION_TTL: 24 * 60 * 60 * 1000      // 24 hours, older stored sessions are restarted from scratch
+};
+
+/**
+ * Response cache configuration (in milliseconds)
+ * Policies are opt-in per request through the `cache` option
+ */
+export const CACHE_CONFIG = {
+  DEFAULT_TTL: 30000,    // 30 seconds
+  MAX_ENTRIES: 100,
+  STATISTICS: {
+    ttl: 60000,                  // 1 minute fresh
+    staleWhileRevalidate: 300000 // then served stale for 5 minutes while refreshing
+  }
+};
+
+/**
+ * Back-office session configuration (in milliseconds)
+ * Dashboards stay open at shared branch counters: idle sessions are closed,
+ * and login, logout and token refresh are shared between the tabs of a browser
+ */
+export const SESSION_CONFIG = {
+  IDLE_TIMEOUT: 15 * 60 * 1000,        // 15 minutes without activity before logout
+  IDLE_WARNING: 60 * 1000,             // Countdown shown during the last minute
+  ACTIVITY_EVENTS: ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel'],
+  ACTIVITY_BROADCAST_INTERVAL: 30000,  // Activity shared with other tabs at most every 30 seconds
+  REFRESH_JITTER: 60000,               // Tabs refresh up to 1 minute apart; the first shares its new token
+  SYNC_CHANNEL: 'ensf_auth_sync'       // BroadcastChannel name, or localStorage key where it is missing
+};
+
+/**
+ * Two-factor authentication configuration
+ * Accounts with MFA enabled answer the login with a challenge, completed by
+ * AGENCE_SERVICE.AUTH.MFA_VERIFY
+ */
+export const MFA_CONFIG = {
+  CODE_LENGTH: 6,                             // TOTP codes from the authenticator app
+  TRUSTED_DEVICE_DAYS: 30,                    // Trusted devices skip the second step this long
+  TRUSTED_DEVICES_KEY: 'ensf_trusted_devices' // localStorage key of the device tokens, by username
+};
+
+/**
+ * Brute-force protection of the login
+ * The server locks an account after MAX_ATTEMPTS failures (HTTP 423); before
+ * that, the login form waits longer after each failure and asks for a
+ * challenge once CAPTCHA_AFTER failures are reached (see loginThrottle.js)
+ */
+export const LOGIN_PROTECTION = {
+  MAX_ATTEMPTS: 5,                    // Failures before the server locks the account
+  LOCK_DURATION: 15 * 60 * 1000,      // Server lockout, when the response gives no end time
+  BASE_DELAY: 1000,                   // Wait after the first failure, doubled after each one
+  MAX_DELAY: 30 * 1000,               // Longest wait between two attempts
+  CAPTCHA_AFTER: 3,                   // Failures before the challenge is required
+  FAILURE_WINDOW: 15 * 60 * 1000,     // Failures older than this are forgotten
+  ATTEMPTS_KEY: 'ensf_login_attempts' // localStorage key of the failures, by username
+};
+
+/**
+ * Mock backend configuration
+ * When enabled, every HttpClient request is answered in the browser by
+ * src/mocks/mockBackend.js instead of the Spring services.
+ * Overridable through the `mock` section of the runtime config
+ */
+export const MOCK_CONFIG = {
+  ENABLED: import.meta.env.VITE_MOCK_BACKEND === 'true',
+  LATENCY: 300,            // Simulated network delay in milliseconds
+  ACCESS_TOKEN_TTL: 3600   // 1 hour, in seconds like the JWT exp claim
+};
+
+/**
+ * HTTP logging configuration
+ * Production mode logs only method, URL, status and timing
+ */
+export const LOGGING_CONFIG = {
+  LEVEL: import.meta.env.MODE === 'development' ? 'debug' : 'info',
+  PRODUCTION_MODE: import.meta.env.MODE !== 'development',
+  // Header and body keys whose values are never logged (case-insensitive)
+  REDACT_KEYS: [
+    'authorization',
+    'password',
+    'oldPassword',
+    'currentPassword',
+    'newPassword',
+    'temporaryPassword',
+    'confirmPassword',
+    'accessToken',
+    'refreshToken',
+    'token',
+    'mfaToken',
+    'deviceToken',
+    'cni'
+  ],
+  REDACTION_MASK: '[REDACTED]'
+};
+
+/**
+ * Response schema validation (schemas in responseSchemas.js)
+ * Development only: mismatches are logged as warnings, responses are never rejected
+ */
+export const SCHEMA_CONFIG = {
+  VALIDATE_RESPONSES: import.meta.env.MODE === 'development'
 };
 
 /**
@@ -162,11 +271,15 @@ export const RETRY_CONFIG = {
 export const ERROR_MESSAGES = {
   NETWORK_ERROR: 'Erreur de réseau. Veuillez vérifier votre connexion.',
   TIMEOUT_ERROR: 'La requête a expiré. Veuillez réessayer.',
+  REQUEST_CANCELLED: 'La requête a été annulée.',
   UNAUTHORIZED: 'Session expirée. Veuillez vous reconnecter.',
   FORBIDDEN: 'Accès non autorisé à cette ressource.',
   NOT_FOUND: 'Ressource non trouvée.',
   SERVER_ERROR: 'Erreur du serveur. Veuillez réessayer plus tard.',
+  SERVICE_UNAVAILABLE: 'Service temporairement indisponible. Veuillez réessayer dans quelques instants.',
   VALIDATION_ERROR: 'Données invalides. Veuillez vérifier vos entrées.',
+  RATE_LIMITED: 'Trop de requêtes. Veuillez patienter avant de réessayer.',
+  ACCOUNT_LOCKED: 'Compte temporairement verrouillé. Veuillez réessayer plus tard.',
   UNKNOWN_ERROR: 'Une erreur inattendue s\'est produite.'
 };
 
@@ -176,5 +289,15 @@ export default {
   HTTP_STATUS,
   TIMEOUT_CONFIG,
   RETRY_CONFIG,
+  CIRCUIT_BREAKER_CONFIG,
+  IDEMPOTENCY_CONFIG,
+  CACHE_CONFIG,
+  UPLOAD_CONFIG,
+  SESSION_CONFIG,
+  MFA_CONFIG,
+  LOGIN_PROTECTION,
+  MOCK_CONFIG,
+  LOGGING_CONFIG,
+  SCHEMA_CONFIG,
   ERROR_MESSAGES
 };
\ No newline at end of file
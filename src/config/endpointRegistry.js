@@ -0,0 +1,503 @@
+/**
+ * 🧭 Endpoint Registry
+ *
+ * Single declaration of every backend endpoint:
+ * - Path template with `:name` path params
+ * - Query params with their type, default, allowed values and bounds
+ * - buildPath validates params and rejects unknown or missing ones
+ * - The legacy ENDPOINTS tree is derived from it
+ *
+ * Registry keys mirror the ENDPOINTS tree ('AGENCE_SERVICE.USERS.LIST'); the
+ * first segment is the service, used by buildUrl to pick the base URL.
+ *
+ * Param types: 'string', 'integer', 'number', 'boolean', 'date' (ISO string or Date),
+ * 'id' (string or integer)
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Declare a param
+ * @param {string} type - Param type
+ * @param {Object} options - { required, default, enum, min, max }
+ * @returns {Object} Param declaration
+ */
+const param = (type, options = {}) => ({ type, ...options });
+
+/**
+ * Pagination query params shared by list endpoints
+ */
+const PAGE_PARAMS = {
+  page: param('integer', { default: 0, min: 0 }),
+  size: param('integer', { default: 20, min: 1, max: 500 })
+};
+
+/**
+ * Sorting query params shared by list endpoints
+ * @param {string} defaultField - Default sort field
+ * @returns {Object} Param declarations
+ */
+const sortParams = (defaultField) => ({
+  sortBy: param('string', { default: defaultField }),
+  sortDirection: param('string', { default: 'desc', enum: ['asc', 'desc'] })
+});
+
+/**
+ * Endpoint declarations
+ * - method: HTTP method (GET when omitted)
+ * - path: path template
+ * - params: path params (always required)
+ * - query: query params
+ */
+export const ENDPOINT_REGISTRY = {
+  // =====================================
+  // USER SERVICE
+  // =====================================
+
+  // Authentication
+  'USER_SERVICE.REGISTER': { method: 'POST', path: '/api/v1/users/register' },
+  'USER_SERVICE.LOGIN': { method: 'POST', path: '/api/v1/users/login' },
+  'USER_SERVICE.LOGOUT': { method: 'POST', path: '/api/v1/users/logout' },
+  'USER_SERVICE.REFRESH': { method: 'POST', path: '/api/v1/users/refresh' },
+
+  // User Management
+  'USER_SERVICE.PROFILE': { path: '/api/v1/users/profile' },
+  'USER_SERVICE.UPDATE_PROFILE': {
+    method: 'PUT',
+    path: '/api/v1/users/profile/:clientId',
+    params: { clientId: param('id') }
+  },
+  'USER_SERVICE.SEARCH': {
+    path: '/api/v1/users/search',
+    query: {
+      ...PAGE_PARAMS,
+      ...sortParams('createdAt'),
+      query: param('string'),
+      status: param('string'),
+      role: param('string')
+    }
+  },
+  'USER_SERVICE.STATISTICS': {
+    path: '/api/v1/users/statistics',
+    query: { idAgence: param('string') }
+  },
+  'USER_SERVICE.UNLOCK': {
+    method: 'POST',
+    path: '/api/v1/users/:clientId/unlock',
+    params: { clientId: param('id') }
+  },
+
+  // Financial Operations
+  'USER_SERVICE.BALANCE': {
+    path: '/api/v1/users/balance',
+    query: { clientId: param('id', { required: true }) }
+  },
+  'USER_SERVICE.TRANSACTIONS': {
+    path: '/api/v1/users/transactions',
+    query: {
+      clientId: param('id', { required: true }),
+      ...PAGE_PARAMS,
+      ...sortParams('createdAt'),
+      type: param('string'),
+      startDate: param('date'),
+      endDate: param('date')
+    }
+  },
+  'USER_SERVICE.DEPOSIT': { method: 'POST', path: '/api/v1/users/deposit' },
+  'USER_SERVICE.WITHDRAWAL': { method: 'POST', path: '/api/v1/users/withdrawal' },
+  'USER_SERVICE.TRANSFER': { method: 'POST', path: '/api/v1/users/transfer' },
+
+  // Monitoring
+  'USER_SERVICE.HEALTH': { path: '/actuator/health' },
+
+  // =====================================
+  // AGENCE SERVICE
+  // =====================================
+
+  // Authentication
+  'AGENCE_SERVICE.AUTH.LOGIN': { method: 'POST', path: '/api/v1/agence/auth/login' },
+  'AGENCE_SERVICE.AUTH.REFRESH': { method: 'POST', path: '/api/v1/agence/auth/refresh' },
+  'AGENCE_SERVICE.AUTH.LOGOUT': { method: 'POST', path: '/api/v1/agence/auth/logout' },
+  'AGENCE_SERVICE.AUTH.MFA_VERIFY': { method: 'POST', path: '/api/v1/agence/auth/mfa/verify' },
+  'AGENCE_SERVICE.AUTH.CHANGE_PASSWORD': { method: 'POST', path: '/api/v1/agence/auth/change-password' },
+  'AGENCE_SERVICE.AUTH.SESSIONS': { path: '/api/v1/agence/auth/sessions' },
+  'AGENCE_SERVICE.AUTH.REVOKE_SESSION': {
+    method: 'DELETE',
+    path: '/api/v1/agence/auth/sessions/:sessionId',
+    params: { sessionId: param('id') }
+  },
+
+  // Admin Dashboard
+  'AGENCE_SERVICE.ADMIN.DASHBOARD': {
+    path: '/api/v1/agence/admin/dashboard',
+    query: { idAgence: param('string') }
+  },
+  'AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH': { path: '/api/v1/agence/admin/dashboard/health' },
+  'AGENCE_SERVICE.ADMIN.RECENT_ACTIVITY': {
+    path: '/api/v1/agence/admin/dashboard/recent-activity',
+    query: {
+      limit: param('integer', { default: 50, min: 1, max: 500 }),
+      type: param('string'),
+      idAgence: param('string')
+    }
+  },
+
+  // User Management
+  'AGENCE_SERVICE.USERS.LIST': {
+    path: '/api/v1/agence/admin/users',
+    query: {
+      ...PAGE_PARAMS,
+      ...sortParams('createdAt'),
+      search: param('string'),
+      status: param('string'),
+      role: param('string'),
+      idAgence: param('string')
+    }
+  },
+  'AGENCE_SERVICE.USERS.DETAILS': {
+    path: '/api/v1/agence/admin/users/:userId',
+    params: { userId: param('id') }
+  },
+  'AGENCE_SERVICE.USERS.STATISTICS': {
+    path: '/api/v1/agence/admin/users/statistics',
+    query: { idAgence: param('string') }
+  },
+  'AGENCE_SERVICE.USERS.EXPORT': { method: 'POST', path: '/api/v1/agence/admin/users/export' },
+  'AGENCE_SERVICE.USERS.CREATE': { method: 'POST', path: '/api/v1/agence/admin/users' },
+  'AGENCE_SERVICE.USERS.UPDATE': {
+    method: 'PUT',
+    path: '/api/v1/agence/admin/users/:userId',
+    params: { userId: param('id') }
+  },
+  'AGENCE_SERVICE.USERS.BLOCK': {
+    method: 'POST',
+    path: '/api/v1/agence/admin/users/:userId/block',
+    params: { userId: param('id') }
+  },
+  'AGENCE_SERVICE.USERS.UNBLOCK': {
+    method: 'POST',
+    path: '/api/v1/agence/admin/users/:userId/unblock',
+    params: { userId: param('id') }
+  },
+  'AGENCE_SERVICE.USERS.SESSIONS': {
+    path: '/api/v1/agence/admin/users/:userId/sessions',
+    params: { userId: param('id') }
+  },
+  'AGENCE_SERVICE.USERS.REVOKE_SESSION': {
+    method: 'DELETE',
+    path: '/api/v1/agence/admin/users/:userId/sessions/:sessionId',
+    params: { userId: param('id'), sessionId: param('id') }
+  },
+
+  // Document Management
+  'AGENCE_SERVICE.DOCUMENTS.PENDING': {
+    path: '/api/v1/agence/admin/documents/pending',
+    query: {
+      ...PAGE_PARAMS,
+      ...sortParams('submissionDate'),
+      type: param('string'),
+      priority: param('string'),
+      idAgence: param('string')
+    }
+  },
+  'AGENCE_SERVICE.DOCUMENTS.REVIEW': {
+    path: '/api/v1/agence/admin/documents/:documentId/review',
+    params: { documentId: param('id') }
+  },
+  'AGENCE_SERVICE.DOCUMENTS.APPROVE': {
+    method: 'POST',
+    path: '/api/v1/agence/admin/documents/:documentId/approve',
+    params: { documentId: param('id') }
+  },
+  'AGENCE_SERVICE.DOCUMENTS.REJECT': {
+    method: 'POST',
+    path: '/api/v1/agence/admin/documents/:documentId/reject',
+    params: { documentId: param('id') }
+  },
+  'AGENCE_SERVICE.DOCUMENTS.STATISTICS': {
+    path: '/api/v1/agence/admin/documents/statistics',
+    query: {
+      period: param('string', { default: 'monthly', enum: ['daily', 'weekly', 'monthly'] }),
+      startDate: param('date'),
+      endDate: param('date'),
+      idAgence: param('string')
+    }
+  },
+  'AGENCE_SERVICE.DOCUMENTS.BULK_APPROVE': { method: 'POST', path: '/api/v1/agence/admin/documents/bulk-approve' },
+  'AGENCE_SERVICE.DOCUMENTS.BULK_REJECT': { method: 'POST', path: '/api/v1/agence/admin/documents/bulk-reject' },
+  'AGENCE_SERVICE.DOCUMENTS.UPLOAD': {
+    method: 'POST',
+    path: '/api/v1/agence/admin/users/:userId/documents',
+    params: { userId: param('id') }
+  },
+
+  // Resumable uploads (large KYC files sent in chunks)
+  'AGENCE_SERVICE.UPLOADS.CREATE': { method: 'POST', path: '/api/v1/agence/uploads' },
+  'AGENCE_SERVICE.UPLOADS.CHUNK': {
+    method: 'PUT',
+    path: '/api/v1/agence/uploads/:uploadId',
+    params: { uploadId: param('string') }
+  },
+  'AGENCE_SERVICE.UPLOADS.STATUS': {
+    path: '/api/v1/agence/uploads/:uploadId',
+    params: { uploadId: param('string') }
+  },
+  'AGENCE_SERVICE.UPLOADS.COMPLETE': {
+    method: 'POST',
+    path: '/api/v1/agence/uploads/:uploadId/complete',
+    params: { uploadId: param('string') }
+  },
+
+  // Monitoring
+  'AGENCE_SERVICE.HEALTH': { path: '/actuator/health' },
+
+  // =====================================
+  // MONEY SERVICE
+  // =====================================
+
+  'MONEY_SERVICE.DEPOSIT': { method: 'POST', path: '/api/deposit' },
+  'MONEY_SERVICE.WITHDRAWAL': { method: 'POST', path: '/api/withdrawal' },
+  'MONEY_SERVICE.TRANSFER': { method: 'POST', path: '/api/transfer' },
+  'MONEY_SERVICE.PAYMENT_STATUS': {
+    path: '/api/payment/:transactionId/status',
+    params: { transactionId: param('id') }
+  },
+  'MONEY_SERVICE.HEALTH': { path: '/actuator/health' }
+};
+
+/**
+ * Error thrown when endpoint params are invalid
+ */
+export class EndpointParamsError extends Error {
+  /**
+   * @param {string} name - Endpoint name
+   * @param {string[]} errors - Validation errors
+   */
+  constructor(name, errors) {
+    super(`Invalid parameters for ${name}: ${errors.join('; ')}`);
+    this.name = 'EndpointParamsError';
+    this.code = 'INVALID_ENDPOINT_PARAMS';
+    this.endpoint = name;
+    this.errors = errors;
+  }
+}
+
+// =====================================
+// VALIDATION
+// =====================================
+
+/**
+ * Value checks by param type
+ */
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: (value) => (value instanceof Date && !Number.isNaN(value.getTime()))
+    || (typeof value === 'string' && !Number.isNaN(Date.parse(value))),
+  id: (value) => (typeof value === 'string' && value !== '') || Number.isInteger(value)
+};
+
+/**
+ * Check whether a value counts as "not provided"
+ * @param {*} value - Param value
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate one param value against its declaration
+ * @param {string} key - Param name
+ * @param {*} value - Param value
+ * @param {Object} spec - Param declaration
+ * @returns {string|null} Error message, or null when valid
+ */
+const checkParam = (key, value, spec) => {
+  if (!TYPE_CHECKS[spec.type](value)) {
+    return `${key} must be of type ${spec.type}`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${key} must be one of ${spec.enum.join(', ')}`;
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return `${key} must be >= ${spec.min}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `${key} must be <= ${spec.max}`;
+  }
+  return null;
+};
+
+/**
+ * Serialise a param value for the URL
+ * @param {*} value - Validated value
+ * @returns {string} String value
+ */
+const serialize = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+/**
+ * Get an endpoint declaration
+ * @param {string} name - Endpoint name
+ * @returns {Object} Declaration
+ * @throws {Error} For unknown endpoints
+ */
+export const getEndpoint = (name) => {
+  const endpoint = ENDPOINT_REGISTRY[name];
+  if (!endpoint) {
+    throw new Error(`Unknown endpoint: ${name}`);
+  }
+  return endpoint;
+};
+
+/**
+ * Build the path and query string of an endpoint
+ * Path and query params are passed together; undefined, null and '' count as absent
+ * @param {string} name - Endpoint name (e.g. 'AGENCE_SERVICE.USERS.LIST')
+ * @param {Object} params - Path and query params
+ * @returns {string} Path with query string
+ * @throws {EndpointParamsError} For unknown, missing or invalid params
+ */
+export const buildPath = (name, params = {}) => {
+  const endpoint = getEndpoint(name);
+  const pathSpecs = endpoint.params || {};
+  const querySpecs = endpoint.query || {};
+  const errors = [];
+
+  Object.keys(params).forEach((key) => {
+    if (!(key in pathSpecs) && !(key in querySpecs)) {
+      errors.push(`unknown parameter ${key}`);
+    }
+  });
+
+  let path = endpoint.path;
+  Object.entries(pathSpecs).forEach(([key, spec]) => {
+    const value = params[key];
+    if (isEmpty(value)) {
+      errors.push(`missing path parameter ${key}`);
+      return;
+    }
+    const error = checkParam(key, value, spec);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    path = path.replace(`:${key}`, encodeURIComponent(serialize(value)));
+  });
+
+  const query = new URLSearchParams();
+  Object.entries(querySpecs).forEach(([key, spec]) => {
+    const value = isEmpty(params[key]) ? spec.default : params[key];
+    if (isEmpty(value)) {
+      if (spec.required) {
+        errors.push(`missing query parameter ${key}`);
+      }
+      return;
+    }
+    const error = checkParam(key, value, spec);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    query.append(key, serialize(value));
+  });
+
+  if (errors.length > 0) {
+    throw new EndpointParamsError(name, errors);
+  }
+
+  const queryString = query.toString();
+  return queryString ? `${path}?${queryString}` : path;
+};
+
+// =====================================
+// MATCHING
+// =====================================
+
+/**
+ * Path matchers by service, static paths first (users/statistics before users/:userId)
+ */
+const PATH_MATCHERS = Object.entries(ENDPOINT_REGISTRY)
+  .map(([name, endpoint]) => {
+    const paramNames = [];
+    const pattern = endpoint.path.replace(/:(\w+)/g, (match, key) => {
+      paramNames.push(key);
+      return '([^/]+)';
+    });
+
+    return {
+      name,
+      service: name.split('.')[0],
+      method: endpoint.method || 'GET',
+      regex: new RegExp(`^${pattern}$`),
+      paramNames
+    };
+  })
+  .sort((a, b) => a.paramNames.length - b.paramNames.length);
+
+/**
+ * Find the endpoint answering a request, the reverse of buildPath
+ * @param {string} service - Service name (e.g. 'AGENCE_SERVICE')
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, with or without query string
+ * @returns {Object|null} { name, params } or null when no endpoint matches
+ */
+export const matchEndpoint = (service, method, path) => {
+  const [pathname] = path.split('?');
+  const upperMethod = method.toUpperCase();
+
+  for (const matcher of PATH_MATCHERS) {
+    if (matcher.service !== service || matcher.method !== upperMethod) continue;
+
+    const values = matcher.regex.exec(pathname);
+    if (values) {
+      return {
+        name: matcher.name,
+        params: Object.fromEntries(
+          matcher.paramNames.map((key, index) => [key, decodeURIComponent(values[index + 1])])
+        )
+      };
+    }
+  }
+  return null;
+};
+
+// =====================================
+// LEGACY ENDPOINTS TREE
+// =====================================
+
+/**
+ * Derive the nested ENDPOINTS tree: plain paths become strings, paths with
+ * params become functions taking the params in template order
+ * @returns {Object} Endpoints tree
+ */
+const buildEndpointsTree = () => {
+  const tree = {};
+
+  Object.entries(ENDPOINT_REGISTRY).forEach(([name, endpoint]) => {
+    const segments = name.split('.');
+    const leaf = segments.pop();
+    const parent = segments.reduce((node, segment) => {
+      node[segment] = node[segment] || {};
+      return node[segment];
+    }, tree);
+
+    const pathKeys = Object.keys(endpoint.params || {});
+    parent[leaf] = pathKeys.length === 0
+      ? endpoint.path
+      : (...values) => pathKeys.reduce(
+        (path, key, index) => path.replace(`:${key}`, encodeURIComponent(values[index])),
+        endpoint.path
+      );
+  });
+
+  return tree;
+};
+
+/**
+ * API Endpoints, organised by service (paths only, no query string)
+ * Prefer buildUrl / buildPath, which validate params
+ */
+export const ENDPOINTS = buildEndpointsTree();
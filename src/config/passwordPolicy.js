@@ -0,0 +1,110 @@
+/**
+ * 🔑 Password Policy
+ *
+ * Rules for back-office passwords, shared by the change-password form (live
+ * feedback) and the mock backend (enforcement):
+ * - Minimum length and the four character classes
+ * - No reuse of the current password, no username inside the password
+ * - Strength score from length, variety and common patterns
+ *
+ * The server also refuses the last PASSWORD_POLICY.HISTORY_SIZE passwords,
+ * which the browser cannot check.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// =====================================
+// POLICY
+// =====================================
+
+export const PASSWORD_POLICY = {
+  MIN_LENGTH: 10,
+  MIN_STRENGTH: 3,    // 'Fort' or better
+  HISTORY_SIZE: 5     // Previous passwords refused by the server
+};
+
+/**
+ * Strength levels, by score
+ */
+export const PASSWORD_STRENGTH_LABELS = ['Très faible', 'Faible', 'Moyen', 'Fort', 'Très fort'];
+
+/**
+ * Predictable fragments that weaken a password
+ */
+const COMMON_PATTERNS = [
+  /password/i, /motdepasse/i, /azerty/i, /qwerty/i, /admin/i, /ensf/i, /wallet/i,
+  /012|123|234|345|456|567|678|789|abc/i,
+  /(.)\1{2,}/
+];
+
+/**
+ * Policy rules: each checks the password against the context
+ * { currentPassword, username }
+ */
+const RULES = [
+  {
+    id: 'length',
+    label: `Au moins ${PASSWORD_POLICY.MIN_LENGTH} caractères`,
+    test: (password) => password.length >= PASSWORD_POLICY.MIN_LENGTH
+  },
+  { id: 'lowercase', label: 'Une lettre minuscule', test: (password) => /[a-z]/.test(password) },
+  { id: 'uppercase', label: 'Une lettre majuscule', test: (password) => /[A-Z]/.test(password) },
+  { id: 'digit', label: 'Un chiffre', test: (password) => /\d/.test(password) },
+  { id: 'special', label: 'Un caractère spécial', test: (password) => /[^A-Za-z0-9]/.test(password) },
+  {
+    id: 'reuse',
+    label: 'Différent du mot de passe actuel',
+    test: (password, { currentPassword }) => !currentPassword || password !== currentPassword
+  },
+  {
+    id: 'username',
+    label: 'Ne contient pas le nom d\'utilisateur',
+    test: (password, { username }) => !username || !password.toLowerCase().includes(username.toLowerCase())
+  }
+];
+
+// =====================================
+// CHECKS
+// =====================================
+
+/**
+ * Score a password from 0 (very weak) to 4 (very strong)
+ * @param {string} password - Password
+ * @returns {number} Score
+ */
+export const getPasswordStrength = (password = '') => {
+  if (!password) return 0;
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+  const lengthPoints = password.length >= 16 ? 2 : password.length >= PASSWORD_POLICY.MIN_LENGTH ? 1 : 0;
+  const penalty = COMMON_PATTERNS.filter(pattern => pattern.test(password)).length;
+
+  return Math.max(0, Math.min(4, classes - 1 + lengthPoints - penalty));
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password - New password
+ * @param {Object} context - { currentPassword, username }
+ * @returns {Object} { rules: [{ id, label, passed }], strength, strengthLabel, isValid }
+ */
+export const checkPasswordPolicy = (password = '', context = {}) => {
+  const rules = RULES.map(({ id, label, test }) => ({ id, label, passed: test(password, context) }));
+  const strength = getPasswordStrength(password);
+
+  return {
+    rules,
+    strength,
+    strengthLabel: PASSWORD_STRENGTH_LABELS[strength],
+    isValid: rules.every(rule => rule.passed) && strength >= PASSWORD_POLICY.MIN_STRENGTH
+  };
+};
+
+export default {
+  PASSWORD_POLICY,
+  PASSWORD_STRENGTH_LABELS,
+  getPasswordStrength,
+  checkPasswordPolicy
+};
@@ -0,0 +1,154 @@
+/**
+ * 🛡️ Permission Model
+ *
+ * Role-based access control for the back-office:
+ * - Permissions are `resource:action` strings
+ * - Roles come from the JWT `roles` claim (ADMIN, SUPERVISOR, AGENCE, CLIENT)
+ * - A user holds the union of the permissions of their roles
+ * - Dashboard tabs map to the permission needed to open them
+ *
+ * The UI hides what a user cannot do; the backend remains the authority.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// =====================================
+// PERMISSIONS
+// =====================================
+
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard:view',
+  USERS_VIEW: 'users:view',
+  USERS_CREATE: 'users:create',
+  USERS_EDIT: 'users:edit',
+  USERS_BLOCK: 'users:block',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_SESSIONS: 'users:sessions',
+  USERS_EXPORT: 'users:export',
+  DOCUMENTS_VIEW: 'documents:view',
+  DOCUMENTS_UPLOAD: 'documents:upload',
+  DOCUMENTS_APPROVE: 'documents:approve',
+  AGENCIES_VIEW: 'agencies:view',
+  ACCOUNTS_VIEW: 'accounts:view',
+  TRANSACTIONS_VIEW: 'transactions:view',
+  ANALYTICS_VIEW: 'analytics:view',
+  SYSTEM_VIEW: 'system:view',
+  REPORTS_VIEW: 'reports:view'
+};
+
+// =====================================
+// ROLES
+// =====================================
+
+/**
+ * Permissions granted by each role of the JWT `roles` claim
+ */
+export const ROLE_PERMISSIONS = {
+  // Bank headquarters: everything
+  ADMIN: Object.values(PERMISSIONS),
+
+  // Compliance: reviews documents and reads everything else, changes no account
+  SUPERVISOR: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_EXPORT,
+    PERMISSIONS.DOCUMENTS_VIEW,
+    PERMISSIONS.DOCUMENTS_APPROVE,
+    PERMISSIONS.AGENCIES_VIEW,
+    PERMISSIONS.TRANSACTIONS_VIEW,
+    PERMISSIONS.ANALYTICS_VIEW,
+    PERMISSIONS.REPORTS_VIEW
+  ],
+
+  // Agency staff: runs the agency's clients and KYC
+  AGENCE: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_CREATE,
+    PERMISSIONS.USERS_EDIT,
+    PERMISSIONS.USERS_BLOCK,
+    PERMISSIONS.USERS_UNLOCK,
+    PERMISSIONS.DOCUMENTS_VIEW,
+    PERMISSIONS.DOCUMENTS_UPLOAD,
+    PERMISSIONS.DOCUMENTS_APPROVE,
+    PERMISSIONS.AGENCIES_VIEW,
+    PERMISSIONS.ACCOUNTS_VIEW,
+    PERMISSIONS.TRANSACTIONS_VIEW
+  ],
+
+  // Wallet clients have no back-office access
+  CLIENT: []
+};
+
+/**
+ * Permission needed to open each dashboard tab
+ */
+export const TAB_PERMISSIONS = {
+  overview: PERMISSIONS.DASHBOARD_VIEW,
+  users: PERMISSIONS.USERS_VIEW,
+  documents: PERMISSIONS.DOCUMENTS_VIEW,
+  agencies: PERMISSIONS.AGENCIES_VIEW,
+  accounts: PERMISSIONS.ACCOUNTS_VIEW,
+  transactions: PERMISSIONS.TRANSACTIONS_VIEW,
+  analytics: PERMISSIONS.ANALYTICS_VIEW,
+  system: PERMISSIONS.SYSTEM_VIEW,
+  reports: PERMISSIONS.REPORTS_VIEW
+};
+
+/**
+ * Dashboard variants: headquarters or agency
+ * Roles without back-office access (CLIENT, unknown roles) get no variant
+ */
+export const DASHBOARD_ROLES = {
+  BANK_ADMIN: 'BANK_ADMIN',
+  AGENCY_DIRECTOR: 'AGENCY_DIRECTOR'
+};
+
+// =====================================
+// HELPERS
+// =====================================
+
+/**
+ * Permissions granted by a list of roles (unknown roles grant nothing)
+ * @param {Array<string>} roles - Roles from the JWT claim
+ * @returns {Array<string>} Permissions, without duplicates
+ */
+export const getPermissionsForRoles = (roles = []) => {
+  const permissions = new Set();
+  roles.forEach(role => (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission)));
+  return [...permissions];
+};
+
+/**
+ * Whether a list of roles makes an agency director, confined to one agency
+ * @param {Array<string>} roles - Roles from the JWT claim
+ * @returns {boolean} True for agency staff without headquarters rights
+ */
+export const isAgencyDirector = (roles = []) => roles.includes('AGENCE') && !roles.includes('ADMIN');
+
+/**
+ * Dashboard variant for a list of roles
+ * ADMIN outranks AGENCE, which outranks SUPERVISOR: agency staff stay on their
+ * agency's dashboard even with compliance rights
+ * @param {Array<string>} roles - Roles from the JWT claim
+ * @returns {string|null} DASHBOARD_ROLES value, or null without back-office role
+ */
+export const getDashboardRole = (roles = []) => {
+  if (roles.includes('ADMIN')) return DASHBOARD_ROLES.BANK_ADMIN;
+  if (isAgencyDirector(roles)) return DASHBOARD_ROLES.AGENCY_DIRECTOR;
+  // Compliance reviews every agency, from headquarters
+  if (roles.includes('SUPERVISOR')) return DASHBOARD_ROLES.BANK_ADMIN;
+  return null;
+};
+
+export default {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  TAB_PERMISSIONS,
+  DASHBOARD_ROLES,
+  getPermissionsForRoles,
+  isAgencyDirector,
+  getDashboardRole
+};
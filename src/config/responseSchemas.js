@@ -0,0 +1,409 @@
+/**
+ * 📐 Response Schemas
+ *
+ * Shape of the response body of every registry endpoint, as read by the
+ * service wrappers and the dashboard components:
+ * - Declared per endpoint name, next to ENDPOINT_REGISTRY
+ * - Fields are required unless marked `optional`; `nullable` allows null
+ * - Extra fields are accepted, so backends can add data without warnings
+ * - validateResponse lists mismatches; the HTTP client warns about them in
+ *   development (see SCHEMA_CONFIG)
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// =====================================
+// SCHEMA BUILDERS
+// =====================================
+
+/**
+ * Declare a value
+ * @param {string} type - 'string', 'number', 'integer', 'boolean', 'date' (ISO string), 'any'
+ * @param {Object} options - { optional, nullable }
+ * @returns {Object} Schema
+ */
+const value = (type, options = {}) => ({ type, ...options });
+
+const string = (options) => value('string', options);
+const number = (options) => value('number', options);
+const integer = (options) => value('integer', options);
+const boolean = (options) => value('boolean', options);
+const date = (options) => value('date', options);
+const any = (options) => value('any', options);
+
+/**
+ * Declare an object with known fields
+ * @param {Object} fields - Field schemas
+ * @param {Object} options - { optional, nullable }
+ * @returns {Object} Schema
+ */
+const object = (fields = {}, options = {}) => ({ type: 'object', fields, ...options });
+
+/**
+ * Declare an array
+ * @param {Object} items - Item schema
+ * @param {Object} options - { optional, nullable }
+ * @returns {Object} Schema
+ */
+const arrayOf = (items, options = {}) => ({ type: 'array', items, ...options });
+
+/**
+ * Declare an object used as a map (e.g. counts by status)
+ * @param {Object} values - Value schema
+ * @param {Object} options - { optional, nullable }
+ * @returns {Object} Schema
+ */
+const recordOf = (values, options = {}) => ({ type: 'record', values, ...options });
+
+/**
+ * Spring Data page of items
+ * @param {Object} items - Item schema
+ * @returns {Object} Schema
+ */
+const page = (items) => object({
+  content: arrayOf(items),
+  totalElements: integer(),
+  totalPages: integer(),
+  number: integer(),
+  size: integer()
+});
+
+/**
+ * { success, message, data } envelope of the agence admin endpoints
+ * @param {Object} data - Payload schema
+ * @returns {Object} Schema
+ */
+const envelope = (data = any()) => object({
+  success: boolean(),
+  message: string({ optional: true }),
+  data
+});
+
+// =====================================
+// SHARED SHAPES
+// =====================================
+
+const AGENCE_USER = object({
+  id: any(),
+  username: string(),
+  email: string(),
+  nom: string(),
+  prenom: string(),
+  roles: arrayOf(string()),
+  status: string(),
+  idAgence: string({ optional: true, nullable: true }),
+  nomAgence: string({ optional: true, nullable: true }),
+  lastLogin: date({ optional: true, nullable: true })
+});
+
+const KYC_DOCUMENT = object({
+  id: any(),
+  nom: string(),
+  prenom: string(),
+  email: string(),
+  cni: string(),
+  status: string(),
+  documentType: string({ optional: true }),
+  hasRecto: boolean(),
+  hasVerso: boolean(),
+  hasSelfie: boolean(),
+  idAgence: string({ nullable: true }),
+  nomAgence: string({ optional: true, nullable: true }),
+  uploadedAt: date({ optional: true, nullable: true }),
+  createdAt: date()
+});
+
+const KYC_REVIEW = object({
+  ...KYC_DOCUMENT.fields,
+  numero: string(),
+  rectoCniUrl: string({ nullable: true }),
+  versoCniUrl: string({ nullable: true }),
+  selfieUrl: string({ nullable: true }),
+  facialSimilarityScore: number({ nullable: true }),
+  livenessDetected: boolean()
+});
+
+// Session opened by a completed two-factor login
+const AGENCE_SESSION = object({
+  accessToken: string(),
+  refreshToken: string(),
+  username: string(),
+  email: string(),
+  nom: string(),
+  prenom: string(),
+  roles: arrayOf(string()),
+  idAgence: string({ nullable: true }),
+  nomAgence: string({ nullable: true }),
+  deviceToken: string({ optional: true }),
+  trustedUntil: date({ optional: true }),
+  remainingBackupCodes: integer({ optional: true }),
+  passwordChangeRequired: boolean({ optional: true }),
+  passwordChangeReason: string({ optional: true, nullable: true }),
+  message: string({ optional: true })
+});
+
+// authService reads `token`, AdminLoginPage reads `accessToken`
+const REFRESHED_TOKENS = object({
+  token: string(),
+  refreshToken: string()
+});
+
+// Signed-in device of a back-office user; `current` marks the caller's own session
+const ACTIVE_SESSION = object({
+  sessionId: any(),
+  device: string(),
+  ipAddress: string({ nullable: true }),
+  loginAt: date(),
+  lastSeenAt: date(),
+  current: boolean({ optional: true })
+});
+
+const MONEY_OPERATION = object({
+  transactionId: any(),
+  status: string()
+});
+
+const ACTUATOR_HEALTH = object({
+  status: string()
+});
+
+// =====================================
+// SCHEMAS BY ENDPOINT
+// =====================================
+
+export const RESPONSE_SCHEMAS = {
+  // User Service
+  'USER_SERVICE.REGISTER': object(),
+  'USER_SERVICE.LOGIN': object({
+    token: string(),
+    refreshToken: string(),
+    user: object()
+  }),
+  'USER_SERVICE.LOGOUT': any(),
+  'USER_SERVICE.REFRESH': REFRESHED_TOKENS,
+  'USER_SERVICE.PROFILE': object(),
+  'USER_SERVICE.UPDATE_PROFILE': object(),
+  'USER_SERVICE.SEARCH': page(object()),
+  // Read by combinedStatistics in useDashboardData
+  'USER_SERVICE.STATISTICS': object({
+    totalClients: integer(),
+    activeClients: integer(),
+    pendingClients: integer(),
+    blockedClients: integer(),
+    rejectedClients: integer(),
+    newClientsToday: integer(),
+    newClientsThisWeek: integer(),
+    newClientsThisMonth: integer(),
+    clientsWithAccounts: integer(),
+    clientsWithTransactions: integer(),
+    totalAccountBalance: number(),
+    statusDistribution: recordOf(integer()),
+    agencyDistribution: recordOf(integer()),
+    registrationTrends: recordOf(number()),
+    source: string(),
+    generatedAt: date()
+  }),
+  'USER_SERVICE.UNLOCK': object(),
+  'USER_SERVICE.BALANCE': object({
+    balance: number()
+  }),
+  'USER_SERVICE.TRANSACTIONS': page(object({
+    transactionId: any(),
+    type: string(),
+    amount: number(),
+    status: string(),
+    createdAt: date()
+  })),
+  'USER_SERVICE.DEPOSIT': MONEY_OPERATION,
+  'USER_SERVICE.WITHDRAWAL': MONEY_OPERATION,
+  'USER_SERVICE.TRANSFER': MONEY_OPERATION,
+  'USER_SERVICE.HEALTH': ACTUATOR_HEALTH,
+
+  // Agence Service - authentication
+  // Accounts with MFA get the challenge instead of the session
+  'AGENCE_SERVICE.AUTH.LOGIN': object({
+    accessToken: string({ optional: true }),
+    username: string({ optional: true }),
+    email: string({ optional: true }),
+    nom: string({ optional: true }),
+    prenom: string({ optional: true }),
+    roles: arrayOf(string(), { optional: true }),
+    idAgence: string({ optional: true, nullable: true }),
+    nomAgence: string({ optional: true, nullable: true }),
+    mfaRequired: boolean({ optional: true }),
+    mfaToken: string({ optional: true }),
+    mfaMethods: arrayOf(string(), { optional: true }),
+    passwordChangeRequired: boolean({ optional: true }),
+    passwordChangeReason: string({ optional: true, nullable: true }),
+    message: string({ optional: true })
+  }),
+  'AGENCE_SERVICE.AUTH.MFA_VERIFY': AGENCE_SESSION,
+  'AGENCE_SERVICE.AUTH.REFRESH': REFRESHED_TOKENS,
+  'AGENCE_SERVICE.AUTH.LOGOUT': any(),
+  'AGENCE_SERVICE.AUTH.CHANGE_PASSWORD': object(),
+  'AGENCE_SERVICE.AUTH.SESSIONS': arrayOf(ACTIVE_SESSION),
+  'AGENCE_SERVICE.AUTH.REVOKE_SESSION': object(),
+
+  // Agence Service - dashboard
+  'AGENCE_SERVICE.ADMIN.DASHBOARD': object({
+    userStatistics: object({
+      totalUsers: integer(),
+      activeUsers: integer(),
+      pendingUsers: integer(),
+      blockedUsers: integer()
+    })
+  }),
+  'AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH': object({
+    status: string(),
+    database: string(),
+    messaging: string(),
+    dependencies: recordOf(string(), { optional: true }),
+    timestamp: date()
+  }),
+  'AGENCE_SERVICE.ADMIN.RECENT_ACTIVITY': object({
+    recentLogins: arrayOf(object({ user: string(), timestamp: date() }), { optional: true }),
+    recentUserCreations: any({ optional: true }),
+    systemEvents: arrayOf(object({ event: string(), timestamp: date() }), { optional: true }),
+    pendingTasks: integer({ optional: true }),
+    message: string({ optional: true })
+  }),
+
+  // Agence Service - users
+  'AGENCE_SERVICE.USERS.LIST': page(AGENCE_USER),
+  'AGENCE_SERVICE.USERS.DETAILS': AGENCE_USER,
+  'AGENCE_SERVICE.USERS.STATISTICS': envelope(object({
+    totalUsers: integer(),
+    activeUsers: integer(),
+    pendingUsers: integer(),
+    blockedUsers: integer()
+  })),
+  'AGENCE_SERVICE.USERS.EXPORT': string(),
+  // The temporary password is only given back on creation
+  'AGENCE_SERVICE.USERS.CREATE': object({
+    ...AGENCE_USER.fields,
+    temporaryPassword: string({ optional: true })
+  }),
+  'AGENCE_SERVICE.USERS.UPDATE': AGENCE_USER,
+  'AGENCE_SERVICE.USERS.BLOCK': envelope(),
+  'AGENCE_SERVICE.USERS.UNBLOCK': envelope(),
+  'AGENCE_SERVICE.USERS.SESSIONS': envelope(arrayOf(ACTIVE_SESSION)),
+  'AGENCE_SERVICE.USERS.REVOKE_SESSION': envelope(),
+
+  // Agence Service - documents
+  'AGENCE_SERVICE.DOCUMENTS.PENDING': page(KYC_DOCUMENT),
+  'AGENCE_SERVICE.DOCUMENTS.REVIEW': envelope(KYC_REVIEW),
+  'AGENCE_SERVICE.DOCUMENTS.APPROVE': envelope(),
+  'AGENCE_SERVICE.DOCUMENTS.REJECT': envelope(),
+  'AGENCE_SERVICE.DOCUMENTS.STATISTICS': envelope(object({
+    totalDocuments: integer(),
+    pendingDocuments: integer(),
+    approvedDocuments: integer(),
+    rejectedDocuments: integer(),
+    approvalRate: number(),
+    averageProcessingTime: string()
+  })),
+  'AGENCE_SERVICE.DOCUMENTS.BULK_APPROVE': envelope(),
+  'AGENCE_SERVICE.DOCUMENTS.BULK_REJECT': envelope(),
+  'AGENCE_SERVICE.DOCUMENTS.UPLOAD': object({ id: any() }),
+
+  // Agence Service - resumable uploads
+  'AGENCE_SERVICE.UPLOADS.CREATE': object({ uploadId: string() }),
+  'AGENCE_SERVICE.UPLOADS.CHUNK': any(),
+  'AGENCE_SERVICE.UPLOADS.STATUS': object({ receivedBytes: integer() }),
+  'AGENCE_SERVICE.UPLOADS.COMPLETE': object({ id: any() }),
+  'AGENCE_SERVICE.HEALTH': ACTUATOR_HEALTH,
+
+  // Money Service
+  'MONEY_SERVICE.DEPOSIT': MONEY_OPERATION,
+  'MONEY_SERVICE.WITHDRAWAL': MONEY_OPERATION,
+  'MONEY_SERVICE.TRANSFER': MONEY_OPERATION,
+  'MONEY_SERVICE.PAYMENT_STATUS': object({
+    transactionId: any(),
+    status: string()
+  }),
+  'MONEY_SERVICE.HEALTH': ACTUATOR_HEALTH
+};
+
+// =====================================
+// VALIDATION
+// =====================================
+
+// Stop collecting after this many mismatches: one drifted list item is enough to report
+const MAX_ERRORS = 10;
+
+/**
+ * Value checks by schema type
+ */
+const TYPE_CHECKS = {
+  string: (actual) => typeof actual === 'string',
+  number: (actual) => typeof actual === 'number' && Number.isFinite(actual),
+  integer: (actual) => Number.isInteger(actual),
+  boolean: (actual) => typeof actual === 'boolean',
+  date: (actual) => typeof actual === 'string' && !Number.isNaN(Date.parse(actual)),
+  any: () => true,
+  object: (actual) => actual !== null && typeof actual === 'object' && !Array.isArray(actual),
+  record: (actual) => actual !== null && typeof actual === 'object' && !Array.isArray(actual),
+  array: (actual) => Array.isArray(actual)
+};
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} actual - Value
+ * @returns {string} Type description
+ */
+const describe = (actual) => {
+  if (actual === null) return 'null';
+  if (Array.isArray(actual)) return 'array';
+  return typeof actual;
+};
+
+/**
+ * Validate a value against a schema, collecting mismatches
+ * @param {Object} schema - Schema
+ * @param {*} actual - Value
+ * @param {string} path - Location of the value, for error messages
+ * @param {string[]} errors - Collected errors
+ */
+const check = (schema, actual, path, errors) => {
+  if (errors.length >= MAX_ERRORS) return;
+
+  if (actual === undefined) {
+    if (!schema.optional && schema.type !== 'any') errors.push(`${path} is missing`);
+    return;
+  }
+  if (actual === null) {
+    if (!schema.nullable && schema.type !== 'any') errors.push(`${path} is null`);
+    return;
+  }
+  if (!TYPE_CHECKS[schema.type](actual)) {
+    errors.push(`${path} should be ${schema.type === 'date' ? 'an ISO date string' : `of type ${schema.type}`}, got ${describe(actual)}`);
+    return;
+  }
+
+  if (schema.type === 'object') {
+    Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+      check(fieldSchema, actual[key], `${path}.${key}`, errors);
+    });
+  } else if (schema.type === 'array') {
+    actual.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+  } else if (schema.type === 'record') {
+    Object.entries(actual).forEach(([key, item]) => check(schema.values, item, `${path}.${key}`, errors));
+  }
+};
+
+/**
+ * Validate a response body against the schema of its endpoint
+ * @param {string} name - Endpoint name (e.g. 'AGENCE_SERVICE.USERS.LIST')
+ * @param {*} data - Response body
+ * @returns {string[]} Mismatches (empty when valid or when the endpoint has no schema)
+ */
+export const validateResponse = (name, data) => {
+  const schema = RESPONSE_SCHEMAS[name];
+  if (!schema) return [];
+
+  const errors = [];
+  check(schema, data, 'response', errors);
+  return errors;
+};
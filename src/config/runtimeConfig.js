@@ -0,0 +1,314 @@
+/**
+ * 🌍 Runtime Configuration Loader
+ *
+ * Loads deployment settings from `/config.json` before the application mounts,
+ * so one build can be deployed to every environment:
+ * - Schema validation with readable error messages
+ * - Environment sections (development, staging, production, ...)
+ * - Per-tenant overrides, selected explicitly or by hostname
+ * - Applied in place to BASE_URLS, TIMEOUT_CONFIG and MOCK_CONFIG
+ *
+ * Example `/config.json` (a fuller one lives in public/config.example.json):
+ *
+ *   {
+ *     "environment": "staging",
+ *     "services": { "USER_SERVICE": "https://users.staging.example.com" },
+ *     "timeouts": { "DEFAULT": 15000 },
+ *     "mock": { "ENABLED": false },
+ *     "environments": {
+ *       "staging": { "services": { "AGENCE_SERVICE": "https://agence.staging.example.com" } }
+ *     },
+ *     "tenants": {
+ *       "douala": {
+ *         "hosts": ["douala.admin.example.com"],
+ *         "services": { "AGENCE_SERVICE": "https://agence-douala.example.com" }
+ *       }
+ *     }
+ *   }
+ *
+ * Precedence: build-time defaults < top-level < environments[environment] < tenants[tenant]
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { BASE_URLS, TIMEOUT_CONFIG, MOCK_CONFIG } from './apiConfig.js';
+
+/**
+ * Location of the runtime config, served next to index.html
+ */
+export const RUNTIME_CONFIG_URL = '/config.json';
+
+/**
+ * Active runtime settings, filled by loadRuntimeConfig
+ */
+const runtimeState = {
+  loaded: false,
+  source: 'build',
+  environment: import.meta.env.MODE,
+  tenant: null
+};
+
+/**
+ * Error thrown when the runtime config is invalid
+ */
+export class RuntimeConfigError extends Error {
+  /**
+   * @param {string[]} errors - Validation errors
+   */
+  constructor(errors) {
+    super(`Invalid runtime configuration:\n- ${errors.join('\n- ')}`);
+    this.name = 'RuntimeConfigError';
+    this.errors = errors;
+  }
+}
+
+// =====================================
+// SCHEMA VALIDATION
+// =====================================
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a section holding services and timeouts
+ * @param {Object} section - Section to validate
+ * @param {string} path - Section path, for error messages
+ * @param {string[]} errors - Collected errors
+ */
+const validateSection = (section, path, errors) => {
+  if (!isPlainObject(section)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (section.services !== undefined) {
+    if (!isPlainObject(section.services)) {
+      errors.push(`${path}.services must be an object`);
+    } else {
+      Object.entries(section.services).forEach(([service, url]) => {
+        if (!(service in BASE_URLS)) {
+          errors.push(`${path}.services.${service} is not a known service (${Object.keys(BASE_URLS).join(', ')})`);
+        } else if (typeof url !== 'string' || !/^https?:\/\/[^\s]+$/.test(url)) {
+          errors.push(`${path}.services.${service} must be an http(s) URL`);
+        }
+      });
+    }
+  }
+
+  if (section.mock !== undefined) {
+    if (!isPlainObject(section.mock)) {
+      errors.push(`${path}.mock must be an object`);
+    } else {
+      Object.entries(section.mock).forEach(([name, value]) => {
+        if (!(name in MOCK_CONFIG)) {
+          errors.push(`${path}.mock.${name} is not a known mock setting (${Object.keys(MOCK_CONFIG).join(', ')})`);
+        } else if (name === 'ENABLED' && typeof value !== 'boolean') {
+          errors.push(`${path}.mock.ENABLED must be a boolean`);
+        } else if (name !== 'ENABLED' && (!Number.isInteger(value) || value < 0)) {
+          errors.push(`${path}.mock.${name} must be a non-negative integer`);
+        }
+      });
+    }
+  }
+
+  if (section.timeouts !== undefined) {
+    if (!isPlainObject(section.timeouts)) {
+      errors.push(`${path}.timeouts must be an object`);
+    } else {
+      Object.entries(section.timeouts).forEach(([name, value]) => {
+        if (!(name in TIMEOUT_CONFIG)) {
+          errors.push(`${path}.timeouts.${name} is not a known timeout (${Object.keys(TIMEOUT_CONFIG).join(', ')})`);
+        } else if (!Number.isInteger(value) || value <= 0) {
+          errors.push(`${path}.timeouts.${name} must be a positive integer (ms)`);
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Validate a runtime config document
+ * @param {Object} config - Parsed config.json
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validateRuntimeConfig = (config) => {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return ['config must be a JSON object'];
+  }
+
+  validateSection(config, 'config', errors);
+
+  if (config.environment !== undefined && typeof config.environment !== 'string') {
+    errors.push('config.environment must be a string');
+  }
+
+  if (config.tenant !== undefined && typeof config.tenant !== 'string') {
+    errors.push('config.tenant must be a string');
+  }
+
+  if (config.environments !== undefined) {
+    if (!isPlainObject(config.environments)) {
+      errors.push('config.environments must be an object');
+    } else {
+      Object.entries(config.environments).forEach(([name, section]) => {
+        validateSection(section, `config.environments.${name}`, errors);
+      });
+    }
+  }
+
+  if (config.tenants !== undefined) {
+    if (!isPlainObject(config.tenants)) {
+      errors.push('config.tenants must be an object');
+    } else {
+      Object.entries(config.tenants).forEach(([name, section]) => {
+        validateSection(section, `config.tenants.${name}`, errors);
+        if (section?.hosts !== undefined && !(Array.isArray(section.hosts) && section.hosts.every(host => typeof host === 'string'))) {
+          errors.push(`config.tenants.${name}.hosts must be an array of hostnames`);
+        }
+      });
+    }
+  }
+
+  if (config.tenant && !config.tenants?.[config.tenant]) {
+    errors.push(`config.tenant "${config.tenant}" has no entry in config.tenants`);
+  }
+
+  return errors;
+};
+
+// =====================================
+// RESOLUTION
+// =====================================
+
+/**
+ * Pick the tenant: explicit `tenant`, otherwise the one listing the current hostname
+ * @param {Object} config - Validated config
+ * @param {string} hostname - Current hostname
+ * @returns {string|null} Tenant name
+ */
+const resolveTenant = (config, hostname) => {
+  if (config.tenant) return config.tenant;
+
+  const match = Object.entries(config.tenants || {}).find(([, tenant]) => tenant.hosts?.includes(hostname));
+  return match ? match[0] : null;
+};
+
+/**
+ * Merge the config layers into final services, timeouts and mock settings
+ * @param {Object} config - Validated config
+ * @param {string} hostname - Current hostname
+ * @returns {Object} { environment, tenant, services, timeouts, mock }
+ */
+export const resolveRuntimeConfig = (config, hostname = '') => {
+  const environment = config.environment || import.meta.env.MODE;
+  const tenant = resolveTenant(config, hostname);
+  const layers = [config, config.environments?.[environment], tenant && config.tenants[tenant]].filter(Boolean);
+
+  return {
+    environment,
+    tenant,
+    services: Object.assign({}, ...layers.map(layer => layer.services)),
+    timeouts: Object.assign({}, ...layers.map(layer => layer.timeouts)),
+    mock: Object.assign({}, ...layers.map(layer => layer.mock))
+  };
+};
+
+/**
+ * Write resolved settings into BASE_URLS, TIMEOUT_CONFIG and MOCK_CONFIG
+ * @param {Object} resolved - Output of resolveRuntimeConfig
+ */
+const applyRuntimeConfig = ({ services, timeouts, mock }) => {
+  Object.entries(services).forEach(([service, url]) => {
+    BASE_URLS[service] = url.replace(/\/+$/, '');
+  });
+  Object.assign(TIMEOUT_CONFIG, timeouts);
+  Object.assign(MOCK_CONFIG, mock);
+
+  // Mock requests never leave the browser, so a demo build needs no real URLs
+  if (MOCK_CONFIG.ENABLED) {
+    Object.keys(BASE_URLS).forEach(service => {
+      BASE_URLS[service] = BASE_URLS[service] || `http://mock.invalid/${service.toLowerCase()}`;
+    });
+  }
+
+  const missing = Object.keys(BASE_URLS).filter(service => !BASE_URLS[service]);
+  if (missing.length > 0) {
+    throw new RuntimeConfigError(missing.map(service => `no URL configured for ${service}`));
+  }
+};
+
+// =====================================
+// LOADING
+// =====================================
+
+/**
+ * Fetch, validate and apply the runtime config
+ * A missing config.json keeps the build-time defaults; an invalid one is fatal
+ * @param {Object} options - Loader options
+ * @param {string} options.url - Config location
+ * @param {string} options.hostname - Hostname used for tenant selection
+ * @returns {Promise<Object>} Active runtime settings
+ */
+export const loadRuntimeConfig = async ({
+  url = RUNTIME_CONFIG_URL,
+  hostname = window.location.hostname
+} = {}) => {
+  let config = null;
+
+  try {
+    // Plain fetch: the HTTP client is not configured yet
+    const response = await fetch(url, { cache: 'no-store', headers: { Accept: 'application/json' } });
+    // SPA fallbacks answer unknown paths with index.html, which is not a config
+    const isJson = response.headers.get('content-type')?.includes('application/json');
+    if (response.ok && isJson) {
+      config = await response.json();
+    } else {
+      console.warn(`⚠️ No runtime config at ${url} (HTTP ${response.status}), using build-time defaults`);
+    }
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new RuntimeConfigError([`${url} is not valid JSON: ${error.message}`]);
+    }
+    console.warn(`⚠️ Runtime config unreachable at ${url}, using build-time defaults:`, error);
+  }
+
+  if (config) {
+    const errors = validateRuntimeConfig(config);
+    if (errors.length > 0) {
+      throw new RuntimeConfigError(errors);
+    }
+
+    const resolved = resolveRuntimeConfig(config, hostname);
+    applyRuntimeConfig(resolved);
+    Object.assign(runtimeState, {
+      source: url,
+      environment: resolved.environment,
+      tenant: resolved.tenant
+    });
+  } else {
+    applyRuntimeConfig({ services: {}, timeouts: {}, mock: {} });
+  }
+
+  runtimeState.loaded = true;
+  console.log(`🌍 Runtime config loaded (${runtimeState.environment}${runtimeState.tenant ? `, tenant ${runtimeState.tenant}` : ''}${MOCK_CONFIG.ENABLED ? ', mock backend' : ''})`);
+  return getRuntimeConfig();
+};
+
+/**
+ * Get the active runtime settings
+ * @returns {Object} { loaded, source, environment, tenant, baseUrls, timeouts, mock }
+ */
+export const getRuntimeConfig = () => ({
+  ...runtimeState,
+  baseUrls: { ...BASE_URLS },
+  timeouts: { ...TIMEOUT_CONFIG },
+  mock: { ...MOCK_CONFIG }
+});
@@ -0,0 +1,177 @@
+/**
+ * 🔐 Authentication Context
+ *
+ * Exposes the authService session to React:
+ * - Current user, token and authentication status
+ * - Login (with its two-factor step), logout, role and permission checks
+ * - Re-renders on every login, token refresh, logout and password change, whoever triggered it
+ * - Follows the other browser tabs (cross-tab sync runs while mounted)
+ * - Restores a stored session through the refresh endpoint on mount
+ *
+ * authService stays the single source of truth; this provider only mirrors it.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import authService from '../services/authService.js';
+
+/**
+ * authService events that change the session
+ */
+const SESSION_EVENTS = ['login', 'tokenRefresh', 'logout', 'passwordChange'];
+
+const AuthContext = createContext(null);
+
+/**
+ * Snapshot of the authService session
+ * @returns {Object} { status, user, token, isAuthenticated, permissions, dashboardRole, agencyScope }
+ */
+const readSession = () => ({
+  status: authService.getStatus(),
+  user: authService.getCurrentUser(),
+  token: authService.getAuthToken(),
+  isAuthenticated: authService.isAuthenticated(),
+  permissions: authService.getPermissions(),
+  dashboardRole: authService.getDashboardRole(),
+  agencyScope: authService.getAgencyScope()
+});
+
+/**
+ * Authentication Provider
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application tree
+ */
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(readSession);
+  // True until the stored session has been checked
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const syncSession = () => setSession(readSession());
+
+    SESSION_EVENTS.forEach(event => authService.addEventListener(event, syncSession));
+    const stopCrossTabSync = authService.startCrossTabSync();
+
+    let isMounted = true;
+    const finishLoading = () => {
+      if (!isMounted) return;
+      syncSession();
+      setIsLoading(false);
+    };
+
+    // The access token is not stored: a stored session needs a refresh first
+    if (authService.hasRestorableSession()) {
+      authService.restoreSession().finally(finishLoading);
+    } else {
+      finishLoading();
+    }
+
+    return () => {
+      isMounted = false;
+      SESSION_EVENTS.forEach(event => authService.removeEventListener(event, syncSession));
+      stopCrossTabSync();
+    };
+  }, []);
+
+  /**
+   * Login to the Agence Service (back-office users)
+   * @param {string} username - Admin username
+   * @param {string} password - Admin password
+   * @returns {Promise<Object>} Login response
+   */
+  const login = useCallback((username, password) => authService.loginAgenceService(username, password), []);
+
+  /**
+   * Complete a login that answered with an MFA challenge
+   * @param {Object} verification - { mfaToken, code, method, trustDevice }
+   * @returns {Promise<Object>} Login response
+   */
+  const verifyMfa = useCallback((verification) => authService.verifyMfa(verification), []);
+
+  /**
+   * Logout everywhere: authService clears the stored session and notifies the server
+   * @returns {Promise<void>}
+   */
+  const logout = useCallback(() => authService.logout(), []);
+
+  /**
+   * Change the password of the current user (clears a forced change)
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Change password response
+   */
+  const changePassword = useCallback((currentPassword, newPassword) => authService.changePassword(currentPassword, newPassword), []);
+
+  /**
+   * List the signed-in sessions of the current user
+   * @returns {Promise<Array>} Sessions, most recently active first
+   */
+  const getSessions = useCallback(() => authService.getSessions(), []);
+
+  /**
+   * Revoke another session of the current user
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Revoke response
+   */
+  const revokeSession = useCallback((sessionId) => authService.revokeSession(sessionId), []);
+
+  /**
+   * Check whether the current user holds a role
+   * @param {string} role - Role name
+   * @returns {boolean} True if the user has the role
+   */
+  const hasRole = useCallback((role) => authService.hasRole(role), []);
+
+  /**
+   * Check whether the current user holds at least one of the roles
+   * @param {Array<string>} roles - Role names
+   * @returns {boolean} True if the user has any of the roles
+   */
+  const hasAnyRole = useCallback((roles) => authService.hasAnyRole(roles), []);
+
+  /**
+   * Check whether the current user holds a permission
+   * Reads the session snapshot, so consumers re-render when it changes
+   * @param {string} permission - Permission (PERMISSIONS value)
+   * @returns {boolean} True if granted
+   */
+  const can = useCallback((permission) => session.permissions.includes(permission), [session.permissions]);
+
+  const value = useMemo(() => ({
+    ...session,
+    isLoading,
+    login,
+    verifyMfa,
+    logout,
+    changePassword,
+    getSessions,
+    revokeSession,
+    hasRole,
+    hasAnyRole,
+    can
+  }), [session, isLoading, login, verifyMfa, logout, changePassword, getSessions, revokeSession, hasRole, hasAnyRole, can]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+/**
+ * Access the authentication context
+ * @returns {Object} { status, user, token, isAuthenticated, permissions, dashboardRole, agencyScope, isLoading, login, verifyMfa, logout, changePassword, getSessions, revokeSession, hasRole, hasAnyRole, can }
+ * @throws {Error} When used outside an AuthProvider
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export default AuthContext;
@@ -0,0 +1,134 @@
+/**
+ * 🔐 Authentication Context Tests
+ *
+ * AuthProvider mirrors authService: sessions started, refreshed or ended
+ * anywhere show up in every consumer.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import authService, { AUTH_STATUS } from '../../services/authService.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { createTestToken } from '../../test/tokens.js';
+import { AuthProvider, useAuth } from '../AuthContext.jsx';
+
+const wrapper = ({ children }) => <AuthProvider>{children}</AuthProvider>;
+
+/**
+ * Build a JSON fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @returns {Response} Response
+ */
+const jsonResponse = (status, body = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+describe('AuthProvider', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn().mockImplementation(async () => jsonResponse(200, { success: true }));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    authService.clearAuthData();
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('starts unauthenticated without a stored session', () => {
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    expect(result.current).toMatchObject({
+      status: AUTH_STATUS.UNAUTHENTICATED,
+      isLoading: false,
+      isAuthenticated: false,
+      user: null,
+      token: null
+    });
+  });
+
+  it('restores a stored session before it stops loading', async () => {
+    const token = createTestToken({ roles: ['ADMIN'] });
+    localStorage.setItem('ensf_auth', JSON.stringify({
+      user: { username: 'admin', roles: ['ADMIN'] },
+      refreshToken: 'refresh-token',
+      authSource: 'AGENCE_SERVICE'
+    }));
+    fetchMock.mockImplementation(async () => jsonResponse(200, { token }));
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    expect(result.current.isLoading).toBe(true);
+
+    await vi.waitFor(() => expect(result.current.isLoading).toBe(false));
+    expect(result.current.status).toBe(AUTH_STATUS.AUTHENTICATED);
+    expect(result.current.token).toBe(token);
+  });
+
+  it('logs in through authService', async () => {
+    const accessToken = createTestToken({ roles: ['ADMIN'] });
+    fetchMock.mockResolvedValue(jsonResponse(200, {
+      accessToken,
+      refreshToken: 'refresh-token',
+      id: 'USR-0001',
+      username: 'admin',
+      roles: ['ADMIN'],
+      role: 'BANK_ADMIN'
+    }));
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    await act(() => result.current.login('admin', 'Admin@123'));
+
+    expect(result.current.status).toBe(AUTH_STATUS.AUTHENTICATED);
+    expect(result.current.token).toBe(accessToken);
+    expect(result.current.user).toMatchObject({ username: 'admin', role: 'BANK_ADMIN' });
+    expect(result.current.hasRole('ADMIN')).toBe(true);
+    expect(result.current.hasAnyRole(['AGENCE'])).toBe(false);
+    expect(result.current.dashboardRole).toBe('BANK_ADMIN');
+  });
+
+  it('exposes the permissions of the token roles', () => {
+    authService.startSession({ token: createTestToken({ roles: ['SUPERVISOR'] }), user: { username: 'controle' } });
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    expect(result.current.dashboardRole).toBe('BANK_ADMIN');
+    expect(result.current.can(PERMISSIONS.DOCUMENTS_APPROVE)).toBe(true);
+    expect(result.current.can(PERMISSIONS.USERS_BLOCK)).toBe(false);
+
+    act(() => {
+      authService.authToken = createTestToken({ roles: ['AGENCE'] });
+      authService.emitEvent('tokenRefresh', {});
+    });
+    expect(result.current.can(PERMISSIONS.USERS_BLOCK)).toBe(true);
+    expect(result.current.dashboardRole).toBe('AGENCY_DIRECTOR');
+  });
+
+  it('follows refreshes and logouts made outside React', async () => {
+    authService.startSession({ token: 'access-token', user: { username: 'admin', roles: ['ADMIN'] } });
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    expect(result.current.isAuthenticated).toBe(true);
+
+    act(() => {
+      authService.authToken = 'refreshed-token';
+      authService.emitEvent('tokenRefresh', {});
+    });
+    expect(result.current.token).toBe('refreshed-token');
+
+    await act(() => authService.logout());
+    expect(result.current).toMatchObject({ isAuthenticated: false, user: null, token: null });
+  });
+
+  it('requires a provider', () => {
+    expect(() => renderHook(() => useAuth())).toThrow('useAuth must be used within an AuthProvider');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * 🚫 Cancellable Request Hook Tests
+ *
+ * Requests tied to the component lifecycle: the latest request of a key wins
+ * and everything still pending is aborted on unmount.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { describe, expect, it } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { getTabCancelGroup, useCancellableRequest } from '../useCancellableRequest';
+
+/**
+ * Request that never settles until its signal is aborted
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<never>} Rejects with a cancelled error on abort
+ */
+const hangingRequest = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => {
+    const error = new Error('Request cancelled');
+    error.code = 'REQUEST_CANCELLED';
+    reject(error);
+  });
+});
+
+describe('useCancellableRequest', () => {
+  it('resolves with the request result and forgets the key', async () => {
+    const { result } = renderHook(() => useCancellableRequest());
+
+    let value;
+    await act(async () => {
+      value = await result.current.run('users', async () => 'loaded');
+    });
+
+    expect(value).toBe('loaded');
+    expect(result.current.isPending('users')).toBe(false);
+  });
+
+  it('aborts the previous request of the same key', async () => {
+    const { result } = renderHook(() => useCancellableRequest());
+
+    const first = result.current.run('users', hangingRequest).catch(error => error);
+    expect(result.current.isPending('users')).toBe(true);
+
+    const second = result.current.run('users', async () => 'latest');
+
+    expect(result.current.isCancelled(await first)).toBe(true);
+    await expect(second).resolves.toBe('latest');
+    expect(result.current.isPending('users')).toBe(false);
+  });
+
+  it('keeps requests of other keys running', async () => {
+    const { result } = renderHook(() => useCancellableRequest());
+
+    const users = result.current.run('users', hangingRequest).catch(error => error);
+    result.current.run('documents', hangingRequest).catch(() => {});
+
+    result.current.cancel('documents');
+
+    expect(result.current.isPending('documents')).toBe(false);
+    expect(result.current.isPending('users')).toBe(true);
+
+    result.current.cancelAll();
+    expect(result.current.isCancelled(await users)).toBe(true);
+  });
+
+  it('aborts every pending request on unmount', async () => {
+    const { result, unmount } = renderHook(() => useCancellableRequest());
+
+    const pending = ['users', 'documents'].map(key => result.current.run(key, hangingRequest).catch(error => error));
+
+    unmount();
+
+    const errors = await Promise.all(pending);
+    expect(errors.every(error => error.code === 'REQUEST_CANCELLED')).toBe(true);
+  });
+
+  it('tells cancellations apart from real failures', () => {
+    const { result } = renderHook(() => useCancellableRequest());
+
+    expect(result.current.isCancelled({ code: 'REQUEST_CANCELLED' })).toBe(true);
+    expect(result.current.isCancelled({ code: 'NETWORK_ERROR', status: 0 })).toBe(false);
+  });
+
+  it('names the cancel group of a dashboard tab', () => {
+    expect(getTabCancelGroup('users')).toBe('tab:users');
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * ⚡ Dashboard Actions Hook Tests
+ *
+ * Document, user and money actions against a stubbed fetch, plus the
+ * confirmation flow, exports and batch helper.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { RETRY_CONFIG, buildUrl } from '../../config/apiConfig.js';
+import authService from '../../services/authService.js';
+import httpClient from '../../services/httpClient.js';
+import { useDashboardActions } from '../useDashboardActions.js';
+import { TEST_ACCESS_TOKEN } from '../../test/tokens.js';
+
+/**
+ * Build a JSON fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @returns {Response} Response
+ */
+const jsonResponse = (status, body = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+/**
+ * Read a Blob as text (jsdom's Blob has no text())
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Content
+ */
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+/**
+ * Render the hook with spied dependencies
+ * @returns {Object} { actions, refreshData, openModal, closeModal, clearSelection }
+ */
+const renderActions = () => {
+  const dependencies = {
+    refreshData: vi.fn().mockResolvedValue(),
+    openModal: vi.fn(),
+    closeModal: vi.fn(),
+    clearSelection: vi.fn()
+  };
+  const { result } = renderHook(() => useDashboardActions(dependencies));
+  return { actions: result.current, ...dependencies };
+};
+
+describe('useDashboardActions', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn().mockImplementation(async () => jsonResponse(200, { success: true }));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    httpClient.clearCache();
+    authService.currentUser = { id: 'USR-0001', role: 'BANK_ADMIN', roles: ['ADMIN'], idClient: 'CLI-00012' };
+    authService.authToken = TEST_ACCESS_TOKEN;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  // =====================================
+  // DOCUMENTS
+  // =====================================
+
+  describe('documents', () => {
+    it('approves a document, refreshes documents and closes the review', async () => {
+      const { actions, refreshData, closeModal } = renderActions();
+
+      const response = await actions.handleDocumentApproval('DOC-0003', { comments: 'Conforme' });
+
+      const [url, config] = fetchMock.mock.calls[0];
+      expect(url).toBe(buildUrl('AGENCE_SERVICE.DOCUMENTS.APPROVE', { documentId: 'DOC-0003' }));
+      expect(JSON.parse(config.body)).toMatchObject({ comments: 'Conforme', approvedBy: 'USR-0001' });
+      expect(response).toEqual({ success: true });
+      expect(refreshData).toHaveBeenCalledWith('documents');
+      expect(closeModal).toHaveBeenCalledWith('documentReview');
+    });
+
+    it('requires a reason to reject, without calling the backend', async () => {
+      const { actions, refreshData } = renderActions();
+
+      await expect(actions.handleDocumentRejection('DOC-0003', {})).rejects.toThrow('Rejection reason is required');
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(refreshData).not.toHaveBeenCalled();
+    });
+
+    it('rejects a document with its reason', async () => {
+      const { actions, closeModal } = renderActions();
+
+      await actions.handleDocumentRejection('DOC-0004', { reason: 'CNI illisible' });
+
+      const [url, config] = fetchMock.mock.calls[0];
+      expect(url).toBe(buildUrl('AGENCE_SERVICE.DOCUMENTS.REJECT', { documentId: 'DOC-0004' }));
+      expect(JSON.parse(config.body)).toMatchObject({ reason: 'CNI illisible' });
+      expect(closeModal).toHaveBeenCalledWith('documentReview');
+    });
+
+    it('clears the selection after a bulk approval', async () => {
+      const { actions, refreshData, clearSelection, closeModal } = renderActions();
+
+      await actions.handleBulkDocumentApproval(['DOC-0005', 'DOC-0006']);
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ documentIds: ['DOC-0005', 'DOC-0006'] });
+      expect(refreshData).toHaveBeenCalledWith('documents');
+      expect(clearSelection).toHaveBeenCalledWith('documents');
+      expect(closeModal).toHaveBeenCalledWith('bulkActions');
+    });
+
+    it('keeps the modal and selection when the backend fails', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(500, { message: 'boom' }));
+      const { actions, refreshData, clearSelection, closeModal } = renderActions();
+
+      await expect(actions.handleBulkDocumentRejection(['DOC-0007'], { reason: 'Expiré' })).rejects.toMatchObject({ status: 500 });
+
+      // Non-idempotent POST: sent once, never replayed
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(refreshData).not.toHaveBeenCalled();
+      expect(clearSelection).not.toHaveBeenCalled();
+      expect(closeModal).not.toHaveBeenCalled();
+    });
+  });
+
+  // =====================================
+  // USERS AND MONEY
+  // =====================================
+
+  describe('users', () => {
+    it('creates a user and closes the form', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(201, { id: 'USR-0025' }));
+      const { actions, refreshData, closeModal } = renderActions();
+
+      const user = await actions.handleUserCreation({ username: 'joseph.etoa', email: 'joseph.etoa@ensf-wallet.cm' });
+
+      expect(fetchMock.mock.calls[0][0]).toBe(buildUrl('AGENCE_SERVICE.USERS.CREATE'));
+      expect(user).toEqual({ id: 'USR-0025' });
+      expect(refreshData).toHaveBeenCalledWith('users');
+      expect(closeModal).toHaveBeenCalledWith('createUser');
+    });
+
+    it('blocks and unblocks users', async () => {
+      const { actions, refreshData } = renderActions();
+
+      await actions.handleUserBlocking('USR-0007', 'Activité suspecte');
+      await actions.handleUserUnblocking('USR-0007');
+
+      expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+        buildUrl('AGENCE_SERVICE.USERS.BLOCK', { userId: 'USR-0007' }),
+        buildUrl('AGENCE_SERVICE.USERS.UNBLOCK', { userId: 'USR-0007' })
+      ]);
+      expect(refreshData).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('money operations', () => {
+    it('sends a deposit with an idempotency key and refreshes the dashboard', async () => {
+      const { actions, refreshData } = renderActions();
+
+      await actions.handleDeposit({ payer: '677451203', amount: 5000 });
+
+      const [url, config] = fetchMock.mock.calls[0];
+      expect(url).toBe(buildUrl('USER_SERVICE.DEPOSIT'));
+      expect(config.headers[RETRY_CONFIG.IDEMPOTENCY_HEADER]).toEqual(expect.any(String));
+      expect(refreshData).toHaveBeenCalledWith('dashboard');
+    });
+
+    it('validates amounts before calling the backend', async () => {
+      const { actions, refreshData } = renderActions();
+
+      await expect(actions.handleWithdrawal({ payee: '677451203', amount: 50 })).rejects.toThrow('100 FCFA');
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(refreshData).not.toHaveBeenCalled();
+    });
+  });
+
+  // =====================================
+  // CONFIRMATIONS, EXPORTS, UTILITIES
+  // =====================================
+
+  describe('handleDangerousAction', () => {
+    it('runs the action once confirmed', async () => {
+      const { actions, openModal, closeModal } = renderActions();
+      const action = vi.fn().mockResolvedValue('done');
+
+      const outcome = actions.handleDangerousAction('Bloquer', 'Bloquer cet utilisateur ?', action);
+      expect(action).not.toHaveBeenCalled();
+
+      const [modalType, config] = openModal.mock.calls[0];
+      expect(modalType).toBe('confirmAction');
+      expect(config).toMatchObject({ title: 'Bloquer', message: 'Bloquer cet utilisateur ?', variant: 'danger' });
+
+      await act(() => config.onConfirm());
+      await expect(outcome).resolves.toBe('done');
+      expect(closeModal).toHaveBeenCalledWith('confirmAction');
+    });
+
+    it('closes the dialog and rejects when the action fails', async () => {
+      const { actions, openModal, closeModal } = renderActions();
+
+      const outcome = actions.handleDangerousAction('Supprimer', 'Sûr ?', () => Promise.reject(new Error('refusé')));
+      await openModal.mock.calls[0][1].onConfirm();
+
+      await expect(outcome).rejects.toThrow('refusé');
+      expect(closeModal).toHaveBeenCalledWith('confirmAction');
+    });
+  });
+
+  describe('exports', () => {
+    beforeEach(() => {
+      window.URL.createObjectURL = vi.fn(() => 'blob:export');
+      window.URL.revokeObjectURL = vi.fn();
+      vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    });
+
+    it('downloads the users export', async () => {
+      fetchMock.mockImplementation(async () => new Response('id,username\nUSR-0001,admin', {
+        status: 200,
+        headers: { 'Content-Type': 'text/csv' }
+      }));
+      const { actions } = renderActions();
+
+      const csv = await actions.handleUsersExport({ format: 'csv' });
+
+      expect(csv).toBe('id,username\nUSR-0001,admin');
+      expect(HTMLAnchorElement.prototype.click).toHaveBeenCalledTimes(1);
+      expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+    });
+
+    it('flattens document statistics into CSV', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(200, { success: true, data: { pendingDocuments: 12 } }));
+      const { actions } = renderActions();
+
+      await actions.handleDocumentsStatsExport();
+
+      const [blob] = window.URL.createObjectURL.mock.calls[0];
+      const csv = await readBlob(blob);
+      expect(csv.split('\n')[0]).toBe('"Métrique","Valeur","Date"');
+      expect(csv).toContain('"success","true"');
+      expect(csv).toContain('"data.pendingDocuments","12"');
+    });
+  });
+
+  describe('executeBatchOperation', () => {
+    it('processes items in batches and collects failures', async () => {
+      const { actions } = renderActions();
+      const operation = vi.fn(async (item) => {
+        if (item === 3) throw new Error('échec');
+        return item * 10;
+      });
+
+      const { results, errors } = await actions.executeBatchOperation([1, 2, 3, 4], operation, 2);
+
+      expect(results).toEqual([
+        { item: 1, result: 10 },
+        { item: 2, result: 20 },
+        { item: 4, result: 40 }
+      ]);
+      expect(errors).toEqual([{ item: 3, error: new Error('échec') }]);
+      expect(operation).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('formatErrorMessage', () => {
+    it.each([
+      ['a string', 'Erreur brute', 'Erreur brute'],
+      ['the HTTP user message', { userMessage: 'Ressource non trouvée.', message: 'HTTP 404' }, 'Ressource non trouvée.'],
+      ['the error message', new Error('Montant invalide'), 'Montant invalide'],
+      ['a fallback', null, 'Une erreur inattendue s\'est produite']
+    ])('uses %s', (label, error, expected) => {
+      const { actions } = renderActions();
+
+      expect(actions.formatErrorMessage(error)).toBe(expected);
+    });
+  });
+});
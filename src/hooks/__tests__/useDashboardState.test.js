@@ -0,0 +1,244 @@
+/**
+ * 🎛️ Dashboard State Hook Tests
+ *
+ * Filters, pagination, modals, selections and persisted preferences.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { useDashboardState } from '../useDashboardState.js';
+
+const PERSISTED_KEYS = ['dashboardPreferences', 'sidebarCollapsed', 'selectedUserRole'];
+
+describe('useDashboardState', () => {
+  beforeEach(() => {
+    PERSISTED_KEYS.forEach(key => localStorage.removeItem(key));
+  });
+
+  // =====================================
+  // FILTERS AND PAGINATION
+  // =====================================
+
+  describe('filters', () => {
+    it('merges filter updates and goes back to the first page', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => result.current.updatePagination('users', { page: 3, totalPages: 5 }));
+      act(() => result.current.updateFilters('users', { status: 'BLOCKED', search: 'mbarga' }));
+
+      expect(result.current.filters.users).toEqual({
+        status: 'BLOCKED',
+        search: 'mbarga',
+        role: 'all',
+        agency: 'all',
+        dateRange: '30d'
+      });
+      expect(result.current.pagination.users).toMatchObject({ page: 0, totalPages: 5 });
+    });
+
+    it('restores the defaults of one entity type only', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => {
+        result.current.updateFilters('users', { status: 'BLOCKED' });
+        result.current.updateFilters('documents', { priority: 'URGENT' });
+      });
+      act(() => result.current.resetFilters('users'));
+
+      expect(result.current.filters.users.status).toBe('ALL');
+      expect(result.current.filters.documents.priority).toBe('URGENT');
+    });
+
+    it('counts the filters that differ from their defaults', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      expect(result.current.getActiveFilterCount('users')).toBe(1);
+      act(() => result.current.updateFilters('users', { status: 'BLOCKED', search: 'mbarga', role: 'all' }));
+
+      expect(result.current.getActiveFilterCount('users')).toBe(3);
+      expect(result.current.getActiveFilterCount('unknown')).toBe(0);
+    });
+  });
+
+  describe('pagination', () => {
+    it('keeps goToPage within the available pages', () => {
+      const { result } = renderHook(() => useDashboardState());
+      act(() => result.current.updatePagination('documents', { totalPages: 4, totalElements: 75 }));
+
+      act(() => result.current.goToPage('documents', 2));
+      expect(result.current.pagination.documents.page).toBe(2);
+
+      act(() => result.current.goToPage('documents', 10));
+      expect(result.current.pagination.documents.page).toBe(3);
+
+      act(() => result.current.goToPage('documents', -1));
+      expect(result.current.pagination.documents.page).toBe(0);
+    });
+
+    it('stays on the first page when there are no results', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => result.current.goToPage('users', 2));
+
+      expect(result.current.pagination.users.page).toBe(0);
+    });
+  });
+
+  // =====================================
+  // MODALS
+  // =====================================
+
+  describe('modals', () => {
+    it('opens a modal with its configuration', () => {
+      const { result } = renderHook(() => useDashboardState());
+      const user = { id: 'USR-0002', username: 'directeur.douala' };
+
+      act(() => result.current.openModal('userDetails', { user, mode: 'edit' }));
+
+      expect(result.current.modals.userDetails).toEqual({ open: true, user, mode: 'edit' });
+    });
+
+    it('resets the modal data on close', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => result.current.openModal('documentReview', { document: { id: 'DOC-0003' }, action: 'approve' }));
+      act(() => result.current.closeModal('documentReview'));
+
+      expect(result.current.modals.documentReview).toEqual({ open: false, document: null, action: null });
+    });
+
+    it('closes every modal at once', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => {
+        result.current.openModal('createUser');
+        result.current.openModal('confirmAction', { title: 'Bloquer ?' });
+      });
+      act(() => result.current.closeAllModals());
+
+      expect(Object.values(result.current.modals).every(modal => !modal.open)).toBe(true);
+    });
+  });
+
+  // =====================================
+  // SELECTIONS
+  // =====================================
+
+  describe('selections', () => {
+    it('toggles items in and out of the selection', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => result.current.toggleItemSelection('documents', 'DOC-0001'));
+      act(() => result.current.toggleItemSelection('documents', 'DOC-0002'));
+      act(() => result.current.toggleItemSelection('documents', 'DOC-0001'));
+
+      expect(result.current.selectedItems.documents).toEqual(['DOC-0002']);
+    });
+
+    it('selects all and clears per entity type', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => {
+        result.current.selectAllItems('users', ['USR-0001', 'USR-0002']);
+        result.current.selectAllItems('documents', ['DOC-0001']);
+      });
+      act(() => result.current.clearSelection('users'));
+
+      expect(result.current.selectedItems.users).toEqual([]);
+      expect(result.current.selectedItems.documents).toEqual(['DOC-0001']);
+    });
+  });
+
+  // =====================================
+  // PERSISTENCE
+  // =====================================
+
+  describe('persistence', () => {
+    it('saves preferences and sidebar state', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => {
+        result.current.updatePreferences({ autoRefresh: false });
+        result.current.setSidebarCollapsed(true);
+      });
+
+      expect(JSON.parse(localStorage.getItem('dashboardPreferences'))).toMatchObject({ autoRefresh: false, language: 'fr' });
+      expect(localStorage.getItem('sidebarCollapsed')).toBe('true');
+    });
+
+    it('restores saved state on mount', () => {
+      localStorage.setItem('dashboardPreferences', JSON.stringify({ refreshInterval: 60000 }));
+      localStorage.setItem('sidebarCollapsed', 'true');
+      localStorage.setItem('selectedUserRole', 'AGENCY_DIRECTOR');
+
+      const { result } = renderHook(() => useDashboardState());
+
+      expect(result.current.preferences).toMatchObject({ refreshInterval: 60000, autoRefresh: true });
+      expect(result.current.sidebarCollapsed).toBe(true);
+    });
+
+    it('drops the hand-picked role and does not expose a role setter', () => {
+      localStorage.setItem('selectedUserRole', 'BANK_ADMIN');
+
+      const { result } = renderHook(() => useDashboardState());
+
+      expect(localStorage.getItem('selectedUserRole')).toBeNull();
+      expect(result.current).not.toHaveProperty('setUserRole');
+    });
+
+    it('ignores corrupted preferences', () => {
+      vi.spyOn(console, 'error').mockImplementationOnce(() => {});
+      localStorage.setItem('dashboardPreferences', '{not json');
+
+      const { result } = renderHook(() => useDashboardState());
+
+      expect(result.current.preferences.refreshInterval).toBe(30000);
+    });
+  });
+
+  describe('agency', () => {
+    it('follows the selection when not locked', () => {
+      const { result } = renderHook(() => useDashboardState());
+
+      act(() => result.current.setSelectedAgency('AG-YDE-001'));
+
+      expect(result.current.selectedAgency).toBe('AG-YDE-001');
+      expect(result.current.isAgencyLocked).toBe(false);
+    });
+
+    it('stays on the locked agency of an agency director', () => {
+      vi.spyOn(console, 'warn').mockImplementationOnce(() => {});
+      const { result } = renderHook(() => useDashboardState({ lockedAgency: 'AG-DLA-001' }));
+
+      act(() => result.current.setSelectedAgency('AG-YDE-001'));
+      expect(result.current.selectedAgency).toBe('AG-DLA-001');
+      expect(result.current.isAgencyLocked).toBe(true);
+
+      act(() => result.current.resetDashboardState());
+      expect(result.current.selectedAgency).toBe('AG-DLA-001');
+    });
+  });
+
+  it('resetDashboardState goes back to the overview without touching filters', () => {
+    const { result } = renderHook(() => useDashboardState());
+
+    act(() => {
+      result.current.setActiveTab('documents');
+      result.current.setSelectedAgency('AG-DLA-001');
+      result.current.updateFilters('documents', { priority: 'HIGH' });
+      result.current.selectAllItems('documents', ['DOC-0001']);
+      result.current.openModal('bulkActions', { type: 'approve' });
+    });
+    act(() => result.current.resetDashboardState());
+
+    expect(result.current.activeTab).toBe('overview');
+    expect(result.current.selectedAgency).toBe('all');
+    expect(result.current.selectedItems.documents).toEqual([]);
+    expect(result.current.modals.bulkActions.open).toBe(false);
+    expect(result.current.filters.documents.priority).toBe('HIGH');
+  });
+});
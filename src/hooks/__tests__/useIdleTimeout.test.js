@@ -0,0 +1,118 @@
+/**
+ * ⏳ Idle Timeout Hook Tests
+ *
+ * Countdown after the idle period, activity handling and cross-tab activity.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import authService from '../../services/authService.js';
+import { useIdleTimeout } from '../useIdleTimeout.js';
+
+const TIMEOUT = 10 * 60 * 1000;
+const WARNING = 30 * 1000;
+
+describe('useIdleTimeout', () => {
+  let onTimeout;
+
+  /**
+   * Render the hook with short test durations
+   * @param {Object} options - Extra hook options
+   * @returns {Object} renderHook result
+   */
+  const renderIdleTimeout = (options = {}) => renderHook(() => useIdleTimeout({
+    onTimeout,
+    timeout: TIMEOUT,
+    warningDuration: WARNING,
+    ...options
+  }));
+
+  const advance = (ms) => act(() => vi.advanceTimersByTime(ms));
+  const userActivity = () => act(() => window.dispatchEvent(new Event('keydown')));
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    onTimeout = vi.fn();
+    vi.spyOn(authService, 'broadcastSessionEvent').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('counts down during the last part of the idle period, then times out', () => {
+    const { result } = renderIdleTimeout();
+
+    advance(TIMEOUT - WARNING - 1);
+    expect(result.current.isWarning).toBe(false);
+
+    advance(1);
+    expect(result.current).toMatchObject({ isWarning: true, remainingSeconds: 30 });
+
+    advance(10 * 1000);
+    expect(result.current.remainingSeconds).toBe(20);
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    advance(20 * 1000);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(result.current.isWarning).toBe(false);
+  });
+
+  it('restarts the idle period on activity and shares it with other tabs', () => {
+    const { result } = renderIdleTimeout();
+
+    advance(TIMEOUT - WARNING - 1000);
+    userActivity();
+    advance(TIMEOUT - WARNING - 1000);
+
+    expect(result.current.isWarning).toBe(false);
+    expect(authService.broadcastSessionEvent).toHaveBeenCalledWith('activity');
+  });
+
+  it('ignores stray activity once the countdown is shown', () => {
+    const { result } = renderIdleTimeout();
+    advance(TIMEOUT - WARNING);
+
+    userActivity();
+    advance(WARNING);
+
+    expect(result.current.isWarning).toBe(false);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the session with stayActive', () => {
+    const { result } = renderIdleTimeout();
+    advance(TIMEOUT - WARNING);
+
+    act(() => result.current.stayActive());
+    advance(WARNING);
+
+    expect(result.current.isWarning).toBe(false);
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+
+  it('keeps the session when another tab is active', () => {
+    const { result } = renderIdleTimeout();
+    advance(TIMEOUT - WARNING);
+
+    act(() => authService.emitEvent('activity', { timestamp: Date.now() }));
+    advance(WARNING);
+
+    expect(result.current.isWarning).toBe(false);
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+
+  it('does nothing while disabled', () => {
+    const { result } = renderIdleTimeout({ enabled: false });
+
+    advance(TIMEOUT);
+
+    expect(result.current.isWarning).toBe(false);
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * 🚫 Cancellable Request Hook
+ *
+ * Ties HTTP requests to the lifecycle of the calling component:
+ * - Every request started through the hook is aborted on unmount
+ * - Requests sharing a key keep only the latest one alive
+ * - Cancellation errors can be told apart from real failures
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { useRef, useEffect, useCallback } from 'react';
+import ApiService from '../services/ApiService';
+
+/**
+ * Name of the HTTP cancel group holding the requests of a dashboard tab
+ * @param {string} tab - Tab identifier
+ * @returns {string} Cancel group name
+ */
+export const getTabCancelGroup = (tab) => `tab:${tab}`;
+
+/**
+ * Cancellable request hook
+ * @returns {Object} Request runner and cancellation helpers
+ */
+export const useCancellableRequest = () => {
+  // =====================================
+  // STATE MANAGEMENT
+  // =====================================
+
+  // Pending requests, keyed by request key
+  const controllersRef = useRef(new Map());
+
+  // =====================================
+  // REQUEST FUNCTIONS
+  // =====================================
+
+  /**
+   * Run a request, aborting the previous pending request with the same key
+   * @param {string} key - Request key
+   * @param {Function} requestFn - Receives an AbortSignal and returns a promise
+   * @returns {Promise<*>} Result of requestFn
+   */
+  const run = useCallback(async (key, requestFn) => {
+    const controllers = controllersRef.current;
+    controllers.get(key)?.abort();
+
+    const controller = new AbortController();
+    controllers.set(key, controller);
+
+    try {
+      return await requestFn(controller.signal);
+    } finally {
+      if (controllers.get(key) === controller) {
+        controllers.delete(key);
+      }
+    }
+  }, []);
+
+  /**
+   * Cancel the pending request of a key
+   * @param {string} key - Request key
+   */
+  const cancel = useCallback((key) => {
+    const controllers = controllersRef.current;
+    controllers.get(key)?.abort();
+    controllers.delete(key);
+  }, []);
+
+  /**
+   * Cancel every pending request
+   */
+  const cancelAll = useCallback(() => {
+    const controllers = controllersRef.current;
+    controllers.forEach(controller => controller.abort());
+    controllers.clear();
+  }, []);
+
+  /**
+   * Check whether a request is still pending for a key
+   * @param {string} key - Request key
+   * @returns {boolean} Pending status
+   */
+  const isPending = useCallback((key) => controllersRef.current.has(key), []);
+
+  /**
+   * Check whether an error comes from a cancelled request
+   * @param {Error} error - Error object
+   * @returns {boolean} True when the request was cancelled
+   */
+  const isCancelled = useCallback((error) => ApiService.http.isCancelledError(error), []);
+
+  // =====================================
+  // CLEANUP EFFECT
+  // =====================================
+
+  useEffect(() => cancelAll, [cancelAll]);
+
+  // =====================================
+  // RETURN HOOK INTERFACE
+  // =====================================
+
+  return {
+    run,
+    cancel,
+    cancelAll,
+    isPending,
+    isCancelled
+  };
+};
@@ -11,16 +11,25 @@
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import ApiService from '../services/ApiService';
+import { useCancellableRequest, getTabCancelGroup } from './useCancellableRequest';
 
 /**
  * Dashboard data management hook
+ * Lists and statistics are filtered on the selected agency; services force the
+ * agency of agency directors whatever is selected
  * @param {string} userRole - Current user role (BANK_ADMIN or AGENCY_DIRECTOR)
+ * @param {string} selectedAgency - Agency id, or 'all' for every agency
  * @returns {Object} Dashboard data and management functions
  */
-export const useDashboardData = (userRole = 'BANK_ADMIN') => {
+export const useDashboardData = (userRole = 'BANK_ADMIN', selectedAgency = 'all') => {
   // =====================================
   // STATE MANAGEMENT
   // =====================================
+
+  // Agency filter sent with every agency-scoped request
+  const agencyParams = useMemo(() => (
+    selectedAgency && selectedAgency !== 'all' ? { idAgence: selectedAgency } : {}
+  ), [selectedAgency]);
   
   // Data state - organized by service
   const [dashboardData, setDashboardData] = useState({
@@ -54,6 +63,9 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
   // Error states
   const [errors, setErrors] = useState({});
 
+  // List requests: a newer fetch aborts the older one, all are aborted on unmount
+  const { run, isPending, isCancelled } = useCancellableRequest();
+
   // =====================================
   // UTILITY FUNCTIONS
   // =====================================
@@ -104,7 +116,7 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
       setOperationLoading('statistics', true);
       setOperationError('statistics', null);
 
-      const statistics = await ApiService.user.getUserStatistics();
+      const statistics = await ApiService.user.getUserStatistics(agencyParams);
       
       setDashboardData(prev => ({
         ...prev,
@@ -123,7 +135,7 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
     } finally {
       setOperationLoading('statistics', false);
     }
-  }, [setOperationLoading, setOperationError]);
+  }, [agencyParams, setOperationLoading, setOperationError]);
 
   /**
    * Fetch agence service dashboard data
@@ -134,7 +146,7 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
       setOperationLoading('dashboard', true);
       setOperationError('dashboard', null);
 
-      const dashboard = await ApiService.agence.getDashboardData();
+      const dashboard = await ApiService.agence.getDashboardData(agencyParams);
       
       setDashboardData(prev => ({
         ...prev,
@@ -153,7 +165,7 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
     } finally {
       setOperationLoading('dashboard', false);
     }
-  }, [setOperationLoading, setOperationError]);
+  }, [agencyParams, setOperationLoading, setOperationError]);
 
   /**
    * Fetch system health status
@@ -194,7 +206,9 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
       setOperationLoading('documents', true);
       setOperationError('documents', null);
 
-      const documents = await ApiService.agence.getPendingDocuments(params);
+      const documents = await run('documents', (signal) =>
+        ApiService.agence.getPendingDocuments({ ...agencyParams, ...params }, { signal })
+      );
       console.log("documents", documents);
       setDashboardData(prev => ({
         ...prev,
@@ -207,13 +221,20 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
       console.log(`✅ Fetched ${documents.content?.length || 0} pending documents`);
       return documents;
     } catch (error) {
+      if (isCancelled(error)) {
+        console.log('🚫 Pending documents request cancelled');
+        return null;
+      }
       console.error('❌ Failed to fetch pending documents:', error);
       setOperationError('documents', error);
       throw error;
     } finally {
-      setOperationLoading('documents', false);
+      // A newer fetch still running owns the loading flag
+      if (!isPending('documents')) {
+        setOperationLoading('documents', false);
+      }
     }
-  }, [setOperationLoading, setOperationError]);
+  }, [agencyParams, run, isPending, isCancelled, setOperationLoading, setOperationError]);
 
   /**
    * Fetch users list
@@ -224,7 +245,10 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
       setOperationLoading('users', true);
       setOperationError('users', null);
 
-      const users = await ApiService.agence.getUsers(params);
+      // Also cancelled when leaving the users tab (see ComprehensiveAdminDashboard)
+      const users = await run('users', (signal) =>
+        ApiService.agence.getUsers({ ...agencyParams, ...params }, { signal, cancelGroup: getTabCancelGroup('users') })
+      );
       
       setDashboardData(prev => ({
         ...prev,
@@ -237,13 +261,20 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
       console.log(`✅ Fetched ${users.content?.length || 0} users`);
       return users;
     } catch (error) {
+      if (isCancelled(error)) {
+        console.log('🚫 Users request cancelled');
+        return null;
+      }
       console.error('❌ Failed to fetch users:', error);
       setOperationError('users', error);
       throw error;
     } finally {
-      setOperationLoading('users', false);
+      // A newer fetch still running owns the loading flag
+      if (!isPending('users')) {
+        setOperationLoading('users', false);
+      }
     }
-  }, [setOperationLoading, setOperationError]);
+  }, [agencyParams, run, isPending, isCancelled, setOperationLoading, setOperationError]);
 
   /**
    * Fetch recent activity
@@ -254,7 +285,7 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
       setOperationLoading('recentActivity', true);
       setOperationError('recentActivity', null);
 
-      const recentActivity = await ApiService.agence.getRecentActivity(params);
+      const recentActivity = await ApiService.agence.getRecentActivity({ ...agencyParams, ...params });
       
       setDashboardData(prev => ({
         ...prev,
@@ -273,7 +304,7 @@ export const useDashboardData = (userRole = 'BANK_ADMIN') => {
     } finally {
       setOperationLoading('recentActivity', false);
     }
-  }, [setOperationLoading, setOperationError]);
+  }, [agencyParams, setOperationLoading, setOperationError]);
 
   // =====================================
   // COMPREHENSIVE DATA INITIALIZATION
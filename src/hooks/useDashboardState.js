@@ -16,17 +16,35 @@ import { useState, useCallback, useEffect } from 'react';
 
 /**
  * Dashboard state management hook
+ * @param {Object} options - Hook options
+ * @param {string|null} options.lockedAgency - Agency an agency director is confined to
  * @returns {Object} Dashboard state and management functions
  */
-export const useDashboardState = () => {
+export const useDashboardState = ({ lockedAgency = null } = {}) => {
   // =====================================
   // NAVIGATION STATE
   // =====================================
 
   const [activeTab, setActiveTab] = useState('overview');
-  const [userRole, setUserRole] = useState('BANK_ADMIN');
   const [selectedTimeRange, setSelectedTimeRange] = useState('30d');
-  const [selectedAgency, setSelectedAgency] = useState('all');
+  const [agencySelection, setAgencySelection] = useState('all');
+
+  // Agency directors cannot leave their own agency
+  const isAgencyLocked = Boolean(lockedAgency);
+  const selectedAgency = lockedAgency || agencySelection;
+
+  /**
+   * Select the agency the dashboard data is filtered on ('all' for every agency)
+   * Ignored while the agency is locked
+   * @param {string} agency - Agency id or 'all'
+   */
+  const setSelectedAgency = useCallback((agency) => {
+    if (lockedAgency) {
+      console.warn(`🔒 Agency locked to ${lockedAgency}, selection ignored`);
+      return;
+    }
+    setAgencySelection(agency);
+  }, [lockedAgency]);
 
   // =====================================
   // UI STATE
@@ -189,10 +207,8 @@ export const useDashboardState = () => {
         setSidebarCollapsed(JSON.parse(savedSidebarState));
       }
 
-      const savedUserRole = localStorage.getItem('selectedUserRole');
-      if (savedUserRole) {
-        setUserRole(savedUserRole);
-      }
+      // The role used to be picked by hand; it now comes from the JWT
+      localStorage.removeItem('selectedUserRole');
     } catch (error) {
       console.error('❌ Error loading dashboard preferences:', error);
     }
@@ -220,17 +236,6 @@ export const useDashboardState = () => {
     }
   }, [sidebarCollapsed]);
 
-  /**
-   * Save user role
-   */
-  useEffect(() => {
-    try {
-      localStorage.setItem('selectedUserRole', userRole);
-    } catch (error) {
-      console.error('❌ Error saving user role:', error);
-    }
-  }, [userRole]);
-
   // =====================================
   // FILTER MANAGEMENT
   // =====================================
@@ -445,7 +450,7 @@ export const useDashboardState = () => {
   const resetDashboardState = useCallback(() => {
     setActiveTab('overview');
     setSelectedTimeRange('30d');
-    setSelectedAgency('all');
+    setAgencySelection('all');
     closeAllModals();
     setSelectedItems({
       users: [],
@@ -479,12 +484,11 @@ export const useDashboardState = () => {
     // Navigation state
     activeTab,
     setActiveTab,
-    userRole,
-    setUserRole,
     selectedTimeRange,
     setSelectedTimeRange,
     selectedAgency,
     setSelectedAgency,
+    isAgencyLocked,
 
     // UI state
     sidebarCollapsed,
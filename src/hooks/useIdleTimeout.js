@@ -0,0 +1,157 @@
+/**
+ * ⏳ Idle Timeout Hook
+ *
+ * Detects inactivity on the dashboard:
+ * - Any mouse, keyboard, scroll or touch activity restarts the idle period
+ * - Activity in another tab of the browser counts too
+ * - A countdown runs during the last part of the idle period, then the timeout fires
+ *
+ * While the countdown is shown, only stayActive() (or activity in another tab)
+ * keeps the session: a stray mouse move at an unattended counter does not.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { SESSION_CONFIG } from '../config/apiConfig';
+import authService from '../services/authService';
+
+/**
+ * Idle timeout hook
+ * @param {Object} options - Hook options
+ * @param {Function} options.onTimeout - Called once the countdown reaches zero
+ * @param {boolean} options.enabled - Whether inactivity is tracked
+ * @param {number} options.timeout - Idle period in milliseconds
+ * @param {number} options.warningDuration - Countdown length in milliseconds
+ * @returns {Object} { isWarning, remainingSeconds, stayActive }
+ */
+export const useIdleTimeout = ({
+  onTimeout,
+  enabled = true,
+  timeout = SESSION_CONFIG.IDLE_TIMEOUT,
+  warningDuration = SESSION_CONFIG.IDLE_WARNING
+}) => {
+  // =====================================
+  // STATE MANAGEMENT
+  // =====================================
+
+  const [isWarning, setIsWarning] = useState(false);
+  const [remainingSeconds, setRemainingSeconds] = useState(Math.ceil(warningDuration / 1000));
+
+  const idleTimerRef = useRef(null);
+  const countdownRef = useRef(null);
+  const isWarningRef = useRef(false);
+  const lastBroadcastRef = useRef(0);
+
+  // Latest callback, without restarting the timers when it changes
+  const onTimeoutRef = useRef(onTimeout);
+  onTimeoutRef.current = onTimeout;
+
+  // =====================================
+  // TIMERS
+  // =====================================
+
+  /**
+   * Stop the idle timer and the countdown
+   */
+  const clearTimers = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    clearInterval(countdownRef.current);
+    idleTimerRef.current = null;
+    countdownRef.current = null;
+  }, []);
+
+  /**
+   * Show the countdown, then fire the timeout
+   */
+  const startCountdown = useCallback(() => {
+    const deadline = Date.now() + warningDuration;
+
+    isWarningRef.current = true;
+    setIsWarning(true);
+    setRemainingSeconds(Math.ceil(warningDuration / 1000));
+    console.log('⏳ Session idle, logging out soon');
+
+    countdownRef.current = setInterval(() => {
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      setRemainingSeconds(remaining);
+
+      if (remaining === 0) {
+        clearTimers();
+        isWarningRef.current = false;
+        setIsWarning(false);
+        console.log('⏳ Idle timeout reached');
+        onTimeoutRef.current?.();
+      }
+    }, 1000);
+  }, [warningDuration, clearTimers]);
+
+  /**
+   * Start a new idle period
+   */
+  const restart = useCallback(() => {
+    clearTimers();
+    isWarningRef.current = false;
+    setIsWarning(false);
+    idleTimerRef.current = setTimeout(startCountdown, Math.max(0, timeout - warningDuration));
+  }, [timeout, warningDuration, clearTimers, startCountdown]);
+
+  /**
+   * Share this tab's activity, at most once per broadcast interval
+   * @param {boolean} force - Share even within the interval
+   */
+  const shareActivity = useCallback((force = false) => {
+    const now = Date.now();
+    if (!force && now - lastBroadcastRef.current < SESSION_CONFIG.ACTIVITY_BROADCAST_INTERVAL) return;
+
+    lastBroadcastRef.current = now;
+    authService.broadcastSessionEvent('activity');
+  }, []);
+
+  /**
+   * Keep the session: hides the countdown and starts a new idle period
+   */
+  const stayActive = useCallback(() => {
+    restart();
+    shareActivity(true);
+  }, [restart, shareActivity]);
+
+  // =====================================
+  // ACTIVITY TRACKING
+  // =====================================
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleActivity = () => {
+      if (isWarningRef.current) return;
+      restart();
+      shareActivity();
+    };
+
+    // Activity elsewhere keeps this tab alive, countdown included
+    const handleRemoteActivity = () => restart();
+
+    SESSION_CONFIG.ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    authService.addEventListener('activity', handleRemoteActivity);
+    restart();
+
+    return () => {
+      SESSION_CONFIG.ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+      authService.removeEventListener('activity', handleRemoteActivity);
+      clearTimers();
+      isWarningRef.current = false;
+      setIsWarning(false);
+    };
+  }, [enabled, restart, shareActivity, clearTimers]);
+
+  return {
+    isWarning,
+    remainingSeconds,
+    stayActive
+  };
+};
+
+export default useIdleTimeout;
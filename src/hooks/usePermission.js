@@ -0,0 +1,26 @@
+/**
+ * 🛡️ Permission Hook
+ *
+ * Answers "may the current user do this?" from the session permissions:
+ * - A single permission must be granted
+ * - A list of permissions passes when any of them is granted
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * Permission hook
+ * @param {string|Array<string>} permission - Permission, or permissions of which one is enough
+ * @returns {boolean} True if granted
+ */
+export const usePermission = (permission) => {
+  const { can } = useAuth();
+  const permissions = Array.isArray(permission) ? permission : [permission];
+  return permissions.some(can);
+};
+
+export default usePermission;
@@ -1,11 +1,40 @@
 // src/main.jsx
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import App from './App.jsx'
+import { loadRuntimeConfig } from './config/runtimeConfig.js'
+import { MOCK_CONFIG } from './config/apiConfig.js'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
\ No newline at end of file
+/**
+ * Shown instead of the app when the runtime config is invalid
+ */
+const ConfigErrorScreen = ({ error }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-50 p-6">
+    <div className="max-w-lg bg-white rounded-xl shadow-sm border border-red-200 p-6">
+      <h1 className="text-lg font-semibold text-red-700 mb-2">Configuration invalide</h1>
+      <p className="text-sm text-gray-600 mb-4">
+        L'application n'a pas pu démarrer. Contactez l'administrateur système.
+      </p>
+      <pre className="text-xs text-gray-500 whitespace-pre-wrap">{error.message}</pre>
+    </div>
+  </div>
+)
+
+const root = ReactDOM.createRoot(document.getElementById('root'))
+
+// Load /config.json first: the services read BASE_URLS and TIMEOUT_CONFIG from it
+loadRuntimeConfig()
+  // Mock mode: answer every request in the browser (loaded only when enabled)
+  .then(() => MOCK_CONFIG.ENABLED && import('./mocks/mockBackend.js').then(({ installMockBackend }) => installMockBackend()))
+  .then(() => import('./App.jsx'))
+  .then(({ default: App }) => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>,
+    )
+  })
+  .catch((error) => {
+    console.error('❌ Application startup failed:', error)
+    root.render(<ConfigErrorScreen error={error} />)
+  })
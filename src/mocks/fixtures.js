@@ -0,0 +1,269 @@
+/**
+ * 🧪 Mock Backend Fixtures
+ *
+ * Seed data served by the mock backend (see mockBackend.js):
+ * - Agencies, back-office users and their login accounts
+ * - Wallet clients with balances and transactions
+ * - KYC documents waiting for review
+ * - Sessions signed in on other devices
+ *
+ * Generation is deterministic: every session starts from the same data, with
+ * dates relative to the moment the fixtures are created.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Login accounts accepted by the mock backend
+ * Agence service logins use the username, user service logins the email.
+ * Accounts with `mfa` need a second step on the agence login: the TOTP code
+ * stands in for the authenticator app, each backup code works once.
+ */
+export const MOCK_ACCOUNTS = [
+  {
+    username: 'admin',
+    email: 'admin@ensf-wallet.cm',
+    password: 'Admin@123',
+    userId: 'USR-0001',
+    mfa: { totpCode: '246810', backupCodes: ['7KQ2-M9XD', 'P4VN-8HTR', 'W3JC-6LBZ'] }
+  },
+  { username: 'directeur.douala', email: 'directeur.douala@ensf-wallet.cm', password: 'Directeur@123', userId: 'USR-0002' },
+  { username: 'agent.yaounde', email: 'agent.yaounde@ensf-wallet.cm', password: 'Agent@123', userId: 'USR-0003' }
+];
+
+const AGENCIES = [
+  { idAgence: 'AG-DLA-001', nomAgence: 'Agence Douala Akwa', ville: 'Douala' },
+  { idAgence: 'AG-YDE-001', nomAgence: 'Agence Yaoundé Centre', ville: 'Yaoundé' },
+  { idAgence: 'AG-BFS-001', nomAgence: 'Agence Bafoussam', ville: 'Bafoussam' },
+  { idAgence: 'AG-GRA-001', nomAgence: 'Agence Garoua', ville: 'Garoua' }
+];
+
+const FIRST_NAMES = [
+  'Jean', 'Marie', 'Paul', 'Aïcha', 'Samuel', 'Brigitte', 'Emmanuel', 'Clarisse',
+  'Ibrahim', 'Sandrine', 'Hervé', 'Nadège', 'Patrick', 'Fadimatou', 'Joseph', 'Estelle'
+];
+
+const LAST_NAMES = [
+  'Mbarga', 'Ngono', 'Tchoua', 'Bello', 'Etoa', 'Fotso', 'Kamga', 'Manga',
+  'Nkodo', 'Ousmanou', 'Abena', 'Djoumessi', 'Essomba', 'Hamadou', 'Talla', 'Zambo'
+];
+
+/**
+ * Lower-case ASCII version of a name, for usernames and emails
+ * @param {string} text - Name
+ * @returns {string} ASCII text
+ */
+const toAscii = (text) => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Small deterministic random generator (LCG), so fixtures are stable between sessions
+ * @param {number} seed - Initial seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+/**
+ * Placeholder image for a KYC scan, as a data URL (no network access needed)
+ * @param {string} label - Text drawn on the image
+ * @returns {string} SVG data URL
+ */
+const placeholderImage = (label) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="480" height="300"><rect width="100%" height="100%" fill="#e5e7eb"/>` +
+  `<text x="50%" y="50%" font-family="sans-serif" font-size="20" fill="#6b7280" text-anchor="middle">${label}</text></svg>`
+)}`;
+
+/**
+ * Create a fresh copy of the mock data
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Object} { agencies, users, clients, documents, transactions, sessions }
+ */
+export const createFixtures = (now = Date.now()) => {
+  const random = createRandom(237);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const isoAgo = (maxMs) => new Date(now - Math.floor(random() * maxMs)).toISOString();
+
+  // =====================================
+  // BACK-OFFICE USERS (AGENCE SERVICE)
+  // =====================================
+
+  const users = [
+    {
+      id: 'USR-0001', username: 'admin', email: 'admin@ensf-wallet.cm',
+      nom: 'Ekambi', prenom: 'Christelle', roles: ['ADMIN'], role: 'BANK_ADMIN',
+      idAgence: null, nomAgence: null
+    },
+    {
+      id: 'USR-0002', username: 'directeur.douala', email: 'directeur.douala@ensf-wallet.cm',
+      nom: 'Ndongo', prenom: 'Arnaud', roles: ['AGENCE'], role: 'AGENCY_DIRECTOR',
+      ...AGENCIES[0]
+    },
+    {
+      id: 'USR-0003', username: 'agent.yaounde', email: 'agent.yaounde@ensf-wallet.cm',
+      nom: 'Mengue', prenom: 'Solange', roles: ['AGENCE'], role: 'AGENCY_DIRECTOR',
+      ...AGENCIES[1]
+    }
+  ];
+
+  for (let index = users.length + 1; index <= 24; index++) {
+    const prenom = pick(FIRST_NAMES);
+    const nom = pick(LAST_NAMES);
+    const agency = pick(AGENCIES);
+    const username = toAscii(`${prenom}.${nom}`);
+    // Supervisors work from headquarters, over every agency
+    const isSupervisor = random() < 0.2;
+
+    users.push({
+      id: `USR-${String(index).padStart(4, '0')}`,
+      username: `${username}${index}`,
+      email: `${username}${index}@ensf-wallet.cm`,
+      nom,
+      prenom,
+      roles: [isSupervisor ? 'SUPERVISOR' : 'AGENCE'],
+      role: isSupervisor ? 'BANK_ADMIN' : 'AGENCY_DIRECTOR',
+      ...agency
+    });
+  }
+
+  users.forEach((user, index) => {
+    const status = index < 3 ? 'ACTIVE' : pick(['ACTIVE', 'ACTIVE', 'ACTIVE', 'PENDING', 'BLOCKED', 'INACTIVE']);
+    Object.assign(user, {
+      status,
+      lastLogin: status === 'PENDING' ? null : isoAgo(7 * DAY),
+      lastLoginIp: status === 'PENDING' ? null : `10.0.${index % 4}.${10 + index}`,
+      failedLoginAttempts: status === 'BLOCKED' ? 5 : 0,
+      accountLockedUntil: null,
+      firstLogin: status === 'PENDING',
+      passwordExpired: false,
+      createdAt: isoAgo(180 * DAY),
+      createdBy: index === 0 ? 'Système' : 'admin',
+      updatedAt: isoAgo(30 * DAY),
+      updatedBy: 'admin'
+    });
+  });
+
+  // Expired password: agent.yaounde has to choose a new one at next login
+  users[2].passwordExpired = true;
+
+  // =====================================
+  // WALLET CLIENTS (USER SERVICE)
+  // =====================================
+
+  const clients = [];
+  for (let index = 1; index <= 48; index++) {
+    const prenom = pick(FIRST_NAMES);
+    const nom = pick(LAST_NAMES);
+    const agency = pick(AGENCIES);
+    const status = pick(['ACTIVE', 'ACTIVE', 'ACTIVE', 'ACTIVE', 'PENDING', 'PENDING', 'BLOCKED', 'REJECTED']);
+
+    clients.push({
+      idClient: `CLI-${String(index).padStart(5, '0')}`,
+      nom,
+      prenom,
+      email: toAscii(`${prenom}.${nom}${index}@mail.cm`),
+      numero: `6${Math.floor(50000000 + random() * 49999999)}`,
+      cni: `${Math.floor(100000000 + random() * 899999999)}`,
+      status,
+      ...agency,
+      balance: status === 'ACTIVE' ? Math.round(random() * 500) * 1000 : 0,
+      createdAt: isoAgo(120 * DAY)
+    });
+  }
+
+  // =====================================
+  // KYC DOCUMENTS (AGENCE SERVICE)
+  // =====================================
+
+  const documents = clients
+    .filter(client => client.status !== 'ACTIVE')
+    .map((client, index) => {
+      const hasSelfie = random() < 0.8;
+      const uploadedAt = isoAgo(10 * DAY);
+
+      return {
+        id: `DOC-${String(index + 1).padStart(4, '0')}`,
+        idClient: client.idClient,
+        nom: client.nom,
+        prenom: client.prenom,
+        email: client.email,
+        numero: client.numero,
+        cni: client.cni,
+        idAgence: client.idAgence,
+        nomAgence: client.nomAgence,
+        documentType: 'ID_CARD',
+        priority: pick(['LOW', 'MEDIUM', 'MEDIUM', 'HIGH', 'URGENT']),
+        status: { PENDING: 'PENDING', REJECTED: 'REJECTED', BLOCKED: 'APPROVED' }[client.status],
+        hasRecto: true,
+        hasVerso: true,
+        hasSelfie,
+        rectoCniUrl: placeholderImage(`CNI recto - ${client.prenom} ${client.nom}`),
+        versoCniUrl: placeholderImage(`CNI verso - ${client.prenom} ${client.nom}`),
+        selfieUrl: hasSelfie ? placeholderImage(`Selfie - ${client.prenom} ${client.nom}`) : null,
+        facialSimilarityScore: hasSelfie ? Math.round(60 + random() * 39) : null,
+        livenessDetected: hasSelfie && random() < 0.9,
+        submissionDate: uploadedAt,
+        uploadedAt,
+        createdAt: uploadedAt,
+        reviewedBy: null,
+        reviewedAt: null,
+        comments: ''
+      };
+    });
+
+  // =====================================
+  // TRANSACTIONS (USER / MONEY SERVICE)
+  // =====================================
+
+  const transactions = [];
+  clients
+    .filter(client => client.status === 'ACTIVE')
+    .forEach((client) => {
+      const count = 2 + Math.floor(random() * 6);
+      for (let index = 0; index < count; index++) {
+        const type = pick(['DEPOSIT', 'DEPOSIT', 'WITHDRAWAL', 'TRANSFER']);
+        transactions.push({
+          transactionId: `TRX-${String(transactions.length + 1).padStart(6, '0')}`,
+          clientId: client.idClient,
+          type,
+          amount: (1 + Math.floor(random() * 100)) * 500,
+          status: random() < 0.92 ? 'SUCCESS' : 'FAILED',
+          description: { DEPOSIT: 'Dépôt sur compte', WITHDRAWAL: 'Retrait de compte', TRANSFER: 'Transfert' }[type],
+          createdAt: isoAgo(60 * DAY)
+        });
+      }
+    });
+
+  // =====================================
+  // SIGNED-IN SESSIONS (AGENCE SERVICE)
+  // =====================================
+
+  // Sessions opened on other devices; logins through the mock add their own
+  const sessions = [
+    { sessionId: 'SES-0001', userId: 'USR-0001', device: 'Safari sur iOS', ipAddress: '41.202.219.74', loginAt: 15 * HOUR, lastSeenAt: 2 * HOUR },
+    { sessionId: 'SES-0002', userId: 'USR-0002', device: 'Firefox sur Windows', ipAddress: '154.72.160.18', loginAt: 2 * HOUR, lastSeenAt: 10 * 60 * 1000 },
+    { sessionId: 'SES-0003', userId: 'USR-0002', device: 'Chrome sur Android', ipAddress: '102.244.45.9', loginAt: 2 * DAY, lastSeenAt: 12 * HOUR }
+  ].map(session => ({
+    ...session,
+    loginAt: new Date(now - session.loginAt).toISOString(),
+    lastSeenAt: new Date(now - session.lastSeenAt).toISOString()
+  }));
+
+  return {
+    agencies: AGENCIES.map(agency => ({ ...agency })),
+    users,
+    clients,
+    documents,
+    transactions,
+    sessions
+  };
+};
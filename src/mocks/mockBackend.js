@@ -0,0 +1,1628 @@
+/**
+ * 🧪 Mock Backend
+ *
+ * In-browser stand-in for the user, agence and money services, used when
+ * MOCK_CONFIG.ENABLED is set (build flag VITE_MOCK_BACKEND=true or the `mock`
+ * section of the runtime config):
+ * - Plugged into HttpClient as its transport, so interceptors, retries,
+ *   token refresh, caching and logging run exactly as against the real services
+ * - One handler per ENDPOINT_REGISTRY entry, matched with resolveEndpoint
+ * - In-memory state seeded from fixtures.js: mutations persist until the page reloads
+ * - Unsigned JWTs with real `exp` claims, so expiry and refresh can be exercised
+ *
+ * Accounts: see MOCK_ACCOUNTS in fixtures.js (e.g. admin / Admin@123, code 246810).
+ * Response shapes follow what the services and dashboard components read.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { ENDPOINT_REGISTRY } from '../config/endpointRegistry.js';
+import { getDashboardRole } from '../config/permissions.js';
+import { HTTP_STATUS, LOGIN_PROTECTION, MFA_CONFIG, MOCK_CONFIG, RETRY_CONFIG, resolveEndpoint } from '../config/apiConfig.js';
+import { PASSWORD_POLICY, checkPasswordPolicy } from '../config/passwordPolicy.js';
+import httpClient from '../services/httpClient.js';
+import { createFixtures, MOCK_ACCOUNTS } from './fixtures.js';
+
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // 7 days, in seconds
+const MFA_TOKEN_TTL = 5 * 60; // 5 minutes to enter the code, in seconds
+const DEVICE_TOKEN_TTL = MFA_CONFIG.TRUSTED_DEVICE_DAYS * 24 * 60 * 60;
+
+const STATUS_TEXTS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  423: 'Locked',
+  500: 'Internal Server Error'
+};
+
+/**
+ * Error answered as an HTTP error response
+ */
+class MockHttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Message returned in the body
+   * @param {Object} details - Extra body fields
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Handler result with an explicit status or content type
+ */
+class MockReply {
+  /**
+   * @param {number} status - HTTP status
+   * @param {*} body - Response body
+   * @param {string} contentType - Response content type
+   */
+  constructor(status, body, contentType = 'application/json') {
+    this.status = status;
+    this.body = body;
+    this.contentType = contentType;
+  }
+}
+
+// =====================================
+// HELPERS
+// =====================================
+
+/**
+ * Build an unsigned JWT
+ * @param {Object} claims - Token claims
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {string} Token
+ */
+const createToken = (claims, ttl) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const encode = (value) => btoa(JSON.stringify(value));
+  return [
+    encode({ alg: 'none', typ: 'JWT' }),
+    encode({ ...claims, iat: issuedAt, exp: issuedAt + ttl }),
+    'mock-signature'
+  ].join('.');
+};
+
+/**
+ * Read the claims of a token built by createToken
+ * @param {string} token - Token
+ * @returns {Object|null} Claims, or null when malformed
+ */
+const decodeToken = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sort a list by one field
+ * @param {Array} items - Items
+ * @param {string} sortBy - Field name
+ * @param {string} sortDirection - 'asc' or 'desc'
+ * @returns {Array} Sorted copy
+ */
+const sortItems = (items, sortBy, sortDirection = 'desc') => {
+  if (!sortBy) return [...items];
+  const direction = sortDirection === 'asc' ? 1 : -1;
+
+  return [...items].sort((a, b) => {
+    const left = a[sortBy] ?? '';
+    const right = b[sortBy] ?? '';
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return 0;
+  });
+};
+
+/**
+ * Cut a Spring-style page out of a list
+ * @param {Array} items - Filtered items
+ * @param {Object} query - Query params (page, size, sortBy, sortDirection)
+ * @returns {Object} Page
+ */
+const paginate = (items, query) => {
+  const page = Number(query.page) || 0;
+  const size = Number(query.size) || 20;
+  const sorted = sortItems(items, query.sortBy, query.sortDirection);
+  const content = sorted.slice(page * size, (page + 1) * size);
+  const totalPages = Math.ceil(items.length / size);
+
+  return {
+    content,
+    totalElements: items.length,
+    totalPages,
+    number: page,
+    size,
+    numberOfElements: content.length,
+    first: page === 0,
+    last: page >= totalPages - 1,
+    empty: content.length === 0
+  };
+};
+
+/**
+ * Count items by the value of a field
+ * @param {Array} items - Items
+ * @param {string} field - Field name
+ * @returns {Object} Map of value to count
+ */
+const countBy = (items, field) => items.reduce((counts, item) => {
+  counts[item[field]] = (counts[item[field]] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Check a text filter against several fields
+ * @param {Object} item - Item
+ * @param {string[]} fields - Searched fields
+ * @param {string} search - Search text
+ * @returns {boolean} True when any field contains the text
+ */
+const matchesSearch = (item, fields, search) => {
+  if (!search) return true;
+  const needle = search.toLowerCase();
+  return fields.some(field => String(item[field] ?? '').toLowerCase().includes(needle));
+};
+
+/**
+ * Check the agency filter of agency-scoped endpoints
+ * @param {Object} item - Item carrying an idAgence
+ * @param {string} idAgence - Requested agency (none means every agency)
+ * @returns {boolean} True when the item belongs to the agency
+ */
+const inAgency = (item, idAgence) => !idAgence || item.idAgence === idAgence;
+
+/**
+ * Size in bytes of a request body, for upload progress
+ * @param {*} body - Request body
+ * @returns {number} Size
+ */
+const getBodySize = (body) => {
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return [...body.values()].reduce((size, value) => size + (value.size ?? String(value).length), 0);
+  }
+  return typeof body === 'string' ? body.length : 0;
+};
+
+/**
+ * Uniform envelope of the agence admin endpoints read as { success, data }
+ * @param {*} data - Payload
+ * @param {string} message - Message
+ * @returns {Object} Envelope
+ */
+const success = (data, message = 'Opération réussie') => ({ success: true, message, data });
+
+/**
+ * Readable device of a session, from the browser user agent
+ * @param {string} userAgent - User-Agent of the login request
+ * @returns {string} Device (e.g. 'Chrome sur Windows')
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1] || 'Navigateur';
+  const system = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/i, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  return system ? `${browser} sur ${system}` : browser;
+};
+
+// =====================================
+// ROUTES
+// =====================================
+
+/**
+ * Route handlers by endpoint name
+ * Each handler runs with the backend as `this` and receives
+ * { method, url, params, query, body, headers, claims }
+ */
+const ROUTES = {
+  // =====================================
+  // USER SERVICE
+  // =====================================
+
+  'USER_SERVICE.REGISTER': {
+    public: true,
+    handle({ body }) {
+      if (!body?.email || !body?.nom || !body?.prenom) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Nom, prénom et email sont obligatoires');
+      }
+      if (this.state.clients.some(client => client.email === body.email)) {
+        throw new MockHttpError(HTTP_STATUS.CONFLICT, 'Un compte existe déjà avec cet email');
+      }
+
+      const client = {
+        idClient: this.nextId('CLI', this.state.clients.length, 5),
+        nom: body.nom,
+        prenom: body.prenom,
+        email: body.email,
+        numero: body.numero || '',
+        cni: body.cni || '',
+        status: 'PENDING',
+        idAgence: body.idAgence || this.state.agencies[0].idAgence,
+        nomAgence: this.findAgency(body.idAgence)?.nomAgence || this.state.agencies[0].nomAgence,
+        balance: 0,
+        createdAt: new Date().toISOString()
+      };
+      this.state.clients.push(client);
+      this.recordEvent(`Inscription du client ${client.prenom} ${client.nom}`);
+
+      return new MockReply(HTTP_STATUS.CREATED, {
+        success: true,
+        message: 'Inscription enregistrée, en attente de validation',
+        idClient: client.idClient,
+        status: client.status
+      });
+    }
+  },
+
+  'USER_SERVICE.LOGIN': {
+    public: true,
+    handle({ body, headers }) {
+      const user = this.authenticateAccount(account => account.email === body?.email, body?.password);
+      const tokens = this.issueTokens(user, this.openSession(user, headers));
+      return { ...tokens, token: tokens.accessToken, user: this.toProfile(user) };
+    }
+  },
+
+  'USER_SERVICE.LOGOUT': {
+    handle(request) {
+      return this.revokeRefreshToken(this.readRefreshToken(request));
+    }
+  },
+
+  'USER_SERVICE.REFRESH': {
+    public: true,
+    handle(request) {
+      return this.refreshTokens(this.readRefreshToken(request));
+    }
+  },
+
+  'USER_SERVICE.PROFILE': {
+    handle({ claims }) {
+      return this.toProfile(this.findUser(claims.sub));
+    }
+  },
+
+  'USER_SERVICE.UPDATE_PROFILE': {
+    handle({ params, body }) {
+      const client = this.findClient(params.clientId);
+      const { idClient, status, balance, ...changes } = body || {};
+      Object.assign(client, changes);
+      return client;
+    }
+  },
+
+  'USER_SERVICE.SEARCH': {
+    handle({ query }) {
+      const clients = this.state.clients.filter(client => (
+        matchesSearch(client, ['nom', 'prenom', 'email', 'numero', 'cni', 'idClient'], query.query)
+        && (!query.status || client.status === query.status)
+      ));
+      return paginate(clients, query);
+    }
+  },
+
+  'USER_SERVICE.STATISTICS': {
+    handle({ query }) {
+      return this.getClientStatistics(query.idAgence);
+    }
+  },
+
+  'USER_SERVICE.UNLOCK': {
+    handle({ params, claims }) {
+      // Also unlocks back-office colleagues locked out after failed logins
+      const user = this.state.users.find(candidate => candidate.id === params.clientId);
+      if (user) {
+        Object.assign(user, {
+          failedLoginAttempts: 0,
+          accountLockedUntil: null,
+          updatedAt: new Date().toISOString(),
+          updatedBy: claims.username
+        });
+        this.recordEvent(`Compte ${user.username} déverrouillé`);
+        return { success: true, message: 'Compte déverrouillé', idClient: user.id, status: user.status };
+      }
+
+      const client = this.findClient(params.clientId);
+      client.status = 'ACTIVE';
+      this.recordEvent(`Client ${client.idClient} débloqué`);
+      return { success: true, message: 'Compte débloqué', idClient: client.idClient, status: client.status };
+    }
+  },
+
+  'USER_SERVICE.BALANCE': {
+    handle({ query }) {
+      const client = this.findClient(query.clientId);
+      return { clientId: client.idClient, balance: client.balance, currency: 'XAF' };
+    }
+  },
+
+  'USER_SERVICE.TRANSACTIONS': {
+    handle({ query }) {
+      const startTime = query.startDate ? Date.parse(query.startDate) : -Infinity;
+      const endTime = query.endDate ? Date.parse(query.endDate) : Infinity;
+      const transactions = this.state.transactions.filter(transaction => (
+        transaction.clientId === query.clientId
+        && (!query.type || transaction.type === query.type)
+        && Date.parse(transaction.createdAt) >= startTime
+        && Date.parse(transaction.createdAt) <= endTime
+      ));
+      return paginate(transactions, query);
+    }
+  },
+
+  'USER_SERVICE.DEPOSIT': {
+    handle(request) {
+      return this.moneyOperation('DEPOSIT', request);
+    }
+  },
+
+  'USER_SERVICE.WITHDRAWAL': {
+    handle(request) {
+      return this.moneyOperation('WITHDRAWAL', request);
+    }
+  },
+
+  'USER_SERVICE.TRANSFER': {
+    handle(request) {
+      return this.moneyOperation('TRANSFER', request);
+    }
+  },
+
+  'USER_SERVICE.HEALTH': {
+    public: true,
+    handle() {
+      return this.getActuatorHealth();
+    }
+  },
+
+  // =====================================
+  // AGENCE SERVICE - AUTHENTICATION
+  // =====================================
+
+  'AGENCE_SERVICE.AUTH.LOGIN': {
+    public: true,
+    handle({ body, headers }) {
+      const user = this.authenticateAccount(account => account.username === body?.username, body?.password);
+      const account = this.accounts.find(candidate => candidate.userId === user.id);
+
+      if (account.mfa && !this.isTrustedDevice(body?.deviceToken, user)) {
+        return {
+          mfaRequired: true,
+          mfaToken: createToken({ sub: user.id, type: 'mfa', jti: Math.random().toString(36).slice(2) }, MFA_TOKEN_TTL),
+          mfaMethods: ['TOTP', 'BACKUP_CODE'],
+          message: 'Code de vérification requis'
+        };
+      }
+
+      return this.toLoginResponse(user, this.openSession(user, headers));
+    }
+  },
+
+  'AGENCE_SERVICE.AUTH.MFA_VERIFY': {
+    public: true,
+    handle({ body, headers }) {
+      const claims = decodeToken(body?.mfaToken || '');
+      if (!claims || claims.type !== 'mfa' || claims.exp * 1000 <= Date.now() || this.revokedTokens.has(body.mfaToken)) {
+        throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Vérification expirée. Veuillez vous reconnecter.');
+      }
+
+      const user = this.findUser(claims.sub);
+      const { mfa } = this.accounts.find(account => account.userId === user.id);
+      const code = String(body.code || '').trim().toUpperCase();
+
+      if (body.method === 'BACKUP_CODE') {
+        if (!mfa.backupCodes.includes(code)) {
+          throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Code de secours invalide ou déjà utilisé');
+        }
+        mfa.backupCodes = mfa.backupCodes.filter(backupCode => backupCode !== code);
+      } else if (code !== mfa.totpCode) {
+        throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Code de vérification invalide');
+      }
+
+      // One challenge, one session
+      this.revokedTokens.add(body.mfaToken);
+
+      const trust = body.trustDevice
+        ? {
+          deviceToken: createToken({ sub: user.id, type: 'device' }, DEVICE_TOKEN_TTL),
+          trustedUntil: new Date(Date.now() + DEVICE_TOKEN_TTL * 1000).toISOString()
+        }
+        : {};
+
+      return {
+        ...this.toLoginResponse(user, this.openSession(user, headers)),
+        ...trust,
+        remainingBackupCodes: mfa.backupCodes.length
+      };
+    }
+  },
+
+  'AGENCE_SERVICE.AUTH.REFRESH': {
+    public: true,
+    handle(request) {
+      return this.refreshTokens(this.readRefreshToken(request));
+    }
+  },
+
+  'AGENCE_SERVICE.AUTH.LOGOUT': {
+    handle(request) {
+      return this.revokeRefreshToken(this.readRefreshToken(request));
+    }
+  },
+
+  'AGENCE_SERVICE.AUTH.CHANGE_PASSWORD': {
+    handle({ body, claims }) {
+      const account = this.accounts.find(candidate => candidate.userId === claims.sub);
+      if (!account || account.password !== body?.currentPassword) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Mot de passe actuel incorrect');
+      }
+
+      const policy = checkPasswordPolicy(body.newPassword || '', { currentPassword: account.password, username: account.username });
+      if (!policy.isValid) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Le nouveau mot de passe ne respecte pas la politique de sécurité');
+      }
+      if ((account.passwordHistory || []).includes(body.newPassword)) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, `Ce mot de passe fait partie des ${PASSWORD_POLICY.HISTORY_SIZE} derniers utilisés`);
+      }
+
+      account.passwordHistory = [account.password, ...(account.passwordHistory || [])].slice(0, PASSWORD_POLICY.HISTORY_SIZE);
+      account.password = body.newPassword;
+      Object.assign(this.findUser(claims.sub), {
+        firstLogin: false,
+        passwordExpired: false,
+        updatedAt: new Date().toISOString()
+      });
+      return { success: true, message: 'Mot de passe modifié avec succès' };
+    }
+  },
+
+  'AGENCE_SERVICE.AUTH.SESSIONS': {
+    handle({ claims }) {
+      return this.listSessions(claims.sub, claims.sid);
+    }
+  },
+
+  'AGENCE_SERVICE.AUTH.REVOKE_SESSION': {
+    handle({ params, claims }) {
+      if (params.sessionId === claims.sid) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Utilisez la déconnexion pour fermer la session en cours');
+      }
+
+      this.revokeSession(claims.sub, params.sessionId);
+      return { success: true, message: 'Session révoquée' };
+    }
+  },
+
+  // =====================================
+  // AGENCE SERVICE - ADMIN DASHBOARD
+  // =====================================
+
+  'AGENCE_SERVICE.ADMIN.DASHBOARD': {
+    handle({ query }) {
+      const clientIds = new Set(this.state.clients
+        .filter(client => inAgency(client, query.idAgence))
+        .map(client => client.idClient));
+      const transactions = this.state.transactions.filter(transaction => clientIds.has(transaction.clientId));
+      return {
+        userStatistics: this.getUserStatistics(query.idAgence),
+        documentStatistics: this.getDocumentStatistics(query.idAgence),
+        transactionStatistics: {
+          total: transactions.length,
+          successful: transactions.filter(transaction => transaction.status === 'SUCCESS').length,
+          volume: transactions.reduce((sum, transaction) => sum + transaction.amount, 0)
+        },
+        agencies: query.idAgence ? 1 : this.state.agencies.length,
+        generatedAt: new Date().toISOString()
+      };
+    }
+  },
+
+  'AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH': {
+    handle() {
+      return {
+        status: 'UP',
+        database: 'UP',
+        messaging: 'UP',
+        dependencies: {
+          USER_SERVICE: 'UP',
+          MONEY_SERVICE: 'UP'
+        },
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  'AGENCE_SERVICE.ADMIN.RECENT_ACTIVITY': {
+    handle({ query }) {
+      const limit = Number(query.limit) || 50;
+      const users = this.state.users.filter(user => inAgency(user, query.idAgence));
+      const recentLogins = sortItems(users.filter(user => user.lastLogin), 'lastLogin')
+        .slice(0, limit)
+        .map(user => ({ user: `${user.prenom} ${user.nom}`, timestamp: user.lastLogin }));
+      const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+      return {
+        recentLogins,
+        recentUserCreations: users.filter(user => Date.parse(user.createdAt) >= weekAgo),
+        // System events are not tied to an agency: headquarters only
+        systemEvents: query.idAgence ? [] : this.events.slice(0, limit),
+        pendingTasks: this.state.documents.filter(document => (
+          document.status === 'PENDING' && inAgency(document, query.idAgence)
+        )).length,
+        message: 'Données de démonstration (backend simulé)'
+      };
+    }
+  },
+
+  // =====================================
+  // AGENCE SERVICE - USER MANAGEMENT
+  // =====================================
+
+  'AGENCE_SERVICE.USERS.LIST': {
+    handle({ query }) {
+      const users = this.state.users.filter(user => (
+        matchesSearch(user, ['nom', 'prenom', 'email', 'username'], query.search)
+        && (!query.status || user.status === query.status)
+        && (!query.role || user.roles.includes(query.role))
+        && inAgency(user, query.idAgence)
+      ));
+      return paginate(users, query);
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.DETAILS': {
+    handle({ params }) {
+      return this.findUser(params.userId);
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.STATISTICS': {
+    handle({ query }) {
+      return success(this.getUserStatistics(query.idAgence));
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.EXPORT': {
+    handle({ body }) {
+      const fields = body?.fields?.length
+        ? body.fields
+        : ['id', 'username', 'email', 'nom', 'prenom', 'status', 'nomAgence', 'createdAt'];
+      const rows = this.state.users.map(user => fields.map(field => `"${String(user[field] ?? '').replace(/"/g, '""')}"`).join(','));
+      return new MockReply(HTTP_STATUS.SUCCESS, [fields.join(','), ...rows].join('\n'), 'text/csv');
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.CREATE': {
+    handle({ body, claims }) {
+      if (!body?.username || !body?.email || !body?.nom || !body?.prenom) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Nom d\'utilisateur, email, nom et prénom sont obligatoires');
+      }
+      if (this.state.users.some(user => user.username === body.username || user.email === body.email)) {
+        throw new MockHttpError(HTTP_STATUS.CONFLICT, 'Ce nom d\'utilisateur ou cet email est déjà utilisé');
+      }
+
+      const now = new Date().toISOString();
+      const agency = this.findAgency(body.idAgence);
+      const roles = body.roles?.length ? body.roles : ['AGENCE'];
+      const user = {
+        id: this.nextId('USR', this.state.users.length, 4),
+        username: body.username,
+        email: body.email,
+        nom: body.nom,
+        prenom: body.prenom,
+        roles,
+        role: getDashboardRole(roles),
+        idAgence: agency?.idAgence || body.idAgence || null,
+        nomAgence: agency?.nomAgence || body.nomAgence || null,
+        status: 'PENDING',
+        lastLogin: null,
+        lastLoginIp: null,
+        failedLoginAttempts: 0,
+        accountLockedUntil: null,
+        firstLogin: true,
+        passwordExpired: false,
+        createdAt: now,
+        createdBy: claims.username,
+        updatedAt: now,
+        updatedBy: claims.username
+      };
+      this.state.users.push(user);
+
+      // Handed to the new user, who must replace it at first login
+      const temporaryPassword = `Tmp-${Math.random().toString(36).slice(2, 8)}!${this.state.users.length}`;
+      this.accounts.push({ username: user.username, email: user.email, password: temporaryPassword, userId: user.id });
+      this.recordEvent(`Utilisateur ${user.username} créé`);
+
+      return new MockReply(HTTP_STATUS.CREATED, { ...user, temporaryPassword });
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.UPDATE': {
+    handle({ params, body, claims }) {
+      const user = this.findUser(params.userId);
+      const { id, status, createdAt, createdBy, ...changes } = body || {};
+      Object.assign(user, changes, { updatedAt: new Date().toISOString(), updatedBy: claims.username });
+      return user;
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.BLOCK': {
+    handle({ params, body, claims }) {
+      const user = this.findUser(params.userId);
+      if (user.id === claims.sub) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Vous ne pouvez pas bloquer votre propre compte');
+      }
+
+      Object.assign(user, { status: 'BLOCKED', updatedAt: new Date().toISOString(), updatedBy: claims.username });
+      this.recordEvent(`Utilisateur ${user.username} bloqué${body?.reason ? ` : ${body.reason}` : ''}`);
+      return success(user, 'Utilisateur bloqué');
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.UNBLOCK': {
+    handle({ params, claims }) {
+      const user = this.findUser(params.userId);
+      Object.assign(user, {
+        status: 'ACTIVE',
+        failedLoginAttempts: 0,
+        accountLockedUntil: null,
+        updatedAt: new Date().toISOString(),
+        updatedBy: claims.username
+      });
+      this.recordEvent(`Utilisateur ${user.username} débloqué`);
+      return success(user, 'Utilisateur débloqué');
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.SESSIONS': {
+    handle({ params, claims }) {
+      const user = this.findUser(params.userId);
+      return success(this.listSessions(user.id, claims.sid));
+    }
+  },
+
+  'AGENCE_SERVICE.USERS.REVOKE_SESSION': {
+    handle({ params, claims }) {
+      const user = this.findUser(params.userId);
+      const session = this.revokeSession(user.id, params.sessionId);
+      this.recordEvent(`Session ${session.device} de ${user.username} révoquée par ${claims.username}`);
+      return success({ sessionId: session.sessionId }, 'Session révoquée');
+    }
+  },
+
+  // =====================================
+  // AGENCE SERVICE - DOCUMENTS
+  // =====================================
+
+  'AGENCE_SERVICE.DOCUMENTS.PENDING': {
+    handle({ query }) {
+      const documents = this.state.documents.filter(document => (
+        document.status === 'PENDING'
+        && (!query.type || document.documentType === query.type)
+        && (!query.priority || document.priority === query.priority)
+        && inAgency(document, query.idAgence)
+      ));
+      return paginate(documents, query);
+    }
+  },
+
+  'AGENCE_SERVICE.DOCUMENTS.REVIEW': {
+    handle({ params }) {
+      return success(this.findDocument(params.documentId));
+    }
+  },
+
+  'AGENCE_SERVICE.DOCUMENTS.APPROVE': {
+    handle({ params, body, claims }) {
+      const document = this.reviewDocument(params.documentId, 'APPROVED', body, claims);
+      return success(document, 'Document approuvé');
+    }
+  },
+
+  'AGENCE_SERVICE.DOCUMENTS.REJECT': {
+    handle({ params, body, claims }) {
+      if (!body?.reason) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Le motif de rejet est obligatoire');
+      }
+      const document = this.reviewDocument(params.documentId, 'REJECTED', body, claims);
+      return success(document, 'Document rejeté');
+    }
+  },
+
+  'AGENCE_SERVICE.DOCUMENTS.STATISTICS': {
+    handle({ query }) {
+      return success(this.getDocumentStatistics(query.idAgence));
+    }
+  },
+
+  'AGENCE_SERVICE.DOCUMENTS.BULK_APPROVE': {
+    handle({ body, claims }) {
+      return this.bulkReview(body?.documentIds, 'APPROVED', body, claims);
+    }
+  },
+
+  'AGENCE_SERVICE.DOCUMENTS.BULK_REJECT': {
+    handle({ body, claims }) {
+      if (!body?.reason) {
+        throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Le motif de rejet est obligatoire');
+      }
+      return this.bulkReview(body?.documentIds, 'REJECTED', body, claims);
+    }
+  },
+
+  'AGENCE_SERVICE.DOCUMENTS.UPLOAD': {
+    handle({ params, body }) {
+      const documentType = body instanceof FormData ? body.get('documentType') : body?.documentType;
+      return new MockReply(HTTP_STATUS.CREATED, this.addDocument(params.userId, documentType));
+    }
+  },
+
+  // =====================================
+  // AGENCE SERVICE - RESUMABLE UPLOADS
+  // =====================================
+
+  'AGENCE_SERVICE.UPLOADS.CREATE': {
+    handle({ body }) {
+      const uploadId = `UPL-${Date.now().toString(36)}-${this.uploads.size + 1}`;
+      this.uploads.set(uploadId, { ...body, uploadId, receivedBytes: 0 });
+      return new MockReply(HTTP_STATUS.CREATED, { uploadId });
+    }
+  },
+
+  'AGENCE_SERVICE.UPLOADS.CHUNK': {
+    handle({ params, headers }) {
+      const upload = this.findUpload(params.uploadId);
+      const [, start, end] = /bytes (\d+)-(\d+)\//.exec(headers['content-range'] || '') || [];
+      if (start === undefined || Number(start) > upload.receivedBytes) {
+        throw new MockHttpError(HTTP_STATUS.CONFLICT, `Bloc attendu à partir de l'octet ${upload.receivedBytes}`);
+      }
+
+      upload.receivedBytes = Math.max(upload.receivedBytes, Number(end) + 1);
+      return { uploadId: upload.uploadId, receivedBytes: upload.receivedBytes };
+    }
+  },
+
+  'AGENCE_SERVICE.UPLOADS.STATUS': {
+    handle({ params }) {
+      const upload = this.findUpload(params.uploadId);
+      return { uploadId: upload.uploadId, receivedBytes: upload.receivedBytes };
+    }
+  },
+
+  'AGENCE_SERVICE.UPLOADS.COMPLETE': {
+    handle({ params }) {
+      const upload = this.findUpload(params.uploadId);
+      if (upload.receivedBytes < upload.fileSize) {
+        throw new MockHttpError(HTTP_STATUS.CONFLICT, `Fichier incomplet : ${upload.receivedBytes}/${upload.fileSize} octets reçus`);
+      }
+
+      this.uploads.delete(upload.uploadId);
+      return this.addDocument(upload.userId, upload.documentType);
+    }
+  },
+
+  'AGENCE_SERVICE.HEALTH': {
+    public: true,
+    handle() {
+      return this.getActuatorHealth();
+    }
+  },
+
+  // =====================================
+  // MONEY SERVICE
+  // =====================================
+
+  'MONEY_SERVICE.DEPOSIT': {
+    handle(request) {
+      return this.moneyOperation('DEPOSIT', request);
+    }
+  },
+
+  'MONEY_SERVICE.WITHDRAWAL': {
+    handle(request) {
+      return this.moneyOperation('WITHDRAWAL', request);
+    }
+  },
+
+  'MONEY_SERVICE.TRANSFER': {
+    handle(request) {
+      return this.moneyOperation('TRANSFER', request);
+    }
+  },
+
+  'MONEY_SERVICE.PAYMENT_STATUS': {
+    handle({ params }) {
+      const transaction = this.state.transactions.find(candidate => candidate.transactionId === params.transactionId);
+      if (!transaction) {
+        throw new MockHttpError(HTTP_STATUS.NOT_FOUND, 'Transaction introuvable');
+      }
+      return { transactionId: transaction.transactionId, status: transaction.status, amount: transaction.amount };
+    }
+  },
+
+  'MONEY_SERVICE.HEALTH': {
+    public: true,
+    handle() {
+      return this.getActuatorHealth();
+    }
+  }
+};
+
+// =====================================
+// MOCK BACKEND
+// =====================================
+
+/**
+ * Mock Backend Class
+ * Answers HttpClient requests from in-memory state
+ */
+class MockBackend {
+  constructor() {
+    const missing = Object.keys(ENDPOINT_REGISTRY).filter(name => !ROUTES[name]);
+    if (missing.length > 0) {
+      console.warn(`⚠️ Mock backend has no handler for: ${missing.join(', ')}`);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Restore the seed data and forget sessions, uploads and replays
+   */
+  reset() {
+    this.state = createFixtures();
+    this.accounts = MOCK_ACCOUNTS.map(account => structuredClone(account));
+    this.revokedTokens = new Set();
+    // Stand-in for the httpOnly refresh cookie of the browser (lost on reload, like the rest)
+    this.refreshCookie = null;
+    this.openedSessions = this.state.sessions.length;
+    this.uploads = new Map();
+    this.idempotentReplies = new Map();
+    this.events = [
+      { event: 'Démarrage du backend simulé', timestamp: new Date().toISOString() }
+    ];
+  }
+
+  // =====================================
+  // TRANSPORT
+  // =====================================
+
+  /**
+   * HttpClient transport: answer a request configuration with a Response
+   * @param {Object} config - Request configuration built by HttpClient
+   * @returns {Promise<Response>} Response
+   */
+  async handle(config) {
+    await this.delay(config.signal);
+
+    const method = config.method.toUpperCase();
+    const url = new URL(config.url);
+    const headers = Object.fromEntries(
+      Object.entries(config.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    if (config.onUploadProgress) {
+      const total = getBodySize(config.body);
+      config.onUploadProgress({ loaded: total, total, percent: 100 });
+    }
+
+    let status = HTTP_STATUS.SUCCESS;
+    let body;
+    let contentType = 'application/json';
+
+    try {
+      const { route, params } = this.match(method, config.url);
+      const request = {
+        method,
+        url: config.url,
+        params,
+        query: Object.fromEntries(url.searchParams),
+        body: this.parseBody(config.body),
+        headers,
+        credentials: config.credentials
+      };
+      if (!route.public) {
+        request.claims = this.authenticate(headers.authorization);
+      }
+
+      const result = route.handle.call(this, request);
+      if (result instanceof MockReply) {
+        ({ status, body, contentType } = result);
+      } else {
+        body = result;
+      }
+    } catch (error) {
+      if (!(error instanceof MockHttpError)) {
+        console.error('❌ Mock backend handler failed:', error);
+      }
+      status = error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+      body = {
+        status,
+        error: STATUS_TEXTS[status],
+        message: error.message,
+        ...error.details,
+        path: url.pathname,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const text = contentType === 'application/json' ? JSON.stringify(body) : body;
+    return new Response(status === HTTP_STATUS.NO_CONTENT ? null : text, {
+      status,
+      statusText: STATUS_TEXTS[status] || '',
+      headers: { 'Content-Type': contentType }
+    });
+  }
+
+  /**
+   * Wait for the simulated latency, rejecting like fetch when aborted
+   * @param {AbortSignal} signal - Request signal
+   * @returns {Promise} Resolves after MOCK_CONFIG.LATENCY
+   */
+  delay(signal) {
+    return new Promise((resolve, reject) => {
+      let timeoutId;
+      const abort = () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+
+      if (signal?.aborted) {
+        abort();
+        return;
+      }
+      timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      }, MOCK_CONFIG.LATENCY);
+      signal?.addEventListener('abort', abort, { once: true });
+    });
+  }
+
+  /**
+   * Find the route answering a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Absolute URL
+   * @returns {Object} { route, params }
+   * @throws {MockHttpError} 404 when no route matches
+   */
+  match(method, url) {
+    const endpoint = resolveEndpoint(method, url);
+    if (endpoint && ROUTES[endpoint.name]) {
+      return { route: ROUTES[endpoint.name], params: endpoint.params };
+    }
+
+    const [withoutQuery] = url.split('?');
+    console.warn(`⚠️ Mock backend: no route for ${method} ${url}`);
+    throw new MockHttpError(HTTP_STATUS.NOT_FOUND, `Aucune route simulée pour ${method} ${withoutQuery}`);
+  }
+
+  /**
+   * Parse a request body
+   * @param {*} body - Raw body (JSON string, FormData or Blob)
+   * @returns {*} Parsed body
+   */
+  parseBody(body) {
+    if (typeof body !== 'string') return body;
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+
+  // =====================================
+  // AUTHENTICATION
+  // =====================================
+
+  /**
+   * Check the bearer token of a protected request
+   * @param {string} authorization - Authorization header
+   * @returns {Object} Token claims
+   * @throws {MockHttpError} 401 for missing, invalid or expired tokens, and
+   *   for tokens of a revoked session
+   */
+  authenticate(authorization) {
+    const claims = decodeToken(authorization?.replace(/^Bearer /, '') || '');
+    if (!claims || claims.type !== 'access' || claims.exp * 1000 <= Date.now()) {
+      throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Token invalide ou expiré');
+    }
+    this.touchSession(claims.sid);
+    return claims;
+  }
+
+  /**
+   * Check login credentials
+   * @param {Function} isAccount - Account predicate (by username or email)
+   * @param {string} password - Submitted password
+   * @returns {Object} Logged-in user
+   * @throws {MockHttpError} 401 for bad credentials, 403 for blocked accounts,
+   *   423 for accounts locked after LOGIN_PROTECTION.MAX_ATTEMPTS failures
+   */
+  authenticateAccount(isAccount, password) {
+    const account = this.accounts.find(isAccount);
+    const user = account && this.state.users.find(candidate => candidate.id === account.userId);
+
+    if (!user) {
+      throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Identifiants incorrects');
+    }
+    if (user.status === 'BLOCKED') {
+      throw new MockHttpError(HTTP_STATUS.FORBIDDEN, 'Compte bloqué. Contactez un administrateur.');
+    }
+    if (user.accountLockedUntil) {
+      if (new Date(user.accountLockedUntil).getTime() > Date.now()) {
+        throw this.lockedAccountError(user);
+      }
+      // Lockout over: a fresh series of attempts
+      Object.assign(user, { failedLoginAttempts: 0, accountLockedUntil: null });
+    }
+    if (account.password !== password) {
+      user.failedLoginAttempts += 1;
+
+      if (user.failedLoginAttempts >= LOGIN_PROTECTION.MAX_ATTEMPTS) {
+        user.accountLockedUntil = new Date(Date.now() + LOGIN_PROTECTION.LOCK_DURATION).toISOString();
+        this.recordEvent(`Compte ${user.username} verrouillé après ${user.failedLoginAttempts} tentatives échouées`);
+        throw this.lockedAccountError(user);
+      }
+      throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Identifiants incorrects', {
+        remainingAttempts: LOGIN_PROTECTION.MAX_ATTEMPTS - user.failedLoginAttempts
+      });
+    }
+
+    Object.assign(user, {
+      lastLogin: new Date().toISOString(),
+      lastLoginIp: '127.0.0.1',
+      failedLoginAttempts: 0
+    });
+    return user;
+  }
+
+  /**
+   * Refuse a login on a locked account, with the end of the lockout
+   * @param {Object} user - Locked user
+   * @returns {MockHttpError} 423 error
+   */
+  lockedAccountError(user) {
+    const retryAfter = Math.ceil((new Date(user.accountLockedUntil).getTime() - Date.now()) / 1000);
+    return new MockHttpError(HTTP_STATUS.LOCKED, 'Compte temporairement verrouillé après plusieurs tentatives échouées', {
+      lockedUntil: user.accountLockedUntil,
+      retryAfter
+    });
+  }
+
+  /**
+   * Check a trusted-device token sent with a login
+   * @param {string} deviceToken - Token issued by MFA_VERIFY
+   * @param {Object} user - User logging in
+   * @returns {boolean} True when the token belongs to the user and has not expired
+   */
+  isTrustedDevice(deviceToken, user) {
+    const claims = decodeToken(deviceToken || '');
+    return !!claims && claims.type === 'device' && claims.sub === user.id && claims.exp * 1000 > Date.now();
+  }
+
+  /**
+   * Issue an access and refresh token pair, setting the refresh cookie
+   * @param {Object} user - Back-office user
+   * @param {string} sessionId - Session the tokens belong to (`sid` claim)
+   * @returns {Object} Tokens
+   */
+  issueTokens(user, sessionId) {
+    const claims = {
+      sub: user.id,
+      sid: sessionId,
+      username: user.username,
+      roles: user.roles,
+      role: user.role,
+      idAgence: user.idAgence
+    };
+
+    const refreshToken = createToken({ sub: user.id, sid: sessionId, type: 'refresh', jti: Math.random().toString(36).slice(2) }, REFRESH_TOKEN_TTL);
+    this.refreshCookie = refreshToken;
+
+    return {
+      accessToken: createToken({ ...claims, type: 'access' }, MOCK_CONFIG.ACCESS_TOKEN_TTL),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: MOCK_CONFIG.ACCESS_TOKEN_TTL
+    };
+  }
+
+  /**
+   * Refresh token of a request: the body first, then the cookie
+   * @param {Object} request - Matched request ({ body, credentials })
+   * @returns {string|null} Refresh token
+   */
+  readRefreshToken({ body, credentials }) {
+    return body?.refreshToken || (credentials === 'include' ? this.refreshCookie : null);
+  }
+
+  /**
+   * Build the agence login response: tokens, profile and password status
+   * @param {Object} user - Logged-in user
+   * @param {string} sessionId - Session opened by the login
+   * @returns {Object} Login response
+   */
+  toLoginResponse(user, sessionId) {
+    const passwordChangeReason = (user.passwordExpired && 'EXPIRED') || (user.firstLogin && 'FIRST_LOGIN') || null;
+
+    return {
+      ...this.issueTokens(user, sessionId),
+      ...this.toProfile(user),
+      passwordChangeRequired: !!passwordChangeReason,
+      passwordChangeReason,
+      message: 'Connexion réussie'
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair (the old refresh token is revoked)
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} Tokens, with `token` as read by authService
+   * @throws {MockHttpError} 401 for invalid, expired or revoked tokens, and
+   *   for tokens of a revoked session
+   */
+  refreshTokens(refreshToken) {
+    const claims = decodeToken(refreshToken || '');
+    if (!claims || claims.type !== 'refresh' || claims.exp * 1000 <= Date.now() || this.revokedTokens.has(refreshToken)) {
+      throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Session expirée. Veuillez vous reconnecter.');
+    }
+    this.touchSession(claims.sid);
+
+    this.revokedTokens.add(refreshToken);
+    const tokens = this.issueTokens(this.findUser(claims.sub), claims.sid);
+    return { ...tokens, token: tokens.accessToken };
+  }
+
+  /**
+   * Revoke a refresh token on logout
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} Logout response
+   */
+  revokeRefreshToken(refreshToken) {
+    if (refreshToken) {
+      this.revokedTokens.add(refreshToken);
+      if (refreshToken === this.refreshCookie) {
+        this.refreshCookie = null;
+      }
+      const { sid } = decodeToken(refreshToken) || {};
+      this.state.sessions = this.state.sessions.filter(session => session.sessionId !== sid);
+    }
+    return { success: true, message: 'Déconnexion réussie' };
+  }
+
+  // =====================================
+  // SESSIONS
+  // =====================================
+
+  /**
+   * Open a session for a successful login
+   * @param {Object} user - Logged-in user
+   * @param {Object} headers - Login request headers (lower-case names)
+   * @returns {string} Session id
+   */
+  openSession(user, headers = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      sessionId: this.nextId('SES', this.openedSessions++, 4),
+      userId: user.id,
+      device: describeDevice(headers['user-agent'] || globalThis.navigator?.userAgent),
+      ipAddress: user.lastLoginIp,
+      loginAt: now,
+      lastSeenAt: now
+    };
+    this.state.sessions.push(session);
+    return session.sessionId;
+  }
+
+  /**
+   * Record activity on the session of a token
+   * Tokens issued without a session (before sessions were tracked) are let through.
+   * @param {string} sessionId - `sid` claim
+   * @throws {MockHttpError} 401 when the session was revoked
+   */
+  touchSession(sessionId) {
+    if (!sessionId) return;
+
+    const session = this.state.sessions.find(candidate => candidate.sessionId === sessionId);
+    if (!session) {
+      throw new MockHttpError(HTTP_STATUS.UNAUTHORIZED, 'Session révoquée. Veuillez vous reconnecter.');
+    }
+    session.lastSeenAt = new Date().toISOString();
+  }
+
+  /**
+   * Open sessions of a user, most recently active first
+   * @param {string} userId - User id
+   * @param {string} currentSessionId - Session of the caller, flagged `current`
+   * @returns {Array} Sessions
+   */
+  listSessions(userId, currentSessionId) {
+    return this.state.sessions
+      .filter(session => session.userId === userId)
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+      .map(({ sessionId, device, ipAddress, loginAt, lastSeenAt }) => ({
+        sessionId, device, ipAddress, loginAt, lastSeenAt, current: sessionId === currentSessionId
+      }));
+  }
+
+  /**
+   * Close a session: its tokens stop working at their next request
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session id
+   * @returns {Object} Revoked session
+   * @throws {MockHttpError} 404 when the user has no such session
+   */
+  revokeSession(userId, sessionId) {
+    const session = this.state.sessions.find(candidate => candidate.sessionId === sessionId && candidate.userId === userId);
+    if (!session) throw new MockHttpError(HTTP_STATUS.NOT_FOUND, 'Session introuvable');
+
+    this.state.sessions = this.state.sessions.filter(candidate => candidate !== session);
+    return session;
+  }
+
+  /**
+   * Public profile of a back-office user, as returned on login
+   * @param {Object} user - Back-office user
+   * @returns {Object} Profile
+   */
+  toProfile(user) {
+    const { id, username, email, nom, prenom, roles, role, idAgence, nomAgence } = user;
+    return { id, username, email, nom, prenom, roles, role, idAgence, nomAgence };
+  }
+
+  // =====================================
+  // STATE ACCESS
+  // =====================================
+
+  /**
+   * Build the next sequential id
+   * @param {string} prefix - Id prefix
+   * @param {number} count - Current number of records
+   * @param {number} width - Digits
+   * @returns {string} Id
+   */
+  nextId(prefix, count, width) {
+    return `${prefix}-${String(count + 1).padStart(width, '0')}`;
+  }
+
+  /**
+   * Record a system event shown in the recent activity
+   * @param {string} event - Event description
+   */
+  recordEvent(event) {
+    this.events.unshift({ event, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Find a back-office user
+   * @param {string} userId - User id
+   * @returns {Object} User
+   * @throws {MockHttpError} 404 when unknown
+   */
+  findUser(userId) {
+    const user = this.state.users.find(candidate => candidate.id === userId);
+    if (!user) throw new MockHttpError(HTTP_STATUS.NOT_FOUND, 'Utilisateur introuvable');
+    return user;
+  }
+
+  /**
+   * Find a wallet client
+   * @param {string} clientId - Client id
+   * @returns {Object} Client
+   * @throws {MockHttpError} 404 when unknown
+   */
+  findClient(clientId) {
+    const client = this.state.clients.find(candidate => candidate.idClient === clientId);
+    if (!client) throw new MockHttpError(HTTP_STATUS.NOT_FOUND, 'Client introuvable');
+    return client;
+  }
+
+  /**
+   * Find a KYC document
+   * @param {string} documentId - Document id
+   * @returns {Object} Document
+   * @throws {MockHttpError} 404 when unknown
+   */
+  findDocument(documentId) {
+    const document = this.state.documents.find(candidate => candidate.id === documentId);
+    if (!document) throw new MockHttpError(HTTP_STATUS.NOT_FOUND, 'Document introuvable');
+    return document;
+  }
+
+  /**
+   * Find an open upload session
+   * @param {string} uploadId - Upload session id
+   * @returns {Object} Upload session
+   * @throws {MockHttpError} 404 when unknown, so uploadService restarts the upload
+   */
+  findUpload(uploadId) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload) throw new MockHttpError(HTTP_STATUS.NOT_FOUND, 'Session de téléversement introuvable');
+    return upload;
+  }
+
+  /**
+   * Find an agency
+   * @param {string} idAgence - Agency id
+   * @returns {Object|null} Agency
+   */
+  findAgency(idAgence) {
+    return this.state.agencies.find(agency => agency.idAgence === idAgence) || null;
+  }
+
+  // =====================================
+  // DOCUMENTS
+  // =====================================
+
+  /**
+   * Approve or reject a pending document, updating its client
+   * @param {string} documentId - Document id
+   * @param {string} status - 'APPROVED' or 'REJECTED'
+   * @param {Object} body - Review data (comments, reason)
+   * @param {Object} claims - Reviewer token claims
+   * @returns {Object} Reviewed document
+   * @throws {MockHttpError} 409 when the document was already reviewed
+   */
+  reviewDocument(documentId, status, body, claims) {
+    const document = this.findDocument(documentId);
+    if (document.status !== 'PENDING') {
+      throw new MockHttpError(HTTP_STATUS.CONFLICT, `Document déjà traité (${document.status})`);
+    }
+
+    Object.assign(document, {
+      status,
+      reviewedBy: claims.username,
+      reviewedAt: new Date().toISOString(),
+      comments: body?.comments || '',
+      rejectionReason: status === 'REJECTED' ? body.reason : null
+    });
+
+    const client = this.state.clients.find(candidate => candidate.idClient === document.idClient);
+    if (client) {
+      client.status = status === 'APPROVED' ? 'ACTIVE' : 'REJECTED';
+    }
+
+    this.recordEvent(`Document ${document.id} ${status === 'APPROVED' ? 'approuvé' : 'rejeté'} par ${claims.username}`);
+    return document;
+  }
+
+  /**
+   * Review several documents, reporting the ones that could not be processed
+   * @param {string[]} documentIds - Document ids
+   * @param {string} status - 'APPROVED' or 'REJECTED'
+   * @param {Object} body - Review data
+   * @param {Object} claims - Reviewer token claims
+   * @returns {Object} { success, message, data: { processed, failed } }
+   */
+  bulkReview(documentIds = [], status, body, claims) {
+    const processed = [];
+    const failed = [];
+
+    documentIds.forEach((documentId) => {
+      try {
+        processed.push(this.reviewDocument(documentId, status, body, claims).id);
+      } catch (error) {
+        failed.push({ documentId, message: error.message });
+      }
+    });
+
+    return success({ processed, failed }, `${processed.length} document(s) traité(s)`);
+  }
+
+  /**
+   * Add a freshly uploaded document to the review queue
+   * @param {string} clientId - Owner of the document
+   * @param {string} documentType - Document type
+   * @returns {Object} Document
+   */
+  addDocument(clientId, documentType) {
+    const client = this.findClient(clientId);
+    const now = new Date().toISOString();
+    const document = {
+      id: this.nextId('DOC', this.state.documents.length, 4),
+      idClient: client.idClient,
+      nom: client.nom,
+      prenom: client.prenom,
+      email: client.email,
+      numero: client.numero,
+      cni: client.cni,
+      idAgence: client.idAgence,
+      nomAgence: client.nomAgence,
+      documentType: documentType || 'ID_CARD',
+      priority: 'MEDIUM',
+      status: 'PENDING',
+      hasRecto: true,
+      hasVerso: false,
+      hasSelfie: false,
+      submissionDate: now,
+      uploadedAt: now,
+      createdAt: now,
+      reviewedBy: null,
+      reviewedAt: null,
+      comments: ''
+    };
+
+    this.state.documents.push(document);
+    return document;
+  }
+
+  // =====================================
+  // MONEY OPERATIONS
+  // =====================================
+
+  /**
+   * Apply a deposit, withdrawal or transfer to the client owning the phone number
+   * Requests repeating an Idempotency-Key get the first answer back
+   * @param {string} type - 'DEPOSIT', 'WITHDRAWAL' or 'TRANSFER'
+   * @param {Object} request - Mock request
+   * @returns {Object} Transaction
+   */
+  moneyOperation(type, { body, headers }) {
+    const idempotencyKey = headers[RETRY_CONFIG.IDEMPOTENCY_HEADER.toLowerCase()];
+    if (idempotencyKey && this.idempotentReplies.has(idempotencyKey)) {
+      return this.idempotentReplies.get(idempotencyKey);
+    }
+
+    const phone = type === 'DEPOSIT' ? body?.payer : body?.payee;
+    const client = this.state.clients.find(candidate => candidate.numero === phone);
+    const amount = Number(body?.amount);
+
+    if (!client) {
+      throw new MockHttpError(HTTP_STATUS.NOT_FOUND, `Aucun compte associé au numéro ${phone}`);
+    }
+    if (!(amount > 0)) {
+      throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Montant invalide');
+    }
+    if (type !== 'DEPOSIT' && client.balance < amount) {
+      throw new MockHttpError(HTTP_STATUS.BAD_REQUEST, 'Solde insuffisant');
+    }
+
+    client.balance += type === 'DEPOSIT' ? amount : -amount;
+    const transaction = {
+      transactionId: this.nextId('TRX', this.state.transactions.length, 6),
+      clientId: client.idClient,
+      type,
+      amount,
+      status: 'SUCCESS',
+      description: body.description || '',
+      createdAt: new Date().toISOString()
+    };
+    this.state.transactions.push(transaction);
+
+    const reply = { ...transaction, newBalance: client.balance, message: 'Opération effectuée avec succès' };
+    if (idempotencyKey) {
+      this.idempotentReplies.set(idempotencyKey, reply);
+    }
+    return reply;
+  }
+
+  // =====================================
+  // STATISTICS
+  // =====================================
+
+  /**
+   * Back-office user statistics
+   * @param {string} idAgence - Agency filter (none means every agency)
+   * @returns {Object} Counts by status
+   */
+  getUserStatistics(idAgence) {
+    const users = this.state.users.filter(user => inAgency(user, idAgence));
+    const counts = countBy(users, 'status');
+    return {
+      totalUsers: users.length,
+      activeUsers: counts.ACTIVE || 0,
+      pendingUsers: counts.PENDING || 0,
+      blockedUsers: counts.BLOCKED || 0,
+      inactiveUsers: counts.INACTIVE || 0
+    };
+  }
+
+  /**
+   * KYC document statistics
+   * @param {string} idAgence - Agency filter (none means every agency)
+   * @returns {Object} Counts, approval rate and processing time
+   */
+  getDocumentStatistics(idAgence) {
+    const documents = this.state.documents.filter(document => inAgency(document, idAgence));
+    const counts = countBy(documents, 'status');
+    const approved = counts.APPROVED || 0;
+    const rejected = counts.REJECTED || 0;
+
+    return {
+      totalDocuments: documents.length,
+      pendingDocuments: counts.PENDING || 0,
+      approvedDocuments: approved,
+      rejectedDocuments: rejected,
+      approvalRate: approved + rejected > 0 ? Math.round((approved / (approved + rejected)) * 1000) / 10 : 0,
+      averageProcessingTime: '4h'
+    };
+  }
+
+  /**
+   * Wallet client statistics, as produced by the user service
+   * @param {string} idAgence - Agency filter (none means every agency)
+   * @returns {Object} Client statistics
+   */
+  getClientStatistics(idAgence) {
+    const clients = this.state.clients.filter(client => inAgency(client, idAgence));
+    const counts = countBy(clients, 'status');
+    const now = Date.now();
+    const createdWithin = (ms) => clients.filter(client => now - Date.parse(client.createdAt) <= ms).length;
+    const clientIdsWithTransactions = new Set(this.state.transactions.map(transaction => transaction.clientId));
+
+    const registrationTrends = {};
+    clients.forEach((client) => {
+      const month = client.createdAt.slice(0, 7);
+      registrationTrends[month] = (registrationTrends[month] || 0) + 1;
+    });
+
+    return {
+      totalClients: clients.length,
+      activeClients: counts.ACTIVE || 0,
+      pendingClients: counts.PENDING || 0,
+      blockedClients: counts.BLOCKED || 0,
+      rejectedClients: counts.REJECTED || 0,
+      newClientsToday: createdWithin(24 * 60 * 60 * 1000),
+      newClientsThisWeek: createdWithin(7 * 24 * 60 * 60 * 1000),
+      newClientsThisMonth: createdWithin(30 * 24 * 60 * 60 * 1000),
+      clientsWithAccounts: counts.ACTIVE || 0,
+      clientsWithTransactions: clients.filter(client => clientIdsWithTransactions.has(client.idClient)).length,
+      totalAccountBalance: clients.reduce((sum, client) => sum + client.balance, 0),
+      statusDistribution: counts,
+      agencyDistribution: countBy(clients, 'nomAgence'),
+      registrationTrends,
+      source: 'UserService',
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Spring Boot actuator health
+   * @returns {Object} Health
+   */
+  getActuatorHealth() {
+    return { status: 'UP', components: { db: { status: 'UP' }, diskSpace: { status: 'UP' } } };
+  }
+}
+
+/**
+ * Route every HttpClient request to a new mock backend
+ * @param {HttpClient} client - Client to plug into (the shared one by default)
+ * @returns {MockBackend} Backend, e.g. to reset() its state
+ */
+export const installMockBackend = (client = httpClient) => {
+  const backend = new MockBackend();
+  client.setTransport(config => backend.handle(config));
+
+  console.warn(`🧪 Mock backend enabled: requests are answered in the browser (${MOCK_CONFIG.LATENCY}ms latency)`);
+  return backend;
+};
+
+export { MockBackend, MockHttpError };
@@ -19,7 +19,8 @@ import authService from './authService.js';
 import userService from './userService.js';
 import agenceService from './agenceService.js';
 import httpClient from './httpClient.js';
-import { BASE_URLS, ENDPOINTS, HTTP_STATUS, ERROR_MESSAGES } from '../config/apiConfig.js';
+import { CIRCUIT_STATE } from './circuitBreaker.js';
+import { BASE_URLS, ENDPOINTS, HTTP_STATUS, ERROR_MESSAGES, buildUrl } from '../config/apiConfig.js';
 
 /**
  * Main API Service Class
@@ -56,6 +57,12 @@ class ApiService {
     
     // Add global error handlers
     this.setupGlobalErrorHandlers();
+
+    // Relay circuit breaker state changes
+    this.setupCircuitBreakerListeners();
+
+    // Refresh expired tokens instead of logging out on 401
+    this.setupTokenRefresh();
     
     console.log('✅ API Service initialized successfully');
   }
@@ -82,6 +89,7 @@ class ApiService {
 
   /**
    * Setup global error handlers
+   * Runs after the HTTP client's own interceptors, so only unrecovered errors arrive here
    */
   setupGlobalErrorHandlers() {
     // Add response interceptor for global error handling
@@ -89,7 +97,7 @@ class ApiService {
       // Success handler
       (response) => response,
       
-      // Error handler
+      // Error handler: report, then pass the error on
       async (error) => {
         await this.handleGlobalError(error);
         return Promise.reject(error);
@@ -97,6 +105,50 @@ class ApiService {
     );
   }
 
+  /**
+   * Setup token refresh on 401
+   * The HTTP client refreshes once for all failing requests and replays them;
+   * the user is logged out only if the refresh itself fails
+   */
+  setupTokenRefresh() {
+    this.http.setTokenRefresher(async () => {
+      try {
+        await this.auth.refreshAuthToken();
+      } catch (error) {
+        // refreshAuthToken has already logged the user out
+        console.warn('🚨 Token refresh failed, user logged out');
+        this.emitEvent('authenticationError', error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Setup circuit breaker listeners
+   * Emits 'circuitStateChange' for every transition, plus 'circuitOpen' / 'circuitClose'
+   */
+  setupCircuitBreakerListeners() {
+    this.http.onCircuitStateChange((snapshot) => {
+      this.emitEvent('circuitStateChange', snapshot);
+
+      if (snapshot.state === CIRCUIT_STATE.OPEN) {
+        console.warn(`⚡ ${snapshot.service} unavailable, failing fast`);
+        this.emitEvent('circuitOpen', snapshot);
+      } else if (snapshot.state === CIRCUIT_STATE.CLOSED) {
+        console.log(`✅ ${snapshot.service} recovered`);
+        this.emitEvent('circuitClose', snapshot);
+      }
+    });
+  }
+
+  /**
+   * Get the circuit breaker state of every backend service
+   * @returns {Array<Object>} Breaker snapshots
+   */
+  getCircuitStates() {
+    return this.http.getCircuitStates();
+  }
+
   /**
    * Handle authentication state changes
    * @param {boolean} isAuthenticated - Authentication status
@@ -117,12 +169,16 @@ class ApiService {
    * @param {Error} error - Error object
    */
   async handleGlobalError(error) {
-    // Handle authentication errors
-    if (error.status === HTTP_STATUS.UNAUTHORIZED) {
-      console.warn('🚨 Authentication error detected, logging out user');
-      await this.auth.logout();
-      // Redirect to login page or show login modal
-      this.emitEvent('authenticationError', error);
+    // 401s are handled by the token refresh flow (see setupTokenRefresh)
+
+    // Open circuits are reported through 'circuitOpen'
+    if (error.code === 'CIRCUIT_OPEN') {
+      return;
+    }
+
+    // Cancelled requests were abandoned on purpose (unmount, tab switch, newer search)
+    if (this.http.isCancelledError(error)) {
+      return;
     }
     
     // Handle network errors
@@ -287,22 +343,25 @@ class ApiService {
    * Perform financial operation with validation
    * @param {string} operation - Operation type ('deposit', 'withdrawal', 'transfer')
    * @param {Object} operationData - Operation data
+   * @param {Object} options - Operation options
+   * @param {string} options.idempotencyKey - Explicit idempotency key; by default one is
+   *   generated per intent and reused across double-clicks, retries and reloads until settled
    * @returns {Promise<Object>} Operation response
    */
-  async performFinancialOperation(operation, operationData) {
+  async performFinancialOperation(operation, operationData, options = {}) {
     try {
       console.log(`💸 Performing ${operation} operation`);
 
       let response;
       switch (operation.toLowerCase()) {
         case 'deposit':
-          response = await this.user.deposit(operationData);
+          response = await this.user.deposit(operationData, options);
           break;
         case 'withdrawal':
-          response = await this.user.withdrawal(operationData);
+          response = await this.user.withdrawal(operationData, options);
           break;
         case 'transfer':
-          response = await this.user.transfer(operationData);
+          response = await this.user.transfer(operationData, options);
           break;
         default:
           throw new Error(`Unsupported operation: ${operation}`);
@@ -386,9 +445,9 @@ class ApiService {
       console.log('🏥 Checking services health');
 
       const healthChecks = await Promise.allSettled([
-        this.http.get(`${BASE_URLS.USER_SERVICE}/actuator/health`),
-        this.http.get(`${BASE_URLS.AGENCE_SERVICE}/actuator/health`),
-        this.http.get(`${BASE_URLS.MONEY_SERVICE}/actuator/health`)
+        this.http.get(buildUrl('USER_SERVICE.HEALTH')),
+        this.http.get(buildUrl('AGENCE_SERVICE.HEALTH')),
+        this.http.get(buildUrl('MONEY_SERVICE.HEALTH'))
       ]);
 
       const health = {
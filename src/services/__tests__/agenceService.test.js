@@ -0,0 +1,377 @@
+/**
+ * 🏦 Agence Service Helper Tests
+ *
+ * Pure helpers used by the dashboard cards (percentage change, dashboard summary),
+ * the permission gate in front of the admin endpoints, the agency scope of
+ * agency directors, the first login of created users, the lockout after
+ * failed logins and the revoke of active sessions.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { HTTP_STATUS, LOGIN_PROTECTION, MOCK_CONFIG } from '../../config/apiConfig.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { installMockBackend } from '../../mocks/mockBackend.js';
+import { MOCK_ACCOUNTS } from '../../mocks/fixtures.js';
+import { createTestToken } from '../../test/tokens.js';
+import authService from '../authService.js';
+import httpClient from '../httpClient.js';
+import agenceService from '../agenceService.js';
+import userService from '../userService.js';
+
+describe('agenceService.calculatePercentageChange', () => {
+  it.each([
+    [150, 100, { percentage: 50, trend: 'up', formatted: '+50.0%' }],
+    [75, 100, { percentage: 25, trend: 'down', formatted: '-25.0%' }],
+    [100, 100, { percentage: 0, trend: 'neutral', formatted: '+0.0%' }]
+  ])('%i against %i', (current, previous, expected) => {
+    expect(agenceService.calculatePercentageChange(current, previous)).toEqual(expected);
+  });
+
+  it('rounds the formatted value to one decimal', () => {
+    const change = agenceService.calculatePercentageChange(1, 3);
+
+    expect(change.percentage).toBeCloseTo(66.667, 3);
+    expect(change.formatted).toBe('-66.7%');
+  });
+
+  it('reports growth from zero as +100%', () => {
+    expect(agenceService.calculatePercentageChange(12, 0)).toEqual({ percentage: 100, trend: 'up' });
+  });
+
+  it('reports no change from zero to zero', () => {
+    expect(agenceService.calculatePercentageChange(0, 0)).toEqual({ percentage: 0, trend: 'neutral' });
+  });
+});
+
+describe('agenceService.generateDashboardSummary', () => {
+  const dashboardData = {
+    userStats: { total: 120, active: 95 },
+    documentStats: { pending: 14 },
+    transactionStats: { total: 860 },
+    systemHealth: { overall: 'healthy' }
+  };
+
+  it('picks the headline figures', () => {
+    expect(agenceService.generateDashboardSummary(dashboardData)).toEqual({
+      totalUsers: 120,
+      activeUsers: 95,
+      pendingDocuments: 14,
+      totalTransactions: 860,
+      systemHealth: 'healthy'
+    });
+  });
+
+  it('falls back to zero and unknown when sections are missing', () => {
+    expect(agenceService.generateDashboardSummary({})).toEqual({
+      totalUsers: 0,
+      activeUsers: 0,
+      pendingDocuments: 0,
+      totalTransactions: 0,
+      systemHealth: 'unknown'
+    });
+  });
+
+  it('adds growth rates against the previous period', () => {
+    const summary = agenceService.generateDashboardSummary({
+      ...dashboardData,
+      previousPeriod: { totalUsers: 100, totalTransactions: 1000 }
+    });
+
+    expect(summary.userGrowth).toEqual({ percentage: 20, trend: 'up', formatted: '+20.0%' });
+    expect(summary.transactionGrowth).toMatchObject({ trend: 'down', formatted: '-14.0%' });
+    expect(summary.transactionGrowth.percentage).toBeCloseTo(14);
+  });
+
+  it('treats a missing previous figure as zero', () => {
+    const summary = agenceService.generateDashboardSummary({
+      ...dashboardData,
+      previousPeriod: {}
+    });
+
+    expect(summary.userGrowth).toEqual({ percentage: 100, trend: 'up' });
+    expect(summary.transactionGrowth).toEqual({ percentage: 100, trend: 'up' });
+  });
+});
+
+describe('agenceService permissions', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    authService.startSession({ token: createTestToken({ roles: ['SUPERVISOR'] }), user: { username: 'controle' } });
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('refuses a call the roles do not allow without reaching the server', async () => {
+    await expect(agenceService.blockUser('USR-0042', 'Fraude')).rejects.toMatchObject({
+      code: 'PERMISSION_DENIED',
+      status: 403,
+      permission: PERMISSIONS.USERS_BLOCK
+    });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  describe.each([
+    ['agenceService.getDashboardData', () => agenceService.getDashboardData()],
+    ['agenceService.getUserStatistics', () => agenceService.getUserStatistics()],
+    ['agenceService.getDocumentStatistics', () => agenceService.getDocumentStatistics()],
+    ['userService.getUserStatistics', () => userService.getUserStatistics()]
+  ])('%s', (label, call) => {
+    it('needs the dashboard permission', async () => {
+      authService.startSession({ token: createTestToken({ roles: ['CLIENT'] }), user: { email: 'client@mail.cm' } });
+
+      await expect(call()).rejects.toMatchObject({
+        code: 'PERMISSION_DENIED',
+        permission: PERMISSIONS.DASHBOARD_VIEW
+      });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('reaches the server for back-office roles', async () => {
+      fetchMock.mockResolvedValue(new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+      httpClient.clearCache();
+
+      await call();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+/**
+ * Sign in to the mock backend, with the second step for MFA accounts
+ * @param {string} username - Account of MOCK_ACCOUNTS
+ */
+const signInAs = async (username) => {
+  const { password, mfa } = MOCK_ACCOUNTS.find(account => account.username === username);
+  const response = await authService.loginAgenceService(username, password);
+  if (response.mfaRequired) {
+    await authService.verifyMfa({ mfaToken: response.mfaToken, code: mfa.totpCode });
+  }
+};
+
+describe('agenceService agency scope', () => {
+  const latency = MOCK_CONFIG.LATENCY;
+
+  beforeEach(() => {
+    MOCK_CONFIG.LATENCY = 0;
+    httpClient.clearCache();
+    installMockBackend(httpClient);
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+    httpClient.setTransport(null);
+    MOCK_CONFIG.LATENCY = latency;
+  });
+
+  it('keeps an agency director inside their agency, whatever is requested', async () => {
+    await signInAs('directeur.douala');
+
+    const users = await agenceService.getUsers({ size: 100, idAgence: 'AG-YDE-001' });
+    const documents = await agenceService.getPendingDocuments({ size: 100 });
+    const activity = await agenceService.getRecentActivity();
+
+    expect(users.content.length).toBeGreaterThan(0);
+    expect(users.content.every(user => user.idAgence === 'AG-DLA-001')).toBe(true);
+    expect(documents.content.every(document => document.idAgence === 'AG-DLA-001')).toBe(true);
+    expect(activity.systemEvents).toEqual([]);
+  });
+
+  it('lets headquarters read every agency or filter on one', async () => {
+    await signInAs('admin');
+
+    const all = await agenceService.getUsers({ size: 100 });
+    const yaounde = await agenceService.getUsers({ size: 100, idAgence: 'AG-YDE-001' });
+    const statistics = await agenceService.getDocumentStatistics({ idAgence: 'AG-YDE-001' });
+
+    expect(new Set(all.content.map(user => user.idAgence)).size).toBeGreaterThan(1);
+    expect(yaounde.content.every(user => user.idAgence === 'AG-YDE-001')).toBe(true);
+    expect(statistics.data.totalDocuments).toBeLessThan((await agenceService.getDocumentStatistics()).data.totalDocuments);
+  });
+});
+
+describe('agenceService created users', () => {
+  const latency = MOCK_CONFIG.LATENCY;
+
+  beforeEach(() => {
+    MOCK_CONFIG.LATENCY = 0;
+    httpClient.clearCache();
+    installMockBackend(httpClient);
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+    httpClient.setTransport(null);
+    MOCK_CONFIG.LATENCY = latency;
+  });
+
+  it('must replace the temporary password at first login', async () => {
+    await signInAs('admin');
+    const { temporaryPassword } = await agenceService.createUser({
+      username: 'joseph.etoa',
+      email: 'joseph.etoa@ensf-wallet.cm',
+      nom: 'Etoa',
+      prenom: 'Joseph',
+      idAgence: 'AG-GRA-001'
+    });
+    authService.clearAuthData();
+
+    await authService.loginAgenceService('joseph.etoa', temporaryPassword);
+
+    expect(authService.getCurrentUser()).toMatchObject({ passwordChangeRequired: true, passwordChangeReason: 'FIRST_LOGIN' });
+    await expect(authService.changePassword(temporaryPassword, 'joseph2024')).rejects.toMatchObject({ status: 400 });
+
+    await authService.changePassword(temporaryPassword, 'Kribi#Plage2024');
+    authService.clearAuthData();
+    await authService.loginAgenceService('joseph.etoa', 'Kribi#Plage2024');
+
+    expect(authService.getCurrentUser().passwordChangeRequired).toBe(false);
+    await expect(authService.changePassword('Kribi#Plage2024', temporaryPassword)).rejects.toMatchObject({
+      status: 400,
+      data: expect.objectContaining({ message: expect.stringContaining('derniers utilisés') })
+    });
+  });
+
+  it('flags expired passwords at login', async () => {
+    await signInAs('agent.yaounde');
+
+    expect(authService.getCurrentUser()).toMatchObject({ passwordChangeRequired: true, passwordChangeReason: 'EXPIRED' });
+  });
+});
+
+describe('agenceService login lockout', () => {
+  const latency = MOCK_CONFIG.LATENCY;
+
+  /**
+   * Log in as the Douala director and return the refusal
+   * @param {string} password - Password
+   * @returns {Promise<Error>} Login error
+   */
+  const failLogin = (password) => authService.loginAgenceService('directeur.douala', password).catch(error => error);
+
+  beforeEach(() => {
+    MOCK_CONFIG.LATENCY = 0;
+    httpClient.clearCache();
+    installMockBackend(httpClient);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+    httpClient.setTransport(null);
+    MOCK_CONFIG.LATENCY = latency;
+    vi.restoreAllMocks();
+  });
+
+  it('locks the account after repeated failures until an admin unlocks it', async () => {
+    authService.clearAuthData();
+    const failures = [];
+    for (let i = 0; i < LOGIN_PROTECTION.MAX_ATTEMPTS; i++) {
+      failures.push(await failLogin('Mauvais@123'));
+    }
+
+    expect(failures.slice(0, -1).map(error => error.data.remainingAttempts)).toEqual([4, 3, 2, 1]);
+    expect(failures.at(-1)).toMatchObject({
+      status: HTTP_STATUS.LOCKED,
+      data: expect.objectContaining({ lockedUntil: expect.any(String), retryAfter: LOGIN_PROTECTION.LOCK_DURATION / 1000 })
+    });
+    expect(await failLogin('Directeur@123')).toMatchObject({ status: HTTP_STATUS.LOCKED });
+
+    await signInAs('admin');
+    const { content } = await agenceService.getUsers({ size: 100 });
+    expect(content.find(user => user.username === 'directeur.douala').accountLockedUntil).not.toBeNull();
+    const activity = await agenceService.getRecentActivity();
+    expect(activity.systemEvents[0].event).toContain('directeur.douala verrouillé');
+
+    await userService.unlockUser('USR-0002');
+    const { content: refreshed } = await agenceService.getUsers({ size: 100 });
+    expect(refreshed.find(user => user.username === 'directeur.douala')).toMatchObject({ failedLoginAttempts: 0, accountLockedUntil: null });
+    authService.clearAuthData();
+
+    await signInAs('directeur.douala');
+    expect(authService.getCurrentUser().username).toBe('directeur.douala');
+  });
+});
+
+describe('agenceService active sessions', () => {
+  const latency = MOCK_CONFIG.LATENCY;
+
+  beforeEach(() => {
+    MOCK_CONFIG.LATENCY = 0;
+    httpClient.clearCache();
+    installMockBackend(httpClient);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+    httpClient.setTransport(null);
+    MOCK_CONFIG.LATENCY = latency;
+    vi.restoreAllMocks();
+  });
+
+  it('lists the sessions of the current user and revokes another one', async () => {
+    await signInAs('directeur.douala');
+
+    const sessions = await authService.getSessions();
+
+    expect(sessions.map(session => session.sessionId)).toEqual(['SES-0004', 'SES-0002', 'SES-0003']);
+    expect(sessions[0]).toMatchObject({ current: true, ipAddress: '127.0.0.1' });
+    expect(sessions[1]).toMatchObject({ current: false, device: 'Firefox sur Windows' });
+
+    await authService.revokeSession('SES-0003');
+    await expect(authService.revokeSession('SES-0004')).rejects.toMatchObject({ status: HTTP_STATUS.BAD_REQUEST });
+
+    expect((await authService.getSessions()).map(session => session.sessionId)).toEqual(['SES-0004', 'SES-0002']);
+  });
+
+  it('lets an admin revoke the session of a user, logging that device out', async () => {
+    await signInAs('directeur.douala');
+    const revoked = {
+      token: authService.getAuthToken(),
+      refreshToken: authService.refreshToken,
+      user: authService.getCurrentUser()
+    };
+    authService.clearAuthData();
+
+    await signInAs('admin');
+    const { data: sessions } = await agenceService.getUserSessions('USR-0002');
+    expect(sessions.map(session => session.sessionId)).toContain('SES-0004');
+    expect(sessions.every(session => !session.current)).toBe(true);
+
+    await agenceService.revokeUserSession('USR-0002', 'SES-0004');
+    const activity = await agenceService.getRecentActivity();
+    expect(activity.systemEvents[0].event).toBe(`Session ${sessions[0].device} de directeur.douala révoquée par admin`);
+    await expect(agenceService.revokeUserSession('USR-0002', 'SES-0004')).rejects.toMatchObject({ status: HTTP_STATUS.NOT_FOUND });
+    authService.clearAuthData();
+
+    authService.startSession({ ...revoked, source: 'AGENCE_SERVICE' });
+    await expect(authService.getSessions()).rejects.toMatchObject({ status: HTTP_STATUS.UNAUTHORIZED });
+    await expect(authService.refreshAuthToken()).rejects.toMatchObject({ status: HTTP_STATUS.UNAUTHORIZED });
+    expect(authService.isAuthenticated()).toBe(false);
+  });
+
+  it('closes the session on logout', async () => {
+    await signInAs('directeur.douala');
+    await authService.logout();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    await signInAs('admin');
+    const { data: sessions } = await agenceService.getUserSessions('USR-0002');
+
+    expect(sessions.map(session => session.sessionId)).toEqual(['SES-0002', 'SES-0003']);
+  });
+});
@@ -0,0 +1,967 @@
+/**
+ * 🔐 Authentication Service Tests
+ *
+ * Token expiry parsing, refresh scheduling, session restore through the
+ * refresh endpoint and tokens kept out of storage, with fetch replaced by a
+ * local stub.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { buildUrl } from '../../config/apiConfig.js';
+import httpClient from '../httpClient.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUTH_SOURCES, AUTH_STATUS, AuthService, MFA_METHODS } from '../authService.js';
+
+const NOW = new Date('2024-10-21T09:30:00Z').getTime();
+const MINUTE = 60 * 1000;
+
+/**
+ * Build an unsigned JWT carrying the given claims
+ * @param {Object} claims - Payload claims
+ * @returns {string} Token
+ */
+const createToken = (claims) => ['eyJhbGciOiJIUzI1NiJ9', btoa(JSON.stringify(claims)), 'signature'].join('.');
+
+/**
+ * Build a JSON fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @returns {Response} Response
+ */
+const jsonResponse = (status, body = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+describe('AuthService', () => {
+  let auth;
+  let fetchMock;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.removeItem('ensf_auth');
+    localStorage.removeItem('ensf_trusted_devices');
+    auth = new AuthService();
+  });
+
+  afterEach(() => {
+    auth.clearAuthData();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  // =====================================
+  // TOKEN EXPIRY
+  // =====================================
+
+  describe('parseTokenExpiry', () => {
+    it('returns the exp claim in milliseconds', () => {
+      const token = createToken({ sub: 'USR-0001', exp: 1729503000 });
+
+      expect(auth.parseTokenExpiry(token)).toBe(1729503000 * 1000);
+    });
+
+    it('returns null for tokens without exp', () => {
+      expect(auth.parseTokenExpiry(createToken({ sub: 'USR-0001' }))).toBeNull();
+    });
+
+    it.each([
+      ['not a JWT', 'opaque-token'],
+      ['a payload that is not JSON', 'header.bm90IGpzb24.signature'],
+      ['no token', undefined]
+    ])('returns null for %s', (label, token) => {
+      expect(auth.parseTokenExpiry(token)).toBeNull();
+    });
+  });
+
+  // =====================================
+  // REFRESH SCHEDULING
+  // =====================================
+
+  describe('scheduleTokenRefresh', () => {
+    beforeEach(() => {
+      auth.refreshToken = 'refresh-token';
+      vi.spyOn(auth, 'refreshAuthToken').mockResolvedValue({});
+    });
+
+    it('refreshes five minutes before expiry', () => {
+      auth.tokenExpiryTime = NOW + 20 * MINUTE;
+
+      auth.scheduleTokenRefresh();
+
+      vi.advanceTimersByTime(15 * MINUTE - 1);
+      expect(auth.refreshAuthToken).not.toHaveBeenCalled();
+      vi.advanceTimersByTime(1);
+      expect(auth.refreshAuthToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('replaces a previously scheduled refresh', () => {
+      auth.tokenExpiryTime = NOW + 10 * MINUTE;
+      auth.scheduleTokenRefresh();
+      auth.tokenExpiryTime = NOW + 60 * MINUTE;
+      auth.scheduleTokenRefresh();
+
+      vi.advanceTimersByTime(54 * MINUTE);
+      expect(auth.refreshAuthToken).not.toHaveBeenCalled();
+      vi.advanceTimersByTime(1 * MINUTE);
+      expect(auth.refreshAuthToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('logs out when the token expires within five minutes', () => {
+      vi.spyOn(auth, 'logout').mockResolvedValue();
+      auth.tokenExpiryTime = NOW + 4 * MINUTE;
+
+      auth.scheduleTokenRefresh();
+
+      expect(auth.logout).toHaveBeenCalledTimes(1);
+      expect(auth.refreshTimer).toBeNull();
+    });
+
+    it('logs out when the scheduled refresh fails', async () => {
+      vi.spyOn(auth, 'logout').mockResolvedValue();
+      auth.refreshAuthToken.mockRejectedValue(new Error('refresh failed'));
+      auth.tokenExpiryTime = NOW + 10 * MINUTE;
+
+      auth.scheduleTokenRefresh();
+      await vi.advanceTimersByTimeAsync(5 * MINUTE);
+
+      expect(auth.logout).toHaveBeenCalledTimes(1);
+    });
+
+    it('schedules nothing without an expiry', () => {
+      auth.tokenExpiryTime = null;
+      auth.scheduleTokenRefresh();
+
+      expect(auth.refreshTimer).toBeNull();
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('schedules the refresh of a cookie session', () => {
+      auth.refreshToken = null;
+      auth.tokenExpiryTime = NOW + 10 * MINUTE;
+
+      auth.scheduleTokenRefresh();
+
+      expect(auth.refreshTimer).not.toBeNull();
+    });
+  });
+
+  describe('refreshAuthToken', () => {
+    beforeEach(() => {
+      auth.currentUser = { username: 'admin', role: 'BANK_ADMIN', roles: ['ADMIN'] };
+      auth.refreshToken = 'refresh-token';
+    });
+
+    it('stores the new tokens and schedules the next refresh', async () => {
+      const token = createToken({ sub: 'USR-0001', exp: NOW / 1000 + 3600 });
+      fetchMock.mockResolvedValue(jsonResponse(200, { token, refreshToken: 'rotated-refresh-token' }));
+
+      await auth.refreshAuthToken();
+
+      const [url, config] = fetchMock.mock.calls[0];
+      expect(url).toBe(buildUrl('AGENCE_SERVICE.AUTH.REFRESH'));
+      expect(JSON.parse(config.body)).toEqual({ refreshToken: 'refresh-token' });
+      expect(config.credentials).toBe('include');
+      expect(auth.getAuthToken()).toBe(token);
+      expect(auth.refreshToken).toBe('rotated-refresh-token');
+      expect(auth.tokenExpiryTime).toBe(NOW + 3600 * 1000);
+      expect(httpClient.baseHeaders.Authorization).toBe(`Bearer ${token}`);
+      expect(JSON.parse(localStorage.getItem('ensf_auth'))).toEqual({
+        user: auth.getCurrentUser(),
+        authSource: null
+      });
+      expect(auth.refreshTimer).not.toBeNull();
+    });
+
+    it('relies on the refresh cookie when no refresh token is in memory', async () => {
+      auth.refreshToken = null;
+      fetchMock.mockResolvedValue(jsonResponse(200, { token: createToken({ exp: NOW / 1000 + 3600 }) }));
+
+      await auth.refreshAuthToken();
+
+      const [, config] = fetchMock.mock.calls[0];
+      expect(JSON.parse(config.body)).toEqual({});
+      expect(config.credentials).toBe('include');
+      expect(auth.refreshToken).toBeNull();
+    });
+
+    it('retries when another tab rotates the refresh token during the refresh', async () => {
+      vi.spyOn(auth, 'logout').mockResolvedValue();
+      const token = createToken({ exp: NOW / 1000 + 3600 });
+      fetchMock
+        .mockImplementationOnce(async () => {
+          auth.adoptSession(createToken({ exp: NOW / 1000 + 3000 }), 'rotated-by-other-tab');
+          return jsonResponse(401);
+        })
+        .mockImplementationOnce(async () => jsonResponse(200, { token }));
+
+      await auth.refreshAuthToken();
+
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ refreshToken: 'rotated-by-other-tab' });
+      expect(auth.getAuthToken()).toBe(token);
+      expect(auth.logout).not.toHaveBeenCalled();
+    });
+
+    it('uses the user service for wallet clients', async () => {
+      auth.currentUser = { email: 'client@mail.cm', roles: ['CLIENT'] };
+      fetchMock.mockResolvedValue(jsonResponse(200, { token: createToken({ exp: NOW / 1000 + 3600 }) }));
+
+      await auth.refreshAuthToken();
+
+      expect(fetchMock.mock.calls[0][0]).toBe(buildUrl('USER_SERVICE.REFRESH'));
+      expect(auth.refreshToken).toBe('refresh-token');
+    });
+
+    it('logs out when the refresh is rejected', async () => {
+      vi.spyOn(auth, 'logout').mockResolvedValue();
+      fetchMock.mockResolvedValue(jsonResponse(401));
+
+      await expect(auth.refreshAuthToken()).rejects.toMatchObject({ status: 401 });
+      expect(auth.logout).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails without a session', async () => {
+      vi.spyOn(auth, 'logout').mockResolvedValue();
+      auth.currentUser = null;
+      auth.refreshToken = null;
+
+      await expect(auth.refreshAuthToken()).rejects.toThrow('No refresh token available');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  // =====================================
+  // LOGIN, ROLES AND EVENTS
+  // =====================================
+
+  describe('loginAgenceService', () => {
+    const token = createToken({ sub: 'USR-0002', exp: NOW / 1000 + 3600 });
+    const loginResponse = {
+      accessToken: token,
+      refreshToken: 'refresh-token',
+      tokenType: 'Bearer',
+      id: 'USR-0002',
+      username: 'directeur.douala',
+      email: 'directeur.douala@ensf-wallet.cm',
+      nom: 'Ngo Bassa',
+      prenom: 'Aline',
+      roles: ['AGENCE'],
+      role: 'AGENCY_DIRECTOR',
+      idAgence: 'AG-DLA-001',
+      nomAgence: 'Agence Douala Akwa',
+      message: 'Connexion réussie'
+    };
+
+    it('starts a session from the flat login response', async () => {
+      const onLogin = vi.fn();
+      auth.addEventListener('login', onLogin);
+      fetchMock.mockResolvedValue(jsonResponse(200, loginResponse));
+
+      await auth.loginAgenceService('directeur.douala', 'Directeur@123');
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ username: 'directeur.douala', password: 'Directeur@123' });
+      expect(auth.isAuthenticated()).toBe(true);
+      expect(auth.getAuthToken()).toBe(token);
+      expect(auth.getCurrentUser()).toEqual({
+        id: 'USR-0002',
+        username: 'directeur.douala',
+        email: 'directeur.douala@ensf-wallet.cm',
+        nom: 'Ngo Bassa',
+        prenom: 'Aline',
+        roles: ['AGENCE'],
+        role: 'AGENCY_DIRECTOR',
+        idAgence: 'AG-DLA-001',
+        nomAgence: 'Agence Douala Akwa',
+        passwordChangeRequired: false,
+        passwordChangeReason: null
+      });
+      expect(JSON.parse(localStorage.getItem('ensf_auth'))).toEqual({
+        user: auth.getCurrentUser(),
+        authSource: AUTH_SOURCES.AGENCE
+      });
+      expect(fetchMock.mock.calls[0][1].credentials).toBe('include');
+      expect(auth.refreshToken).toBe('refresh-token');
+      expect(onLogin).toHaveBeenCalledWith(auth.getCurrentUser());
+    });
+
+    it('refreshes against the Agence Service whatever the role', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, { ...loginResponse, role: undefined }));
+      await auth.loginAgenceService('directeur.douala', 'Directeur@123');
+      fetchMock.mockResolvedValue(jsonResponse(200, { token }));
+
+      await auth.refreshAuthToken();
+
+      expect(fetchMock.mock.calls[1][0]).toBe(buildUrl('AGENCE_SERVICE.AUTH.REFRESH'));
+    });
+
+    it('rejects a response without access token', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, { ...loginResponse, accessToken: undefined }));
+
+      await expect(auth.loginAgenceService('directeur.douala', 'Directeur@123')).rejects.toThrow('Token d\'authentification manquant');
+      expect(auth.isAuthenticated()).toBe(false);
+    });
+  });
+
+  describe('password change', () => {
+    const token = createToken({ sub: 'USR-0003', exp: NOW / 1000 + 3600 });
+    const loginResponse = {
+      accessToken: token,
+      refreshToken: 'refresh-token',
+      id: 'USR-0003',
+      username: 'agent.yaounde',
+      roles: ['AGENCE'],
+      passwordChangeRequired: true,
+      passwordChangeReason: 'EXPIRED'
+    };
+
+    it('keeps the forced change flagged by the login response', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, loginResponse));
+
+      await auth.loginAgenceService('agent.yaounde', 'Agent@123');
+
+      expect(auth.getCurrentUser()).toMatchObject({ passwordChangeRequired: true, passwordChangeReason: 'EXPIRED' });
+    });
+
+    it('clears the forced change once the password is changed', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, loginResponse));
+      await auth.loginAgenceService('agent.yaounde', 'Agent@123');
+      const onPasswordChange = vi.fn();
+      auth.addEventListener('passwordChange', onPasswordChange);
+      fetchMock.mockResolvedValue(jsonResponse(200, { success: true }));
+
+      await auth.changePassword('Agent@123', 'Kribi#Plage2024');
+
+      expect(fetchMock.mock.calls[1][0]).toBe(buildUrl('AGENCE_SERVICE.AUTH.CHANGE_PASSWORD'));
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ currentPassword: 'Agent@123', newPassword: 'Kribi#Plage2024' });
+      expect(auth.getCurrentUser()).toMatchObject({ passwordChangeRequired: false, passwordChangeReason: null });
+      expect(JSON.parse(localStorage.getItem('ensf_auth')).user.passwordChangeRequired).toBe(false);
+      expect(onPasswordChange).toHaveBeenCalledWith(auth.getCurrentUser());
+    });
+
+    it('keeps the forced change when the server refuses the password', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, loginResponse));
+      await auth.loginAgenceService('agent.yaounde', 'Agent@123');
+      fetchMock.mockResolvedValue(jsonResponse(400, { message: 'Mot de passe actuel incorrect' }));
+
+      await expect(auth.changePassword('Mauvais@123', 'Kribi#Plage2024')).rejects.toMatchObject({ status: 400 });
+      expect(auth.getCurrentUser().passwordChangeRequired).toBe(true);
+    });
+  });
+
+  describe('two-factor login', () => {
+    const token = createToken({ sub: 'USR-0001', exp: NOW / 1000 + 3600 });
+    const challenge = {
+      mfaRequired: true,
+      mfaToken: 'mfa-token',
+      mfaMethods: ['TOTP', 'BACKUP_CODE'],
+      message: 'Code de vérification requis'
+    };
+    const session = {
+      accessToken: token,
+      refreshToken: 'refresh-token',
+      id: 'USR-0001',
+      username: 'admin',
+      email: 'admin@ensf-wallet.cm',
+      nom: 'Ekambi',
+      prenom: 'Christelle',
+      roles: ['ADMIN'],
+      role: 'BANK_ADMIN',
+      idAgence: null,
+      nomAgence: null
+    };
+    const trustedUntil = new Date(NOW + 30 * 24 * 60 * MINUTE).toISOString();
+
+    it('returns the challenge without starting a session', async () => {
+      const onLogin = vi.fn();
+      auth.addEventListener('login', onLogin);
+      fetchMock.mockResolvedValue(jsonResponse(200, challenge));
+
+      await expect(auth.loginAgenceService('admin', 'Admin@123')).resolves.toEqual(challenge);
+
+      expect(auth.isAuthenticated()).toBe(false);
+      expect(localStorage.getItem('ensf_auth')).toBeNull();
+      expect(onLogin).not.toHaveBeenCalled();
+    });
+
+    it('starts the session once the code is verified', async () => {
+      const onLogin = vi.fn();
+      auth.addEventListener('login', onLogin);
+      fetchMock.mockResolvedValue(jsonResponse(200, session));
+
+      await auth.verifyMfa({ mfaToken: 'mfa-token', code: '246810' });
+
+      expect(fetchMock.mock.calls[0][0]).toBe(buildUrl('AGENCE_SERVICE.AUTH.MFA_VERIFY'));
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        mfaToken: 'mfa-token',
+        code: '246810',
+        method: MFA_METHODS.TOTP,
+        trustDevice: false
+      });
+      expect(auth.getAuthToken()).toBe(token);
+      expect(auth.getCurrentUser()).toMatchObject({ id: 'USR-0001', username: 'admin', roles: ['ADMIN'] });
+      expect(onLogin).toHaveBeenCalledTimes(1);
+      expect(localStorage.getItem('ensf_trusted_devices')).toBeNull();
+    });
+
+    it('leaves the user signed out when the code is rejected', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(401, { message: 'Code de vérification invalide' }));
+
+      await expect(auth.verifyMfa({ mfaToken: 'mfa-token', code: '000000' })).rejects.toMatchObject({ status: 401 });
+      expect(auth.isAuthenticated()).toBe(false);
+    });
+
+    it('remembers a trusted device and sends it with the next login', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, { ...session, deviceToken: 'device-token', trustedUntil }));
+      await auth.verifyMfa({ mfaToken: 'mfa-token', code: '7KQ2-M9XD', method: MFA_METHODS.BACKUP_CODE, trustDevice: true });
+      fetchMock.mockImplementation(async () => jsonResponse(200, session));
+      await auth.logout();
+
+      await auth.loginAgenceService('admin', 'Admin@123');
+
+      expect(auth.getTrustedDeviceToken('admin')).toBe('device-token');
+      expect(JSON.parse(fetchMock.mock.calls.at(-1)[1].body)).toEqual({
+        username: 'admin',
+        password: 'Admin@123',
+        deviceToken: 'device-token'
+      });
+    });
+
+    it('forgets a trusted device once it expires', async () => {
+      auth.rememberTrustedDevice('admin', 'device-token', trustedUntil);
+
+      vi.setSystemTime(Date.parse(trustedUntil));
+
+      expect(auth.getTrustedDeviceToken('admin')).toBeNull();
+      expect(auth.getTrustedDeviceToken('directeur.douala')).toBeNull();
+    });
+  });
+
+  describe('roles and permissions', () => {
+    it('reads roles from the token, not from the profile', () => {
+      auth.currentUser = { role: 'BANK_ADMIN', roles: ['ADMIN'] };
+      auth.authToken = createToken({ roles: ['AGENCE'] });
+
+      expect(auth.getRoles()).toEqual(['AGENCE']);
+      expect(auth.hasRole('AGENCE')).toBe(true);
+      expect(auth.hasRole('ADMIN')).toBe(false);
+      expect(auth.hasAnyRole(['ADMIN', 'AGENCE'])).toBe(true);
+      expect(auth.getDashboardRole()).toBe('AGENCY_DIRECTOR');
+    });
+
+    it('opens the headquarters dashboard to supervisors', () => {
+      auth.currentUser = { role: 'AGENCY_DIRECTOR', roles: ['AGENCE'], idAgence: 'AG-DLA-001' };
+      auth.authToken = createToken({ roles: ['SUPERVISOR'] });
+
+      expect(auth.getDashboardRole()).toBe('BANK_ADMIN');
+    });
+
+    it.each([
+      ['no roles', []],
+      ['a wallet client', ['CLIENT']]
+    ])('opens no dashboard with %s', (label, roles) => {
+      auth.authToken = createToken({ roles });
+
+      expect(auth.getDashboardRole()).toBeNull();
+      expect(auth.getPermissions()).toEqual([]);
+    });
+
+    it('grants the permissions of every role', () => {
+      auth.authToken = createToken({ roles: ['SUPERVISOR', 'AGENCE'] });
+
+      expect(auth.hasPermission(PERMISSIONS.DOCUMENTS_APPROVE)).toBe(true);
+      expect(auth.hasPermission(PERMISSIONS.USERS_EXPORT)).toBe(true);
+      expect(auth.hasPermission(PERMISSIONS.USERS_BLOCK)).toBe(true);
+      expect(auth.hasPermission(PERMISSIONS.SYSTEM_VIEW)).toBe(false);
+    });
+
+    it('rejects a missing permission with a 403 error', () => {
+      auth.authToken = createToken({ roles: ['SUPERVISOR'] });
+
+      expect(() => auth.ensurePermission(PERMISSIONS.USERS_BLOCK)).toThrow(expect.objectContaining({
+        code: 'PERMISSION_DENIED',
+        status: 403,
+        permission: PERMISSIONS.USERS_BLOCK
+      }));
+      expect(() => auth.ensurePermission(PERMISSIONS.USERS_VIEW)).not.toThrow();
+    });
+
+    it('grants nothing without a user or with a token that is not a JWT', () => {
+      expect(auth.hasRole('ADMIN')).toBe(false);
+      expect(auth.getPermissions()).toEqual([]);
+
+      auth.authToken = 'opaque-token';
+      expect(auth.hasAnyRole(['ADMIN'])).toBe(false);
+      expect(auth.getPermissions()).toEqual([]);
+    });
+  });
+
+  describe('agency scope', () => {
+    const startAs = (claims, user = {}) => auth.startSession({ token: createToken({ exp: NOW / 1000 + 3600, ...claims }), user });
+
+    it('confines agency directors to the agency of their token', () => {
+      startAs({ roles: ['AGENCE'], idAgence: 'AG-DLA-001' }, { idAgence: 'AG-YDE-001' });
+
+      expect(auth.getAgencyScope()).toBe('AG-DLA-001');
+      expect(auth.withAgencyScope({ page: 0, idAgence: 'AG-YDE-001' })).toEqual({ page: 0, idAgence: 'AG-DLA-001' });
+    });
+
+    it('falls back to the agency of the profile', () => {
+      startAs({ roles: ['AGENCE'] }, { idAgence: 'AG-BFS-001' });
+
+      expect(auth.withAgencyScope()).toEqual({ idAgence: 'AG-BFS-001' });
+    });
+
+    it('leaves headquarters and signed-out sessions unscoped', () => {
+      expect(auth.getAgencyScope()).toBeNull();
+
+      startAs({ roles: ['ADMIN'], idAgence: 'AG-DLA-001' });
+      expect(auth.getAgencyScope()).toBeNull();
+      expect(auth.withAgencyScope({ idAgence: 'AG-YDE-001' })).toEqual({ idAgence: 'AG-YDE-001' });
+    });
+
+    it('leaves supervisors unscoped, even with an agency', () => {
+      startAs({ roles: ['SUPERVISOR'], idAgence: 'AG-DLA-001' }, { idAgence: 'AG-DLA-001' });
+
+      expect(auth.getAgencyScope()).toBeNull();
+      expect(auth.withAgencyScope({ idAgence: 'AG-YDE-001' })).toEqual({ idAgence: 'AG-YDE-001' });
+    });
+
+    it('confines supervisors who are also agency staff', () => {
+      startAs({ roles: ['SUPERVISOR', 'AGENCE'], idAgence: 'AG-DLA-001' });
+
+      expect(auth.getAgencyScope()).toBe('AG-DLA-001');
+    });
+
+    it.each([
+      ['no roles', []],
+      ['a wallet client', ['CLIENT']],
+      ['an unknown role', ['AUDITOR']]
+    ])('does not take a session with %s for an agency director', (label, roles) => {
+      startAs({ roles, idAgence: 'AG-DLA-001' }, { idAgence: 'AG-DLA-001' });
+
+      expect(auth.getAgencyScope()).toBeNull();
+    });
+  });
+
+  describe('session events', () => {
+    it('notifies token refreshes and logouts', async () => {
+      const onRefresh = vi.fn();
+      const onLogout = vi.fn();
+      auth.addEventListener('tokenRefresh', onRefresh);
+      auth.addEventListener('logout', onLogout);
+      auth.currentUser = { username: 'admin', role: 'BANK_ADMIN', roles: ['ADMIN'] };
+      auth.authToken = 'access-token';
+      auth.refreshToken = 'refresh-token';
+      fetchMock.mockImplementation(async () => jsonResponse(200, { token: createToken({ exp: NOW / 1000 + 3600 }) }));
+
+      await auth.refreshAuthToken();
+      await auth.logout();
+
+      expect(onRefresh).toHaveBeenCalledWith({ tokenExpiryTime: NOW + 3600 * 1000 });
+      expect(onLogout).toHaveBeenCalledTimes(1);
+      expect(auth.isAuthenticated()).toBe(false);
+    });
+  });
+
+  // =====================================
+  // CROSS-TAB SYNC
+  // =====================================
+
+  describe('cross-tab sync', () => {
+    let otherTab;
+    let stopSync;
+    let stopOtherTabSync;
+
+    /**
+     * Resolve on the next event of a service
+     * @param {AuthService} service - Service
+     * @param {string} event - Event type
+     * @returns {Promise<*>} Event data
+     */
+    const nextEvent = (service, event) => new Promise((resolve) => {
+      const listener = (data) => {
+        service.removeEventListener(event, listener);
+        resolve(data);
+      };
+      service.addEventListener(event, listener);
+    });
+
+    const session = (claims = {}) => ({
+      token: createToken({ exp: NOW / 1000 + 3600, roles: ['ADMIN'], ...claims }),
+      refreshToken: 'refresh-token',
+      user: { username: 'admin', roles: ['ADMIN'] },
+      source: AUTH_SOURCES.AGENCE
+    });
+
+    beforeEach(() => {
+      otherTab = new AuthService();
+      stopSync = auth.startCrossTabSync();
+      stopOtherTabSync = otherTab.startCrossTabSync();
+    });
+
+    afterEach(() => {
+      stopSync();
+      stopOtherTabSync();
+      otherTab.clearAuthData();
+    });
+
+    it('follows a login made in another tab', async () => {
+      const login = nextEvent(otherTab, 'login');
+
+      auth.startSession(session());
+
+      expect(await login).toEqual({ username: 'admin', roles: ['ADMIN'] });
+      expect(otherTab.getAuthToken()).toBe(auth.getAuthToken());
+    });
+
+    it('follows a password change made in another tab', async () => {
+      auth.startSession({ ...session(), user: { username: 'admin', passwordChangeRequired: true } });
+      await nextEvent(otherTab, 'login');
+      fetchMock.mockImplementation(async () => jsonResponse(200, { success: true }));
+      const passwordChange = nextEvent(otherTab, 'passwordChange');
+
+      await auth.changePassword('Admin@123', 'Kribi#Plage2024');
+
+      expect(await passwordChange).toMatchObject({ passwordChangeRequired: false });
+      expect(otherTab.getCurrentUser().passwordChangeRequired).toBe(false);
+    });
+
+    it('follows a token refresh made in another tab', async () => {
+      auth.startSession(session());
+      await nextEvent(otherTab, 'login');
+      const refreshedToken = createToken({ exp: NOW / 1000 + 7200, roles: ['ADMIN'] });
+      fetchMock.mockImplementation(async () => jsonResponse(200, { accessToken: refreshedToken }));
+      const refresh = nextEvent(otherTab, 'tokenRefresh');
+
+      await auth.refreshAuthToken();
+
+      expect(await refresh).toEqual({ tokenExpiryTime: NOW + 7200 * 1000 });
+      expect(otherTab.getAuthToken()).toBe(refreshedToken);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('logs every tab out, notifying the server once', async () => {
+      auth.startSession(session());
+      await nextEvent(otherTab, 'login');
+      fetchMock.mockImplementation(async () => jsonResponse(200, { success: true }));
+      const logout = nextEvent(otherTab, 'logout');
+
+      await auth.logout();
+      await logout;
+
+      expect(otherTab.isAuthenticated()).toBe(false);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('shares activity', async () => {
+      const activity = nextEvent(otherTab, 'activity');
+
+      auth.broadcastSessionEvent('activity');
+
+      expect(await activity).toEqual({ timestamp: NOW });
+    });
+
+    it('stops listening once stopped', () => {
+      stopOtherTabSync();
+
+      expect(otherTab.syncChannel).toBeNull();
+    });
+
+    it('falls back to storage events without BroadcastChannel', () => {
+      stopOtherTabSync();
+      vi.stubGlobal('BroadcastChannel', undefined);
+      stopOtherTabSync = otherTab.startCrossTabSync();
+      otherTab.startSession(session());
+      const onLogout = vi.fn();
+      otherTab.addEventListener('logout', onLogout);
+
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'ensf_auth_sync',
+        newValue: JSON.stringify({ type: 'logout', timestamp: NOW })
+      }));
+
+      expect(onLogout).toHaveBeenCalledTimes(1);
+      expect(otherTab.isAuthenticated()).toBe(false);
+    });
+
+    describe('with storage events', () => {
+      beforeEach(() => {
+        stopOtherTabSync();
+        vi.stubGlobal('BroadcastChannel', undefined);
+        stopOtherTabSync = otherTab.startCrossTabSync();
+      });
+
+      it('keeps the access token out of storage', () => {
+        const setItem = vi.spyOn(Storage.prototype, 'setItem');
+
+        otherTab.startSession(session());
+
+        const syncMessages = setItem.mock.calls.filter(([key]) => key === 'ensf_auth_sync');
+        expect(syncMessages.map(([, value]) => JSON.parse(value))).toEqual([{ type: 'login', timestamp: NOW }]);
+        expect(setItem.mock.calls.some(([, value]) => value.includes(otherTab.getAuthToken()))).toBe(false);
+      });
+
+      it('gets an access token from the refresh endpoint', async () => {
+        const token = createToken({ exp: NOW / 1000 + 3600, roles: ['ADMIN'] });
+        localStorage.setItem('ensf_auth', JSON.stringify({
+          user: { username: 'admin', roles: ['ADMIN'] },
+          authSource: AUTH_SOURCES.AGENCE
+        }));
+        fetchMock.mockImplementation(async () => jsonResponse(200, { token, refreshToken: 'rotated-refresh-token' }));
+        const login = nextEvent(otherTab, 'login');
+
+        window.dispatchEvent(new StorageEvent('storage', {
+          key: 'ensf_auth_sync',
+          newValue: JSON.stringify({ type: 'login', timestamp: NOW })
+        }));
+
+        expect(await login).toEqual({ username: 'admin', roles: ['ADMIN'] });
+        expect(otherTab.getAuthToken()).toBe(token);
+        expect(fetchMock.mock.calls[0][0]).toBe(buildUrl('AGENCE_SERVICE.AUTH.REFRESH'));
+      });
+    });
+  });
+
+  // =====================================
+  // SESSION RESTORE
+  // =====================================
+
+  describe('hydration', () => {
+    const storedSession = (overrides = {}) => JSON.stringify({
+      user: { username: 'admin', roles: ['ADMIN'] },
+      authSource: AUTH_SOURCES.AGENCE,
+      ...overrides
+    });
+
+    it('reads storage on first use, not on construction', () => {
+      localStorage.setItem('ensf_auth', storedSession());
+      const getItem = vi.spyOn(Storage.prototype, 'getItem');
+
+      const restored = new AuthService();
+      expect(getItem).not.toHaveBeenCalled();
+
+      expect(restored.hasRestorableSession()).toBe(true);
+      expect(getItem).toHaveBeenCalledWith('ensf_auth');
+    });
+
+    it('stays unauthenticated until the session is restored', () => {
+      localStorage.setItem('ensf_auth', storedSession());
+
+      const restored = new AuthService();
+
+      expect(restored.getStatus()).toBe(AUTH_STATUS.UNAUTHENTICATED);
+      expect(restored.getAuthToken()).toBeNull();
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('restores the session through the refresh endpoint', async () => {
+      const token = createToken({ exp: NOW / 1000 + 3600 });
+      localStorage.setItem('ensf_auth', storedSession());
+      fetchMock.mockResolvedValue(jsonResponse(200, { token, refreshToken: 'rotated-refresh-token' }));
+      const restored = new AuthService();
+
+      await expect(restored.restoreSession()).resolves.toBe(true);
+
+      const [url, config] = fetchMock.mock.calls[0];
+      expect(url).toBe(buildUrl('AGENCE_SERVICE.AUTH.REFRESH'));
+      expect(JSON.parse(config.body)).toEqual({});
+      expect(config.credentials).toBe('include');
+      expect(restored.getStatus()).toBe(AUTH_STATUS.AUTHENTICATED);
+      expect(restored.getAuthToken()).toBe(token);
+      expect(restored.getCurrentUser()).toEqual({ username: 'admin', roles: ['ADMIN'] });
+      expect(restored.refreshTimer).not.toBeNull();
+      expect(JSON.parse(localStorage.getItem('ensf_auth'))).toEqual({
+        user: { username: 'admin', roles: ['ADMIN'] },
+        authSource: AUTH_SOURCES.AGENCE
+      });
+      restored.clearAuthData();
+    });
+
+    it('shares one refresh between concurrent restores', async () => {
+      localStorage.setItem('ensf_auth', storedSession());
+      fetchMock.mockImplementation(async () => jsonResponse(200, { token: createToken({ exp: NOW / 1000 + 3600 }) }));
+      const restored = new AuthService();
+
+      await Promise.all([restored.restoreSession(), restored.restoreSession()]);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      restored.clearAuthData();
+    });
+
+    it('ends the stored session when the refresh token is refused', async () => {
+      localStorage.setItem('ensf_auth', storedSession());
+      fetchMock.mockResolvedValue(jsonResponse(401));
+      const restored = new AuthService();
+
+      await expect(restored.restoreSession()).resolves.toBe(false);
+
+      expect(restored.isAuthenticated()).toBe(false);
+      expect(localStorage.getItem('ensf_auth')).toBeNull();
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the stored session when the server cannot be reached', async () => {
+      localStorage.setItem('ensf_auth', storedSession());
+      fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+      const restored = new AuthService();
+
+      await expect(restored.restoreSession()).resolves.toBe(false);
+
+      expect(restored.isAuthenticated()).toBe(false);
+      expect(restored.getCurrentUser()).toBeNull();
+      expect(restored.hasRestorableSession()).toBe(true);
+    });
+
+    it('removes the tokens stored by earlier versions', () => {
+      localStorage.setItem('ensf_auth', storedSession({
+        token: createToken({ exp: NOW / 1000 + 3600 }),
+        tokenExpiryTime: NOW + 3600 * 1000,
+        refreshToken: 'refresh-token'
+      }));
+
+      const restored = new AuthService();
+
+      expect(restored.isAuthenticated()).toBe(false);
+      expect(JSON.parse(localStorage.getItem('ensf_auth'))).toEqual(JSON.parse(storedSession()));
+    });
+
+    it('keeps a session started before the first read', () => {
+      localStorage.setItem('ensf_auth', storedSession());
+      const restored = new AuthService();
+
+      restored.startSession({ token: 'new-token', user: { username: 'directeur.douala' } });
+
+      expect(restored.getCurrentUser()).toEqual({ username: 'directeur.douala' });
+      expect(restored.getAuthToken()).toBe('new-token');
+      restored.clearAuthData();
+    });
+
+    describe.each([
+      ['empty storage', () => {}],
+      ['corrupt JSON', () => localStorage.setItem('ensf_auth', '{not json')],
+      ['a stored null', () => localStorage.setItem('ensf_auth', 'null')],
+      ['a session without user', () => localStorage.setItem('ensf_auth', storedSession({ user: null }))],
+      ['keys of the former login page', () => {
+        localStorage.setItem('authToken', 'legacy-token');
+        localStorage.setItem('currentUser', JSON.stringify({ username: 'admin', roles: ['ADMIN'] }));
+        localStorage.setItem('loginTimestamp', String(NOW));
+      }],
+      ['unavailable storage', () => {
+        vi.spyOn(Storage.prototype, 'getItem').mockImplementation(() => { throw new Error('SecurityError'); });
+      }]
+    ])('with %s', (label, prepareStorage) => {
+      let restored;
+
+      beforeEach(() => {
+        prepareStorage();
+        restored = new AuthService();
+      });
+
+      it('is unauthenticated', () => {
+        expect(restored.getStatus()).toBe(AUTH_STATUS.UNAUTHENTICATED);
+        expect(restored.isAuthenticated()).toBe(false);
+        expect(restored.getCurrentUser()).toBeNull();
+        expect(restored.getAuthToken()).toBeNull();
+        expect(restored.getAuthHeaders()).toEqual({});
+        expect(restored.hasRole('ADMIN')).toBe(false);
+        expect(restored.refreshTimer).toBeNull();
+      });
+
+      it('leaves no session in storage', () => {
+        restored.isAuthenticated();
+
+        vi.restoreAllMocks();
+        ['ensf_auth', 'authToken', 'currentUser', 'loginTimestamp'].forEach(key => expect(localStorage.getItem(key)).toBeNull());
+      });
+
+      it('logs out without calling the server', async () => {
+        await restored.logout();
+
+        expect(fetchMock).not.toHaveBeenCalled();
+        expect(restored.isAuthenticated()).toBe(false);
+      });
+
+      it('refuses to refresh', async () => {
+        await expect(restored.refreshAuthToken()).rejects.toThrow('No refresh token available');
+        expect(fetchMock).not.toHaveBeenCalled();
+      });
+
+      it('has nothing to restore', async () => {
+        expect(restored.hasRestorableSession()).toBe(false);
+        await expect(restored.restoreSession()).resolves.toBe(false);
+        expect(fetchMock).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  // =====================================
+  // TOKEN STORAGE
+  // =====================================
+
+  describe('token storage', () => {
+    const accessToken = createToken({ sub: 'USR-0001', exp: NOW / 1000 + 3600, roles: ['ADMIN'] });
+    const refreshedToken = createToken({ sub: 'USR-0001', exp: NOW / 1000 + 7200, roles: ['ADMIN'] });
+    const loginResponse = {
+      accessToken,
+      refreshToken: 'login-refresh-token',
+      username: 'admin',
+      roles: ['ADMIN'],
+      deviceToken: 'device-token'
+    };
+    let setItem;
+
+    /**
+     * Every value written to localStorage or sessionStorage
+     * @returns {string[]} Written values
+     */
+    const writtenValues = () => setItem.mock.calls.map(([, value]) => value);
+
+    beforeEach(() => {
+      setItem = vi.spyOn(Storage.prototype, 'setItem');
+      vi.stubGlobal('BroadcastChannel', undefined);
+      auth.startCrossTabSync();
+    });
+
+    afterEach(() => {
+      auth.stopCrossTabSync();
+    });
+
+    it('never writes a token to storage, whatever the session goes through', async () => {
+      fetchMock.mockImplementation(async (url) => {
+        if (url === buildUrl('AGENCE_SERVICE.AUTH.REFRESH')) {
+          return jsonResponse(200, { token: refreshedToken, refreshToken: 'rotated-refresh-token' });
+        }
+        return jsonResponse(200, url === buildUrl('AGENCE_SERVICE.AUTH.CHANGE_PASSWORD') ? { success: true } : loginResponse);
+      });
+
+      await auth.verifyMfa({ mfaToken: 'mfa-token', code: '246810', trustDevice: true });
+      await auth.refreshAuthToken();
+      await auth.changePassword('Admin@123', 'Kribi#Plage2024');
+      auth.resetSessionState();
+      await auth.restoreSession();
+      await auth.logout();
+
+      const tokens = [accessToken, refreshedToken, 'login-refresh-token', 'rotated-refresh-token'];
+      expect(setItem).toHaveBeenCalled();
+      expect(writtenValues().filter(value => tokens.some(token => value.includes(token)))).toEqual([]);
+    });
+
+    it('keeps only the profile and the issuing backend in the stored session', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, loginResponse));
+
+      await auth.loginAgenceService('admin', 'Admin@123');
+
+      expect(Object.keys(JSON.parse(localStorage.getItem('ensf_auth')))).toEqual(['user', 'authSource']);
+    });
+  });
+});
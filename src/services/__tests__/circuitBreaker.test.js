@@ -0,0 +1,129 @@
+/**
+ * ⚡ Circuit Breaker Tests
+ *
+ * State changes from CLOSED to OPEN and back through the half-open probe,
+ * with the clock under test control.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import CircuitBreaker, { CIRCUIT_STATE } from '../circuitBreaker.js';
+
+const OPTIONS = {
+  failureThreshold: 3,
+  resetTimeout: 30000,
+  halfOpenMaxRequests: 1,
+  successThreshold: 1
+};
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let onStateChange;
+
+  /**
+   * Record consecutive failures
+   * @param {number} count - Failures
+   */
+  const fail = (count) => {
+    for (let i = 0; i < count; i++) breaker.recordFailure();
+  };
+
+  /**
+   * Open the breaker, then let the reset timeout elapse
+   */
+  const openAndWait = () => {
+    fail(OPTIONS.failureThreshold);
+    vi.advanceTimersByTime(OPTIONS.resetTimeout);
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    onStateChange = vi.fn();
+    breaker = new CircuitBreaker('MONEY_SERVICE', OPTIONS, onStateChange);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('stays closed below the failure threshold', () => {
+    fail(2);
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+    expect(onStateChange).not.toHaveBeenCalled();
+  });
+
+  it('counts consecutive failures only', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+  });
+
+  it('opens at the threshold and fails fast until the reset timeout', () => {
+    fail(3);
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(onStateChange).toHaveBeenCalledWith(expect.objectContaining({
+      service: 'MONEY_SERVICE',
+      state: CIRCUIT_STATE.OPEN,
+      retryIn: OPTIONS.resetTimeout
+    }));
+
+    vi.advanceTimersByTime(10000);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getRetryIn()).toBe(20000);
+  });
+
+  it('lets a single probe through once half-open', () => {
+    openAndWait();
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('closes when the probe succeeds', () => {
+    openAndWait();
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+    expect(breaker.getSnapshot()).toMatchObject({ failureCount: 0, openedAt: null, retryIn: 0 });
+    expect(onStateChange.mock.calls.map(([snapshot]) => snapshot.state)).toEqual([
+      CIRCUIT_STATE.OPEN,
+      CIRCUIT_STATE.HALF_OPEN,
+      CIRCUIT_STATE.CLOSED
+    ]);
+  });
+
+  it('reopens for a full reset timeout when the probe fails', () => {
+    openAndWait();
+    breaker.canRequest();
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+    expect(breaker.getRetryIn()).toBe(OPTIONS.resetTimeout);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('frees the probe slot when the probe is cancelled', () => {
+    openAndWait();
+    breaker.canRequest();
+
+    breaker.recordCancelled();
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * 📐 Contract Tests
+ *
+ * Checks the service wrappers against responses recorded from the backends
+ * (payloads/*.json, keyed by endpoint name):
+ * - Every registry endpoint has a response schema and a recorded payload
+ * - Every recorded payload matches its schema
+ * - Each wrapper calls the expected endpoint and hands back the recorded body
+ *   without schema warnings
+ * - The mock backend answers with the same shapes
+ *
+ * When a backend changes a response, record the new payload here: the failing
+ * schema tells which wrappers and components read the changed fields.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ENDPOINT_REGISTRY } from '../../config/endpointRegistry.js';
+import { RESPONSE_SCHEMAS, validateResponse } from '../../config/responseSchemas.js';
+import { MFA_CONFIG, MOCK_CONFIG, SCHEMA_CONFIG, UPLOAD_CONFIG, buildUrl, resolveEndpoint } from '../../config/apiConfig.js';
+import { installMockBackend } from '../../mocks/mockBackend.js';
+import { MOCK_ACCOUNTS } from '../../mocks/fixtures.js';
+import httpClient from '../httpClient.js';
+import logger from '../logger.js';
+import apiService from '../ApiService.js';
+import authService from '../authService.js';
+import agenceService from '../agenceService.js';
+import userService from '../userService.js';
+import { createTestToken } from '../../test/tokens.js';
+import userServicePayloads from './payloads/user-service.json';
+import agenceServicePayloads from './payloads/agence-service.json';
+import moneyServicePayloads from './payloads/money-service.json';
+
+const PAYLOADS = {
+  ...userServicePayloads,
+  ...agenceServicePayloads,
+  ...moneyServicePayloads
+};
+
+const SIGNED_IN_ADMIN = {
+  id: 'USR-0001',
+  username: 'admin',
+  email: 'admin@ensf-wallet.cm',
+  role: 'BANK_ADMIN',
+  roles: ['ADMIN'],
+  idClient: 'CLI-00012'
+};
+
+// =====================================
+// RECORDED BACKEND
+// =====================================
+
+/**
+ * HttpClient transport answering every registry endpoint with its recorded payload
+ * @param {string[]} requested - Receives the endpoint name of every request
+ * @returns {Function} Transport
+ */
+const createRecordedBackend = (requested) => async (config) => {
+  const endpoint = resolveEndpoint(config.method, config.url);
+  requested.push(endpoint?.name);
+
+  const payload = endpoint && PAYLOADS[endpoint.name];
+  if (payload === undefined) {
+    return new Response(JSON.stringify({ message: 'No recorded payload' }), { status: 404, statusText: 'Not Found' });
+  }
+
+  const isText = typeof payload === 'string';
+  return new Response(isText ? payload : JSON.stringify(payload), {
+    status: 200,
+    statusText: 'OK',
+    headers: { 'Content-Type': isText ? 'text/csv' : 'application/json' }
+  });
+};
+
+describe('response schemas', () => {
+  it('cover every registry endpoint', () => {
+    expect(Object.keys(RESPONSE_SCHEMAS).sort()).toEqual(Object.keys(ENDPOINT_REGISTRY).sort());
+  });
+
+  it('have a recorded payload for every registry endpoint', () => {
+    expect(Object.keys(PAYLOADS).sort()).toEqual(Object.keys(ENDPOINT_REGISTRY).sort());
+  });
+
+  it.each(Object.keys(ENDPOINT_REGISTRY))('accept the recorded %s payload', (name) => {
+    expect(validateResponse(name, PAYLOADS[name])).toEqual([]);
+  });
+
+  it('report missing fields, wrong types and nulls with their path', () => {
+    const page = structuredClone(PAYLOADS['AGENCE_SERVICE.USERS.LIST']);
+    delete page.content[0].status;
+    page.content[1].roles = 'AGENCE';
+    page.totalElements = null;
+
+    expect(validateResponse('AGENCE_SERVICE.USERS.LIST', page)).toEqual([
+      'response.content[0].status is missing',
+      'response.content[1].roles should be of type array, got string',
+      'response.totalElements is null'
+    ]);
+  });
+
+  it('report dates that do not parse', () => {
+    const health = { ...PAYLOADS['AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH'], timestamp: 'hier' };
+
+    expect(validateResponse('AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH', health)).toEqual([
+      'response.timestamp should be an ISO date string, got string'
+    ]);
+  });
+
+  it('ignore endpoints outside the registry', () => {
+    expect(validateResponse('UNKNOWN.ENDPOINT', null)).toEqual([]);
+  });
+});
+
+describe('service wrappers against recorded payloads', () => {
+  let requested;
+  let warn;
+
+  beforeEach(() => {
+    requested = [];
+    warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+    SCHEMA_CONFIG.VALIDATE_RESPONSES = true;
+    httpClient.reportedSchemaMismatches.clear();
+    httpClient.clearCache();
+    httpClient.setTransport(createRecordedBackend(requested));
+    authService.currentUser = { ...SIGNED_IN_ADMIN };
+    authService.authToken = createTestToken({ roles: ['ADMIN'] });
+    authService.refreshToken = 'recorded-refresh-token';
+  });
+
+  afterEach(() => {
+    clearTimeout(authService.refreshTimer);
+    httpClient.setTransport(null);
+    SCHEMA_CONFIG.VALIDATE_RESPONSES = false;
+    warn.mockRestore();
+  });
+
+  // [endpoint, wrapper call, expected result (the recorded body when omitted)]
+  const WRAPPER_CALLS = [
+    ['USER_SERVICE.REGISTER', () => authService.register({ nom: 'Etoa', prenom: 'Joseph', email: 'joseph@mail.cm' })],
+    ['USER_SERVICE.LOGIN', () => authService.loginUserService('clarisse.fotso12@mail.cm', 'secret')],
+    ['AGENCE_SERVICE.AUTH.MFA_VERIFY', () => authService.verifyMfa({ mfaToken: 'recorded-mfa-token', code: '246810' })],
+    ['AGENCE_SERVICE.AUTH.REFRESH', () => authService.refreshAuthToken()],
+    ['AGENCE_SERVICE.AUTH.CHANGE_PASSWORD', () => authService.changePassword('Admin@123', 'Admin@1234')],
+    ['AGENCE_SERVICE.AUTH.SESSIONS', () => authService.getSessions()],
+    ['AGENCE_SERVICE.AUTH.REVOKE_SESSION', () => authService.revokeSession('SES-0001')],
+    ['USER_SERVICE.PROFILE', () => userService.getCurrentProfile()],
+    ['USER_SERVICE.UPDATE_PROFILE', () => userService.updateProfile('CLI-00012', { email: 'c.fotso@mail.cm' })],
+    ['USER_SERVICE.SEARCH', () => userService.searchUsers({ query: 'fotso' })],
+    ['USER_SERVICE.STATISTICS', () => userService.getUserStatistics()],
+    ['USER_SERVICE.UNLOCK', () => userService.unlockUser('CLI-00031')],
+    ['USER_SERVICE.BALANCE', () => userService.getBalance('CLI-00012'), 245000],
+    ['USER_SERVICE.TRANSACTIONS', () => userService.getTransactions({ clientId: 'CLI-00012' })],
+    ['USER_SERVICE.DEPOSIT', () => userService.deposit({ payer: '677451203', amount: 5000 })],
+    ['USER_SERVICE.WITHDRAWAL', () => userService.withdrawal({ payee: '677451203', amount: 2000 })],
+    ['USER_SERVICE.TRANSFER', () => userService.transfer({ receiverClientId: 'CLI-00031', amount: 3000 })],
+    ['AGENCE_SERVICE.ADMIN.DASHBOARD', () => agenceService.getDashboardData()],
+    ['AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH', () => agenceService.getSystemHealth()],
+    ['AGENCE_SERVICE.ADMIN.RECENT_ACTIVITY', () => agenceService.getRecentActivity({ limit: 10 })],
+    ['AGENCE_SERVICE.USERS.LIST', () => agenceService.getUsers({ page: 0, size: 20 })],
+    ['AGENCE_SERVICE.USERS.DETAILS', () => agenceService.getUserDetails('USR-0002')],
+    ['AGENCE_SERVICE.USERS.STATISTICS', () => agenceService.getUserStatistics()],
+    ['AGENCE_SERVICE.USERS.EXPORT', () => agenceService.exportUsers()],
+    ['AGENCE_SERVICE.USERS.CREATE', () => agenceService.createUser({ username: 'joseph.etoa', email: 'joseph.etoa@ensf-wallet.cm', nom: 'Etoa', prenom: 'Joseph' })],
+    ['AGENCE_SERVICE.USERS.UPDATE', () => agenceService.updateUser('USR-0025', { roles: ['SUPERVISOR'] })],
+    ['AGENCE_SERVICE.USERS.BLOCK', () => agenceService.blockUser('USR-0007', 'Activité suspecte')],
+    ['AGENCE_SERVICE.USERS.UNBLOCK', () => agenceService.unblockUser('USR-0007')],
+    ['AGENCE_SERVICE.USERS.SESSIONS', () => agenceService.getUserSessions('USR-0002')],
+    ['AGENCE_SERVICE.USERS.REVOKE_SESSION', () => agenceService.revokeUserSession('USR-0002', 'SES-0003')],
+    ['AGENCE_SERVICE.DOCUMENTS.PENDING', () => agenceService.getPendingDocuments()],
+    ['AGENCE_SERVICE.DOCUMENTS.REVIEW', () => agenceService.getDocumentForReview('DOC-0003')],
+    ['AGENCE_SERVICE.DOCUMENTS.APPROVE', () => agenceService.approveDocument('DOC-0003')],
+    ['AGENCE_SERVICE.DOCUMENTS.REJECT', () => agenceService.rejectDocument('DOC-0004', { reason: 'CNI illisible' })],
+    ['AGENCE_SERVICE.DOCUMENTS.STATISTICS', () => agenceService.getDocumentStatistics()],
+    ['AGENCE_SERVICE.DOCUMENTS.BULK_APPROVE', () => agenceService.bulkApproveDocuments(['DOC-0005', 'DOC-0006'])],
+    ['AGENCE_SERVICE.DOCUMENTS.BULK_REJECT', () => agenceService.bulkRejectDocuments(['DOC-0007', 'DOC-0003'], { reason: 'Documents expirés' })],
+    ['AGENCE_SERVICE.DOCUMENTS.UPLOAD', () => agenceService.uploadUserDocument('CLI-00009', 'CNI_RECTO', new File(['recto'], 'recto.jpg', { type: 'image/jpeg' }))]
+  ];
+
+  it.each(WRAPPER_CALLS)('%s', async (name, call, expected = PAYLOADS[name]) => {
+    const result = await call();
+
+    expect(requested).toContain(name);
+    expect(result).toEqual(expected);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('AGENCE_SERVICE.UPLOADS.* (chunked upload)', async () => {
+    const threshold = UPLOAD_CONFIG.RESUMABLE_THRESHOLD;
+    UPLOAD_CONFIG.RESUMABLE_THRESHOLD = 4;
+    try {
+      const file = new File(['selfie-bytes'], 'selfie.jpg', { type: 'image/jpeg' });
+      const result = await agenceService.uploadUserDocument('CLI-00009', 'SELFIE', file);
+
+      expect(requested).toEqual([
+        'AGENCE_SERVICE.UPLOADS.CREATE',
+        'AGENCE_SERVICE.UPLOADS.CHUNK',
+        'AGENCE_SERVICE.UPLOADS.COMPLETE'
+      ]);
+      expect(result).toEqual(PAYLOADS['AGENCE_SERVICE.UPLOADS.COMPLETE']);
+      expect(warn).not.toHaveBeenCalled();
+    } finally {
+      UPLOAD_CONFIG.RESUMABLE_THRESHOLD = threshold;
+    }
+  });
+
+  it('*.HEALTH', async () => {
+    const health = await apiService.getServicesHealth();
+
+    expect(requested).toEqual(['USER_SERVICE.HEALTH', 'AGENCE_SERVICE.HEALTH', 'MONEY_SERVICE.HEALTH']);
+    expect(health.overall).toBe('healthy');
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('warns once when a response drifts from its schema', async () => {
+    const drifted = structuredClone(PAYLOADS['AGENCE_SERVICE.USERS.STATISTICS']);
+    delete drifted.data.blockedUsers;
+    httpClient.setTransport(async () => new Response(JSON.stringify(drifted), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    }));
+
+    await agenceService.getUserStatistics();
+    httpClient.clearCache();
+    await agenceService.getUserStatistics();
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(
+      '📐 Response of AGENCE_SERVICE.USERS.STATISTICS does not match its schema',
+      {
+        url: buildUrl('AGENCE_SERVICE.USERS.STATISTICS'),
+        errors: ['response.data.blockedUsers is missing']
+      }
+    );
+  });
+
+  it('does not validate when disabled', async () => {
+    SCHEMA_CONFIG.VALIDATE_RESPONSES = false;
+    httpClient.setTransport(async () => new Response(JSON.stringify({ unexpected: true }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    }));
+
+    await agenceService.getSystemHealth();
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
+
+describe('mock backend against the schemas', () => {
+  const latency = MOCK_CONFIG.LATENCY;
+  let warn;
+
+  beforeEach(async () => {
+    MOCK_CONFIG.LATENCY = 0;
+    SCHEMA_CONFIG.VALIDATE_RESPONSES = true;
+    httpClient.reportedSchemaMismatches.clear();
+    httpClient.clearCache();
+    installMockBackend(httpClient);
+    warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const { username, password, mfa } = MOCK_ACCOUNTS[0];
+    const { mfaToken } = await authService.loginAgenceService(username, password);
+    await authService.verifyMfa({ mfaToken, code: mfa.totpCode });
+  });
+
+  afterEach(() => {
+    authService.clearAuthData();
+    localStorage.removeItem(MFA_CONFIG.TRUSTED_DEVICES_KEY);
+    httpClient.setTransport(null);
+    MOCK_CONFIG.LATENCY = latency;
+    SCHEMA_CONFIG.VALIDATE_RESPONSES = false;
+    warn.mockRestore();
+  });
+
+  it('answers the two-factor login with schema-valid bodies', async () => {
+    const { username, password, mfa } = MOCK_ACCOUNTS[0];
+    authService.clearAuthData();
+
+    const challenge = await authService.loginAgenceService(username, password);
+    await authService.verifyMfa({ mfaToken: challenge.mfaToken, code: mfa.backupCodes[0], method: 'BACKUP_CODE', trustDevice: true });
+
+    expect(challenge).toMatchObject({ mfaRequired: true, mfaMethods: ['TOTP', 'BACKUP_CODE'] });
+    expect(challenge.accessToken).toBeUndefined();
+    expect(authService.isAuthenticated()).toBe(true);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('answers the dashboard reads with schema-valid bodies', async () => {
+    const { content } = await agenceService.getPendingDocuments();
+    const users = await agenceService.getUsers();
+
+    await Promise.all([
+      agenceService.getDashboardData(),
+      agenceService.getSystemHealth(),
+      agenceService.getRecentActivity(),
+      agenceService.getUserStatistics(),
+      agenceService.getUserDetails(users.content[0].id),
+      agenceService.getDocumentForReview(content[0].id),
+      agenceService.getDocumentStatistics(),
+      userService.getUserStatistics(),
+      apiService.getServicesHealth()
+    ]);
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('answers user and document mutations with schema-valid bodies', async () => {
+    const { content } = await agenceService.getPendingDocuments();
+    const created = await agenceService.createUser({
+      username: 'contrat.test',
+      email: 'contrat.test@ensf-wallet.cm',
+      nom: 'Test',
+      prenom: 'Contrat'
+    });
+
+    await agenceService.updateUser(created.id, { nom: 'Contrat' });
+    await agenceService.blockUser(created.id, 'Test');
+    await agenceService.unblockUser(created.id);
+    await agenceService.approveDocument(content[0].id);
+    await agenceService.rejectDocument(content[1].id, { reason: 'CNI illisible' });
+    await agenceService.bulkApproveDocuments([content[2].id]);
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
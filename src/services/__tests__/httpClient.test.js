@@ -0,0 +1,648 @@
+/**
+ * 🌐 HTTP Client Tests
+ *
+ * Retries, timeouts, cancellation, deduplication, response cache, token
+ * refresh, interceptors, cancel groups and user-facing error messages, with
+ * fetch replaced by a local stub.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ERROR_MESSAGES, RETRY_CONFIG, TIMEOUT_CONFIG, buildUrl } from '../../config/apiConfig.js';
+import { createTestToken } from '../../test/tokens.js';
+import { HttpClient } from '../httpClient.js';
+
+const USERS_URL = buildUrl('AGENCE_SERVICE.USERS.LIST');
+const EXPORT_URL = buildUrl('AGENCE_SERVICE.USERS.EXPORT');
+
+/**
+ * Build a JSON fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @returns {Response} Response
+ */
+const jsonResponse = (status, body = {}, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+/**
+ * fetch stub that only settles when its request is aborted
+ * @returns {Function} fetch
+ */
+const hangingFetch = () => vi.fn((url, config) => new Promise((resolve, reject) => {
+  config.signal.addEventListener('abort', () => {
+    reject(new DOMException('The operation was aborted.', 'AbortError'));
+  });
+}));
+
+describe('HttpClient', () => {
+  let client;
+  let fetchMock;
+
+  beforeEach(() => {
+    client = new HttpClient();
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    // Retries wait for real otherwise; delays are checked through calculateRetryDelay
+    vi.spyOn(client, 'sleep').mockResolvedValue();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  // =====================================
+  // RETRIES
+  // =====================================
+
+  describe('retries', () => {
+    it('retries a GET on 5xx until it succeeds', async () => {
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(503))
+        .mockResolvedValueOnce(jsonResponse(502))
+        .mockResolvedValueOnce(jsonResponse(200, { content: [] }));
+
+      const response = await client.get(USERS_URL);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(client.sleep).toHaveBeenCalledTimes(2);
+      expect(response.status).toBe(200);
+      expect(response.data).toEqual({ content: [] });
+    });
+
+    it('gives up after MAX_RETRIES attempts', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(500, { message: 'boom' }));
+
+      await expect(client.get(USERS_URL)).rejects.toMatchObject({
+        status: 500,
+        data: { message: 'boom' },
+        userMessage: ERROR_MESSAGES.SERVER_ERROR
+      });
+      expect(fetchMock).toHaveBeenCalledTimes(RETRY_CONFIG.MAX_RETRIES);
+    });
+
+    it('retries network failures', async () => {
+      fetchMock
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+      const response = await client.get(USERS_URL);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(response.data).toEqual({ ok: true });
+    });
+
+    it('does not retry client errors', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(404));
+
+      await expect(client.get(USERS_URL)).rejects.toMatchObject({ status: 404 });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries 408 and 429', async () => {
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(408))
+        .mockResolvedValueOnce(jsonResponse(429))
+        .mockResolvedValueOnce(jsonResponse(200));
+
+      await client.get(USERS_URL);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+    });
+
+    it('never replays a POST without an idempotency key', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(503));
+
+      await expect(client.post(EXPORT_URL, {})).rejects.toMatchObject({ status: 503 });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('replays a POST carrying an idempotency key', async () => {
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(503))
+        .mockResolvedValueOnce(jsonResponse(201, { id: 'TRX-1' }));
+
+      const response = await client.post(EXPORT_URL, {}, {
+        headers: { [RETRY_CONFIG.IDEMPOTENCY_HEADER]: 'key-1' }
+      });
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(fetchMock.mock.calls[1][1].headers[RETRY_CONFIG.IDEMPOTENCY_HEADER]).toBe('key-1');
+      expect(response.data).toEqual({ id: 'TRX-1' });
+    });
+
+    it('waits for the Retry-After delay sent by the server', async () => {
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(429, {}, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(jsonResponse(200));
+
+      await client.get(USERS_URL);
+
+      expect(client.sleep).toHaveBeenCalledWith(2000, expect.any(AbortSignal));
+    });
+  });
+
+  describe('calculateRetryDelay', () => {
+    it('doubles the backoff ceiling on every attempt', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+      expect(client.calculateRetryDelay(1)).toBe(RETRY_CONFIG.RETRY_DELAY);
+      expect(client.calculateRetryDelay(2)).toBe(RETRY_CONFIG.RETRY_DELAY * 2);
+      expect(client.calculateRetryDelay(3)).toBe(RETRY_CONFIG.RETRY_DELAY * 4);
+    });
+
+    it('applies full jitter below the ceiling', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.25);
+
+      expect(client.calculateRetryDelay(3)).toBe(RETRY_CONFIG.RETRY_DELAY);
+    });
+
+    it('caps the backoff and Retry-After at MAX_RETRY_DELAY', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+      const error = { response: jsonResponse(503, {}, { 'Retry-After': '3600' }) };
+
+      expect(client.calculateRetryDelay(20)).toBe(RETRY_CONFIG.MAX_RETRY_DELAY);
+      expect(client.calculateRetryDelay(1, error)).toBe(RETRY_CONFIG.MAX_RETRY_DELAY);
+    });
+
+    it('reads Retry-After as seconds or as an HTTP date', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-10-21T09:30:00Z'));
+
+      expect(client.parseRetryAfter('5')).toBe(5000);
+      expect(client.parseRetryAfter('Mon, 21 Oct 2024 09:30:10 GMT')).toBe(10000);
+      expect(client.parseRetryAfter('bientôt')).toBeNull();
+      expect(client.parseRetryAfter(null)).toBeNull();
+    });
+  });
+
+  // =====================================
+  // TIMEOUTS AND CANCELLATION
+  // =====================================
+
+  describe('timeouts', () => {
+    it('aborts a request after TIMEOUT_CONFIG.DEFAULT', async () => {
+      vi.useFakeTimers();
+      fetchMock.mockImplementation(hangingFetch());
+
+      const request = client.get(USERS_URL, { maxRetries: 1 });
+      const outcome = expect(request).rejects.toMatchObject({
+        name: 'AbortError',
+        userMessage: ERROR_MESSAGES.TIMEOUT_ERROR
+      });
+      await vi.advanceTimersByTimeAsync(TIMEOUT_CONFIG.DEFAULT);
+
+      await outcome;
+    });
+
+    it('honours a per-request timeout', async () => {
+      vi.useFakeTimers();
+      fetchMock.mockImplementation(hangingFetch());
+
+      const request = client.get(USERS_URL, { maxRetries: 1, timeout: 500 });
+      const outcome = expect(request).rejects.toMatchObject({ userMessage: ERROR_MESSAGES.TIMEOUT_ERROR });
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(false);
+      await vi.advanceTimersByTimeAsync(1);
+
+      await outcome;
+    });
+
+    it('retries a timed out GET', async () => {
+      vi.useFakeTimers();
+      fetchMock
+        .mockImplementationOnce(hangingFetch())
+        .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+      const request = client.get(USERS_URL, { timeout: 500 });
+      await vi.advanceTimersByTimeAsync(500);
+
+      await expect(request).resolves.toMatchObject({ data: { ok: true } });
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports a caller abort as a cancellation, without retrying', async () => {
+      fetchMock.mockImplementation(hangingFetch());
+      const controller = new AbortController();
+
+      const request = client.get(USERS_URL, { signal: controller.signal });
+      await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({
+        code: 'REQUEST_CANCELLED',
+        userMessage: ERROR_MESSAGES.REQUEST_CANCELLED
+      });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(client.isCancelledError(await request.catch(error => error))).toBe(true);
+    });
+  });
+
+  // =====================================
+  // ERROR MESSAGES
+  // =====================================
+
+  describe('error messages', () => {
+    it.each([
+      [400, ERROR_MESSAGES.VALIDATION_ERROR],
+      [401, ERROR_MESSAGES.UNAUTHORIZED],
+      [403, ERROR_MESSAGES.FORBIDDEN],
+      [404, ERROR_MESSAGES.NOT_FOUND],
+      [409, ERROR_MESSAGES.UNKNOWN_ERROR]
+    ])('maps HTTP %i to its message', async (status, message) => {
+      fetchMock.mockResolvedValue(jsonResponse(status));
+
+      await expect(client.get(USERS_URL)).rejects.toMatchObject({ status, userMessage: message });
+    });
+
+    it.each([
+      [429, ERROR_MESSAGES.RATE_LIMITED],
+      [500, ERROR_MESSAGES.SERVER_ERROR],
+      [503, ERROR_MESSAGES.SERVICE_UNAVAILABLE]
+    ])('maps HTTP %i to its message once retries are exhausted', async (status, message) => {
+      fetchMock.mockImplementation(async () => jsonResponse(status));
+
+      await expect(client.get(USERS_URL)).rejects.toMatchObject({ status, userMessage: message });
+    });
+
+    it('reports network failures', async () => {
+      fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(client.get(USERS_URL)).rejects.toMatchObject({
+        userMessage: ERROR_MESSAGES.NETWORK_ERROR
+      });
+    });
+
+    it('keeps the request that failed on the error', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(404));
+
+      const error = await client.get(USERS_URL).catch(caught => caught);
+
+      expect(error.config.url).toBe(USERS_URL);
+      expect(error.duration).toEqual(expect.any(Number));
+    });
+
+    it('fails fast with SERVICE_UNAVAILABLE once the circuit is open', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(503));
+
+      // MAX_RETRIES failures per call: two calls exceed the failure threshold
+      await client.get(USERS_URL).catch(() => {});
+      await client.get(USERS_URL).catch(() => {});
+      fetchMock.mockClear();
+
+      await expect(client.get(USERS_URL)).rejects.toMatchObject({
+        code: 'CIRCUIT_OPEN',
+        userMessage: ERROR_MESSAGES.SERVICE_UNAVAILABLE
+      });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  // =====================================
+  // DEDUPLICATION
+  // =====================================
+
+  describe('deduplication', () => {
+    it('shares one fetch between identical in-flight GETs', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(200, { content: [1] }));
+
+      const [first, second] = await Promise.all([client.get(USERS_URL), client.get(USERS_URL)]);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(first).toBe(second);
+      expect(client.inFlightRequests.size).toBe(0);
+    });
+
+    it('sends a new request once the previous one has settled', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(200));
+
+      await client.get(USERS_URL);
+      await client.get(USERS_URL);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('never shares opted-out GETs or POSTs', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(200));
+
+      await Promise.all([client.get(USERS_URL, { dedupe: false }), client.get(USERS_URL, { dedupe: false })]);
+      await Promise.all([client.post(EXPORT_URL, {}), client.post(EXPORT_URL, {})]);
+
+      expect(fetchMock).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  // =====================================
+  // RESPONSE CACHE
+  // =====================================
+
+  describe('response cache', () => {
+    const POLICY = { ttl: 1000, staleWhileRevalidate: 5000 };
+    let version;
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      version = 0;
+      fetchMock.mockImplementation(async () => jsonResponse(200, { version: ++version }));
+    });
+
+    it('serves a fresh entry without fetching', async () => {
+      await client.get(USERS_URL, { cache: POLICY });
+      vi.advanceTimersByTime(999);
+
+      const cached = await client.get(USERS_URL, { cache: POLICY });
+
+      expect(cached.data).toEqual({ version: 1 });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('serves a stale entry at once and revalidates it in the background', async () => {
+      await client.get(USERS_URL, { cache: POLICY });
+      vi.advanceTimersByTime(1500);
+
+      const stale = await client.get(USERS_URL, { cache: POLICY });
+      expect(stale.data).toEqual({ version: 1 });
+      await vi.waitFor(() => expect(client.inFlightRequests.size).toBe(0));
+
+      const revalidated = await client.get(USERS_URL, { cache: POLICY });
+      expect(revalidated.data).toEqual({ version: 2 });
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('fetches again once the stale window is over', async () => {
+      await client.get(USERS_URL, { cache: POLICY });
+      vi.advanceTimersByTime(6000);
+
+      const response = await client.get(USERS_URL, { cache: POLICY });
+
+      expect(response.data).toEqual({ version: 2 });
+    });
+
+    it('evicts the prefixes a successful mutation invalidates', async () => {
+      await client.get(USERS_URL, { cache: POLICY });
+
+      await client.post(EXPORT_URL, {}, { invalidates: [USERS_URL] });
+      const response = await client.get(USERS_URL, { cache: POLICY });
+
+      expect(response.data).toEqual({ version: 3 });
+    });
+
+    it('keeps the cache when the mutation fails', async () => {
+      await client.get(USERS_URL, { cache: POLICY });
+      fetchMock.mockImplementationOnce(async () => jsonResponse(400));
+
+      await client.post(EXPORT_URL, {}, { invalidates: [USERS_URL] }).catch(() => {});
+      const response = await client.get(USERS_URL, { cache: POLICY });
+
+      expect(response.data).toEqual({ version: 1 });
+    });
+
+    describe('with a fetch in flight', () => {
+      let respondBefore;
+
+      beforeEach(() => {
+        respondBefore = null;
+        // The next fetch answers only when the test says so, with the data from before
+        fetchMock.mockImplementationOnce(() => new Promise(resolve => {
+          respondBefore = () => resolve(jsonResponse(200, { version: 'before' }));
+        }));
+      });
+
+      it('does not store a response that resolves after its prefix was invalidated', async () => {
+        const before = client.get(USERS_URL, { cache: POLICY });
+        await vi.waitFor(() => expect(respondBefore).toBeTypeOf('function'));
+
+        client.invalidateCache(USERS_URL);
+        const after = client.get(USERS_URL, { cache: POLICY });
+        respondBefore();
+
+        expect((await before).data).toEqual({ version: 'before' });
+        expect((await after).data).toEqual({ version: 1 });
+        expect((await client.get(USERS_URL, { cache: POLICY })).data).toEqual({ version: 1 });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      });
+
+      it('does not store a response that resolves after the cache was cleared', async () => {
+        const before = client.get(USERS_URL, { cache: POLICY });
+        await vi.waitFor(() => expect(respondBefore).toBeTypeOf('function'));
+
+        client.clearCache();
+        respondBefore();
+        await before;
+
+        expect((await client.get(USERS_URL, { cache: POLICY })).data).toEqual({ version: 1 });
+      });
+
+      it('does not store a background revalidation started before an invalidation', async () => {
+        fetchMock.mockReset();
+        fetchMock
+          .mockImplementationOnce(async () => jsonResponse(200, { version: 'cached' }))
+          .mockImplementationOnce(() => new Promise(resolve => {
+            respondBefore = () => resolve(jsonResponse(200, { version: 'before' }));
+          }))
+          .mockImplementation(async () => jsonResponse(200, { version: 'after' }));
+        await client.get(USERS_URL, { cache: POLICY });
+        vi.advanceTimersByTime(1500);
+
+        await client.get(USERS_URL, { cache: POLICY });
+        await vi.waitFor(() => expect(respondBefore).toBeTypeOf('function'));
+        client.invalidateCache(USERS_URL);
+        respondBefore();
+        await vi.waitFor(() => expect(client.inFlightRequests.size).toBe(0));
+
+        expect((await client.get(USERS_URL, { cache: POLICY })).data).toEqual({ version: 'after' });
+      });
+    });
+  });
+
+  // =====================================
+  // TOKEN REFRESH
+  // =====================================
+
+  describe('token refresh', () => {
+    const OLD_TOKEN = createTestToken({ jti: 'old' });
+    const NEW_TOKEN = createTestToken({ jti: 'new' });
+
+    beforeEach(() => {
+      client.setAuthToken(OLD_TOKEN);
+      fetchMock.mockImplementation(async (url, init) => (
+        init.headers.Authorization === `Bearer ${NEW_TOKEN}`
+          ? jsonResponse(200, { url })
+          : jsonResponse(401)
+      ));
+    });
+
+    it('refreshes once for concurrent 401s, then replays each request', async () => {
+      const refresher = vi.fn(async () => client.setAuthToken(NEW_TOKEN));
+      client.setTokenRefresher(refresher);
+
+      const responses = await Promise.all([
+        client.get(USERS_URL, { dedupe: false }),
+        client.get(USERS_URL, { dedupe: false }),
+        client.post(EXPORT_URL, {})
+      ]);
+
+      expect(refresher).toHaveBeenCalledTimes(1);
+      expect(responses.map(response => response.status)).toEqual([200, 200, 200]);
+      expect(fetchMock).toHaveBeenCalledTimes(6);
+    });
+
+    it('returns the original 401 when the refresh fails', async () => {
+      client.setTokenRefresher(vi.fn(async () => {
+        throw new Error('Refresh token revoked');
+      }));
+
+      await expect(client.get(USERS_URL)).rejects.toMatchObject({ status: 401, authRefreshFailed: true });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves requests that opt out of the refresh alone', async () => {
+      const refresher = vi.fn();
+      client.setTokenRefresher(refresher);
+
+      await expect(client.get(USERS_URL, { skipAuthRefresh: true })).rejects.toMatchObject({ status: 401 });
+      expect(refresher).not.toHaveBeenCalled();
+    });
+  });
+
+  // =====================================
+  // INTERCEPTORS
+  // =====================================
+
+  describe('interceptors', () => {
+    it('runs request and response interceptors in registration order', async () => {
+      const calls = [];
+      fetchMock.mockImplementation(async () => jsonResponse(200, { steps: [] }));
+      client.addRequestInterceptor(async (config) => {
+        calls.push('request 1');
+        return { ...config, headers: { ...config.headers, 'X-Step': '1' } };
+      });
+      client.addRequestInterceptor((config) => {
+        calls.push(`request 2 after ${config.headers['X-Step']}`);
+        return config;
+      });
+      client.addResponseInterceptor(async (response) => {
+        calls.push('response 1');
+        return { ...response, data: { steps: [...response.data.steps, 1] } };
+      });
+      client.addResponseInterceptor((response) => {
+        calls.push('response 2');
+        return { ...response, data: { steps: [...response.data.steps, 2] } };
+      });
+
+      const response = await client.get(USERS_URL);
+
+      expect(calls).toEqual(['request 1', 'request 2 after 1', 'response 1', 'response 2']);
+      expect(response.data.steps).toEqual([1, 2]);
+      expect(fetchMock.mock.calls[0][1].headers['X-Step']).toBe('1');
+    });
+
+    it('lets an error interceptor recover with a value', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(404));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      client.addResponseInterceptor(null, (error) => ({ data: { fallback: error.status } }));
+
+      const response = await client.get(USERS_URL);
+
+      expect(response.data).toEqual({ fallback: 404 });
+    });
+  });
+
+  // =====================================
+  // CANCEL GROUPS
+  // =====================================
+
+  describe('cancel groups', () => {
+    it('aborts every pending request of a group, and only those', async () => {
+      fetchMock = hangingFetch();
+      vi.stubGlobal('fetch', fetchMock);
+
+      const grouped = [
+        client.get(USERS_URL, { cancelGroup: 'tab:users' }),
+        client.post(EXPORT_URL, {}, { cancelGroup: 'tab:users' })
+      ].map(request => request.catch(error => error));
+      const other = client.get(USERS_URL, { cancelGroup: 'tab:documents' }).catch(error => error);
+      await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(3));
+
+      expect(client.cancelGroup('tab:users')).toBe(2);
+      const errors = await Promise.all(grouped);
+
+      expect(errors.every(error => client.isCancelledError(error))).toBe(true);
+      expect(client.cancelGroups.has('tab:users')).toBe(false);
+      expect(client.cancelGroups.get('tab:documents').size).toBe(1);
+
+      client.cancelGroup('tab:documents');
+      expect(client.isCancelledError(await other)).toBe(true);
+    });
+
+    it('does nothing for an unknown group', () => {
+      expect(client.cancelGroup('tab:unknown')).toBe(0);
+    });
+  });
+
+  // =====================================
+  // FETCH OPTIONS
+  // =====================================
+
+  describe('fetch options', () => {
+    it('hands fetch only options a real Request accepts', async () => {
+      fetchMock.mockImplementation(async (url, init) => {
+        const request = new Request(url, init);
+        return jsonResponse(200, { method: request.method });
+      });
+
+      const result = await client.get(USERS_URL, {
+        cache: { ttl: 60000, staleWhileRevalidate: true },
+        dedupe: false,
+        timeout: 5000,
+        skipAuthRefresh: true
+      });
+
+      expect(result.data).toEqual({ method: 'GET' });
+      expect(Object.keys(fetchMock.mock.calls[0][1]).sort()).toEqual(['headers', 'method', 'signal']);
+    });
+  });
+
+  // =====================================
+  // AUTH IDENTITY
+  // =====================================
+
+  describe('auth identity of cached responses', () => {
+    beforeEach(() => {
+      fetchMock.mockImplementation(async () => jsonResponse(200, { content: [] }));
+      client.setAuthToken(createTestToken({ sub: 'USR-0001', sid: 'SES-0004' }));
+    });
+
+    it('keeps serving the cache after a token refresh', async () => {
+      await client.get(USERS_URL, { cache: true });
+
+      client.setAuthToken(createTestToken({ sub: 'USR-0001', sid: 'SES-0004', jti: 'refreshed' }));
+      await client.get(USERS_URL, { cache: true });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(client.getRequestKey(USERS_URL)).toBe(`GET ${USERS_URL} USR-0001/SES-0004`);
+    });
+
+    it('starts afresh for another user, and after logout', async () => {
+      await client.get(USERS_URL, { cache: true });
+
+      client.setAuthToken(createTestToken({ sub: 'USR-0002', sid: 'SES-0005' }));
+      await client.get(USERS_URL, { cache: true });
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+
+      client.setAuthToken(null);
+      client.setAuthToken(createTestToken({ sub: 'USR-0002', sid: 'SES-0005' }));
+      await client.get(USERS_URL, { cache: true });
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+    });
+  });
+});
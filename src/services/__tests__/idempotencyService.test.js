@@ -0,0 +1,139 @@
+/**
+ * 🔁 Idempotency Service Tests
+ *
+ * One key per user intent: reused while the outcome is unknown, released once
+ * the server has settled the operation.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDEMPOTENCY_CONFIG } from '../../config/apiConfig.js';
+import idempotencyService from '../idempotencyService.js';
+
+const DEPOSIT = { walletId: 'WAL-0001', amount: 5000, currency: 'XAF' };
+
+/**
+ * Build a request error like the HTTP client does
+ * @param {number} status - HTTP status, none for network errors
+ * @returns {Error} Request error
+ */
+const requestError = (status) => {
+  const error = new Error(status ? `HTTP ${status}` : 'Network error');
+  if (status) error.response = { status };
+  return error;
+};
+
+describe('idempotencyService', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('acquire', () => {
+    it('returns the same key for the same intent', () => {
+      const key = idempotencyService.acquire('deposit', DEPOSIT);
+
+      expect(idempotencyService.acquire('deposit', { ...DEPOSIT })).toBe(key);
+    });
+
+    it('returns a new key for another payload or operation', () => {
+      const key = idempotencyService.acquire('deposit', DEPOSIT);
+
+      expect(idempotencyService.acquire('deposit', { ...DEPOSIT, amount: 6000 })).not.toBe(key);
+      expect(idempotencyService.acquire('withdrawal', DEPOSIT)).not.toBe(key);
+    });
+
+    it('returns a new key once the previous one is released', () => {
+      const key = idempotencyService.acquire('deposit', DEPOSIT);
+
+      idempotencyService.release('deposit', DEPOSIT);
+
+      expect(idempotencyService.acquire('deposit', DEPOSIT)).not.toBe(key);
+    });
+
+    it('drops keys older than their time to live', () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      const key = idempotencyService.acquire('deposit', DEPOSIT);
+
+      vi.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+      expect(idempotencyService.acquire('deposit', DEPOSIT)).not.toBe(key);
+      vi.useRealTimers();
+    });
+  });
+
+  describe('storage', () => {
+    it('stores a hash of the intent, never the payload', () => {
+      idempotencyService.acquire('deposit', DEPOSIT);
+
+      const stored = sessionStorage.getItem(IDEMPOTENCY_CONFIG.STORAGE_KEY);
+      expect(Object.keys(JSON.parse(stored))).toEqual([expect.stringMatching(/^[0-9a-f]{28}$/)]);
+      ['deposit', 'WAL-0001', '5000', 'XAF'].forEach(value => expect(stored).not.toContain(value));
+    });
+
+    it('drops entries keyed on the raw payload', () => {
+      sessionStorage.setItem(IDEMPOTENCY_CONFIG.STORAGE_KEY, JSON.stringify({
+        [`deposit:${JSON.stringify(DEPOSIT)}`]: { key: 'legacy-key', createdAt: Date.now() }
+      }));
+
+      idempotencyService.acquire('deposit', DEPOSIT);
+
+      expect(sessionStorage.getItem(IDEMPOTENCY_CONFIG.STORAGE_KEY)).not.toContain('WAL-0001');
+    });
+  });
+
+  describe('run', () => {
+    it('releases the key once the operation succeeds', async () => {
+      const execute = vi.fn(async () => 'ok');
+
+      await expect(idempotencyService.run('deposit', DEPOSIT, execute)).resolves.toBe('ok');
+      await idempotencyService.run('deposit', DEPOSIT, execute);
+
+      const [[firstKey], [secondKey]] = execute.mock.calls;
+      expect(secondKey).not.toBe(firstKey);
+    });
+
+    it('releases the key when the server rejects the operation', async () => {
+      const execute = vi.fn(async () => {
+        throw requestError(400);
+      });
+
+      await expect(idempotencyService.run('deposit', DEPOSIT, execute)).rejects.toThrow('HTTP 400');
+      await idempotencyService.run('deposit', DEPOSIT, execute).catch(() => {});
+
+      const [[firstKey], [secondKey]] = execute.mock.calls;
+      expect(secondKey).not.toBe(firstKey);
+    });
+
+    it.each([
+      ['a network error', undefined],
+      ['a 5xx', 503],
+      ['a 429', 429]
+    ])('keeps the key after %s so the retry reuses it', async (label, status) => {
+      const execute = vi.fn()
+        .mockRejectedValueOnce(requestError(status))
+        .mockResolvedValueOnce('ok');
+
+      await expect(idempotencyService.run('deposit', DEPOSIT, execute)).rejects.toThrow();
+      await idempotencyService.run('deposit', DEPOSIT, execute);
+
+      const [[firstKey], [retryKey]] = execute.mock.calls;
+      expect(retryKey).toBe(firstKey);
+    });
+
+    it('uses an explicit key as is', async () => {
+      const execute = vi.fn(async () => 'ok');
+
+      await idempotencyService.run('deposit', DEPOSIT, execute, 'caller-key');
+
+      expect(execute).toHaveBeenCalledWith('caller-key');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * 📝 Logger Tests
+ *
+ * Redaction of credentials before anything reaches the console, and the
+ * summary-only output of production mode.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Logger } from '../logger.js';
+
+const MASK = '[REDACTED]';
+const TOKEN = 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiJVU1ItMDAwMSJ9.signature';
+
+describe('Logger', () => {
+  let logger;
+
+  beforeEach(() => {
+    logger = new Logger({ level: 'debug', productionMode: false, redactionMask: MASK });
+    vi.spyOn(console, 'debug').mockImplementation(() => {});
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Everything written to the console, serialised
+   * @returns {string} Console output
+   */
+  const output = () => JSON.stringify([
+    ...console.debug.mock.calls,
+    ...console.info.mock.calls,
+    ...console.error.mock.calls
+  ]);
+
+  describe('redact', () => {
+    it('masks tokens and passwords at any depth, whatever their case', () => {
+      const redacted = logger.redact({
+        Authorization: `Bearer ${TOKEN}`,
+        user: { username: 'admin', Password: 'S3cret!' },
+        sessions: [{ refreshToken: 'refresh-123', device: 'Firefox' }]
+      });
+
+      expect(redacted).toEqual({
+        Authorization: MASK,
+        user: { username: 'admin', Password: MASK },
+        sessions: [{ refreshToken: MASK, device: 'Firefox' }]
+      });
+    });
+
+    it('masks credentials inside JSON request bodies', () => {
+      const body = JSON.stringify({ currentPassword: 'old', newPassword: 'new', reason: 'rotation' });
+
+      expect(logger.redact(body)).toEqual({ currentPassword: MASK, newPassword: MASK, reason: 'rotation' });
+    });
+
+    it('masks Headers instances and summarises binary bodies', () => {
+      const headers = new Headers({ Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' });
+
+      expect(logger.redact(headers)).toEqual({ authorization: MASK, 'content-type': 'application/json' });
+      expect(logger.redact(new Blob(['abc']))).toBe('[Blob 3 bytes]');
+    });
+
+    it('leaves the original value untouched', () => {
+      const credentials = { username: 'admin', password: 'S3cret!' };
+
+      logger.redact(credentials);
+
+      expect(credentials.password).toBe('S3cret!');
+    });
+  });
+
+  describe('HTTP helpers', () => {
+    const request = {
+      method: 'post',
+      url: '/api/v1/auth/login',
+      headers: { Authorization: `Bearer ${TOKEN}` },
+      body: JSON.stringify({ username: 'admin', password: 'S3cret!' })
+    };
+
+    it('never writes credentials of a logged request', () => {
+      logger.logRequest(request);
+      logger.logResponse({
+        method: 'POST',
+        url: request.url,
+        status: 200,
+        duration: 12,
+        data: { accessToken: TOKEN, temporaryPassword: 'Tmp-1234' }
+      });
+
+      expect(output()).toContain('[POST] /api/v1/auth/login');
+      expect(output()).not.toContain(TOKEN);
+      expect(output()).not.toContain('S3cret!');
+      expect(output()).not.toContain('Tmp-1234');
+    });
+
+    it('writes only summaries in production mode', () => {
+      logger.setProductionMode(true);
+      logger.setLevel('info');
+
+      logger.logRequest(request);
+      logger.logResponse({ method: 'POST', url: request.url, status: 200, duration: 12, data: { accessToken: TOKEN } });
+      logger.logError({ status: 500, config: { url: request.url, options: { method: 'POST' } }, duration: 30, data: { password: 'S3cret!' } });
+
+      expect(console.debug).not.toHaveBeenCalled();
+      expect(console.info).toHaveBeenCalledWith('✅ [POST] /api/v1/auth/login → 200 (12ms)');
+      expect(console.error).toHaveBeenCalledWith('❌ [POST] /api/v1/auth/login → 500 (30ms)');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * 🛡️ Login Throttle Tests
+ *
+ * Progressive delays, server lockouts and the challenge asked after repeated
+ * failures, with the clock under test control.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { LOGIN_PROTECTION } from '../../config/apiConfig.js';
+import { LoginThrottle, arithmeticChallenge } from '../loginThrottle.js';
+
+const NOW = new Date('2024-10-21T09:30:00Z').getTime();
+const MINUTE = 60 * 1000;
+
+describe('LoginThrottle', () => {
+  let throttle;
+
+  /**
+   * Record consecutive failures
+   * @param {number} count - Failures
+   * @param {string} username - Username
+   */
+  const fail = (count, username = 'admin') => {
+    for (let i = 0; i < count; i++) throttle.recordFailure(username);
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    localStorage.removeItem(LOGIN_PROTECTION.ATTEMPTS_KEY);
+    throttle = new LoginThrottle();
+  });
+
+  afterEach(() => {
+    localStorage.removeItem(LOGIN_PROTECTION.ATTEMPTS_KEY);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('lets the first attempt through', () => {
+    expect(throttle.getStatus('admin')).toEqual({ failures: 0, waitTime: 0, lockedUntil: null, captchaRequired: false });
+  });
+
+  it('doubles the wait after each failure, up to the maximum', () => {
+    expect([1, 2, 3, 4, 5, 6, 7].map(failures => throttle.getDelay(failures)))
+      .toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+
+    fail(3);
+
+    expect(throttle.getWaitTime('admin')).toBe(4000);
+    vi.advanceTimersByTime(4000);
+    expect(throttle.getWaitTime('admin')).toBe(0);
+  });
+
+  it('counts failures per username, whatever the case', () => {
+    fail(2, 'Admin');
+
+    expect(throttle.getStatus('admin').failures).toBe(2);
+    expect(throttle.getStatus('directeur.douala').failures).toBe(0);
+  });
+
+  it('asks for a challenge after repeated failures', () => {
+    fail(LOGIN_PROTECTION.CAPTCHA_AFTER - 1);
+    expect(throttle.getStatus('admin').captchaRequired).toBe(false);
+
+    fail(1);
+    expect(throttle.getStatus('admin').captchaRequired).toBe(true);
+  });
+
+  it('waits until the end of a server lockout', () => {
+    const lockedUntil = new Date(NOW + 15 * MINUTE).toISOString();
+
+    throttle.recordLockout('admin', lockedUntil);
+
+    expect(throttle.getStatus('admin')).toMatchObject({
+      waitTime: 15 * MINUTE,
+      lockedUntil: NOW + 15 * MINUTE,
+      captchaRequired: true
+    });
+    vi.advanceTimersByTime(15 * MINUTE);
+    expect(throttle.getStatus('admin')).toMatchObject({ waitTime: 0, lockedUntil: null });
+  });
+
+  it('assumes the configured lockout when the server gives no end time', () => {
+    throttle.recordLockout('admin', undefined);
+
+    expect(throttle.getWaitTime('admin')).toBe(LOGIN_PROTECTION.LOCK_DURATION);
+  });
+
+  it('forgets old failures', () => {
+    fail(4);
+
+    vi.advanceTimersByTime(LOGIN_PROTECTION.FAILURE_WINDOW + 1);
+
+    expect(throttle.getStatus('admin').failures).toBe(0);
+  });
+
+  it('forgets the failures of a username after a successful login', () => {
+    fail(4);
+
+    throttle.reset('admin');
+
+    expect(throttle.getStatus('admin')).toMatchObject({ failures: 0, waitTime: 0, captchaRequired: false });
+  });
+
+  it('survives a reload', () => {
+    fail(2);
+
+    expect(new LoginThrottle().getWaitTime('admin')).toBe(2000);
+  });
+
+  it('ignores corrupt storage', () => {
+    localStorage.setItem(LOGIN_PROTECTION.ATTEMPTS_KEY, '{not json');
+
+    expect(throttle.getStatus('admin').failures).toBe(0);
+  });
+
+  describe('challenge', () => {
+    it('checks the sum of the default challenge', async () => {
+      const challenge = await throttle.createChallenge();
+      const [, left, right] = challenge.question.match(/(\d+) \+ (\d+)/);
+
+      expect(await throttle.verifyChallenge(challenge, String(Number(left) + Number(right)))).toBe(true);
+      expect(await throttle.verifyChallenge(challenge, 'abc')).toBe(false);
+    });
+
+    it('uses the configured provider, and refuses when it fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const provider = {
+        createChallenge: vi.fn(async () => ({ question: 'Widget', widgetId: 'w-1' })),
+        verify: vi.fn(async (challenge, response) => {
+          if (!response) throw new Error('Widget unavailable');
+          return response === 'token-ok';
+        })
+      };
+      throttle.setCaptchaProvider(provider);
+
+      const challenge = await throttle.createChallenge();
+
+      expect(challenge).toEqual({ question: 'Widget', widgetId: 'w-1' });
+      expect(await throttle.verifyChallenge(challenge, 'token-ok')).toBe(true);
+      expect(await throttle.verifyChallenge(challenge, '')).toBe(false);
+      expect(provider.verify).toHaveBeenCalledWith(challenge, 'token-ok');
+      throttle.setCaptchaProvider(arithmeticChallenge);
+    });
+  });
+});
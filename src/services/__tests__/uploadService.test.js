@@ -0,0 +1,212 @@
+/**
+ * 📤 Document Upload Service Tests
+ *
+ * Single-request and chunked uploads, progress reporting, retried chunks and
+ * resuming an interrupted upload, against an in-memory upload server plugged
+ * into the HTTP client as its transport.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CIRCUIT_BREAKER_CONFIG, UPLOAD_CONFIG, resolveEndpoint } from '../../config/apiConfig.js';
+import httpClient from '../httpClient.js';
+import uploadService from '../uploadService.js';
+
+const TARGET = { userId: 'CLI-00009', documentType: 'SELFIE' };
+
+/**
+ * Build a JSON fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @returns {Response} Response
+ */
+const jsonResponse = (status, body = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+/**
+ * In-memory upload server following the upload session protocol
+ * @returns {Object} { transport, requests, ranges, uploads, failChunk }
+ */
+const createUploadServer = () => {
+  const server = {
+    requests: [],
+    ranges: [],
+    uploads: new Map(),
+    // Decides whether a chunk fails, given its Content-Range
+    failChunk: () => false
+  };
+
+  server.transport = async (config) => {
+    const { name, params } = resolveEndpoint(config.method, config.url);
+    server.requests.push(name);
+
+    switch (name) {
+      case 'AGENCE_SERVICE.DOCUMENTS.UPLOAD':
+        config.onUploadProgress?.({ loaded: 3, total: 6, percent: 50 });
+        return jsonResponse(201, { documentId: 'DOC-SINGLE' });
+
+      case 'AGENCE_SERVICE.UPLOADS.CREATE': {
+        const uploadId = `UPL-${server.uploads.size + 1}`;
+        server.uploads.set(uploadId, { ...JSON.parse(config.body), receivedBytes: 0 });
+        return jsonResponse(201, { uploadId });
+      }
+
+      case 'AGENCE_SERVICE.UPLOADS.STATUS': {
+        const upload = server.uploads.get(params.uploadId);
+        return upload ? jsonResponse(200, { receivedBytes: upload.receivedBytes }) : jsonResponse(404);
+      }
+
+      case 'AGENCE_SERVICE.UPLOADS.CHUNK': {
+        const range = config.headers['Content-Range'];
+        server.ranges.push(range);
+        if (server.failChunk(range)) {
+          throw new TypeError('Failed to fetch');
+        }
+
+        const [, start, end] = /bytes (\d+)-(\d+)\//.exec(range);
+        config.onUploadProgress?.({ loaded: Math.ceil((end - start + 1) / 2) });
+        server.uploads.get(params.uploadId).receivedBytes = Number(end) + 1;
+        return jsonResponse(200, { receivedBytes: Number(end) + 1 });
+      }
+
+      case 'AGENCE_SERVICE.UPLOADS.COMPLETE': {
+        const upload = server.uploads.get(params.uploadId);
+        server.uploads.delete(params.uploadId);
+        return jsonResponse(200, { documentId: 'DOC-CHUNKED', size: upload.receivedBytes });
+      }
+
+      default:
+        return jsonResponse(404);
+    }
+  };
+
+  return server;
+};
+
+describe('uploadService', () => {
+  const config = { ...UPLOAD_CONFIG };
+  let server;
+  let onProgress;
+
+  /**
+   * Percentages reported so far
+   * @returns {number[]} Reported percentages
+   */
+  const reportedPercents = () => onProgress.mock.calls.map(([progress]) => progress.percent);
+
+  beforeEach(() => {
+    // 10-byte files go in chunks of 4 bytes
+    UPLOAD_CONFIG.RESUMABLE_THRESHOLD = 8;
+    UPLOAD_CONFIG.CHUNK_SIZE = 4;
+    localStorage.removeItem(UPLOAD_CONFIG.STORAGE_KEY);
+    server = createUploadServer();
+    httpClient.setTransport(server.transport);
+    vi.spyOn(httpClient, 'sleep').mockResolvedValue();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    onProgress = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    Object.assign(UPLOAD_CONFIG, config);
+    httpClient.setTransport(null);
+    httpClient.circuitBreakers = httpClient.createCircuitBreakers();
+    vi.restoreAllMocks();
+  });
+
+  it('sends small files in one multipart request', async () => {
+    const file = new File(['recto!'], 'recto.jpg', { type: 'image/jpeg' });
+
+    const document = await uploadService.uploadDocument(file, { ...TARGET, onProgress });
+
+    expect(document).toEqual({ documentId: 'DOC-SINGLE' });
+    expect(server.requests).toEqual(['AGENCE_SERVICE.DOCUMENTS.UPLOAD']);
+    expect(onProgress).toHaveBeenCalledWith({ loaded: 3, total: 6, percent: 50 });
+  });
+
+  it('sends large files in ordered chunks, then completes the session', async () => {
+    const file = new File(['abcdefghij'], 'selfie.jpg', { type: 'image/jpeg' });
+
+    const document = await uploadService.uploadDocument(file, { ...TARGET, onProgress });
+
+    expect(document).toEqual({ documentId: 'DOC-CHUNKED', size: 10 });
+    expect(server.requests).toEqual([
+      'AGENCE_SERVICE.UPLOADS.CREATE',
+      'AGENCE_SERVICE.UPLOADS.CHUNK',
+      'AGENCE_SERVICE.UPLOADS.CHUNK',
+      'AGENCE_SERVICE.UPLOADS.CHUNK',
+      'AGENCE_SERVICE.UPLOADS.COMPLETE'
+    ]);
+    expect(server.ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+    expect(uploadService.readSessions()).toEqual({});
+  });
+
+  it('reports progress within and across chunks', async () => {
+    const file = new File(['abcdefghij'], 'selfie.jpg', { type: 'image/jpeg' });
+
+    await uploadService.uploadDocument(file, { ...TARGET, onProgress });
+
+    expect(reportedPercents()).toEqual([0, 20, 40, 60, 80, 90, 100]);
+    expect(onProgress).toHaveBeenLastCalledWith({ loaded: 10, total: 10, percent: 100 });
+  });
+
+  it('retries a chunk that failed once', async () => {
+    const file = new File(['abcdefghij'], 'selfie.jpg', { type: 'image/jpeg' });
+    let failures = 0;
+    server.failChunk = (range) => range === 'bytes 4-7/10' && failures++ === 0;
+
+    await uploadService.uploadDocument(file, { ...TARGET, onProgress });
+
+    expect(server.ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+  });
+
+  it('resumes from the last received chunk after a failed upload', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const file = new File(['abcdefghij'], 'selfie.jpg', { type: 'image/jpeg' });
+    server.failChunk = (range) => range === 'bytes 4-7/10';
+
+    const error = await uploadService.uploadDocument(file, { ...TARGET, onProgress }).catch(failure => failure);
+
+    expect(error).toMatchObject({ uploadId: 'UPL-1', uploadedBytes: 4 });
+    expect(server.ranges.filter(range => range === 'bytes 4-7/10')).toHaveLength(UPLOAD_CONFIG.CHUNK_MAX_RETRIES);
+    expect(Object.values(uploadService.readSessions())).toMatchObject([{ uploadId: 'UPL-1' }]);
+
+    // The service is back once its circuit lets a probe through
+    vi.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.RESET_TIMEOUT);
+    server.failChunk = () => false;
+    server.requests = [];
+    server.ranges = [];
+    onProgress.mockClear();
+
+    const document = await uploadService.uploadDocument(file, { ...TARGET, onProgress });
+
+    expect(document).toEqual({ documentId: 'DOC-CHUNKED', size: 10 });
+    expect(server.requests[0]).toBe('AGENCE_SERVICE.UPLOADS.STATUS');
+    expect(server.requests).not.toContain('AGENCE_SERVICE.UPLOADS.CREATE');
+    expect(server.ranges).toEqual(['bytes 4-7/10', 'bytes 8-9/10']);
+    expect(reportedPercents()[0]).toBe(40);
+  });
+
+  it('starts over when the server no longer knows the stored session', async () => {
+    const file = new File(['abcdefghij'], 'selfie.jpg', { type: 'image/jpeg' });
+    uploadService.saveSession(uploadService.getFingerprint(file, TARGET), 'UPL-EXPIRED');
+
+    await uploadService.uploadDocument(file, { ...TARGET, onProgress });
+
+    expect(server.requests.slice(0, 2)).toEqual(['AGENCE_SERVICE.UPLOADS.STATUS', 'AGENCE_SERVICE.UPLOADS.CREATE']);
+    expect(server.ranges[0]).toBe('bytes 0-3/10');
+  });
+
+  it('keeps separate sessions for the same file sent as another document type', async () => {
+    const file = new File(['abcdefghij'], 'cni.jpg', { type: 'image/jpeg' });
+
+    expect(uploadService.getFingerprint(file, TARGET))
+      .not.toBe(uploadService.getFingerprint(file, { ...TARGET, documentType: 'CNI_RECTO' }));
+  });
+});
@@ -15,15 +15,28 @@
 
 import httpClient from './httpClient.js';
 import authService from './authService.js';
-import { BASE_URLS, ENDPOINTS } from '../config/apiConfig.js';
+import uploadService from './uploadService.js';
+import { CACHE_CONFIG, buildUrl, buildUrlPrefix } from '../config/apiConfig.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 /**
  * Agence Service Class
  * Manages all agence-related API operations
  */
 class AgenceService {
-  constructor() {
-    this.baseUrl = BASE_URLS.AGENCE_SERVICE;
+  /**
+   * Cached URL prefixes evicted by mutations
+   * @returns {Object} Prefixes by scope (users, documents, dashboard)
+   */
+  get cacheScopes() {
+    return {
+      users: [buildUrlPrefix('AGENCE_SERVICE.USERS.LIST')],
+      documents: [
+        buildUrlPrefix('AGENCE_SERVICE.DOCUMENTS.PENDING'),
+        buildUrlPrefix('AGENCE_SERVICE.DOCUMENTS.STATISTICS')
+      ],
+      dashboard: [buildUrlPrefix('AGENCE_SERVICE.ADMIN.DASHBOARD')]
+    };
   }
 
   /**
@@ -36,21 +49,33 @@ class AgenceService {
     }
   }
 
+  /**
+   * Ensure the user is authenticated and holds a permission
+   * @param {string} permission - Permission (PERMISSIONS value)
+   * @throws {Error} If not authenticated or not permitted
+   */
+  ensurePermission(permission) {
+    this.ensureAuthenticated();
+    authService.ensurePermission(permission);
+  }
+
   // =====================================
   // ADMIN DASHBOARD OPERATIONS
   // =====================================
 
   /**
    * Get comprehensive dashboard data
+   * @param {Object} params - Query parameters
+   * @param {string} params.idAgence - Agency filter (forced for agency directors)
    * @returns {Promise<Object>} Dashboard data including statistics and metrics
    */
-  async getDashboardData() {
+  async getDashboardData(params = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DASHBOARD_VIEW);
       console.log('📊 Fetching admin dashboard data');
 
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.ADMIN.DASHBOARD}`
+        buildUrl('AGENCE_SERVICE.ADMIN.DASHBOARD', authService.withAgencyScope(params))
       );
 
       console.log('✅ Dashboard data fetched successfully');
@@ -71,7 +96,7 @@ class AgenceService {
       console.log('🏥 Fetching system health status');
 
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH}`
+        buildUrl('AGENCE_SERVICE.ADMIN.DASHBOARD_HEALTH')
       );
 
       console.log('✅ System health data fetched successfully');
@@ -84,9 +109,10 @@ class AgenceService {
 
   /**
    * Get recent activity feed
-   * @param {Object} params - Activity parameters
+   * @param {Object} params - Activity parameters (types and defaults in ENDPOINT_REGISTRY)
    * @param {number} params.limit - Number of activities to fetch
    * @param {string} params.type - Activity type filter
+   * @param {string} params.idAgence - Agency filter (forced for agency directors)
    * @returns {Promise<Object>} Recent activities
    */
   async getRecentActivity(params = {}) {
@@ -94,13 +120,8 @@ class AgenceService {
       this.ensureAuthenticated();
       console.log('🕐 Fetching recent activity');
 
-      const { limit = 50, type } = params;
-      const queryParams = new URLSearchParams({ limit: limit.toString() });
-      
-      if (type) queryParams.append('type', type);
-
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.ADMIN.RECENT_ACTIVITY}?${queryParams}`
+        buildUrl('AGENCE_SERVICE.ADMIN.RECENT_ACTIVITY', authService.withAgencyScope(params))
       );
 
       console.log(`✅ Fetched ${response.data.length} recent activities`);
@@ -117,42 +138,24 @@ class AgenceService {
 
   /**
    * Get paginated list of users
-   * @param {Object} params - Query parameters
+   * @param {Object} params - Query parameters (types and defaults in ENDPOINT_REGISTRY)
    * @param {number} params.page - Page number
    * @param {number} params.size - Page size
    * @param {string} params.search - Search query
    * @param {string} params.status - Status filter
    * @param {string} params.role - Role filter
+   * @param {string} params.idAgence - Agency filter (forced for agency directors)
+   * @param {Object} requestOptions - HTTP options such as signal or cancelGroup
    * @returns {Promise<Object>} Paginated user list
    */
-  async getUsers(params = {}) {
+  async getUsers(params = {}, requestOptions = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.USERS_VIEW);
       console.log('👥 Fetching users list');
 
-      const {
-        page = 0,
-        size = 20,
-        search,
-        status,
-        role,
-        sortBy = 'createdAt',
-        sortDirection = 'desc'
-      } = params;
-
-      const queryParams = new URLSearchParams({
-        page: page.toString(),
-        size: size.toString(),
-        sortBy,
-        sortDirection
-      });
-
-      if (search) queryParams.append('search', search);
-      if (status) queryParams.append('status', status);
-      if (role) queryParams.append('role', role);
-
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.LIST}?${queryParams}`
+        buildUrl('AGENCE_SERVICE.USERS.LIST', authService.withAgencyScope(params)),
+        requestOptions
       );
 
       console.log(`✅ Fetched ${response.data.content?.length || 0} users`);
@@ -170,11 +173,11 @@ class AgenceService {
    */
   async getUserDetails(userId) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.USERS_VIEW);
       console.log('👤 Fetching user details for:', userId);
 
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.DETAILS(userId)}`
+        buildUrl('AGENCE_SERVICE.USERS.DETAILS', { userId })
       );
 
       console.log('✅ User details fetched successfully');
@@ -187,15 +190,18 @@ class AgenceService {
 
   /**
    * Get user statistics
+   * @param {Object} params - Query parameters
+   * @param {string} params.idAgence - Agency filter (forced for agency directors)
    * @returns {Promise<Object>} User statistics and metrics
    */
-  async getUserStatistics() {
+  async getUserStatistics(params = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DASHBOARD_VIEW);
       console.log('📈 Fetching user statistics');
 
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.STATISTICS}`
+        buildUrl('AGENCE_SERVICE.USERS.STATISTICS', authService.withAgencyScope(params)),
+        { cache: CACHE_CONFIG.STATISTICS }
       );
 
       console.log('✅ User statistics fetched successfully');
@@ -216,17 +222,17 @@ class AgenceService {
    */
   async exportUsers(params = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.USERS_EXPORT);
       console.log('📤 Exporting users data');
 
       const { format = 'csv', fields, filters } = params;
       
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.EXPORT}`,
+        buildUrl('AGENCE_SERVICE.USERS.EXPORT'),
         {
           format,
           fields,
-          filters
+          filters: authService.withAgencyScope(filters)
         },
         {
           responseType: 'blob'
@@ -248,12 +254,13 @@ class AgenceService {
    */
   async createUser(userData) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.USERS_CREATE);
       console.log('➕ Creating new user:', userData.email);
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.CREATE}`,
-        userData
+        buildUrl('AGENCE_SERVICE.USERS.CREATE'),
+        userData,
+        { invalidates: [...this.cacheScopes.users, ...this.cacheScopes.dashboard] }
       );
 
       console.log('✅ User created successfully');
@@ -272,12 +279,13 @@ class AgenceService {
    */
   async updateUser(userId, updateData) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.USERS_EDIT);
       console.log('📝 Updating user:', userId);
 
       const response = await httpClient.put(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.UPDATE(userId)}`,
-        updateData
+        buildUrl('AGENCE_SERVICE.USERS.UPDATE', { userId }),
+        updateData,
+        { invalidates: this.cacheScopes.users }
       );
 
       console.log('✅ User updated successfully');
@@ -296,12 +304,13 @@ class AgenceService {
    */
   async blockUser(userId, reason) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.USERS_BLOCK);
       console.log('🚫 Blocking user:', userId);
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.BLOCK(userId)}`,
-        { reason }
+        buildUrl('AGENCE_SERVICE.USERS.BLOCK', { userId }),
+        { reason },
+        { invalidates: [...this.cacheScopes.users, ...this.cacheScopes.dashboard] }
       );
 
       console.log('✅ User blocked successfully');
@@ -319,12 +328,13 @@ class AgenceService {
    */
   async unblockUser(userId) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.USERS_BLOCK);
       console.log('✅ Unblocking user:', userId);
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.USERS.UNBLOCK(userId)}`,
-        {}
+        buildUrl('AGENCE_SERVICE.USERS.UNBLOCK', { userId }),
+        {},
+        { invalidates: [...this.cacheScopes.users, ...this.cacheScopes.dashboard] }
       );
 
       console.log('✅ User unblocked successfully');
@@ -335,45 +345,73 @@ class AgenceService {
     }
   }
 
+  /**
+   * Get the signed-in sessions of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, data: sessions }, most recently active first
+   */
+  async getUserSessions(userId) {
+    try {
+      this.ensurePermission(PERMISSIONS.USERS_SESSIONS);
+      console.log('💻 Fetching sessions of user:', userId);
+
+      const response = await httpClient.get(
+        buildUrl('AGENCE_SERVICE.USERS.SESSIONS', { userId })
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to fetch user sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session of a user: its device is logged out at its next request
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Revoke response
+   */
+  async revokeUserSession(userId, sessionId) {
+    try {
+      this.ensurePermission(PERMISSIONS.USERS_SESSIONS);
+      console.log('🚫 Revoking session of user:', userId, sessionId);
+
+      const response = await httpClient.delete(
+        buildUrl('AGENCE_SERVICE.USERS.REVOKE_SESSION', { userId, sessionId })
+      );
+
+      console.log('✅ Session revoked successfully');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to revoke user session:', error);
+      throw error;
+    }
+  }
+
   // =====================================
   // DOCUMENT APPROVAL OPERATIONS
   // =====================================
 
   /**
    * Get pending documents for approval
-   * @param {Object} params - Query parameters
+   * @param {Object} params - Query parameters (types and defaults in ENDPOINT_REGISTRY)
    * @param {number} params.page - Page number
    * @param {number} params.size - Page size
    * @param {string} params.type - Document type filter
    * @param {string} params.priority - Priority filter
+   * @param {string} params.idAgence - Agency filter (forced for agency directors)
+   * @param {Object} requestOptions - HTTP options such as signal or cancelGroup
    * @returns {Promise<Object>} Paginated pending documents
    */
-  async getPendingDocuments(params = {}) {
+  async getPendingDocuments(params = {}, requestOptions = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DOCUMENTS_VIEW);
       console.log('📋 Fetching pending documents');
 
-      const {
-        page = 0,
-        size = 20,
-        type,
-        priority,
-        sortBy = 'submissionDate',
-        sortDirection = 'desc'
-      } = params;
-
-      const queryParams = new URLSearchParams({
-        page: page.toString(),
-        size: size.toString(),
-        sortBy,
-        sortDirection
-      });
-
-      if (type) queryParams.append('type', type);
-      if (priority) queryParams.append('priority', priority);
-
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.DOCUMENTS.PENDING}?${queryParams}`
+        buildUrl('AGENCE_SERVICE.DOCUMENTS.PENDING', authService.withAgencyScope(params)),
+        requestOptions
       );
 
       console.log(`✅ Fetched ${response.data.content?.length || 0} pending documents`);
@@ -391,11 +429,11 @@ class AgenceService {
    */
   async getDocumentForReview(documentId) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DOCUMENTS_VIEW);
       console.log('📄 Fetching document for review:', documentId);
 
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.DOCUMENTS.REVIEW(documentId)}`
+        buildUrl('AGENCE_SERVICE.DOCUMENTS.REVIEW', { documentId })
       );
 
       console.log('✅ Document details fetched successfully');
@@ -406,6 +444,34 @@ class AgenceService {
     }
   }
 
+  /**
+   * Upload a KYC document (CNI scan, selfie) for a user
+   * Large files are sent in resumable chunks: calling again after a failure
+   * continues from the last chunk received
+   * @param {string} userId - User ID
+   * @param {string} documentType - Document type
+   * @param {File} file - Document file
+   * @param {Object} options - Upload options
+   * @param {Function} options.onProgress - Called with { loaded, total, percent }
+   * @param {AbortSignal} options.signal - Cancels the upload
+   * @returns {Promise<Object>} Uploaded document
+   */
+  async uploadUserDocument(userId, documentType, file, options = {}) {
+    try {
+      this.ensurePermission(PERMISSIONS.DOCUMENTS_UPLOAD);
+      console.log(`📤 Uploading ${documentType} for user: ${userId}`);
+
+      const document = await uploadService.uploadDocument(file, { ...options, userId, documentType });
+      httpClient.invalidateCache(this.cacheScopes.documents);
+
+      console.log('✅ Document uploaded successfully');
+      return document;
+    } catch (error) {
+      console.error('❌ Failed to upload document:', error);
+      throw error;
+    }
+  }
+
   /**
    * Approve document
    * @param {string} documentId - Document ID
@@ -416,17 +482,18 @@ class AgenceService {
    */
   async approveDocument(documentId, approvalData = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DOCUMENTS_APPROVE);
       console.log('✅ Approving document:', documentId);
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.DOCUMENTS.APPROVE(documentId)}`,
+        buildUrl('AGENCE_SERVICE.DOCUMENTS.APPROVE', { documentId }),
         {
           comments: approvalData.comments || '',
           conditions: approvalData.conditions || [],
           approvedBy: authService.getCurrentUser()?.id,
           approvalDate: new Date().toISOString()
-        }
+        },
+        { invalidates: [...this.cacheScopes.documents, ...this.cacheScopes.dashboard] }
       );
 
       console.log('✅ Document approved successfully');
@@ -447,7 +514,7 @@ class AgenceService {
    */
   async rejectDocument(documentId, rejectionData) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DOCUMENTS_APPROVE);
       console.log('❌ Rejecting document:', documentId);
 
       const { reason, comments } = rejectionData;
@@ -457,13 +524,14 @@ class AgenceService {
       }
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.DOCUMENTS.REJECT(documentId)}`,
+        buildUrl('AGENCE_SERVICE.DOCUMENTS.REJECT', { documentId }),
         {
           reason,
           comments: comments || '',
           rejectedBy: authService.getCurrentUser()?.id,
           rejectionDate: new Date().toISOString()
-        }
+        },
+        { invalidates: [...this.cacheScopes.documents, ...this.cacheScopes.dashboard] }
       );
 
       console.log('✅ Document rejected successfully');
@@ -476,25 +544,21 @@ class AgenceService {
 
   /**
    * Get document approval statistics
-   * @param {Object} params - Statistics parameters
+   * @param {Object} params - Statistics parameters (types and defaults in ENDPOINT_REGISTRY)
    * @param {string} params.period - Time period (daily, weekly, monthly)
    * @param {string} params.startDate - Start date
    * @param {string} params.endDate - End date
+   * @param {string} params.idAgence - Agency filter (forced for agency directors)
    * @returns {Promise<Object>} Document statistics
    */
   async getDocumentStatistics(params = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DASHBOARD_VIEW);
       console.log('📊 Fetching document statistics');
 
-      const { period = 'monthly', startDate, endDate } = params;
-      const queryParams = new URLSearchParams({ period });
-      
-      if (startDate) queryParams.append('startDate', startDate);
-      if (endDate) queryParams.append('endDate', endDate);
-
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.DOCUMENTS.STATISTICS}?${queryParams}`
+        buildUrl('AGENCE_SERVICE.DOCUMENTS.STATISTICS', authService.withAgencyScope(params)),
+        { cache: CACHE_CONFIG.STATISTICS }
       );
 
       console.log('✅ Document statistics fetched successfully');
@@ -513,17 +577,18 @@ class AgenceService {
    */
   async bulkApproveDocuments(documentIds, approvalData = {}) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DOCUMENTS_APPROVE);
       console.log(`✅ Bulk approving ${documentIds.length} documents`);
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.DOCUMENTS.BULK_APPROVE}`,
+        buildUrl('AGENCE_SERVICE.DOCUMENTS.BULK_APPROVE'),
         {
           documentIds,
           comments: approvalData.comments || '',
           approvedBy: authService.getCurrentUser()?.id,
           approvalDate: new Date().toISOString()
-        }
+        },
+        { invalidates: [...this.cacheScopes.documents, ...this.cacheScopes.dashboard] }
       );
 
       console.log('✅ Documents bulk approved successfully');
@@ -542,7 +607,7 @@ class AgenceService {
    */
   async bulkRejectDocuments(documentIds, rejectionData) {
     try {
-      this.ensureAuthenticated();
+      this.ensurePermission(PERMISSIONS.DOCUMENTS_APPROVE);
       console.log(`❌ Bulk rejecting ${documentIds.length} documents`);
 
       const { reason, comments } = rejectionData;
@@ -552,14 +617,15 @@ class AgenceService {
       }
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.AGENCE_SERVICE.DOCUMENTS.BULK_REJECT}`,
+        buildUrl('AGENCE_SERVICE.DOCUMENTS.BULK_REJECT'),
         {
           documentIds,
           reason,
           comments: comments || '',
           rejectedBy: authService.getCurrentUser()?.id,
           rejectionDate: new Date().toISOString()
-        }
+        },
+        { invalidates: [...this.cacheScopes.documents, ...this.cacheScopes.dashboard] }
       );
 
       console.log('✅ Documents bulk rejected successfully');
@@ -4,8 +4,17 @@
  * Handles all authentication-related operations:
  * - User login/logout for both User and Agence services
  * - JWT token management and automatic refresh
- * - Authentication state management
- * - Session persistence and security
+ * - Authentication state management (explicit unauthenticated state)
+ * - Tokens kept out of storage: the access token lives in memory, the refresh
+ *   token in an httpOnly cookie (or in memory when the server returns it);
+ *   the stored profile is restored through the refresh endpoint
+ * - Role and permission checks from the JWT `roles` claim
+ * - Agency scope of agency directors (JWT `idAgence` claim)
+ * - Login, refresh and logout events (consumed by AuthProvider)
+ * - Login, refresh, logout and activity shared between browser tabs
+ * - Two-factor login (TOTP or backup code) and trusted devices
+ * - Password change, forced when the server flags a temporary or expired password
+ * - Signed-in sessions of the current user, with revoke of the other devices
  * 
  * @author ENSF Wallet Development Team
  * @version 1.0.0
@@ -13,7 +22,88 @@
  */
 
 import httpClient from './httpClient.js';
-import { BASE_URLS, ENDPOINTS } from '../config/apiConfig.js';
+import { ERROR_MESSAGES, HTTP_STATUS, MFA_CONFIG, SESSION_CONFIG, buildUrl } from '../config/apiConfig.js';
+import { getDashboardRole, getPermissionsForRoles, isAgencyDirector } from '../config/permissions.js';
+
+/**
+ * Backend that issued the current session: refresh and logout go back to it
+ */
+export const AUTH_SOURCES = {
+  AGENCE: 'AGENCE_SERVICE',
+  USER: 'USER_SERVICE'
+};
+
+/**
+ * Second-step verification methods
+ */
+export const MFA_METHODS = {
+  TOTP: 'TOTP',
+  BACKUP_CODE: 'BACKUP_CODE'
+};
+
+/**
+ * Back-office roles, served by the Agence Service
+ */
+const AGENCE_ROLES = ['BANK_ADMIN', 'AGENCY_DIRECTOR'];
+
+/**
+ * Keys written by the former login page / App auth helpers
+ */
+const LEGACY_STORAGE_KEYS = ['authToken', 'currentUser', 'loginTimestamp'];
+
+/**
+ * localStorage key of the session: profile and issuing backend, never a token
+ */
+const STORAGE_KEY = 'ensf_auth';
+
+/**
+ * Token fields written by earlier versions, removed from the stored session
+ */
+const STORED_TOKEN_FIELDS = ['token', 'tokenExpiryTime', 'refreshToken'];
+
+/**
+ * Options of the calls that set, use or clear the httpOnly refresh cookie
+ */
+const SESSION_REQUEST_OPTIONS = { skipAuthRefresh: true, credentials: 'include' };
+
+/**
+ * Refresh attempts after another tab rotated the refresh token under this one
+ */
+const MAX_ROTATION_RETRIES = 2;
+
+/**
+ * Authentication status
+ */
+export const AUTH_STATUS = {
+  AUTHENTICATED: 'authenticated',
+  UNAUTHENTICATED: 'unauthenticated'
+};
+
+/**
+ * Check that a stored session has the expected shape
+ * @param {*} authData - Parsed storage value
+ * @returns {boolean} True for a session that can be restored
+ */
+const isStoredSession = (authData) => !!authData
+  && typeof authData === 'object'
+  && typeof authData.user === 'object' && authData.user !== null;
+
+/**
+ * Decode the payload of a JWT (base64url)
+ * @param {string} token - JWT token
+ * @returns {Object|null} Claims, or null for anything that is not a JWT
+ */
+const decodeTokenPayload = (token) => {
+  if (typeof token !== 'string') return null;
+
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(payload));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch {
+    return null;
+  }
+};
 
 /**
  * Authentication Service Class
@@ -21,44 +111,61 @@ import { BASE_URLS, ENDPOINTS } from '../config/apiConfig.js';
  */
 class AuthService {
   constructor() {
-    this.currentUser = localStorage.getItem('currentUser') ? JSON.parse(localStorage.getItem('currentUser')) : null;
+    // Unauthenticated until a session is started or restored
+    this.currentUser = null;
     this.authToken = null;
     this.refreshToken = null;
     this.tokenExpiryTime = null;
+    this.authSource = null;
     this.refreshTimer = null;
-    this.adminToken = (JSON.parse(localStorage.getItem('currentUser'))).accessToken; // For admin users, use global authToken if available
-    
-    // Initialize from localStorage
+
+    // Storage is read on first use, not on import
+    this.isHydrated = false;
+
+    // Pending restoreSession(), shared by concurrent callers
+    this.restorePromise = null;
+
+    // Cross-tab sync, off until startCrossTabSync()
+    this.syncChannel = null;
+    this.syncStorageListener = null;
+  }
+
+  /**
+   * Check the stored session once, on first use
+   * A session already started in memory is newer than the stored one and wins
+   */
+  ensureHydrated() {
+    if (this.isHydrated) return;
+    this.isHydrated = true;
+
+    if (this.currentUser || this.authToken) return;
     this.initializeFromStorage();
   }
 
   /**
-   * Initialize authentication state from localStorage
+   * Clean up the stored session: legacy keys, malformed data, access tokens
+   * Never authenticates: an access token only comes from restoreSession()
    */
   initializeFromStorage() {
     try {
-      const storedAuth = localStorage.getItem('ensf_auth');
-      if (storedAuth) {
-        const authData = JSON.parse(storedAuth);
-        
-        // Check if token is still valid
-        if (authData.tokenExpiryTime && new Date().getTime() < authData.tokenExpiryTime) {
-          this.currentUser = authData.user;
-          this.authToken = authData.token;
-          this.refreshToken = authData.refreshToken;
-          this.tokenExpiryTime = authData.tokenExpiryTime;
-          
-          // Set token in HTTP client
-          httpClient.setAuthToken(this.authToken);
-          
-          // Schedule token refresh
-          this.scheduleTokenRefresh();
-          
-          console.log('✅ Authentication restored from storage', this.currentUser);
-        } else {
-          console.log('⚠️ Stored token expired, clearing storage');
-          this.clearAuthData();
-        }
+      // Sessions are only kept under 'ensf_auth' now
+      LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+
+      const storedAuth = localStorage.getItem(STORAGE_KEY);
+      if (!storedAuth) return;
+
+      const authData = JSON.parse(storedAuth);
+      if (!isStoredSession(authData)) {
+        console.warn('⚠️ Stored session is malformed, clearing storage');
+        this.clearAuthData();
+        return;
+      }
+
+      // Earlier versions also stored the tokens
+      if (STORED_TOKEN_FIELDS.some(field => field in authData)) {
+        const { user, authSource } = authData;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ user, authSource }));
+        console.log('🧹 Tokens removed from storage');
       }
     } catch (error) {
       console.error('❌ Error initializing auth from storage:', error);
@@ -67,17 +174,82 @@ class AuthService {
   }
 
   /**
-   * Store authentication data in localStorage
+   * Read the stored session
+   * @returns {Object|null} { user, authSource }, or null when there is none
+   */
+  readStoredSession() {
+    try {
+      const authData = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return isStoredSession(authData) ? authData : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a stored session waits for restoreSession()
+   * @returns {boolean} True when unauthenticated with a stored session
+   */
+  hasRestorableSession() {
+    return !this.isAuthenticated() && this.readStoredSession() !== null;
+  }
+
+  /**
+   * Restore the stored session through the refresh endpoint
+   * Concurrent calls share one refresh. A refresh token refused by the server
+   * ends the stored session; a network failure keeps it for the next attempt.
+   * @returns {Promise<boolean>} True when authenticated
+   */
+  restoreSession() {
+    if (!this.restorePromise) {
+      this.restorePromise = this.performRestore().finally(() => {
+        this.restorePromise = null;
+      });
+    }
+    return this.restorePromise;
+  }
+
+  /**
+   * Exchange the refresh cookie for an access token (see restoreSession)
+   * @returns {Promise<boolean>} True when authenticated
+   */
+  async performRestore() {
+    if (this.isAuthenticated()) return true;
+
+    const storedSession = this.readStoredSession();
+    if (!storedSession) return false;
+
+    console.log('🔄 Restoring session through the refresh endpoint');
+    this.currentUser = storedSession.user;
+    this.authSource = storedSession.authSource || null;
+
+    try {
+      await this.requestTokenRefresh();
+      console.log('✅ Session restored', this.currentUser);
+      return true;
+    } catch (error) {
+      if (error.status >= 400 && error.status < 500) {
+        console.log('⚠️ Stored session expired or revoked, clearing storage');
+        this.clearAuthData();
+      } else {
+        console.error('❌ Session restore failed, keeping the stored session:', error);
+        this.resetSessionState();
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Store the restorable part of the session in localStorage
+   * Tokens are never written: JS-readable storage is open to any injected script
    */
   storeAuthData() {
     try {
       const authData = {
         user: this.currentUser,
-        token: this.authToken,
-        refreshToken: this.refreshToken,
-        tokenExpiryTime: this.tokenExpiryTime
+        authSource: this.authSource
       };
-      localStorage.setItem('ensf_auth', JSON.stringify(authData));
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(authData));
       console.log('💾 Authentication data stored');
     } catch (error) {
       console.error('❌ Error storing auth data:', error);
@@ -85,26 +257,41 @@ class AuthService {
   }
 
   /**
-   * Clear authentication data from memory and storage
+   * Clear the in-memory session, keeping storage
    */
-  clearAuthData() {
+  resetSessionState() {
     this.currentUser = null;
     this.authToken = null;
     this.refreshToken = null;
     this.tokenExpiryTime = null;
-    
+    this.authSource = null;
+
     // Clear from HTTP client
     httpClient.setAuthToken(null);
-    
+
     // Clear refresh timer
     if (this.refreshTimer) {
       clearTimeout(this.refreshTimer);
       this.refreshTimer = null;
     }
-    
-    // Clear from localStorage
-    localStorage.removeItem('ensf_auth');
-    
+  }
+
+  /**
+   * Clear authentication data from memory and storage
+   */
+  clearAuthData() {
+    // Nothing left to restore
+    this.isHydrated = true;
+
+    this.resetSessionState();
+
+    // Clear from localStorage (may be unavailable, e.g. blocked storage)
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.error('❌ Error clearing stored auth data:', error);
+    }
+
     console.log('🗑️ Authentication data cleared');
   }
 
@@ -114,20 +301,15 @@ class AuthService {
    * @returns {number|null} Expiry time in milliseconds
    */
   parseTokenExpiry(token) {
-    try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      return payload.exp ? payload.exp * 1000 : null;
-    } catch (error) {
-      console.error('❌ Error parsing token:', error);
-      return null;
-    }
+    const claims = decodeTokenPayload(token);
+    return claims?.exp ? claims.exp * 1000 : null;
   }
 
   /**
    * Schedule automatic token refresh
    */
   scheduleTokenRefresh() {
-    if (!this.tokenExpiryTime || !this.refreshToken) return;
+    if (!this.tokenExpiryTime) return;
 
     // Clear existing timer
     if (this.refreshTimer) {
@@ -138,6 +320,11 @@ class AuthService {
     const refreshTime = this.tokenExpiryTime - new Date().getTime() - (5 * 60 * 1000);
     
     if (refreshTime > 0) {
+      // With several tabs open, each one picks a different moment so only one refresh token rotation happens
+      const jitter = this.syncChannel || this.syncStorageListener
+        ? Math.random() * Math.min(SESSION_CONFIG.REFRESH_JITTER, refreshTime)
+        : 0;
+
       this.refreshTimer = setTimeout(async () => {
         console.log('🔄 Auto-refreshing token...');
         try {
@@ -146,7 +333,7 @@ class AuthService {
           console.error('❌ Auto token refresh failed:', error);
           this.logout();
         }
-      }, refreshTime);
+      }, refreshTime - jitter);
       
       console.log(`⏰ Token refresh scheduled in ${Math.round(refreshTime / 60000)} minutes`);
     } else {
@@ -160,17 +347,168 @@ class AuthService {
    * @returns {boolean} Authentication status
    */
   isAuthenticated() {
-    if(this.currentUser.roles.includes('ADMIN') || this.currentUser.roles.includes('AGENCE')) {
-      return true;
-    }
+    this.ensureHydrated();
     return !!(this.currentUser && this.authToken);
   }
 
+  /**
+   * Get the authentication status
+   * @returns {string} AUTH_STATUS value
+   */
+  getStatus() {
+    return this.isAuthenticated() ? AUTH_STATUS.AUTHENTICATED : AUTH_STATUS.UNAUTHENTICATED;
+  }
+
+  /**
+   * Claims of the current access token
+   * @returns {Object|null} JWT claims
+   */
+  getTokenClaims() {
+    this.ensureHydrated();
+    return decodeTokenPayload(this.authToken);
+  }
+
+  /**
+   * Roles of the JWT `roles` claim
+   * @returns {Array<string>} Roles (empty when unauthenticated)
+   */
+  getRoles() {
+    const roles = this.getTokenClaims()?.roles;
+    return Array.isArray(roles) ? roles : [];
+  }
+
+  /**
+   * Check whether the current user holds a role
+   * @param {string} role - Role name (ADMIN, SUPERVISOR, AGENCE...)
+   * @returns {boolean} True if the user has the role
+   */
+  hasRole(role) {
+    return this.getRoles().includes(role);
+  }
+
+  /**
+   * Check whether the current user holds at least one of the roles
+   * @param {Array<string>} roles - Role names
+   * @returns {boolean} True if the user has any of the roles
+   */
+  hasAnyRole(roles) {
+    return roles.some(role => this.hasRole(role));
+  }
+
+  /**
+   * Permissions granted by the current roles
+   * @returns {Array<string>} Permissions
+   */
+  getPermissions() {
+    return getPermissionsForRoles(this.getRoles());
+  }
+
+  /**
+   * Check whether the current user holds a permission
+   * @param {string} permission - Permission (PERMISSIONS value)
+   * @returns {boolean} True if granted
+   */
+  hasPermission(permission) {
+    return this.getPermissions().includes(permission);
+  }
+
+  /**
+   * Ensure the current user holds a permission before calling the backend
+   * @param {string} permission - Permission (PERMISSIONS value)
+   * @throws {Error} PERMISSION_DENIED error (status 403) if not granted
+   */
+  ensurePermission(permission) {
+    if (this.hasPermission(permission)) return;
+
+    const error = new Error(`Permission denied: ${permission}`);
+    error.code = 'PERMISSION_DENIED';
+    error.status = HTTP_STATUS.FORBIDDEN;
+    error.permission = permission;
+    error.userMessage = ERROR_MESSAGES.FORBIDDEN;
+    throw error;
+  }
+
+  /**
+   * Dashboard variant of the current user
+   * @returns {string|null} 'BANK_ADMIN', 'AGENCY_DIRECTOR', or null without back-office role
+   */
+  getDashboardRole() {
+    return getDashboardRole(this.getRoles());
+  }
+
+  /**
+   * Agency the session is confined to
+   * Agency directors (AGENCE role) only see their own agency; headquarters and
+   * supervisors see every agency
+   * @returns {string|null} Agency id (JWT `idAgence` claim, then profile), or null when not scoped
+   */
+  getAgencyScope() {
+    if (!this.isAuthenticated() || !isAgencyDirector(this.getRoles())) {
+      return null;
+    }
+    return this.getTokenClaims()?.idAgence || this.currentUser?.idAgence || null;
+  }
+
+  /**
+   * Confine request params to the session's agency
+   * An agency director's own agency always replaces any requested one
+   * @param {Object} params - Request params
+   * @returns {Object} Params, with `idAgence` forced for agency-scoped sessions
+   */
+  withAgencyScope(params = {}) {
+    const idAgence = this.getAgencyScope();
+    return idAgence ? { ...params, idAgence } : params;
+  }
+
+  /**
+   * Whether the session belongs to the Agence Service (back-office users)
+   * @returns {boolean} True for agence sessions
+   */
+  isAgenceSession() {
+    if (this.authSource) {
+      return this.authSource === AUTH_SOURCES.AGENCE;
+    }
+    return AGENCE_ROLES.includes(this.currentUser?.role);
+  }
+
+  /**
+   * Start a session from a login response
+   * @param {Object} session - Session data
+   * @param {string} session.token - Access token
+   * @param {string} session.refreshToken - Refresh token, when returned in the body rather than as a cookie
+   * @param {Object} session.user - User profile
+   * @param {string} session.source - Issuing backend (AUTH_SOURCES)
+   */
+  startSession({ token, refreshToken, user, source }) {
+    // Replaces whatever storage held
+    this.isHydrated = true;
+
+    // Set authentication state
+    this.authToken = token;
+    this.refreshToken = refreshToken || null;
+    this.currentUser = user;
+    this.authSource = source;
+    this.tokenExpiryTime = this.parseTokenExpiry(token);
+    
+    // Set token in HTTP client
+    httpClient.setAuthToken(this.authToken);
+    
+    // Store authentication data
+    this.storeAuthData();
+    
+    // Schedule token refresh
+    this.scheduleTokenRefresh();
+
+    this.emitEvent('login', user);
+    this.broadcastSessionEvent('login', { token, refreshToken });
+  }
+
   /**
    * Get current authenticated user
    * @returns {Object|null} Current user data
    */
   getCurrentUser() {
+    this.ensureHydrated();
     return this.currentUser;
   }
 
@@ -179,6 +517,7 @@ class AuthService {
    * @returns {string|null} Current JWT token
    */
   getAuthToken() {
+    this.ensureHydrated();
     return this.authToken;
   }
 
@@ -193,28 +532,14 @@ class AuthService {
       console.log('🔐 Logging in to User Service:', email);
 
       const response = await httpClient.post(
-        `${BASE_URLS.USER_SERVICE}${ENDPOINTS.USER_SERVICE.LOGIN}`,
-        { email, password }
+        buildUrl('USER_SERVICE.LOGIN'),
+        { email, password },
+        SESSION_REQUEST_OPTIONS
       );
 
       if (response.data) {
-        // Extract authentication data
         const { token, refreshToken, user } = response.data;
-        
-        // Set authentication state
-        this.authToken = token;
-        this.refreshToken = refreshToken;
-        this.currentUser = user;
-        this.tokenExpiryTime = this.parseTokenExpiry(token);
-        
-        // Set token in HTTP client
-        httpClient.setAuthToken(this.authToken);
-        
-        // Store authentication data
-        this.storeAuthData();
-        
-        // Schedule token refresh
-        this.scheduleTokenRefresh();
+        this.startSession({ token, refreshToken, user, source: AUTH_SOURCES.USER });
         
         console.log('✅ User Service login successful:', user);
         return response.data;
@@ -229,39 +554,31 @@ class AuthService {
 
   /**
    * Login to Agence Service
-   * @param {string} email - Admin email
+   * The response is flat: tokens and profile fields side by side.
+   * Accounts with MFA get a challenge instead, unless this device is trusted:
+   * no session starts and the response is returned for verifyMfa()
+   * @param {string} username - Admin username
    * @param {string} password - Admin password
-   * @returns {Promise<Object>} Login response
+   * @returns {Promise<Object>} Login response ({ mfaRequired, mfaToken, mfaMethods } for a challenge)
    */
-  async loginAgenceService(email, password) {
+  async loginAgenceService(username, password) {
     try {
-      console.log('🔐 Logging in to Agence Service:', email);
+      console.log('🔐 Logging in to Agence Service:', username);
 
+      const deviceToken = this.getTrustedDeviceToken(username);
       const response = await httpClient.post(
-        `${BASE_URLS.AGENCE_SERVICE}${ENDPOINTS.AGENCE_SERVICE.AUTH.LOGIN}`,
-        { email, password }
+        buildUrl('AGENCE_SERVICE.AUTH.LOGIN'),
+        deviceToken ? { username, password, deviceToken } : { username, password },
+        SESSION_REQUEST_OPTIONS
       );
 
+      if (response.data?.mfaRequired) {
+        console.log('🔢 Second step required for:', username);
+        return response.data;
+      }
+
       if (response.data) {
-        // Extract authentication data
-        const { token, refreshToken, user } = response.data;
-        
-        // Set authentication state
-        this.authToken = token;
-        this.refreshToken = refreshToken;
-        this.currentUser = user;
-        this.tokenExpiryTime = this.parseTokenExpiry(token);
-        
-        // Set token in HTTP client
-        httpClient.setAuthToken(this.authToken);
-        
-        // Store authentication data
-        this.storeAuthData();
-        
-        // Schedule token refresh
-        this.scheduleTokenRefresh();
-        
-        console.log('✅ Agence Service login successful:', user);
+        this.startAgenceSession(response.data);
         return response.data;
       }
 
@@ -273,55 +590,120 @@ class AuthService {
   }
 
   /**
-   * Refresh authentication token
-   * @returns {Promise<Object>} Refresh response
+   * Complete a two-factor login
+   * @param {Object} verification - Verification data
+   * @param {string} verification.mfaToken - Challenge token from loginAgenceService
+   * @param {string} verification.code - TOTP code or backup code
+   * @param {string} verification.method - MFA_METHODS value
+   * @param {boolean} verification.trustDevice - Skip the second step on this device from now on
+   * @returns {Promise<Object>} Login response
    */
-  async refreshAuthToken() {
+  async verifyMfa({ mfaToken, code, method = MFA_METHODS.TOTP, trustDevice = false }) {
     try {
-      if (!this.refreshToken) {
-        throw new Error('No refresh token available');
-      }
-
-      console.log('🔄 Refreshing authentication token');
-
-      // Determine which service to use based on current user
-      const isAgenceUser = this.currentUser?.role === 'BANK_ADMIN' || 
-                          this.currentUser?.role === 'AGENCY_DIRECTOR';
-      
-      const baseUrl = isAgenceUser ? BASE_URLS.AGENCE_SERVICE : BASE_URLS.USER_SERVICE;
-      const endpoint = isAgenceUser ? 
-                      ENDPOINTS.AGENCE_SERVICE.AUTH.REFRESH : 
-                      ENDPOINTS.USER_SERVICE.REFRESH;
+      console.log('🔢 Verifying second step:', method);
 
       const response = await httpClient.post(
-        `${baseUrl}${endpoint}`,
-        { refreshToken: this.refreshToken }
+        buildUrl('AGENCE_SERVICE.AUTH.MFA_VERIFY'),
+        { mfaToken, code, method, trustDevice },
+        SESSION_REQUEST_OPTIONS
       );
 
       if (response.data) {
-        const { token, refreshToken } = response.data;
-        
-        // Update tokens
-        this.authToken = token;
-        if (refreshToken) {
-          this.refreshToken = refreshToken;
+        const { username, deviceToken, trustedUntil } = response.data;
+        if (trustDevice && deviceToken) {
+          this.rememberTrustedDevice(username, deviceToken, trustedUntil);
         }
-        this.tokenExpiryTime = this.parseTokenExpiry(token);
-        
-        // Set new token in HTTP client
-        httpClient.setAuthToken(this.authToken);
-        
-        // Store updated data
-        this.storeAuthData();
-        
-        // Schedule next refresh
-        this.scheduleTokenRefresh();
-        
-        console.log('✅ Token refreshed successfully');
+
+        this.startAgenceSession(response.data);
         return response.data;
       }
 
-      throw new Error('Invalid refresh response');
+      throw new Error('Invalid response format');
+    } catch (error) {
+      console.error('❌ Second step verification failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a session from an Agence Service login response
+   * @param {Object} data - Login or MFA verification response
+   */
+  startAgenceSession(data) {
+    const { accessToken, refreshToken, id, email, nom, prenom, roles, role, idAgence, nomAgence } = data;
+
+    if (!accessToken) {
+      throw new Error('Token d\'authentification manquant dans la réponse du serveur');
+    }
+
+    const user = {
+      id, username: data.username, email, nom, prenom, roles, role, idAgence, nomAgence,
+      // Temporary (first login) or expired password: the UI asks for a new one first
+      passwordChangeRequired: !!data.passwordChangeRequired,
+      passwordChangeReason: data.passwordChangeReason || null
+    };
+    this.startSession({ token: accessToken, refreshToken, user, source: AUTH_SOURCES.AGENCE });
+
+    console.log('✅ Agence Service login successful:', user.username);
+  }
+
+  /**
+   * Read the stored trusted devices, dropping the expired ones
+   * Kept apart from the session: logging out does not forget the device
+   * @returns {Object} { [username]: { token, expiresAt } }
+   */
+  readTrustedDevices() {
+    try {
+      const devices = JSON.parse(localStorage.getItem(MFA_CONFIG.TRUSTED_DEVICES_KEY) || '{}');
+      const now = Date.now();
+
+      return Object.fromEntries(Object.entries(devices || {}).filter(([, device]) =>
+        typeof device?.token === 'string' && device.expiresAt > now
+      ));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Trusted-device token of a user on this browser
+   * @param {string} username - Username
+   * @returns {string|null} Device token, or null when the device is not (or no longer) trusted
+   */
+  getTrustedDeviceToken(username) {
+    return this.readTrustedDevices()[username]?.token || null;
+  }
+
+  /**
+   * Remember this device for a user
+   * @param {string} username - Username
+   * @param {string} token - Device token issued by MFA_VERIFY
+   * @param {string} trustedUntil - Expiry set by the server (ISO date); TRUSTED_DEVICE_DAYS from now when missing
+   */
+  rememberTrustedDevice(username, token, trustedUntil) {
+    const expiresAt = Date.parse(trustedUntil) || Date.now() + MFA_CONFIG.TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+
+    try {
+      localStorage.setItem(MFA_CONFIG.TRUSTED_DEVICES_KEY, JSON.stringify({
+        ...this.readTrustedDevices(),
+        [username]: { token, expiresAt }
+      }));
+      console.log('💾 Device trusted until', new Date(expiresAt).toISOString());
+    } catch (error) {
+      console.error('❌ Error storing trusted device:', error);
+    }
+  }
+
+  /**
+   * Refresh authentication token
+   * A failed refresh ends the session
+   * @returns {Promise<Object>} Refresh response
+   */
+  async refreshAuthToken() {
+    this.ensureHydrated();
+
+    try {
+      return await this.requestTokenRefresh();
     } catch (error) {
       console.error('❌ Token refresh failed:', error);
       this.logout();
@@ -329,8 +711,82 @@ class AuthService {
     }
   }
 
+  /**
+   * Body of the calls that use the refresh token
+   * The httpOnly cookie travels on its own; a token the server returned in a
+   * response body is only known in memory and is sent along
+   * @returns {Object} { refreshToken } or an empty body
+   */
+  getRefreshTokenBody() {
+    return this.refreshToken ? { refreshToken: this.refreshToken } : {};
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   * A refusal caused by another tab rotating the refresh token meanwhile (the
+   * session shared with this tab has changed) is retried with the new one.
+   * @param {number} attempt - Retries already made
+   * @returns {Promise<Object>} Refresh response
+   */
+  async requestTokenRefresh(attempt = 0) {
+    // Without a session the cookie, if any, belongs to nobody here
+    if (!this.refreshToken && !this.currentUser) {
+      throw new Error('No refresh token available');
+    }
+
+    console.log('🔄 Refreshing authentication token');
+
+    // Refresh against the backend that issued the session
+    const endpoint = this.isAgenceSession() ? 'AGENCE_SERVICE.AUTH.REFRESH' : 'USER_SERVICE.REFRESH';
+    const usedRefreshToken = this.refreshToken;
+    const usedAccessToken = this.authToken;
+
+    let response;
+    try {
+      // Never try to refresh the refresh call itself
+      response = await httpClient.post(buildUrl(endpoint), this.getRefreshTokenBody(), SESSION_REQUEST_OPTIONS);
+    } catch (error) {
+      const rotatedByOtherTab = this.refreshToken !== usedRefreshToken || this.authToken !== usedAccessToken;
+      if (error.status === HTTP_STATUS.UNAUTHORIZED && attempt < MAX_ROTATION_RETRIES && rotatedByOtherTab) {
+        console.log('🔗 Refresh token rotated by another tab, retrying');
+        return this.requestTokenRefresh(attempt + 1);
+      }
+      throw error;
+    }
+
+    if (!response.data) {
+      throw new Error('Invalid refresh response');
+    }
+
+    const { refreshToken } = response.data;
+    const token = response.data.token || response.data.accessToken;
+
+    // Update tokens
+    this.authToken = token;
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+    }
+    this.tokenExpiryTime = this.parseTokenExpiry(token);
+
+    // Set new token in HTTP client
+    httpClient.setAuthToken(this.authToken);
+
+    // Store the profile of a restored session again
+    this.storeAuthData();
+
+    // Schedule next refresh
+    this.scheduleTokenRefresh();
+
+    this.emitEvent('tokenRefresh', { tokenExpiryTime: this.tokenExpiryTime });
+    this.broadcastSessionEvent('tokenRefresh', { token, refreshToken: this.refreshToken });
+
+    console.log('✅ Token refreshed successfully');
+    return response.data;
+  }
+
   /**
    * Change user password
+   * Clears a pending forced change, in this tab and the others
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
    * @returns {Promise<Object>} Change password response
@@ -345,13 +801,18 @@ class AuthService {
 
       // Use Agence Service for admin users
       const response = await httpClient.post(
-        `${BASE_URLS.AGENCE_SERVICE}${ENDPOINTS.AGENCE_SERVICE.AUTH.CHANGE_PASSWORD}`,
+        buildUrl('AGENCE_SERVICE.AUTH.CHANGE_PASSWORD'),
         {
           currentPassword,
           newPassword
         }
       );
 
+      this.currentUser = { ...this.currentUser, passwordChangeRequired: false, passwordChangeReason: null };
+      this.storeAuthData();
+      this.emitEvent('passwordChange', this.currentUser);
+      this.broadcastSessionEvent('passwordChange');
+
       console.log('✅ Password changed successfully');
       return response.data;
     } catch (error) {
@@ -360,6 +821,42 @@ class AuthService {
     }
   }
 
+  /**
+   * List the signed-in sessions of the current user
+   * @returns {Promise<Array>} Sessions ({ sessionId, device, ipAddress, loginAt, lastSeenAt, current }),
+   *   most recently active first
+   */
+  async getSessions() {
+    try {
+      const response = await httpClient.get(buildUrl('AGENCE_SERVICE.AUTH.SESSIONS'));
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to fetch sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke another session of the current user (use logout for this one)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Revoke response
+   */
+  async revokeSession(sessionId) {
+    try {
+      console.log('🚫 Revoking session:', sessionId);
+
+      const response = await httpClient.delete(
+        buildUrl('AGENCE_SERVICE.AUTH.REVOKE_SESSION', { sessionId })
+      );
+
+      console.log('✅ Session revoked');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Session revoke failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Logout user
    * @returns {Promise<void>}
@@ -370,18 +867,10 @@ class AuthService {
 
       // Attempt to notify server of logout (don't wait for response)
       if (this.isAuthenticated()) {
-        const isAgenceUser = this.currentUser?.role === 'BANK_ADMIN' || 
-                            this.currentUser?.role === 'AGENCY_DIRECTOR';
-        
-        const baseUrl = isAgenceUser ? BASE_URLS.AGENCE_SERVICE : BASE_URLS.USER_SERVICE;
-        const endpoint = isAgenceUser ? 
-                        ENDPOINTS.AGENCE_SERVICE.AUTH.LOGOUT : 
-                        ENDPOINTS.USER_SERVICE.LOGOUT;
+        const endpoint = this.isAgenceSession() ? 'AGENCE_SERVICE.AUTH.LOGOUT' : 'USER_SERVICE.LOGOUT';
 
         // Fire and forget - don't block logout on server response
-        httpClient.post(`${baseUrl}${endpoint}`, {
-          refreshToken: this.refreshToken
-        }).catch(error => {
+        httpClient.post(buildUrl(endpoint), this.getRefreshTokenBody(), SESSION_REQUEST_OPTIONS).catch(error => {
           console.warn('⚠️ Server logout notification failed:', error);
         });
       }
@@ -395,6 +884,9 @@ class AuthService {
       // Even if server logout fails, clear local data
       this.clearAuthData();
     }
+
+    this.emitEvent('logout');
+    this.broadcastSessionEvent('logout');
   }
 
   /**
@@ -407,7 +899,7 @@ class AuthService {
       console.log('📝 Registering new user:', userData.email);
 
       const response = await httpClient.post(
-        `${BASE_URLS.USER_SERVICE}${ENDPOINTS.USER_SERVICE.REGISTER}`,
+        buildUrl('USER_SERVICE.REGISTER'),
         userData
       );
 
@@ -431,7 +923,7 @@ class AuthService {
 
       // Try to fetch user profile to validate session
       const response = await httpClient.get(
-        `${BASE_URLS.USER_SERVICE}${ENDPOINTS.USER_SERVICE.PROFILE}`
+        buildUrl('USER_SERVICE.PROFILE')
       );
 
       return response.status === 200;
@@ -447,6 +939,7 @@ class AuthService {
    * @returns {Object} Headers with authorization
    */
   getAuthHeaders() {
+    this.ensureHydrated();
     return this.authToken ? {
       'Authorization': `Bearer ${this.authToken}`
     } : {};
@@ -454,7 +947,7 @@ class AuthService {
 
   /**
    * Add authentication event listener
-   * @param {string} event - Event type ('login', 'logout', 'tokenRefresh')
+   * @param {string} event - Event type ('login', 'logout', 'tokenRefresh', 'passwordChange', 'activity')
    * @param {Function} callback - Event callback
    */
   addEventListener(event, callback) {
@@ -498,8 +991,155 @@ class AuthService {
       });
     }
   }
+
+  /**
+   * Share login, token refresh, logout and activity with the other tabs
+   * Uses a BroadcastChannel, or storage events where BroadcastChannel is missing
+   * @returns {Function} Stops the sync
+   */
+  startCrossTabSync() {
+    if (!this.syncChannel && !this.syncStorageListener) {
+      if (typeof BroadcastChannel !== 'undefined') {
+        this.syncChannel = new BroadcastChannel(SESSION_CONFIG.SYNC_CHANNEL);
+        this.syncChannel.onmessage = (event) => this.handleSyncMessage(event.data);
+      } else {
+        this.syncStorageListener = (event) => {
+          if (event.key === SESSION_CONFIG.SYNC_CHANNEL && event.newValue) {
+            this.handleSyncMessage(JSON.parse(event.newValue));
+          }
+        };
+        window.addEventListener('storage', this.syncStorageListener);
+      }
+      console.log('🔗 Cross-tab session sync started');
+    }
+
+    return () => this.stopCrossTabSync();
+  }
+
+  /**
+   * Stop sharing the session with the other tabs
+   */
+  stopCrossTabSync() {
+    if (this.syncChannel) {
+      this.syncChannel.close();
+      this.syncChannel = null;
+    }
+    if (this.syncStorageListener) {
+      window.removeEventListener('storage', this.syncStorageListener);
+      this.syncStorageListener = null;
+    }
+  }
+
+  /**
+   * Tell the other tabs about a session event of this tab
+   * Tokens travel with login and tokenRefresh over the BroadcastChannel only:
+   * the storage fallback would write them to localStorage
+   * @param {string} type - 'login', 'tokenRefresh', 'logout', 'passwordChange' or 'activity'
+   * @param {Object} data - { token, refreshToken } for login and tokenRefresh
+   */
+  broadcastSessionEvent(type, data = {}) {
+    const message = { type, timestamp: Date.now(), ...data };
+
+    try {
+      if (this.syncChannel) {
+        this.syncChannel.postMessage(message);
+      } else if (this.syncStorageListener) {
+        const { token, refreshToken, ...storageMessage } = message;
+        // Storage events only fire in the other tabs, and only on changes
+        localStorage.setItem(SESSION_CONFIG.SYNC_CHANNEL, JSON.stringify(storageMessage));
+        localStorage.removeItem(SESSION_CONFIG.SYNC_CHANNEL);
+      }
+    } catch (error) {
+      console.warn('⚠️ Cross-tab session sync failed:', error);
+    }
+  }
+
+  /**
+   * Apply a session event of another tab
+   * The other tab already talked to the server: this tab follows the stored
+   * session, with the tokens of the message
+   * @param {Object} message - { type, timestamp, token, refreshToken }
+   */
+  handleSyncMessage(message) {
+    switch (message?.type) {
+      case 'logout':
+        if (!this.isAuthenticated()) return;
+        console.log('🔗 Logged out in another tab');
+        this.clearAuthData();
+        this.emitEvent('logout');
+        break;
+
+      case 'login':
+      case 'tokenRefresh':
+        console.log(`🔗 Session ${message.type === 'login' ? 'started' : 'refreshed'} in another tab`);
+        this.followSharedSession(message);
+        break;
+
+      case 'passwordChange':
+        console.log('🔗 Password changed in another tab');
+        this.currentUser = this.readStoredSession()?.user || this.currentUser;
+        this.emitEvent('passwordChange', this.currentUser);
+        break;
+
+      case 'activity':
+        this.emitEvent('activity', { timestamp: message.timestamp });
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Follow a session started or refreshed in another tab
+   * Without a token in the message (storage fallback), a tab that has no
+   * usable session gets its own access token from the refresh endpoint
+   * @param {Object} message - { type, token, refreshToken }
+   * @returns {Promise<void>}
+   */
+  async followSharedSession(message) {
+    if (message.token) {
+      this.adoptSession(message.token, message.refreshToken);
+    } else if (message.type === 'login' || !this.isAuthenticated()) {
+      this.resetSessionState();
+      if (!(await this.restoreSession())) return;
+    } else {
+      // The current access token stays valid; the next refresh relies on the rotated cookie
+      this.refreshToken = null;
+      return;
+    }
+
+    if (message.type === 'login') {
+      this.emitEvent('login', this.currentUser);
+    } else {
+      this.emitEvent('tokenRefresh', { tokenExpiryTime: this.tokenExpiryTime });
+    }
+  }
+
+  /**
+   * Replace the in-memory session with the stored one and the tokens of another tab
+   * @param {string} token - Access token
+   * @param {string} refreshToken - Refresh token, when the server returns it in the body
+   */
+  adoptSession(token, refreshToken = null) {
+    this.resetSessionState();
+    this.isHydrated = true;
+
+    const storedSession = this.readStoredSession();
+    if (storedSession) {
+      this.currentUser = storedSession.user;
+      this.authSource = storedSession.authSource || null;
+    }
+
+    this.authToken = token;
+    this.refreshToken = refreshToken;
+    this.tokenExpiryTime = this.parseTokenExpiry(token);
+    httpClient.setAuthToken(this.authToken);
+    this.scheduleTokenRefresh();
+  }
 }
 
 // Create and export singleton instance
 const authService = new AuthService();
-export default authService;
\ No newline at end of file
+export default authService;
+export { AuthService };
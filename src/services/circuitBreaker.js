@@ -0,0 +1,158 @@
+/**
+ * ⚡ Circuit Breaker
+ *
+ * Per-service circuit breaker used by the HttpClient:
+ * - CLOSED: requests flow, consecutive failures are counted
+ * - OPEN: requests fail fast until the reset timeout elapses
+ * - HALF_OPEN: a limited number of trial requests decide whether to close again
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Circuit states
+ */
+export const CIRCUIT_STATE = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+/**
+ * Circuit Breaker Class
+ * Tracks the health of one backend service
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Service name (e.g. 'MONEY_SERVICE')
+   * @param {Object} options - Thresholds
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeout - Time spent open before a trial (ms)
+   * @param {number} options.halfOpenMaxRequests - Concurrent trial requests while half-open
+   * @param {number} options.successThreshold - Trial successes needed to close
+   * @param {Function} onStateChange - Called with a snapshot whenever the state changes
+   */
+  constructor(name, options, onStateChange = () => {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeout = options.resetTimeout;
+    this.halfOpenMaxRequests = options.halfOpenMaxRequests;
+    this.successThreshold = options.successThreshold;
+    this.onStateChange = onStateChange;
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failureCount = 0;
+    this.successCount = 0;
+    this.halfOpenInFlight = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Change state and notify the listener
+   * @param {string} state - New state
+   */
+  transitionTo(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+    this.successCount = 0;
+    this.halfOpenInFlight = 0;
+    this.openedAt = state === CIRCUIT_STATE.OPEN ? Date.now() : null;
+    if (state === CIRCUIT_STATE.CLOSED) {
+      this.failureCount = 0;
+    }
+
+    console.log(`⚡ Circuit ${this.name} is now ${state}`);
+    this.onStateChange(this.getSnapshot());
+  }
+
+  /**
+   * Check whether a request may be sent, reserving a trial slot when half-open
+   * @returns {boolean} Whether the request is allowed
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        return false;
+      }
+      this.transitionTo(CIRCUIT_STATE.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (this.halfOpenInFlight >= this.halfOpenMaxRequests) {
+        return false;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a request that reached a healthy service
+   */
+  recordSuccess() {
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.successCount++;
+      if (this.successCount >= this.successThreshold) {
+        this.transitionTo(CIRCUIT_STATE.CLOSED);
+      }
+      return;
+    }
+
+    this.failureCount = 0;
+  }
+
+  /**
+   * Record a request that failed because of the service (network, timeout, 5xx)
+   */
+  recordFailure() {
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      this.transitionTo(CIRCUIT_STATE.OPEN);
+      return;
+    }
+
+    this.failureCount++;
+    if (this.state === CIRCUIT_STATE.CLOSED && this.failureCount >= this.failureThreshold) {
+      this.transitionTo(CIRCUIT_STATE.OPEN);
+    }
+  }
+
+  /**
+   * Record a request abandoned by the caller before the service answered
+   * Frees the trial slot without counting as a success or a failure
+   */
+  recordCancelled() {
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+    }
+  }
+
+  /**
+   * Time left before a trial request is allowed
+   * @returns {number} Milliseconds, 0 when not open
+   */
+  getRetryIn() {
+    if (this.state !== CIRCUIT_STATE.OPEN) return 0;
+    return Math.max(0, this.resetTimeout - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Get a serialisable view of the breaker
+   * @returns {Object} Breaker snapshot
+   */
+  getSnapshot() {
+    return {
+      service: this.name,
+      state: this.state,
+      failureCount: this.failureCount,
+      openedAt: this.openedAt,
+      retryIn: this.getRetryIn()
+    };
+  }
+}
+
+export default CircuitBreaker;
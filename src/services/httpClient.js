@@ -2,10 +2,21 @@
  * 🌐 HTTP Client Service
  * 
  * Core HTTP client with advanced features:
- * - Automatic retry mechanisms with exponential backoff
+ * - Automatic retry mechanisms with exponential backoff, jitter and Retry-After
+ * - Idempotency-aware retries (no blind replay of POST/PATCH)
+ * - Circuit breaker per backend service
+ * - Single-flight token refresh and replay on 401
  * - JWT token management and automatic header injection
- * - Request/response interceptors for logging and error handling
- * - Timeout configuration and request cancellation
+ * - Levelled request logging with redaction of secrets (see logger.js)
+ * - Async request interceptors and a response pipeline that can transform
+ *   responses or recover from errors
+ * - Timeout configuration and request cancellation (caller AbortSignals and
+ *   named cancel groups)
+ * - In-flight deduplication of identical GET requests
+ * - Opt-in response caching with stale-while-revalidate
+ * - Upload progress events (XMLHttpRequest transport)
+ * - Pluggable transport (mock backend)
+ * - Response schema warnings in development (see responseSchemas.js)
  * - Environment-based configuration
  * 
  * @author ENSF Wallet Development Team
@@ -14,11 +25,42 @@
  */
 
 import { 
+  BASE_URLS,
   HTTP_STATUS, 
   TIMEOUT_CONFIG, 
   RETRY_CONFIG, 
-  ERROR_MESSAGES 
+  CIRCUIT_BREAKER_CONFIG,
+  SCHEMA_CONFIG,
+  ERROR_MESSAGES,
+  resolveEndpoint
 } from '../config/apiConfig.js';
+import { validateResponse } from '../config/responseSchemas.js';
+import ResponseCache from './responseCache.js';
+import logger from './logger.js';
+import CircuitBreaker from './circuitBreaker.js';
+
+/**
+ * Request options handed to fetch; the others (cache, invalidates, dedupe,
+ * cancelGroup, timeout...) are client policy, and fetch rejects some of them
+ */
+const FETCH_INIT_KEYS = ['method', 'headers', 'body', 'signal', 'credentials'];
+
+/**
+ * Stable identity of a bearer token: its subject (and session), which survive
+ * a refresh, so cached responses stay reachable with the new token
+ * @param {string} token - JWT token
+ * @returns {string} Identity, or the token itself when it cannot be decoded
+ */
+const getTokenIdentity = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { sub, sid } = JSON.parse(atob(payload));
+    if (sub) return sid ? `${sub}/${sid}` : String(sub);
+  } catch {
+    // Opaque token: keyed on itself
+  }
+  return token;
+};
 
 /**
  * Custom HTTP Client Class
@@ -34,40 +76,258 @@ class HttpClient {
     // Request interceptors
     this.requestInterceptors = [];
     this.responseInterceptors = [];
+
+    // In-flight GET requests ({ url, promise }), keyed by method, URL and auth identity
+    this.inFlightRequests = new Map();
+
+    // Identity of the current bearer token (see getTokenIdentity)
+    this.authIdentity = null;
+
+    // Opt-in response cache
+    this.responseCache = new ResponseCache();
+
+    // Circuit breakers, one per backend service
+    this.circuitListeners = [];
+    this.circuitBreakers = this.createCircuitBreakers();
+
+    // Token refresh: registered refresher and the refresh currently in flight
+    this.tokenRefresher = null;
+    this.refreshPromise = null;
+
+    // Named cancel groups: group name to the controllers of its pending requests
+    this.cancelGroups = new Map();
+
+    // Replacement for the network (e.g. the mock backend), null to use fetch
+    this.transport = null;
+
+    // Schema mismatches already reported (endpoint and errors)
+    this.reportedSchemaMismatches = new Set();
     
     // Add default interceptors
     this.addDefaultInterceptors();
   }
 
+  /**
+   * Create one circuit breaker per service of BASE_URLS
+   * Keyed by service name, since base URLs are only known once the runtime config is loaded
+   * @returns {Map} Map of service name to CircuitBreaker
+   */
+  createCircuitBreakers() {
+    const breakers = new Map();
+
+    Object.keys(BASE_URLS).forEach((service) => {
+      const overrides = CIRCUIT_BREAKER_CONFIG.SERVICES[service] || {};
+      const settings = { ...CIRCUIT_BREAKER_CONFIG, ...overrides };
+
+      breakers.set(service, new CircuitBreaker(
+        service,
+        {
+          failureThreshold: settings.FAILURE_THRESHOLD,
+          resetTimeout: settings.RESET_TIMEOUT,
+          halfOpenMaxRequests: settings.HALF_OPEN_MAX_REQUESTS,
+          successThreshold: settings.SUCCESS_THRESHOLD
+        },
+        (snapshot) => this.notifyCircuitListeners(snapshot)
+      ));
+    });
+
+    return breakers;
+  }
+
+  /**
+   * Find the circuit breaker guarding a URL
+   * @param {string} url - Request URL
+   * @returns {CircuitBreaker|null} Breaker, or null for unknown hosts
+   */
+  getCircuitBreaker(url) {
+    for (const [service, baseUrl] of Object.entries(BASE_URLS)) {
+      if (baseUrl && url.startsWith(baseUrl)) {
+        return this.circuitBreakers.get(service) || null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the state of every circuit breaker
+   * @returns {Array<Object>} Breaker snapshots
+   */
+  getCircuitStates() {
+    return Array.from(this.circuitBreakers.values()).map(breaker => breaker.getSnapshot());
+  }
+
+  /**
+   * Subscribe to circuit breaker state changes
+   * @param {Function} listener - Called with the breaker snapshot
+   * @returns {Function} Unsubscribe function
+   */
+  onCircuitStateChange(listener) {
+    this.circuitListeners.push(listener);
+    return () => {
+      this.circuitListeners = this.circuitListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify circuit listeners
+   * @param {Object} snapshot - Breaker snapshot
+   */
+  notifyCircuitListeners(snapshot) {
+    this.circuitListeners.forEach(listener => {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        console.error('❌ Error in circuit state listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Check whether an error means the service itself is failing
+   * @param {Error} error - Error object
+   * @returns {boolean} True for network errors, timeouts and 5xx
+   */
+  isServiceFailure(error) {
+    return !error.response || error.response.status >= 500;
+  }
+
+  /**
+   * Create the error thrown when a circuit is open
+   * @param {CircuitBreaker} breaker - Open breaker
+   * @returns {Error} Fail-fast error
+   */
+  createCircuitOpenError(breaker) {
+    const error = new Error(`Circuit open for ${breaker.name}`);
+    error.code = 'CIRCUIT_OPEN';
+    error.circuit = breaker.getSnapshot();
+    error.userMessage = ERROR_MESSAGES.SERVICE_UNAVAILABLE;
+    return error;
+  }
+
+  /**
+   * Create the error thrown when the caller cancels a request
+   * @param {string} url - Request URL
+   * @returns {Error} Cancellation error
+   */
+  createCancelledError(url) {
+    const error = new Error(`Request cancelled: ${url}`);
+    error.name = 'AbortError';
+    error.code = 'REQUEST_CANCELLED';
+    error.userMessage = ERROR_MESSAGES.REQUEST_CANCELLED;
+    return error;
+  }
+
+  /**
+   * Check whether an error comes from a cancelled request
+   * Cancellations are expected and should not be shown to the user
+   * @param {Error} error - Error object
+   * @returns {boolean} True when the caller cancelled the request
+   */
+  isCancelledError(error) {
+    return error?.code === 'REQUEST_CANCELLED';
+  }
+
+  /**
+   * Add a request controller to a cancel group
+   * @param {string} name - Group name (no-op when empty)
+   * @param {AbortController} controller - Controller aborting the request
+   * @returns {Function} Removes the controller from the group
+   */
+  joinCancelGroup(name, controller) {
+    if (!name) return () => {};
+
+    if (!this.cancelGroups.has(name)) {
+      this.cancelGroups.set(name, new Set());
+    }
+    const group = this.cancelGroups.get(name);
+    group.add(controller);
+
+    return () => {
+      group.delete(controller);
+      if (group.size === 0 && this.cancelGroups.get(name) === group) {
+        this.cancelGroups.delete(name);
+      }
+    };
+  }
+
+  /**
+   * Cancel every pending request of a group
+   * @param {string} name - Group name
+   * @returns {number} Number of cancelled requests
+   */
+  cancelGroup(name) {
+    const group = this.cancelGroups.get(name);
+    if (!group) return 0;
+
+    this.cancelGroups.delete(name);
+    group.forEach(controller => controller.abort());
+
+    if (group.size > 0) {
+      console.log(`🚫 Cancelled ${group.size} request(s) in group "${name}"`);
+    }
+    return group.size;
+  }
+
   /**
    * Add default request and response interceptors
    */
   addDefaultInterceptors() {
-    // Request interceptor for logging
+    // Error interceptor refreshing the token on 401 (runs first so later
+    // interceptors only see errors that could not be recovered)
+    this.addResponseInterceptor(null, (error) => this.handleUnauthorized(error));
+
+    // Request interceptor for logging (headers and body are redacted)
     this.addRequestInterceptor((config) => {
-      console.log(`🔄 [${config.method?.toUpperCase()}] ${config.url}`, {
-        headers: config.headers,
-        body: config.body
-      });
+      logger.logRequest(config);
       return config;
     });
 
     // Response interceptor for logging
     this.addResponseInterceptor(
       (response) => {
-        console.log(`✅ [${response.status}] ${response.url}`, response.data);
+        logger.logResponse(response);
         return response;
       },
       (error) => {
-        console.error(`❌ HTTP Error:`, error);
+        logger.logError(error);
         return Promise.reject(error);
       }
     );
+
+    // Response interceptor warning about bodies that drift from their schema
+    this.addResponseInterceptor((response) => {
+      if (SCHEMA_CONFIG.VALIDATE_RESPONSES) {
+        this.checkResponseSchema(response);
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Warn when a response body does not match the schema of its endpoint
+   * Each distinct mismatch is reported once, not on every poll
+   * @param {Object} response - Parsed response
+   * @returns {string[]} Mismatches (empty when valid or outside the registry)
+   */
+  checkResponseSchema(response) {
+    const endpoint = resolveEndpoint(response.method || 'GET', response.url || '');
+    if (!endpoint) return [];
+
+    const errors = validateResponse(endpoint.name, response.data);
+    const signature = `${endpoint.name}|${errors.join('|')}`;
+    if (errors.length > 0 && !this.reportedSchemaMismatches.has(signature)) {
+      this.reportedSchemaMismatches.add(signature);
+      logger.warn(`📐 Response of ${endpoint.name} does not match its schema`, {
+        url: response.url,
+        errors
+      });
+    }
+    return errors;
   }
 
   /**
    * Add request interceptor
-   * @param {Function} interceptor - Function to modify request config
+   * @param {Function} interceptor - Function (sync or async) returning the modified request config
    */
   addRequestInterceptor(interceptor) {
     this.requestInterceptors.push(interceptor);
@@ -75,43 +335,64 @@ class HttpClient {
 
   /**
    * Add response interceptor
-   * @param {Function} onSuccess - Success handler
-   * @param {Function} onError - Error handler
+   * @param {Function|null} onSuccess - Receives the parsed response ({ data, status, headers, ... })
+   *   and returns it, possibly transformed
+   * @param {Function|null} onError - Receives the error; rethrow/reject to pass it on,
+   *   or return a value to recover with that value as the response
    */
   addResponseInterceptor(onSuccess, onError) {
     this.responseInterceptors.push({ onSuccess, onError });
   }
 
   /**
-   * Apply request interceptors
+   * Apply request interceptors in order, awaiting async ones
    * @param {Object} config - Request configuration
-   * @returns {Object} Modified configuration
+   * @returns {Promise<Object>} Modified configuration
    */
-  applyRequestInterceptors(config) {
-    return this.requestInterceptors.reduce((acc, interceptor) => {
-      return interceptor(acc) || acc;
-    }, config);
+  async applyRequestInterceptors(config) {
+    let current = config;
+    for (const interceptor of this.requestInterceptors) {
+      current = (await interceptor(current)) || current;
+    }
+    return current;
   }
 
   /**
-   * Apply response interceptors
-   * @param {Response} response - HTTP response
-   * @returns {Promise} Processed response
+   * Apply success interceptors in order, each receiving the previous result
+   * @param {Object} response - Parsed response
+   * @returns {Promise<Object>} Transformed response
    */
   async applyResponseInterceptors(response) {
-    for (const interceptor of this.responseInterceptors) {
-      try {
-        if (response.ok && interceptor.onSuccess) {
-          response = await interceptor.onSuccess(response);
-        }
-      } catch (error) {
-        if (interceptor.onError) {
-          await interceptor.onError(error);
+    let current = response;
+    for (const { onSuccess } of this.responseInterceptors) {
+      if (onSuccess) {
+        const next = await onSuccess(current);
+        if (next !== undefined) {
+          current = next;
         }
-        throw error;
       }
     }
-    return response;
+    return current;
+  }
+
+  /**
+   * Apply error interceptors in order until one recovers
+   * @param {Error} error - Request error
+   * @returns {Promise<*>} Value returned by the recovering interceptor
+   * @throws {Error} The (possibly replaced) error when no interceptor recovers
+   */
+  async applyErrorInterceptors(error) {
+    let current = error;
+    for (const { onError } of this.responseInterceptors) {
+      if (!onError) continue;
+
+      try {
+        return await onError(current);
+      } catch (nextError) {
+        current = nextError;
+      }
+    }
+    throw current;
   }
 
   /**
@@ -120,9 +401,97 @@ class HttpClient {
    */
   setAuthToken(token) {
     if (token) {
+      const identity = getTokenIdentity(token);
+      // A refreshed token keeps the cache; another user or session starts afresh
+      if (this.authIdentity && this.authIdentity !== identity) {
+        this.clearCache();
+      }
+      this.authIdentity = identity;
       this.baseHeaders['Authorization'] = `Bearer ${token}`;
     } else {
+      this.authIdentity = null;
       delete this.baseHeaders['Authorization'];
+      // Never keep another session's responses around after logout
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Register the function used to obtain a new access token after a 401
+   * It must update the token through setAuthToken and reject if refreshing fails
+   * @param {Function|null} refresher - Async refresh function
+   */
+  setTokenRefresher(refresher) {
+    this.tokenRefresher = refresher;
+  }
+
+  /**
+   * Refresh the access token, sharing a single refresh between all callers
+   * @returns {Promise} Resolves once the new token is set
+   */
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      console.log('🔄 Access token rejected, refreshing once for all pending requests');
+      this.refreshPromise = Promise.resolve()
+        .then(() => this.tokenRefresher())
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Replace the network transport (e.g. with the mock backend)
+   * The transport receives the final request configuration and resolves with a
+   * fetch Response, so retries, interceptors and logging run unchanged
+   * @param {Function|null} transport - Async (config) => Response, or null for fetch
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Replace the response cache (e.g. with one backed by another store)
+   * @param {ResponseCache} cache - Cache instance
+   */
+  setResponseCache(cache) {
+    this.responseCache = cache;
+  }
+
+  /**
+   * Invalidate cached responses by URL prefix
+   * @param {string|string[]} urlPrefixes - One or more URL prefixes
+   */
+  invalidateCache(urlPrefixes) {
+    const prefixes = Array.isArray(urlPrefixes) ? urlPrefixes : [urlPrefixes];
+    prefixes.forEach(prefix => {
+      // Later callers must not join a request that may answer with the old data
+      this.dropInFlightRequests(url => url.startsWith(prefix));
+      const count = this.responseCache.invalidate(prefix);
+      if (count > 0) {
+        console.log(`🧹 Invalidated ${count} cached response(s) for ${prefix}`);
+      }
+    });
+  }
+
+  /**
+   * Clear the whole response cache
+   */
+  clearCache() {
+    this.dropInFlightRequests(() => true);
+    this.responseCache.clear();
+  }
+
+  /**
+   * Stop sharing in-flight GETs: they still answer their callers, new callers fetch again
+   * @param {Function} matches - (url) => boolean
+   */
+  dropInFlightRequests(matches) {
+    for (const [dedupeKey, entry] of Array.from(this.inFlightRequests)) {
+      if (matches(entry.url)) {
+        this.inFlightRequests.delete(dedupeKey);
+      }
     }
   }
 
@@ -130,149 +499,544 @@ class HttpClient {
    * Create request configuration
    * @param {string} url - Request URL
    * @param {Object} options - Request options
-   * @returns {Object} Request configuration
+   * @returns {Promise<Object>} Request configuration
    */
-  createRequestConfig(url, options = {}) {
+  async createRequestConfig(url, options = {}) {
     const config = {
+      ...options,
       url,
       method: options.method || 'GET',
       headers: {
         ...this.baseHeaders,
         ...options.headers
-      },
-      signal: options.signal,
-      ...options
+      }
     };
 
+    // The browser sets the multipart boundary itself; raw file chunks default to binary
+    if (typeof FormData !== 'undefined' && options.body instanceof FormData) {
+      delete config.headers['Content-Type'];
+    } else if (typeof Blob !== 'undefined' && options.body instanceof Blob && !options.headers?.['Content-Type']) {
+      config.headers['Content-Type'] = options.body.type || 'application/octet-stream';
+    }
+
     // Apply request interceptors
     return this.applyRequestInterceptors(config);
   }
 
+  /**
+   * Keep the fetch options of a request configuration
+   * @param {Object} config - Request configuration
+   * @returns {Object} RequestInit
+   */
+  toFetchInit(config) {
+    return Object.fromEntries(
+      FETCH_INIT_KEYS.filter(key => config[key] !== undefined).map(key => [key, config[key]])
+    );
+  }
+
   /**
    * Sleep function for retry delays
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} signal - Wakes up early when aborted
    * @returns {Promise} Promise that resolves after delay
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise(resolve => {
+      const timeoutId = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        resolve();
+      }, { once: true });
+    });
   }
 
   /**
-   * Calculate retry delay with exponential backoff
+   * Calculate retry delay with exponential backoff and full jitter
+   * Honours the server's Retry-After header when present
    * @param {number} attempt - Current attempt number
+   * @param {Error} error - Error that triggered the retry
    * @returns {number} Delay in milliseconds
    */
-  calculateRetryDelay(attempt) {
+  calculateRetryDelay(attempt, error = null) {
+    const retryAfter = this.parseRetryAfter(error?.response?.headers?.get('Retry-After'));
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, RETRY_CONFIG.MAX_RETRY_DELAY);
+    }
+
     if (!RETRY_CONFIG.EXPONENTIAL_BACKOFF) {
       return RETRY_CONFIG.RETRY_DELAY;
     }
-    return RETRY_CONFIG.RETRY_DELAY * Math.pow(2, attempt - 1);
+
+    const ceiling = Math.min(
+      RETRY_CONFIG.RETRY_DELAY * Math.pow(2, attempt - 1),
+      RETRY_CONFIG.MAX_RETRY_DELAY
+    );
+    return RETRY_CONFIG.JITTER ? Math.round(Math.random() * ceiling) : ceiling;
+  }
+
+  /**
+   * Parse a Retry-After header value
+   * @param {string|null} value - Delay in seconds or an HTTP date
+   * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a request may be replayed safely
+   * @param {Object} options - Request options
+   * @returns {boolean} Whether the request is idempotent
+   */
+  isIdempotentRequest(options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (RETRY_CONFIG.IDEMPOTENT_METHODS.includes(method)) {
+      return true;
+    }
+
+    const headerName = RETRY_CONFIG.IDEMPOTENCY_HEADER.toLowerCase();
+    return Object.keys(options.headers || {}).some(
+      name => name.toLowerCase() === headerName && options.headers[name]
+    );
   }
 
   /**
    * Check if error is retryable
    * @param {Error} error - Error object
+   * @param {Object} options - Request options
    * @returns {boolean} Whether error is retryable
    */
-  isRetryableError(error) {
-    // Network errors and 5xx errors are retryable
+  isRetryableError(error, options = {}) {
+    // Never replay a non-idempotent request: it may already have been applied
+    if (!this.isIdempotentRequest(options)) {
+      return false;
+    }
+
+    // Network errors, 5xx, 408 (Request Timeout) and 429 (Too Many Requests) are retryable
     return (
       !error.response || 
       error.response.status >= 500 ||
-      error.response.status === 408 // Request Timeout
+      RETRY_CONFIG.RETRYABLE_STATUSES.includes(error.response.status)
     );
   }
 
   /**
-   * Make HTTP request with retry logic
+   * Build the identity key of a request (method, URL and auth identity)
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @returns {string} Request key
+   */
+  getRequestKey(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const authorization = options.headers?.['Authorization'];
+    const authIdentity = authorization && authorization !== this.baseHeaders['Authorization']
+      ? getTokenIdentity(authorization.replace(/^Bearer /, ''))
+      : this.authIdentity || 'anonymous';
+    return `${method} ${url} ${authIdentity}`;
+  }
+
+  /**
+   * Build the deduplication key for a request
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @returns {string|null} Key, or null if the request must not be shared
+   */
+  getDedupeKey(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    // Cancellable requests get their own fetch, so one caller cannot abort another's
+    if (method !== 'GET' || options.dedupe === false || options.signal || options.cancelGroup) {
+      return null;
+    }
+    return this.getRequestKey(url, options);
+  }
+
+  /**
+   * Make HTTP request
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @param {boolean} options.dedupe - Set to false to always issue a new request
+   * @param {Object|boolean} options.cache - Cache policy for GETs ({ ttl, staleWhileRevalidate }), or true for defaults
+   * @param {string[]} options.invalidates - URL prefixes to evict from the cache once the request succeeds
+   * @param {AbortSignal} options.signal - Caller signal cancelling the request (combined with the timeout)
+   * @param {string} options.cancelGroup - Name of a group the request can be cancelled with (see cancelGroup)
+   * @returns {Promise} Response data
+   */
+  makeRequest(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+
+    const request = method === 'GET' && options.cache
+      ? this.cachedRequest(url, options)
+      : this.sharedRequest(url, options);
+
+    if (!options.invalidates) {
+      return request;
+    }
+
+    return request.then(response => {
+      this.invalidateCache(options.invalidates);
+      return response;
+    });
+  }
+
+  /**
+   * Serve a GET from the cache when possible, revalidating stale entries in the background
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @returns {Promise} Response data
+   */
+  async cachedRequest(url, options) {
+    const policy = options.cache === true ? {} : options.cache;
+    const cacheKey = this.getRequestKey(url, options);
+    const cached = this.responseCache.get(cacheKey);
+
+    // A response fetched before an invalidation or clear is returned but not stored
+    const fetchAndStore = (requestOptions = options) => {
+      const generation = this.responseCache.getGeneration();
+      return this.sharedRequest(url, requestOptions).then(response => {
+        this.responseCache.set(cacheKey, url, response, policy, generation);
+        return response;
+      });
+    };
+
+    if (cached?.state === 'fresh') {
+      return cached.response;
+    }
+
+    if (cached?.state === 'stale') {
+      console.log(`♻️ Serving stale response, revalidating: ${url}`);
+      // The caller already has its answer, so its cancellation must not stop the revalidation
+      const { signal, cancelGroup, ...revalidateOptions } = options;
+      fetchAndStore(revalidateOptions).catch(error => {
+        console.warn('⚠️ Background revalidation failed:', error);
+      });
+      return cached.response;
+    }
+
+    return fetchAndStore();
+  }
+
+  /**
+   * Make HTTP request, sharing one in-flight promise between identical GETs
    * @param {string} url - Request URL
    * @param {Object} options - Request options
    * @returns {Promise} Response data
    */
-  async makeRequest(url, options = {}) {
+  sharedRequest(url, options = {}) {
+    const dedupeKey = this.getDedupeKey(url, options);
+    if (!dedupeKey) {
+      return this.dispatchRequest(url, options);
+    }
+
+    const pending = this.inFlightRequests.get(dedupeKey);
+    if (pending) {
+      console.log(`🔗 Joining in-flight request: ${url}`);
+      return pending.promise;
+    }
+
+    const entry = { url };
+    entry.promise = this.dispatchRequest(url, options).finally(() => {
+      // A dropped request may have been replaced by a newer one under the same key
+      if (this.inFlightRequests.get(dedupeKey) === entry) {
+        this.inFlightRequests.delete(dedupeKey);
+      }
+    });
+    this.inFlightRequests.set(dedupeKey, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Execute HTTP request and run it through the response interceptor pipeline
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @returns {Promise} Response data, as transformed or recovered by interceptors
+   */
+  async dispatchRequest(url, options = {}) {
+    try {
+      const response = await this.executeRequest(url, options);
+      return await this.applyResponseInterceptors(response);
+    } catch (error) {
+      return this.applyErrorInterceptors(error);
+    }
+  }
+
+  /**
+   * Error interceptor: refresh the token and replay the request once on 401
+   * Concurrent 401s wait for the same refresh, then replay with the new token
+   * @param {Error} error - Request error (with error.config set by executeRequest)
+   * @returns {Promise} Response of the replayed request
+   * @throws {Error} The original error when the request cannot be recovered
+   */
+  async handleUnauthorized(error) {
+    const { url, options = {}, authHeader } = error.config || {};
+    const canRefresh = (
+      error.status === HTTP_STATUS.UNAUTHORIZED &&
+      authHeader &&
+      this.tokenRefresher &&
+      !options.skipAuthRefresh
+    );
+    if (!canRefresh) {
+      throw error;
+    }
+
+    // Another request may already have refreshed the token since this one was sent
+    if (this.baseHeaders['Authorization'] === authHeader) {
+      try {
+        await this.refreshAccessToken();
+      } catch (refreshError) {
+        error.authRefreshFailed = true;
+        throw error;
+      }
+    }
+
+    if (!this.baseHeaders['Authorization']) {
+      throw error;
+    }
+
+    // Replay outside the error chain: if it fails, the remaining error
+    // interceptors see the replay's error exactly once
+    console.log(`🔁 Replaying request with refreshed token: ${url}`);
+    const replayed = await this.executeRequest(url, { ...options, skipAuthRefresh: true });
+    return this.applyResponseInterceptors(replayed);
+  }
+
+  /**
+   * Execute HTTP request with retry logic
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @returns {Promise} Response data
+   */
+  async executeRequest(url, options = {}) {
     const maxRetries = options.maxRetries || RETRY_CONFIG.MAX_RETRIES;
     const timeout = options.timeout || TIMEOUT_CONFIG.DEFAULT;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        // Create abort controller for timeout
+    const breaker = this.getCircuitBreaker(url);
+    let authHeader;
+
+    // The caller signal and the cancel group abort the whole request, retries included
+    const cancellation = new AbortController();
+    const cancel = () => cancellation.abort();
+    if (options.signal?.aborted) {
+      cancel();
+    }
+    options.signal?.addEventListener('abort', cancel, { once: true });
+    const leaveCancelGroup = this.joinCancelGroup(options.cancelGroup, cancellation);
+
+    try {
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        if (cancellation.signal.aborted) {
+          const cancelledError = this.createCancelledError(url);
+          cancelledError.config = { url, options, authHeader };
+          throw cancelledError;
+        }
+
+        // Fail fast while the service is known to be down
+        if (breaker && !breaker.canRequest()) {
+          console.warn(`⚡ ${breaker.name} circuit open, skipping ${url}`);
+          const circuitError = this.createCircuitOpenError(breaker);
+          circuitError.config = { url, options, authHeader };
+          throw circuitError;
+        }
+
+        // Abort this attempt on timeout or cancellation, whichever comes first
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+        const abortAttempt = () => controller.abort();
+        cancellation.signal.addEventListener('abort', abortAttempt, { once: true });
 
-        // Create request configuration
-        const config = this.createRequestConfig(url, {
-          ...options,
-          signal: controller.signal
-        });
+        const startedAt = Date.now();
+        let delay;
+        try {
+          // Create request configuration
+          const config = await this.createRequestConfig(url, {
+            ...options,
+            signal: controller.signal
+          });
+          authHeader = config.headers['Authorization'];
 
-        // Make the request
-        const response = await fetch(config.url, config);
-        
-        // Clear timeout
-        clearTimeout(timeoutId);
+          // Make the request (XHR when the caller wants upload progress)
+          let response;
+          if (this.transport) {
+            response = await this.transport(config);
+          } else if (config.onUploadProgress) {
+            response = await this.sendWithProgress(config);
+          } else {
+            response = await fetch(config.url, this.toFetchInit(config));
+          }
 
-        // Apply response interceptors
-        await this.applyResponseInterceptors(response);
+          // Handle HTTP errors
+          if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.response = response;
+            error.status = response.status;
+            
+            // Parse error response if possible
+            try {
+              const errorData = await response.json();
+              error.data = errorData;
+            } catch (parseError) {
+              // Ignore parse errors for error responses
+            }
+            
+            throw error;
+          }
 
-        // Handle HTTP errors
-        if (!response.ok) {
-          const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-          error.response = response;
-          error.status = response.status;
+          // Parse response data
+          const contentType = response.headers.get('content-type');
+          let data;
           
-          // Parse error response if possible
-          try {
-            const errorData = await response.json();
-            error.data = errorData;
-          } catch (parseError) {
-            // Ignore parse errors for error responses
+          if (contentType && contentType.includes('application/json')) {
+            data = await response.json();
+          } else {
+            data = await response.text();
           }
-          
-          throw error;
-        }
 
-        // Parse response data
-        const contentType = response.headers.get('content-type');
-        let data;
-        
-        if (contentType && contentType.includes('application/json')) {
-          data = await response.json();
-        } else {
-          data = await response.text();
-        }
+          breaker?.recordSuccess();
 
-        return {
-          data,
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers,
-          url: response.url
-        };
+          return {
+            data,
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            url: response.url || config.url,
+            method: config.method.toUpperCase(),
+            duration: Date.now() - startedAt
+          };
 
-      } catch (error) {
-        console.error(`❌ Request failed (attempt ${attempt}/${maxRetries}):`, error);
+        } catch (error) {
+          // Cancelled by the caller: says nothing about the service, never retried
+          if (cancellation.signal.aborted && !timedOut) {
+            logger.debug(`🚫 Request cancelled: ${url}`);
+            breaker?.recordCancelled();
+            const cancelledError = this.createCancelledError(url);
+            cancelledError.config = { url, options, authHeader };
+            cancelledError.duration = Date.now() - startedAt;
+            throw cancelledError;
+          }
+
+          logger.warn(`❌ Request failed (attempt ${attempt}/${maxRetries}): ${url}`, {
+            status: error.status,
+            message: error.message
+          });
+
+          if (breaker && this.isServiceFailure(error)) {
+            breaker.recordFailure();
+          } else if (breaker) {
+            breaker.recordSuccess();
+          }
 
-        // If this is the last attempt or error is not retryable, throw the error
-        if (attempt === maxRetries || !this.isRetryableError(error)) {
-          // Enhance error with user-friendly message
-          error.userMessage = this.getErrorMessage(error);
-          throw error;
+          // If this is the last attempt or error is not retryable, throw the error
+          if (attempt === maxRetries || !this.isRetryableError(error, options)) {
+            // Enhance error with user-friendly message and the request that failed
+            error.userMessage = this.getErrorMessage(error);
+            error.config = { url, options, authHeader };
+            error.duration = Date.now() - startedAt;
+            throw error;
+          }
+
+          delay = this.calculateRetryDelay(attempt, error);
+        } finally {
+          clearTimeout(timeoutId);
+          cancellation.signal.removeEventListener('abort', abortAttempt);
         }
 
         // Wait before retry
-        const delay = this.calculateRetryDelay(attempt);
         console.log(`⏳ Retrying in ${delay}ms...`);
-        await this.sleep(delay);
+        await this.sleep(delay, cancellation.signal);
       }
+    } finally {
+      options.signal?.removeEventListener('abort', cancel);
+      leaveCancelGroup();
     }
   }
 
+  /**
+   * Send a request through XMLHttpRequest to get upload progress events
+   * Resolves with a fetch Response so the rest of the pipeline is unchanged
+   * @param {Object} config - Request configuration
+   * @param {Function} config.onUploadProgress - Called with { loaded, total, percent }
+   * @returns {Promise<Response>} Response
+   */
+  sendWithProgress(config) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(config.method, config.url);
+
+      Object.entries(config.headers).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      xhr.upload.onprogress = (event) => {
+        if (!event.lengthComputable) return;
+        config.onUploadProgress({
+          loaded: event.loaded,
+          total: event.total,
+          percent: Math.round((event.loaded / event.total) * 100)
+        });
+      };
+
+      xhr.onload = () => {
+        const headers = new Headers();
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+          const separator = line.indexOf(':');
+          if (separator > 0) {
+            headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+          }
+        });
+
+        // Null body statuses cannot carry a body in a Response
+        const body = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText;
+        const response = new Response(body, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers
+        });
+        Object.defineProperty(response, 'url', { value: xhr.responseURL || config.url });
+        resolve(response);
+      };
+
+      // Same errors as fetch: TypeError on network failure, AbortError on abort
+      xhr.onerror = () => reject(new TypeError('Network request failed'));
+      xhr.onabort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+
+      if (config.signal?.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+      config.signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+
+      xhr.send(config.body ?? null);
+    });
+  }
+
   /**
    * Get user-friendly error message
    * @param {Error} error - Error object
    * @returns {string} User-friendly error message
    */
   getErrorMessage(error) {
+    if (this.isCancelledError(error)) {
+      return ERROR_MESSAGES.REQUEST_CANCELLED;
+    }
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      return ERROR_MESSAGES.SERVICE_UNAVAILABLE;
+    }
+
     if (error.name === 'AbortError') {
       return ERROR_MESSAGES.TIMEOUT_ERROR;
     }
@@ -290,8 +1054,14 @@ class HttpClient {
         return ERROR_MESSAGES.NOT_FOUND;
       case HTTP_STATUS.BAD_REQUEST:
         return ERROR_MESSAGES.VALIDATION_ERROR;
+      case HTTP_STATUS.LOCKED:
+        return ERROR_MESSAGES.ACCOUNT_LOCKED;
+      case HTTP_STATUS.TOO_MANY_REQUESTS:
+        return ERROR_MESSAGES.RATE_LIMITED;
       case HTTP_STATUS.INTERNAL_SERVER_ERROR:
         return ERROR_MESSAGES.SERVER_ERROR;
+      case HTTP_STATUS.SERVICE_UNAVAILABLE:
+        return ERROR_MESSAGES.SERVICE_UNAVAILABLE;
       default:
         return ERROR_MESSAGES.UNKNOWN_ERROR;
     }
@@ -365,24 +1135,23 @@ class HttpClient {
   /**
    * Upload file
    * @param {string} url - Upload URL
-   * @param {FormData} formData - Form data with file
+   * @param {FormData|Blob} body - Form data with file, or a raw file chunk
    * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method (default: POST)
+   * @param {Function} options.onUploadProgress - Called with { loaded, total, percent }
    * @returns {Promise} Response data
    */
-  async upload(url, formData, options = {}) {
-    const headers = { ...this.baseHeaders };
-    delete headers['Content-Type']; // Let browser set content-type for FormData
-
+  async upload(url, body, options = {}) {
     return this.makeRequest(url, {
+      timeout: TIMEOUT_CONFIG.UPLOAD,
       ...options,
-      method: 'POST',
-      body: formData,
-      headers,
-      timeout: TIMEOUT_CONFIG.UPLOAD
+      method: options.method || 'POST',
+      body
     });
   }
 }
 
 // Create and export singleton instance
 const httpClient = new HttpClient();
-export default httpClient;
\ No newline at end of file
+export default httpClient;
+export { HttpClient };
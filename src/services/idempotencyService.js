@@ -0,0 +1,183 @@
+/**
+ * 🔁 Idempotency Key Service
+ *
+ * Generates and persists Idempotency-Key values for money operations:
+ * - One key per user intent (operation + payload)
+ * - Keys survive double-clicks, retries and page reloads (sessionStorage)
+ * - Intents are stored as a hash: amounts and phone numbers never reach storage
+ * - Keys are released once the server has settled the operation
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { IDEMPOTENCY_CONFIG, RETRY_CONFIG } from '../config/apiConfig.js';
+
+/**
+ * Shape of a stored fingerprint: two 53-bit hashes in hex
+ */
+const FINGERPRINT_PATTERN = /^[0-9a-f]{28}$/;
+
+/**
+ * Seeded 53-bit string hash (cyrb53)
+ * @param {string} text - Text to hash
+ * @param {number} seed - Seed
+ * @returns {string} Hash, 14 hex digits
+ */
+const hash53 = (text, seed) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
+/**
+ * Idempotency Service Class
+ * Maps operation intents to stable idempotency keys
+ */
+class IdempotencyService {
+  /**
+   * Build the fingerprint identifying a user intent
+   * Two seeded hashes keep accidental collisions, which would merge two
+   * different operations under one key, out of reach
+   * @param {string} operation - Operation type ('deposit', 'withdrawal', 'transfer')
+   * @param {Object} payload - Operation payload
+   * @returns {string} Intent fingerprint (hash of operation and payload)
+   */
+  getFingerprint(operation, payload) {
+    const intent = `${operation}:${JSON.stringify(payload)}`;
+    return hash53(intent, 1) + hash53(intent, 2);
+  }
+
+  /**
+   * Generate a new random key
+   * @returns {string} UUID v4
+   */
+  generateKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+      const random = (Math.random() * 16) | 0;
+      const value = char === 'x' ? random : (random & 0x3) | 0x8;
+      return value.toString(16);
+    });
+  }
+
+  /**
+   * Read pending keys from sessionStorage, dropping expired ones
+   * Entries of earlier versions, keyed on the raw payload, are dropped too
+   * @returns {Object} Map of fingerprint to { key, createdAt }
+   */
+  readPendingKeys() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(IDEMPOTENCY_CONFIG.STORAGE_KEY)) || {};
+      const now = Date.now();
+
+      return Object.fromEntries(
+        Object.entries(stored).filter(([fingerprint, entry]) => FINGERPRINT_PATTERN.test(fingerprint)
+          && now - entry.createdAt < IDEMPOTENCY_CONFIG.KEY_TTL)
+      );
+    } catch (error) {
+      console.error('❌ Error reading idempotency keys:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist pending keys to sessionStorage
+   * @param {Object} pendingKeys - Map of fingerprint to { key, createdAt }
+   */
+  writePendingKeys(pendingKeys) {
+    try {
+      sessionStorage.setItem(IDEMPOTENCY_CONFIG.STORAGE_KEY, JSON.stringify(pendingKeys));
+    } catch (error) {
+      console.error('❌ Error storing idempotency keys:', error);
+    }
+  }
+
+  /**
+   * Get the key for an intent, creating it if none is pending
+   * @param {string} operation - Operation type
+   * @param {Object} payload - Operation payload
+   * @returns {string} Idempotency key
+   */
+  acquire(operation, payload) {
+    const fingerprint = this.getFingerprint(operation, payload);
+    const pendingKeys = this.readPendingKeys();
+
+    if (!pendingKeys[fingerprint]) {
+      pendingKeys[fingerprint] = { key: this.generateKey(), createdAt: Date.now() };
+      this.writePendingKeys(pendingKeys);
+    }
+
+    return pendingKeys[fingerprint].key;
+  }
+
+  /**
+   * Forget the key of a settled intent
+   * @param {string} operation - Operation type
+   * @param {Object} payload - Operation payload
+   */
+  release(operation, payload) {
+    const fingerprint = this.getFingerprint(operation, payload);
+    const pendingKeys = this.readPendingKeys();
+
+    delete pendingKeys[fingerprint];
+    this.writePendingKeys(pendingKeys);
+  }
+
+  /**
+   * Check whether the server gave a definitive answer for the request
+   * Network errors, timeouts, 5xx, 408 and 429 leave the outcome unknown
+   * @param {Error} error - Request error
+   * @returns {boolean} Whether the operation is settled
+   */
+  isSettled(error) {
+    const status = error?.response?.status;
+    if (!status) return false;
+
+    return status < 500 && !RETRY_CONFIG.RETRYABLE_STATUSES.includes(status);
+  }
+
+  /**
+   * Run an operation with the idempotency key of its intent
+   * The key is kept while the outcome is unknown, so a retry reuses it
+   * @param {string} operation - Operation type
+   * @param {Object} payload - Operation payload
+   * @param {Function} execute - Receives the key and performs the request
+   * @param {string} explicitKey - Caller-supplied key, used as is
+   * @returns {Promise<*>} Result of execute
+   */
+  async run(operation, payload, execute, explicitKey = null) {
+    const key = explicitKey || this.acquire(operation, payload);
+
+    try {
+      const result = await execute(key);
+      this.release(operation, payload);
+      return result;
+    } catch (error) {
+      if (this.isSettled(error)) {
+        this.release(operation, payload);
+      } else {
+        console.warn(`⚠️ ${operation} outcome unknown, keeping idempotency key for retry`);
+      }
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const idempotencyService = new IdempotencyService();
+export default idempotencyService;
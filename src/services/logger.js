@@ -0,0 +1,264 @@
+/**
+ * 📝 Logger Service
+ *
+ * Structured logger used by the HTTP layer:
+ * - Log levels (debug, info, warn, error, silent)
+ * - Redaction of sensitive keys in headers and bodies (tokens, passwords, CNI)
+ * - Production mode keeping only method, URL, status and timing for requests
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { LOGGING_CONFIG } from '../config/apiConfig.js';
+
+/**
+ * Log levels, by increasing severity
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+/**
+ * Logger Class
+ * Writes redacted, levelled entries to the console
+ */
+class Logger {
+  /**
+   * @param {Object} options - Logger settings
+   * @param {string} options.level - Minimum level written
+   * @param {boolean} options.productionMode - Log only request summaries
+   * @param {string[]} options.redactKeys - Keys whose values are masked
+   * @param {string} options.redactionMask - Replacement for masked values
+   */
+  constructor({
+    level = LOGGING_CONFIG.LEVEL,
+    productionMode = LOGGING_CONFIG.PRODUCTION_MODE,
+    redactKeys = LOGGING_CONFIG.REDACT_KEYS,
+    redactionMask = LOGGING_CONFIG.REDACTION_MASK
+  } = {}) {
+    this.level = level;
+    this.productionMode = productionMode;
+    this.redactionMask = redactionMask;
+    this.setRedactKeys(redactKeys);
+  }
+
+  // =====================================
+  // CONFIGURATION
+  // =====================================
+
+  /**
+   * Set the minimum level written
+   * @param {string} level - One of LOG_LEVELS
+   */
+  setLevel(level) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Switch production mode on or off
+   * @param {boolean} enabled - Whether to log request summaries only
+   */
+  setProductionMode(enabled) {
+    this.productionMode = enabled;
+  }
+
+  /**
+   * Replace the redaction list
+   * @param {string[]} keys - Keys whose values are masked (case-insensitive)
+   */
+  setRedactKeys(keys) {
+    this.redactKeys = new Set(keys.map(key => key.toLowerCase()));
+  }
+
+  /**
+   * Check whether a level is written
+   * @param {string} level - Log level
+   * @returns {boolean} True when entries of this level are written
+   */
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  // =====================================
+  // REDACTION
+  // =====================================
+
+  /**
+   * Check whether a key holds sensitive data
+   * @param {string} key - Header or property name
+   * @returns {boolean} True when the value must be masked
+   */
+  isSensitiveKey(key) {
+    return this.redactKeys.has(String(key).toLowerCase());
+  }
+
+  /**
+   * Copy a value with every sensitive key masked
+   * JSON strings (request bodies) are parsed and redacted too
+   * @param {*} value - Value to redact
+   * @returns {*} Redacted copy
+   */
+  redact(value) {
+    if (typeof value === 'string') {
+      try {
+        const parsed = JSON.parse(value);
+        return typeof parsed === 'object' && parsed !== null ? this.redact(parsed) : value;
+      } catch (error) {
+        return value;
+      }
+    }
+
+    if (typeof FormData !== 'undefined' && value instanceof FormData) {
+      return '[FormData]';
+    }
+
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+      return `[Blob ${value.size} bytes]`;
+    }
+
+    if (typeof Headers !== 'undefined' && value instanceof Headers) {
+      return this.redact(Object.fromEntries(value.entries()));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.isSensitiveKey(key) ? this.redactionMask : this.redact(item)
+        ])
+      );
+    }
+
+    return value;
+  }
+
+  // =====================================
+  // WRITING
+  // =====================================
+
+  /**
+   * Write an entry
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} context - Structured data, redacted before writing
+   */
+  log(level, message, context) {
+    if (!this.isEnabled(level)) return;
+
+    const write = console[level] || console.log;
+    if (context === undefined) {
+      write(message);
+    } else {
+      write(message, this.redact(context));
+    }
+  }
+
+  /**
+   * Write a debug entry
+   * @param {string} message - Message
+   * @param {Object} context - Structured data
+   */
+  debug(message, context) {
+    this.log('debug', message, context);
+  }
+
+  /**
+   * Write an info entry
+   * @param {string} message - Message
+   * @param {Object} context - Structured data
+   */
+  info(message, context) {
+    this.log('info', message, context);
+  }
+
+  /**
+   * Write a warning
+   * @param {string} message - Message
+   * @param {Object} context - Structured data
+   */
+  warn(message, context) {
+    this.log('warn', message, context);
+  }
+
+  /**
+   * Write an error
+   * @param {string} message - Message
+   * @param {Object} context - Structured data
+   */
+  error(message, context) {
+    this.log('error', message, context);
+  }
+
+  // =====================================
+  // HTTP HELPERS
+  // =====================================
+
+  /**
+   * Log an outgoing request
+   * Production mode skips it: the summary is written with the response
+   * @param {Object} config - Request configuration
+   */
+  logRequest(config) {
+    if (this.productionMode) return;
+
+    this.debug(`🔄 [${config.method?.toUpperCase()}] ${config.url}`, {
+      headers: config.headers,
+      body: config.body
+    });
+  }
+
+  /**
+   * Log a response
+   * @param {Object} response - Parsed response (method, url, status, duration, data)
+   */
+  logResponse(response) {
+    const summary = `✅ [${response.method}] ${response.url} → ${response.status} (${response.duration}ms)`;
+
+    if (this.productionMode) {
+      this.info(summary);
+      return;
+    }
+
+    this.debug(summary, { data: response.data });
+  }
+
+  /**
+   * Log a failed request
+   * @param {Error} error - Request error, with config set by the HTTP client
+   */
+  logError(error) {
+    if (error.code === 'REQUEST_CANCELLED') {
+      this.debug(`🚫 Request cancelled: ${error.config?.url}`);
+      return;
+    }
+
+    const method = (error.config?.options?.method || 'GET').toUpperCase();
+    const status = error.status || error.code || error.name;
+    const summary = `❌ [${method}] ${error.config?.url} → ${status} (${error.duration ?? '?'}ms)`;
+
+    if (this.productionMode) {
+      this.error(summary);
+      return;
+    }
+
+    this.error(summary, { message: error.message, data: error.data });
+  }
+}
+
+// Create and export singleton instance
+const logger = new Logger();
+export default logger;
+export { Logger };
@@ -0,0 +1,227 @@
+/**
+ * 🛡️ Login Throttle
+ *
+ * Client-side brute-force protection of the login form:
+ * - Progressive delay before the next attempt, doubled after each failure
+ * - Lockouts reported by the server (HTTP 423), until their end time
+ * - A challenge required after LOGIN_PROTECTION.CAPTCHA_AFTER failures, from a
+ *   replaceable provider (a small sum by default, a CAPTCHA service in production)
+ *
+ * The server stays the authority: it counts failures and locks accounts.
+ * Failures are kept in localStorage, by username, so a reload does not skip the wait.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { LOGIN_PROTECTION } from '../config/apiConfig.js';
+
+/**
+ * Default challenge provider: a sum to type in
+ * A provider creates a challenge ({ question, ... }) and verifies the answer;
+ * both may return a promise (e.g. a CAPTCHA widget checked by the server)
+ */
+export const arithmeticChallenge = {
+  createChallenge() {
+    const left = 2 + Math.floor(Math.random() * 8);
+    const right = 2 + Math.floor(Math.random() * 8);
+    return { question: `Combien font ${left} + ${right} ?`, answer: String(left + right) };
+  },
+
+  verify(challenge, response) {
+    return String(response ?? '').trim() === challenge.answer;
+  }
+};
+
+/**
+ * Login Throttle Class
+ * Tracks failed logins per username
+ */
+class LoginThrottle {
+  /**
+   * @param {Object} captchaProvider - { createChallenge, verify }
+   */
+  constructor(captchaProvider = arithmeticChallenge) {
+    this.captchaProvider = captchaProvider;
+  }
+
+  /**
+   * Storage key of a username (usernames are case-insensitive)
+   * @param {string} username - Username
+   * @returns {string} Key
+   */
+  normalize(username) {
+    return (username || '').trim().toLowerCase();
+  }
+
+  /**
+   * Read the failures of every username
+   * @returns {Object} { [username]: { failures, lastFailureAt, lockedUntil } }
+   */
+  readAttempts() {
+    try {
+      const attempts = JSON.parse(localStorage.getItem(LOGIN_PROTECTION.ATTEMPTS_KEY));
+      return attempts && typeof attempts === 'object' ? attempts : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Store the failures of every username
+   * @param {Object} attempts - Failures, by username
+   */
+  writeAttempts(attempts) {
+    try {
+      localStorage.setItem(LOGIN_PROTECTION.ATTEMPTS_KEY, JSON.stringify(attempts));
+    } catch (error) {
+      console.error('❌ Error storing login attempts:', error);
+    }
+  }
+
+  /**
+   * Failures of a username, forgotten once old and not locked
+   * @param {string} username - Username
+   * @returns {Object|null} { failures, lastFailureAt, lockedUntil }
+   */
+  getEntry(username) {
+    const entry = this.readAttempts()[this.normalize(username)];
+    if (!entry) return null;
+
+    const now = Date.now();
+    const isLocked = (entry.lockedUntil || 0) > now;
+    if (!isLocked && now - entry.lastFailureAt > LOGIN_PROTECTION.FAILURE_WINDOW) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Wait imposed after a number of failures
+   * @param {number} failures - Consecutive failures
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(failures) {
+    if (!failures) return 0;
+    return Math.min(LOGIN_PROTECTION.BASE_DELAY * 2 ** (failures - 1), LOGIN_PROTECTION.MAX_DELAY);
+  }
+
+  /**
+   * Throttle state of a username, for the login form
+   * @param {string} username - Username
+   * @returns {Object} { failures, waitTime, lockedUntil, captchaRequired }
+   */
+  getStatus(username) {
+    const entry = this.getEntry(username);
+    if (!entry) {
+      return { failures: 0, waitTime: 0, lockedUntil: null, captchaRequired: false };
+    }
+
+    const now = Date.now();
+    const lockedUntil = (entry.lockedUntil || 0) > now ? entry.lockedUntil : null;
+    const retryAt = Math.max(entry.lastFailureAt + this.getDelay(entry.failures), lockedUntil || 0);
+
+    return {
+      failures: entry.failures,
+      waitTime: Math.max(0, retryAt - now),
+      lockedUntil,
+      captchaRequired: entry.failures >= LOGIN_PROTECTION.CAPTCHA_AFTER
+    };
+  }
+
+  /**
+   * Time left before the next attempt of a username
+   * @param {string} username - Username
+   * @returns {number} Milliseconds, 0 when an attempt is allowed
+   */
+  getWaitTime(username) {
+    return this.getStatus(username).waitTime;
+  }
+
+  /**
+   * Record a login refused for bad credentials or a wrong second-step code
+   * @param {string} username - Username
+   */
+  recordFailure(username) {
+    const attempts = this.readAttempts();
+    const entry = this.getEntry(username);
+    const failures = (entry?.failures || 0) + 1;
+
+    attempts[this.normalize(username)] = {
+      failures,
+      lastFailureAt: Date.now(),
+      lockedUntil: entry?.lockedUntil || null
+    };
+    this.writeAttempts(attempts);
+    console.log(`🛡️ Failed login ${failures} for ${username}`);
+  }
+
+  /**
+   * Record a lockout reported by the server
+   * @param {string} username - Username
+   * @param {string|number} lockedUntil - End of the lockout (ISO date or timestamp)
+   */
+  recordLockout(username, lockedUntil) {
+    const attempts = this.readAttempts();
+    const entry = this.getEntry(username);
+    const end = new Date(lockedUntil).getTime();
+
+    attempts[this.normalize(username)] = {
+      failures: Math.max(entry?.failures || 0, LOGIN_PROTECTION.CAPTCHA_AFTER),
+      lastFailureAt: Date.now(),
+      lockedUntil: Number.isFinite(end) ? end : Date.now() + LOGIN_PROTECTION.LOCK_DURATION
+    };
+    this.writeAttempts(attempts);
+    console.log(`🔒 Account ${username} locked by the server`);
+  }
+
+  /**
+   * Forget the failures of a username (after a successful login)
+   * @param {string} username - Username
+   */
+  reset(username) {
+    const attempts = this.readAttempts();
+    const key = this.normalize(username);
+    if (!(key in attempts)) return;
+
+    delete attempts[key];
+    this.writeAttempts(attempts);
+  }
+
+  /**
+   * Replace the challenge provider (e.g. with a CAPTCHA service)
+   * @param {Object} provider - { createChallenge, verify }
+   */
+  setCaptchaProvider(provider) {
+    this.captchaProvider = provider;
+  }
+
+  /**
+   * Create a challenge for the login form
+   * @returns {Promise<Object>} Challenge ({ question, ... })
+   */
+  async createChallenge() {
+    return this.captchaProvider.createChallenge();
+  }
+
+  /**
+   * Check the answer to a challenge
+   * @param {Object} challenge - Challenge from createChallenge()
+   * @param {string} response - Answer typed by the user
+   * @returns {Promise<boolean>} True when solved
+   */
+  async verifyChallenge(challenge, response) {
+    try {
+      return !!(await this.captchaProvider.verify(challenge, response));
+    } catch (error) {
+      console.error('❌ Challenge verification failed:', error);
+      return false;
+    }
+  }
+}
+
+// Create and export singleton instance
+const loginThrottle = new LoginThrottle();
+export default loginThrottle;
+export { LoginThrottle };
@@ -0,0 +1,160 @@
+/**
+ * 🗄️ Response Cache
+ *
+ * In-memory cache for HTTP responses used by the HttpClient:
+ * - Per-entry TTL and stale-while-revalidate window
+ * - Invalidation by URL prefix
+ * - Invalidation generations, so a response fetched before an invalidation is not stored after it
+ * - Pluggable backing store (any Map-like object)
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { CACHE_CONFIG } from '../config/apiConfig.js';
+
+/**
+ * Response Cache Class
+ * Stores responses and reports whether they are fresh, stale or expired
+ */
+class ResponseCache {
+  /**
+   * @param {Object} store - Map-like store (get, set, delete, keys)
+   * @param {number} maxEntries - Maximum number of cached responses
+   */
+  constructor(store = new Map(), maxEntries = CACHE_CONFIG.MAX_ENTRIES) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+
+    // Bumped by every invalidation or clear
+    this.generation = 0;
+    // Generation of the last invalidation of each URL prefix, and of the last clear
+    this.invalidatedAt = new Map();
+    this.clearedAt = 0;
+  }
+
+  /**
+   * Current invalidation generation, to capture before fetching a response
+   * @returns {number} Generation
+   */
+  getGeneration() {
+    return this.generation;
+  }
+
+  /**
+   * Check whether a URL was invalidated, or the cache cleared, after a generation
+   * @param {string} url - Request URL
+   * @param {number} generation - Generation captured before the fetch
+   * @returns {boolean} True if a response fetched since then is outdated
+   */
+  isInvalidatedSince(url, generation) {
+    if (this.clearedAt > generation) return true;
+
+    for (const [prefix, invalidatedAt] of this.invalidatedAt) {
+      if (invalidatedAt > generation && url.startsWith(prefix)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Cache key
+   * @returns {Object|null} { response, state } where state is 'fresh' or 'stale'
+   */
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+
+    const age = Date.now() - entry.storedAt;
+    if (age < entry.ttl) {
+      return { response: entry.response, state: 'fresh' };
+    }
+
+    if (age < entry.ttl + entry.staleWhileRevalidate) {
+      return { response: entry.response, state: 'stale' };
+    }
+
+    this.store.delete(key);
+    return null;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {string} url - Request URL (used for prefix invalidation)
+   * @param {Object} response - Parsed response
+   * @param {Object} policy - Cache policy
+   * @param {number} policy.ttl - Time during which the entry is fresh (ms)
+   * @param {number} policy.staleWhileRevalidate - Extra time during which the stale entry is served (ms)
+   * @param {number} generation - Generation captured before the fetch; the response is dropped
+   *   if the URL was invalidated since
+   * @returns {boolean} True if the response was stored
+   */
+  set(key, url, response, policy = {}, generation = this.generation) {
+    if (this.isInvalidatedSince(url, generation)) {
+      return false;
+    }
+
+    // Evict the oldest entry when the cache is full
+    if (!this.store.has(key) && this.size() >= this.maxEntries) {
+      const oldestKey = this.store.keys().next().value;
+      this.store.delete(oldestKey);
+    }
+
+    this.store.set(key, {
+      url,
+      response,
+      storedAt: Date.now(),
+      ttl: policy.ttl ?? CACHE_CONFIG.DEFAULT_TTL,
+      staleWhileRevalidate: policy.staleWhileRevalidate ?? 0
+    });
+    return true;
+  }
+
+  /**
+   * Invalidate every entry whose URL starts with the given prefix
+   * @param {string} urlPrefix - URL prefix
+   * @returns {number} Number of invalidated entries
+   */
+  invalidate(urlPrefix) {
+    this.generation++;
+    this.invalidatedAt.set(urlPrefix, this.generation);
+
+    let count = 0;
+    for (const key of Array.from(this.store.keys())) {
+      const entry = this.store.get(key);
+      if (entry && entry.url.startsWith(urlPrefix)) {
+        this.store.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.generation++;
+    this.clearedAt = this.generation;
+    // The clear covers every earlier prefix invalidation
+    this.invalidatedAt.clear();
+
+    for (const key of Array.from(this.store.keys())) {
+      this.store.delete(key);
+    }
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} Entry count
+   */
+  size() {
+    return Array.from(this.store.keys()).length;
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,249 @@
+/**
+ * 📤 Document Upload Service
+ *
+ * Uploads KYC files (CNI scans, selfies) to the agence service:
+ * - Progress events for every upload
+ * - Small files are sent in one multipart request
+ * - Large files are sent in chunks through an upload session; the session id
+ *   is kept in localStorage so a failed or interrupted upload resumes from the
+ *   last chunk the server received instead of starting over
+ *
+ * Upload session protocol:
+ * - POST   UPLOADS.CREATE          { userId, documentType, fileName, fileSize, mimeType } → { uploadId }
+ * - GET    UPLOADS.STATUS(id)      → { receivedBytes }
+ * - PUT    UPLOADS.CHUNK(id)       raw bytes, Content-Range: bytes start-end/size
+ * - POST   UPLOADS.COMPLETE(id)    → uploaded document
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import httpClient from './httpClient.js';
+import { HTTP_STATUS, UPLOAD_CONFIG, buildUrl } from '../config/apiConfig.js';
+
+/**
+ * Upload Service Class
+ * Sends documents with progress reporting and resumable chunks
+ */
+class UploadService {
+  // =====================================
+  // UPLOAD SESSION STORAGE
+  // =====================================
+
+  /**
+   * Build the fingerprint identifying a file upload
+   * @param {File} file - File being uploaded
+   * @param {Object} target - Upload target
+   * @returns {string} Upload fingerprint
+   */
+  getFingerprint(file, { userId, documentType }) {
+    return `${userId}:${documentType}:${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  /**
+   * Read stored upload sessions, dropping expired ones
+   * @returns {Object} Map of fingerprint to { uploadId, createdAt }
+   */
+  readSessions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(UPLOAD_CONFIG.STORAGE_KEY)) || {};
+      const now = Date.now();
+
+      return Object.fromEntries(
+        Object.entries(stored).filter(([, session]) => now - session.createdAt < UPLOAD_CONFIG.SESSION_TTL)
+      );
+    } catch (error) {
+      console.error('❌ Error reading upload sessions:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist upload sessions
+   * @param {Object} sessions - Map of fingerprint to { uploadId, createdAt }
+   */
+  writeSessions(sessions) {
+    try {
+      localStorage.setItem(UPLOAD_CONFIG.STORAGE_KEY, JSON.stringify(sessions));
+    } catch (error) {
+      console.error('❌ Error storing upload sessions:', error);
+    }
+  }
+
+  /**
+   * Remember the session of a file
+   * @param {string} fingerprint - Upload fingerprint
+   * @param {string} uploadId - Server upload session id
+   */
+  saveSession(fingerprint, uploadId) {
+    const sessions = this.readSessions();
+    sessions[fingerprint] = { uploadId, createdAt: Date.now() };
+    this.writeSessions(sessions);
+  }
+
+  /**
+   * Forget the session of a file
+   * @param {string} fingerprint - Upload fingerprint
+   */
+  forgetSession(fingerprint) {
+    const sessions = this.readSessions();
+    delete sessions[fingerprint];
+    this.writeSessions(sessions);
+  }
+
+  // =====================================
+  // UPLOAD OPERATIONS
+  // =====================================
+
+  /**
+   * Upload a KYC document for a user
+   * @param {File} file - Document file
+   * @param {Object} options - Upload options
+   * @param {string} options.userId - Owner of the document
+   * @param {string} options.documentType - Document type (e.g. 'CNI_RECTO', 'SELFIE')
+   * @param {Function} options.onProgress - Called with { loaded, total, percent }
+   * @param {AbortSignal} options.signal - Cancels the upload (a chunked upload stays resumable)
+   * @returns {Promise<Object>} Uploaded document
+   */
+  async uploadDocument(file, { userId, documentType, onProgress = () => {}, signal } = {}) {
+    if (file.size <= UPLOAD_CONFIG.RESUMABLE_THRESHOLD) {
+      return this.uploadInOneRequest(file, { userId, documentType, onProgress, signal });
+    }
+
+    return this.uploadInChunks(file, { userId, documentType, onProgress, signal });
+  }
+
+  /**
+   * Upload a small file as a single multipart request
+   * @param {File} file - Document file
+   * @param {Object} options - See uploadDocument
+   * @returns {Promise<Object>} Uploaded document
+   */
+  async uploadInOneRequest(file, { userId, documentType, onProgress, signal }) {
+    console.log(`📤 Uploading ${file.name} (${file.size} bytes)`);
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('documentType', documentType);
+
+    const response = await httpClient.upload(
+      buildUrl('AGENCE_SERVICE.DOCUMENTS.UPLOAD', { userId }),
+      formData,
+      { onUploadProgress: onProgress, signal }
+    );
+
+    console.log(`✅ Uploaded ${file.name}`);
+    return response.data;
+  }
+
+  /**
+   * Upload a large file in chunks, resuming a previous session when one exists
+   * @param {File} file - Document file
+   * @param {Object} options - See uploadDocument
+   * @returns {Promise<Object>} Uploaded document
+   */
+  async uploadInChunks(file, { userId, documentType, onProgress, signal }) {
+    const fingerprint = this.getFingerprint(file, { userId, documentType });
+    const { uploadId, offset } = await this.openSession(file, fingerprint, { userId, documentType });
+
+    if (offset > 0) {
+      console.log(`⏯️ Resuming ${file.name} at ${offset}/${file.size} bytes`);
+    } else {
+      console.log(`📤 Uploading ${file.name} in chunks (${file.size} bytes)`);
+    }
+
+    const reportProgress = (loaded) => onProgress({
+      loaded,
+      total: file.size,
+      percent: Math.round((loaded / file.size) * 100)
+    });
+    reportProgress(offset);
+
+    let start = offset;
+    while (start < file.size) {
+      const end = Math.min(start + UPLOAD_CONFIG.CHUNK_SIZE, file.size);
+      const chunkStart = start;
+
+      try {
+        // PUT is idempotent, so the HTTP client retries failed chunks with backoff
+        await httpClient.upload(
+          buildUrl('AGENCE_SERVICE.UPLOADS.CHUNK', { uploadId }),
+          file.slice(start, end),
+          {
+            method: 'PUT',
+            headers: { 'Content-Range': `bytes ${start}-${end - 1}/${file.size}` },
+            maxRetries: UPLOAD_CONFIG.CHUNK_MAX_RETRIES,
+            onUploadProgress: ({ loaded }) => reportProgress(chunkStart + loaded),
+            signal
+          }
+        );
+      } catch (error) {
+        // The session is kept: calling uploadDocument again resumes from here
+        console.warn(`⚠️ Upload of ${file.name} interrupted at ${start}/${file.size} bytes`);
+        error.uploadId = uploadId;
+        error.uploadedBytes = start;
+        throw error;
+      }
+
+      start = end;
+      reportProgress(start);
+    }
+
+    const response = await httpClient.post(
+      buildUrl('AGENCE_SERVICE.UPLOADS.COMPLETE', { uploadId }),
+      {},
+      { signal }
+    );
+
+    this.forgetSession(fingerprint);
+    console.log(`✅ Uploaded ${file.name}`);
+    return response.data;
+  }
+
+  /**
+   * Find where to start: reuse the stored session if the server still has it
+   * @param {File} file - Document file
+   * @param {string} fingerprint - Upload fingerprint
+   * @param {Object} target - { userId, documentType }
+   * @returns {Promise<Object>} { uploadId, offset }
+   */
+  async openSession(file, fingerprint, { userId, documentType }) {
+    const stored = this.readSessions()[fingerprint];
+
+    if (stored) {
+      try {
+        const response = await httpClient.get(
+          buildUrl('AGENCE_SERVICE.UPLOADS.STATUS', { uploadId: stored.uploadId }),
+          { dedupe: false }
+        );
+        return { uploadId: stored.uploadId, offset: response.data.receivedBytes || 0 };
+      } catch (error) {
+        if (error.status !== HTTP_STATUS.NOT_FOUND) {
+          throw error;
+        }
+        // The server dropped the session: start over
+        this.forgetSession(fingerprint);
+      }
+    }
+
+    const response = await httpClient.post(
+      buildUrl('AGENCE_SERVICE.UPLOADS.CREATE'),
+      {
+        userId,
+        documentType,
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type
+      }
+    );
+
+    const { uploadId } = response.data;
+    this.saveSession(fingerprint, uploadId);
+    return { uploadId, offset: 0 };
+  }
+}
+
+// Create and export singleton instance
+const uploadService = new UploadService();
+export default uploadService;
@@ -15,17 +15,15 @@
 
 import httpClient from './httpClient.js';
 import authService from './authService.js';
-import { BASE_URLS, ENDPOINTS } from '../config/apiConfig.js';
+import idempotencyService from './idempotencyService.js';
+import { CACHE_CONFIG, RETRY_CONFIG, buildUrl, buildUrlPrefix } from '../config/apiConfig.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 /**
  * User Service Class
  * Manages all user-related API operations
  */
 class UserService {
-  constructor() {
-    this.baseUrl = BASE_URLS.USER_SERVICE;
-  }
-
   /**
    * Ensure user is authenticated before making requests
    * @throws {Error} If user is not authenticated
@@ -36,6 +34,25 @@ class UserService {
     }
   }
 
+  /**
+   * Post a money operation with the idempotency key of its intent
+   * @param {string} operation - Operation type ('deposit', 'withdrawal', 'transfer')
+   * @param {string} endpoint - Endpoint registry name
+   * @param {Object} payload - Request body
+   * @param {string} idempotencyKey - Optional caller-supplied key
+   * @returns {Promise<Object>} HTTP response
+   */
+  postMoneyOperation(operation, endpoint, payload, idempotencyKey = null) {
+    return idempotencyService.run(
+      operation,
+      payload,
+      (key) => httpClient.post(buildUrl(endpoint), payload, {
+        headers: { [RETRY_CONFIG.IDEMPOTENCY_HEADER]: key }
+      }),
+      idempotencyKey
+    );
+  }
+
   // =====================================
   // PROFILE MANAGEMENT
   // =====================================
@@ -50,7 +67,7 @@ class UserService {
       console.log('👤 Fetching current user profile');
 
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.PROFILE}`
+        buildUrl('USER_SERVICE.PROFILE')
       );
 
       console.log('✅ Profile fetched successfully');
@@ -73,7 +90,7 @@ class UserService {
       console.log('📝 Updating profile for client:', clientId);
 
       const response = await httpClient.put(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.UPDATE_PROFILE(clientId)}`,
+        buildUrl('USER_SERVICE.UPDATE_PROFILE', { clientId }),
         profileData
       );
 
@@ -87,17 +104,20 @@ class UserService {
 
   /**
    * Unlock user account
-   * @param {string} clientId - Client ID to unlock
+   * Also lifts the lockout of a back-office user after failed logins
+   * @param {string} clientId - Client or back-office user ID to unlock
    * @returns {Promise<Object>} Unlock response
    */
   async unlockUser(clientId) {
     try {
       this.ensureAuthenticated();
+      authService.ensurePermission(PERMISSIONS.USERS_UNLOCK);
       console.log('🔓 Unlocking user account:', clientId);
 
       const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.UNLOCK(clientId)}`,
-        {}
+        buildUrl('USER_SERVICE.UNLOCK', { clientId }),
+        {},
+        { invalidates: [buildUrlPrefix('USER_SERVICE.STATISTICS'), buildUrlPrefix('AGENCE_SERVICE.USERS.LIST')] }
       );
 
       console.log('✅ User account unlocked successfully');
@@ -114,7 +134,7 @@ class UserService {
 
   /**
    * Search users with filters
-   * @param {Object} searchParams - Search parameters
+   * @param {Object} searchParams - Search parameters (types and defaults in ENDPOINT_REGISTRY)
    * @param {string} searchParams.query - Search query
    * @param {number} searchParams.page - Page number (default: 0)
    * @param {number} searchParams.size - Page size (default: 20)
@@ -127,30 +147,8 @@ class UserService {
       this.ensureAuthenticated();
       console.log('🔍 Searching users with params:', searchParams);
 
-      const {
-        query = '',
-        page = 0,
-        size = 20,
-        status,
-        role,
-        sortBy = 'createdAt',
-        sortDirection = 'desc'
-      } = searchParams;
-
-      // Build query parameters
-      const queryParams = new URLSearchParams({
-        page: page.toString(),
-        size: size.toString(),
-        sortBy,
-        sortDirection
-      });
-
-      if (query) queryParams.append('query', query);
-      if (status) queryParams.append('status', status);
-      if (role) queryParams.append('role', role);
-
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.SEARCH}?${queryParams}`
+        buildUrl('USER_SERVICE.SEARCH', searchParams)
       );
 
       console.log(`✅ Found ${response.data.totalElements} users`);
@@ -163,16 +161,21 @@ class UserService {
 
   /**
    * Get user statistics
+   * @param {Object} params - Query parameters
+   * @param {string} params.idAgence - Agency filter (forced for agency directors)
    * @returns {Promise<Object>} User statistics
    */
-  async getUserStatistics() {
+  async getUserStatistics(params = {}) {
     try {
       this.ensureAuthenticated();
+      authService.ensurePermission(PERMISSIONS.DASHBOARD_VIEW);
       console.log('📊 Fetching user statistics');
 
-      console.log('🔗 Requesting user statistics from:', `${this.baseUrl}${ENDPOINTS.USER_SERVICE.STATISTICS}`);
+      const url = buildUrl('USER_SERVICE.STATISTICS', authService.withAgencyScope(params));
+      console.log('🔗 Requesting user statistics from:', url);
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.STATISTICS}`
+        url,
+        { cache: CACHE_CONFIG.STATISTICS }
       );
 
       console.log(`✅ User statistics fetched: ${response.data.totalUsers} users`);
@@ -205,9 +208,8 @@ class UserService {
 
       console.log('💰 Fetching balance for client:', targetClientId);
 
-      const queryParams = new URLSearchParams({ clientId: targetClientId });
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.BALANCE}?${queryParams}`
+        buildUrl('USER_SERVICE.BALANCE', { clientId: targetClientId })
       );
 
       const balance = response.data?.balance || 0;
@@ -221,7 +223,7 @@ class UserService {
 
   /**
    * Get user transaction history
-   * @param {Object} params - Transaction parameters
+   * @param {Object} params - Transaction parameters (types and defaults in ENDPOINT_REGISTRY)
    * @param {string} params.clientId - Client ID
    * @param {number} params.page - Page number
    * @param {number} params.size - Page size
@@ -234,38 +236,15 @@ class UserService {
     try {
       this.ensureAuthenticated();
       
-      const {
-        clientId = authService.getCurrentUser()?.idClient,
-        page = 0,
-        size = 20,
-        type,
-        startDate,
-        endDate,
-        sortBy = 'createdAt',
-        sortDirection = 'desc'
-      } = params;
-
+      const clientId = params.clientId || authService.getCurrentUser()?.idClient;
       if (!clientId) {
         throw new Error('No client ID available');
       }
 
       console.log('📋 Fetching transactions for client:', clientId);
 
-      // Build query parameters
-      const queryParams = new URLSearchParams({
-        clientId,
-        page: page.toString(),
-        size: size.toString(),
-        sortBy,
-        sortDirection
-      });
-
-      if (type) queryParams.append('type', type);
-      if (startDate) queryParams.append('startDate', startDate);
-      if (endDate) queryParams.append('endDate', endDate);
-
       const response = await httpClient.get(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.TRANSACTIONS}?${queryParams}`
+        buildUrl('USER_SERVICE.TRANSACTIONS', { ...params, clientId })
       );
 
       console.log(`✅ Fetched ${response.data.content?.length || 0} transactions`);
@@ -282,9 +261,11 @@ class UserService {
    * @param {string} depositData.payer - Payer phone number
    * @param {number} depositData.amount - Deposit amount
    * @param {string} depositData.description - Transaction description
+   * @param {Object} options - Operation options
+   * @param {string} options.idempotencyKey - Explicit idempotency key (generated per intent otherwise)
    * @returns {Promise<Object>} Deposit response
    */
-  async deposit(depositData) {
+  async deposit(depositData, options = {}) {
     try {
       this.ensureAuthenticated();
       
@@ -305,15 +286,17 @@ class UserService {
 
       console.log(`💸 Processing deposit: ${amount} FCFA from ${payer}`);
 
-      const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.DEPOSIT}`,
+      const response = await this.postMoneyOperation(
+        'deposit',
+        'USER_SERVICE.DEPOSIT',
         {
           payer,
           amount,
           description: description || 'Dépôt sur compte',
           externalId: '',
           callback: ''
-        }
+        },
+        options.idempotencyKey
       );
 
       console.log('✅ Deposit processed successfully');
@@ -330,9 +313,11 @@ class UserService {
    * @param {string} withdrawalData.payee - Payee phone number
    * @param {number} withdrawalData.amount - Withdrawal amount
    * @param {string} withdrawalData.description - Transaction description
+   * @param {Object} options - Operation options
+   * @param {string} options.idempotencyKey - Explicit idempotency key (generated per intent otherwise)
    * @returns {Promise<Object>} Withdrawal response
    */
-  async withdrawal(withdrawalData) {
+  async withdrawal(withdrawalData, options = {}) {
     try {
       this.ensureAuthenticated();
       
@@ -349,15 +334,17 @@ class UserService {
 
       console.log(`💸 Processing withdrawal: ${amount} FCFA to ${payee}`);
 
-      const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.WITHDRAWAL}`,
+      const response = await this.postMoneyOperation(
+        'withdrawal',
+        'USER_SERVICE.WITHDRAWAL',
         {
           payee,
           amount,
           description: description || 'Retrait de compte',
           externalId: '',
           callback: ''
-        }
+        },
+        options.idempotencyKey
       );
 
       console.log('✅ Withdrawal processed successfully');
@@ -374,9 +361,11 @@ class UserService {
    * @param {string} transferData.receiverClientId - Receiver client ID
    * @param {number} transferData.amount - Transfer amount
    * @param {string} transferData.description - Transaction description
+   * @param {Object} options - Operation options
+   * @param {string} options.idempotencyKey - Explicit idempotency key (generated per intent otherwise)
    * @returns {Promise<Object>} Transfer response
    */
-  async transfer(transferData) {
+  async transfer(transferData, options = {}) {
     try {
       this.ensureAuthenticated();
       
@@ -398,14 +387,16 @@ class UserService {
 
       console.log(`💸 Processing transfer: ${amount} FCFA to ${receiverClientId}`);
 
-      const response = await httpClient.post(
-        `${this.baseUrl}${ENDPOINTS.USER_SERVICE.TRANSFER}`,
+      const response = await this.postMoneyOperation(
+        'transfer',
+        'USER_SERVICE.TRANSFER',
         {
           senderClientId,
           receiverClientId,
           amount,
           description: description || 'Transfert entre comptes'
-        }
+        },
+        options.idempotencyKey
       );
 
       console.log('✅ Transfer processed successfully');
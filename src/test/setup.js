@@ -0,0 +1,39 @@
+/**
+ * 🧪 Test Setup
+ *
+ * Runs before every test file (see the `test` section of vite.config.js):
+ * - Service URLs, as the runtime config would provide them
+ * - A signed-in back-office admin (JWT with the ADMIN role); the access token lives in
+ *   authService memory, as in the app
+ * - Quiet console and logger: services log every request
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { beforeEach, vi } from 'vitest';
+import { BASE_URLS } from '../config/apiConfig.js';
+import authService, { AUTH_SOURCES } from '../services/authService.js';
+import logger from '../services/logger.js';
+import { TEST_ACCESS_TOKEN } from './tokens.js';
+
+export const TEST_BASE_URLS = {
+  USER_SERVICE: 'http://user-service.test',
+  AGENCE_SERVICE: 'http://agence-service.test',
+  MONEY_SERVICE: 'http://money-service.test'
+};
+
+Object.assign(BASE_URLS, TEST_BASE_URLS);
+
+authService.startSession({
+  token: TEST_ACCESS_TOKEN,
+  user: { id: 'USR-0001', username: 'admin', role: 'BANK_ADMIN', roles: ['ADMIN'] },
+  source: AUTH_SOURCES.AGENCE
+});
+
+// Re-applied per test: test files restore their own spies with vi.restoreAllMocks()
+beforeEach(() => {
+  ['log', 'info', 'debug'].forEach(method => vi.spyOn(console, method).mockImplementation(() => {}));
+});
+logger.setLevel('silent');
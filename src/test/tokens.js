@@ -0,0 +1,29 @@
+/**
+ * 🔑 Test Tokens
+ *
+ * Unsigned JWTs for tests: authService reads expiry and roles from the claims.
+ *
+ * @author ENSF Wallet Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Build an unsigned JWT, valid for a day
+ * @param {Object} claims - Token claims (roles, idAgence...)
+ * @returns {string} Token
+ */
+export const createTestToken = (claims = {}) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const encode = (value) => btoa(JSON.stringify(value));
+  return [
+    encode({ alg: 'none', typ: 'JWT' }),
+    encode({ sub: 'USR-0001', iat: issuedAt, exp: issuedAt + 24 * 60 * 60, ...claims }),
+    'test-signature'
+  ].join('.');
+};
+
+/**
+ * Access token of the back-office admin signed in by the test setup
+ */
+export const TEST_ACCESS_TOKEN = createTestToken({ roles: ['ADMIN'] });
@@ -11,5 +11,9 @@ export default defineConfig({
   define: {
     // Pour compatibilité avec les variables d'environnement React
     'process.env': {}
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js']
   }
 })
\ No newline at end of file